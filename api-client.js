@@ -0,0 +1,433 @@
+// Cognitive Echo API Client
+//
+// Talks to the Cognitive Echo backend documented in the README when a server
+// URL is configured. Without one - or while the server can't be reached - the
+// app keeps working in local mode with its on-device engines.
+//
+// REST calls carry `Authorization: Bearer <token>`. Login returns
+// { token, refreshToken }; a request answered with 401 refreshes the token
+// once (POST /api/auth/refresh) and is retried. Tokens are kept per server URL.
+//
+// The socket is a plain WebSocket at <server>/socket carrying the README's
+// events as JSON messages { event, data }:
+//
+//   client -> server   authenticate { token }
+//                      process_speech { requestId, audioData, sampleRate, partial, language }
+//                      process_speech { requestId, transcript, language }
+//                      start_session
+//                      feedback { predictionAccepted, actualIntent, rejected? }
+//   server -> client   authenticated | unauthorized
+//                      transcription_ready { requestId, text, partial }
+//                      predictions_ready { requestId, transcript, predictions: [candidate] }
+//                      visual_aid_ready { requestId, word, label, image }
+//
+// Audio goes up as a base64 16-bit WAV; a request with audio is answered with
+// a transcription, one with a transcript with predictions.
+
+const AUTH_STORAGE_KEY = 'cognitive-echo-auth';
+
+class ApiError extends Error {
+    constructor(message, status, body = null) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.body = body;
+    }
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    // Chunked so large recordings don't overflow the argument list
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+class ApiClient {
+    constructor(options = {}) {
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+        this.storage = options.storage !== undefined
+            ? options.storage
+            : (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.storageKey = options.storageKey || AUTH_STORAGE_KEY;
+        this.onAuthChange = options.onAuthChange || (() => {});
+        this.timeoutMs = options.timeoutMs || 10000;
+        this.refreshing = null;
+        this.configure(options.baseUrl || '');
+    }
+
+    // Switching servers loads the tokens saved for that server, if any
+    configure(baseUrl) {
+        this.baseUrl = (baseUrl || '').trim().replace(/\/+$/, '');
+        const saved = this.load();
+        this.token = saved && saved.baseUrl === this.baseUrl ? saved.token : null;
+        this.refreshToken = saved && saved.baseUrl === this.baseUrl ? saved.refreshToken : null;
+    }
+
+    get configured() {
+        return Boolean(this.baseUrl);
+    }
+
+    get authenticated() {
+        return Boolean(this.token);
+    }
+
+    url(path) {
+        return `${this.baseUrl}${path}`;
+    }
+
+    socketUrl(path = '/socket') {
+        return this.url(path).replace(/^http/, 'ws');
+    }
+
+    load() {
+        if (!this.storage) return null;
+        try {
+            return JSON.parse(this.storage.getItem(this.storageKey) || 'null');
+        } catch (error) {
+            console.error('Error loading sign-in details:', error);
+            return null;
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+        try {
+            if (this.token) {
+                this.storage.setItem(this.storageKey, JSON.stringify({
+                    baseUrl: this.baseUrl,
+                    token: this.token,
+                    refreshToken: this.refreshToken
+                }));
+            } else {
+                this.storage.removeItem(this.storageKey);
+            }
+        } catch (error) {
+            console.error('Error saving sign-in details:', error);
+        }
+    }
+
+    setTokens(data) {
+        this.token = data ? data.token || data.accessToken || null : null;
+        this.refreshToken = data ? data.refreshToken || this.refreshToken : null;
+        this.save();
+        this.onAuthChange(this.authenticated);
+    }
+
+    async login(email, password) {
+        const data = await this.request('POST', '/api/auth/login', { json: { email, password }, auth: false });
+        this.setTokens(data);
+        return data;
+    }
+
+    logout() {
+        this.setTokens(null);
+    }
+
+    // Concurrent 401s share one refresh
+    refresh() {
+        if (!this.refreshToken) return Promise.reject(new ApiError('Not signed in', 401));
+        if (!this.refreshing) {
+            this.refreshing = this.request('POST', '/api/auth/refresh', {
+                json: { refreshToken: this.refreshToken },
+                auth: false
+            })
+                .then(data => this.setTokens(data))
+                .catch(error => {
+                    // A refresh token the server rejects is no good for later either
+                    if (error.status === 401) this.setTokens(null);
+                    throw error;
+                })
+                .finally(() => {
+                    this.refreshing = null;
+                });
+        }
+        return this.refreshing;
+    }
+
+    async request(method, path, options = {}) {
+        if (!this.configured) throw new ApiError('No server is configured', 0);
+
+        const headers = {};
+        let body;
+        if (options.json !== undefined) {
+            headers['Content-Type'] = 'application/json';
+            body = JSON.stringify(options.json);
+        } else if (options.form) {
+            body = options.form;
+        }
+        if (options.auth !== false && this.token) headers.Authorization = `Bearer ${this.token}`;
+
+        // A server that stops answering must not leave the user waiting on predictions
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), this.timeoutMs) : null;
+        let response;
+        try {
+            response = await this.fetch(this.url(path), {
+                method,
+                headers,
+                body,
+                signal: controller ? controller.signal : undefined
+            });
+        } catch (error) {
+            throw new ApiError(error.name === 'AbortError' ? 'The server took too long to answer' : 'Could not reach the server', 0);
+        } finally {
+            clearTimeout(timer);
+        }
+        if (response.status === 401 && options.auth !== false && options.retry !== false && this.refreshToken) {
+            await this.refresh();
+            return this.request(method, path, { ...options, retry: false });
+        }
+
+        const text = await response.text();
+        let data = null;
+        try {
+            data = text ? JSON.parse(text) : null;
+        } catch (error) {
+            data = text;
+        }
+        if (!response.ok) {
+            const message = (data && (data.error || data.message)) || `Request failed with status ${response.status}`;
+            throw new ApiError(message, response.status, data);
+        }
+        return data;
+    }
+
+    transcribe(wav, options = {}) {
+        const form = new FormData();
+        form.append('audio', new Blob([wav], { type: 'audio/wav' }), 'utterance.wav');
+        if (options.language) form.append('language', options.language);
+        return this.request('POST', '/api/speech/transcribe', { form });
+    }
+
+    // POST /api/speech/analyze with just the transcript; the server answers with predictions
+    analyze(transcript, options = {}) {
+        const form = new FormData();
+        form.append('transcript', transcript);
+        if (options.language) form.append('language', options.language);
+        return this.request('POST', '/api/speech/analyze', { form });
+    }
+
+    visualAid(concept, context = {}) {
+        return this.request('POST', '/api/speech/visual-aid', { json: { concept, context } });
+    }
+
+    async startSession(details = {}) {
+        const data = await this.request('POST', '/api/speech/session/start', { json: details });
+        return data && data.session ? data.session : data;
+    }
+
+    updateSession(id, update) {
+        return this.request('PUT', `/api/speech/session/${encodeURIComponent(id)}/update`, { json: update });
+    }
+
+    endSession(id) {
+        return this.request('POST', `/api/speech/session/${encodeURIComponent(id)}/end`, { json: {} });
+    }
+}
+
+// The WebSocket side. It authenticates on every (re)connect and reconnects
+// with a growing delay after the connection drops; while it is down,
+// `connected` is false and callers fall back to REST or local mode.
+class ApiSocket {
+    constructor(client, options = {}) {
+        this.client = client;
+        this.WebSocket = options.WebSocket || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+        this.timeoutMs = options.timeoutMs || 8000;
+        this.maxReconnectDelayMs = options.maxReconnectDelayMs || 30000;
+        this.onStatusChange = options.onStatusChange || (() => {});
+        this.handlers = new Map();
+        this.socket = null;
+        this.connected = false;
+        this.closed = true;
+        this.reconnectDelayMs = 1000;
+        this.reconnectTimer = null;
+        this.nextRequestId = 1;
+    }
+
+    on(event, handler) {
+        if (!this.handlers.has(event)) this.handlers.set(event, new Set());
+        this.handlers.get(event).add(handler);
+        return () => this.off(event, handler);
+    }
+
+    off(event, handler) {
+        if (this.handlers.has(event)) this.handlers.get(event).delete(handler);
+    }
+
+    dispatch(event, data) {
+        (this.handlers.get(event) || []).forEach(handler => {
+            try {
+                handler(data);
+            } catch (error) {
+                console.error(`Error handling ${event}:`, error);
+            }
+        });
+    }
+
+    // Resolves with the first `event` whose data passes `matches`
+    waitFor(event, matches = () => true, timeoutMs = this.timeoutMs) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                stop();
+                reject(new Error(`Timed out waiting for ${event}`));
+            }, timeoutMs);
+            const stopHandler = this.on(event, data => {
+                if (!matches(data)) return;
+                stop();
+                resolve(data);
+            });
+            const stopOnClose = this.on('disconnected', () => {
+                stop();
+                reject(new Error(`Connection lost waiting for ${event}`));
+            });
+            function stop() {
+                clearTimeout(timer);
+                stopHandler();
+                stopOnClose();
+            }
+        });
+    }
+
+    async connect() {
+        if (!this.WebSocket) throw new Error('WebSocket is not available');
+        // Signing in again replaces the connection made with the old token
+        this.close();
+        this.closed = false;
+
+        await this.open();
+        try {
+            await this.authenticateOrRefresh();
+        } catch (error) {
+            // A rejected token won't get better by reconnecting; a timeout might
+            if (error.message === 'unauthorized' || error.status === 401) {
+                this.close();
+            } else if (this.socket) {
+                this.socket.close();
+            }
+            throw error;
+        }
+
+        this.connected = true;
+        this.reconnectDelayMs = 1000;
+        this.onStatusChange('connected');
+    }
+
+    open() {
+        return new Promise((resolve, reject) => {
+            const socket = new this.WebSocket(this.client.socketUrl());
+            this.socket = socket;
+            socket.onopen = () => resolve();
+            socket.onerror = () => reject(new Error('Could not connect to the server'));
+            socket.onmessage = (message) => {
+                let parsed;
+                try {
+                    parsed = JSON.parse(message.data);
+                } catch (error) {
+                    console.error('Ignoring malformed socket message:', message.data);
+                    return;
+                }
+                if (parsed && parsed.event) this.dispatch(parsed.event, parsed.data || {});
+            };
+            socket.onclose = () => {
+                if (this.socket !== socket) return;
+                this.socket = null;
+                this.connected = false;
+                this.dispatch('disconnected', {});
+                this.onStatusChange('offline');
+                if (!this.closed) this.scheduleReconnect();
+            };
+        });
+    }
+
+    async authenticateOrRefresh() {
+        try {
+            await this.authenticate();
+        } catch (error) {
+            // Only a refreshed token is worth a second try
+            if (error.message !== 'unauthorized' || !this.client.refreshToken) throw error;
+            await this.client.refresh();
+            await this.authenticate();
+        }
+    }
+
+    async authenticate() {
+        const reply = this.waitFor('authenticated', () => true);
+        const rejected = this.waitFor('unauthorized', () => true).then(() => {
+            throw new Error('unauthorized');
+        });
+        this.emit('authenticate', { token: this.client.token });
+        try {
+            await Promise.race([reply, rejected]);
+        } finally {
+            // The loser of the race would otherwise time out and reject unobserved
+            reply.catch(() => {});
+            rejected.catch(() => {});
+        }
+    }
+
+    scheduleReconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => {
+            this.connect().catch(error => console.error('Reconnecting to the server failed:', error));
+        }, this.reconnectDelayMs);
+        this.reconnectDelayMs = Math.min(this.reconnectDelayMs * 2, this.maxReconnectDelayMs);
+    }
+
+    close() {
+        this.closed = true;
+        clearTimeout(this.reconnectTimer);
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            this.connected = false;
+            socket.close();
+            this.dispatch('disconnected', {});
+        }
+    }
+
+    emit(event, data = {}) {
+        if (!this.socket) throw new Error('Not connected to the server');
+        this.socket.send(JSON.stringify({ event, data }));
+    }
+
+    // Sends a process_speech request and waits for the reply event with the same requestId
+    request(data, replyEvent) {
+        if (!this.connected) return Promise.reject(new Error('Not connected to the server'));
+        const requestId = this.nextRequestId++;
+        const reply = this.waitFor(replyEvent, response => response.requestId === requestId);
+        this.emit('process_speech', { ...data, requestId });
+        return reply;
+    }
+
+    transcribe(wav, sampleRate, options = {}) {
+        return this.request({
+            audioData: bytesToBase64(new Uint8Array(wav)),
+            sampleRate,
+            partial: Boolean(options.partial),
+            language: options.language || null
+        }, 'transcription_ready');
+    }
+
+    predict(transcript, options = {}) {
+        return this.request({ transcript, language: options.language || null }, 'predictions_ready');
+    }
+
+    startSession() {
+        if (this.connected) this.emit('start_session');
+    }
+
+    feedback(details) {
+        if (this.connected) this.emit('feedback', details);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ApiClient,
+        ApiError,
+        ApiSocket,
+        bytesToBase64
+    };
+}
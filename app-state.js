@@ -0,0 +1,182 @@
+// Cognitive Echo App State
+//
+// What the main screen shows lives in one observable store, and everything
+// that happens is published on a typed event bus. Logic updates the store and
+// publishes events; views subscribe and redraw. Neither needs the other, so
+// each can be tested or replaced on its own.
+//
+// State keys:
+//
+//   screen       id of the visible screen
+//   listening    'idle' | 'starting' | 'listening' | 'processing'
+//   transcript   { text, partial, analysis, message }  message is a catalog key
+//                shown while there is nothing to transcribe
+//   predictions  [candidate] on the cards, or null before the first request
+//   selection    word of the chosen card, or null
+//   settings     the active profile's settings
+//
+// Every changed key publishes '<key>:changed' { value, previous }, then the
+// whole update publishes 'state:changed' { changes }. Events are declared with
+// the fields their payload must carry; publishing anything else throws.
+
+const APP_STATE_KEYS = ['screen', 'listening', 'transcript', 'predictions', 'selection', 'settings'];
+
+const APP_EVENTS = {
+    'state:changed': ['changes'],
+    ...Object.fromEntries(APP_STATE_KEYS.map(key => [`${key}:changed`, ['value', 'previous']])),
+    'prediction:selected': ['candidate', 'rank'],
+    'prediction:rejected': ['word'],
+    'sentence:finished': ['sentence']
+};
+
+// Listening moves between these states only; anything else is a bug
+const LISTENING_TRANSITIONS = {
+    idle: { start: 'starting' },
+    starting: { started: 'listening', stop: 'idle' },
+    listening: { process: 'processing', stop: 'idle' },
+    // New speech can arrive while the last transcript is still being predicted
+    processing: { process: 'processing', settle: 'listening', stop: 'idle' }
+};
+
+const IDLE_TRANSCRIPT = { text: '', partial: '', analysis: null, message: 'main.clickToStart' };
+
+function initialAppState(settings) {
+    return {
+        screen: 'welcome-screen',
+        listening: 'idle',
+        transcript: IDLE_TRANSCRIPT,
+        predictions: null,
+        selection: null,
+        settings
+    };
+}
+
+class EventBus {
+    constructor(events = APP_EVENTS) {
+        this.events = events;
+        this.handlers = new Map();
+    }
+
+    assertKnown(type) {
+        if (!Object.prototype.hasOwnProperty.call(this.events, type)) {
+            throw new Error(`Unknown event: ${type}`);
+        }
+    }
+
+    on(type, handler) {
+        this.assertKnown(type);
+        if (!this.handlers.has(type)) this.handlers.set(type, new Set());
+        this.handlers.get(type).add(handler);
+        return () => this.off(type, handler);
+    }
+
+    off(type, handler) {
+        const handlers = this.handlers.get(type);
+        if (handlers) handlers.delete(handler);
+    }
+
+    emit(type, payload = {}) {
+        this.assertKnown(type);
+        const missing = this.events[type].filter(field => !(field in payload));
+        if (missing.length > 0) {
+            throw new Error(`Event ${type} is missing ${missing.join(', ')}`);
+        }
+
+        // One failing subscriber mustn't keep the others from hearing about it
+        (this.handlers.get(type) || []).forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`Error handling ${type}:`, error);
+            }
+        });
+    }
+}
+
+class StateStore {
+    constructor(bus, initialState) {
+        this.bus = bus;
+        this.state = { ...initialState };
+    }
+
+    get(key) {
+        return this.state[key];
+    }
+
+    getState() {
+        return { ...this.state };
+    }
+
+    set(changes) {
+        const unknown = Object.keys(changes).filter(key => !APP_STATE_KEYS.includes(key));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown state: ${unknown.join(', ')}`);
+        }
+
+        const changed = Object.keys(changes).filter(key => !Object.is(this.state[key], changes[key]));
+        if (changed.length === 0) return;
+
+        const previous = { ...this.state };
+        changed.forEach(key => {
+            this.state[key] = changes[key];
+        });
+        changed.forEach(key => {
+            this.bus.emit(`${key}:changed`, { value: this.state[key], previous: previous[key] });
+        });
+        this.bus.emit('state:changed', {
+            changes: Object.fromEntries(changed.map(key => [key, this.state[key]]))
+        });
+    }
+
+    subscribe(key, handler) {
+        return this.bus.on(`${key}:changed`, ({ value, previous }) => handler(value, previous));
+    }
+}
+
+class ListeningStateError extends Error {
+    constructor(state, action) {
+        super(`Cannot ${action} while ${state}`);
+        this.name = 'ListeningStateError';
+        this.state = state;
+        this.action = action;
+    }
+}
+
+class ListeningMachine {
+    constructor(options = {}) {
+        this.state = 'idle';
+        this.onChange = options.onChange || (() => {});
+    }
+
+    get active() {
+        return this.state !== 'idle';
+    }
+
+    can(action) {
+        return Boolean(LISTENING_TRANSITIONS[this.state][action]);
+    }
+
+    transition(action) {
+        const next = LISTENING_TRANSITIONS[this.state][action];
+        if (!next) throw new ListeningStateError(this.state, action);
+
+        const previous = this.state;
+        this.state = next;
+        if (next !== previous) this.onChange(next, previous, action);
+        return next;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        APP_STATE_KEYS,
+        APP_EVENTS,
+        LISTENING_TRANSITIONS,
+        IDLE_TRANSCRIPT,
+        initialAppState,
+        EventBus,
+        StateStore,
+        ListeningStateError,
+        ListeningMachine
+    };
+}
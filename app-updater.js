@@ -0,0 +1,70 @@
+// Cognitive Echo App Updater
+//
+// Registers the service worker (service-worker.js) that lets the app start
+// without a connection, and tells the page when a new version has been
+// downloaded. The new version waits until the user accepts it: applyUpdate()
+// activates it and the page reloads once it has taken over, so nobody is
+// interrupted mid-sentence.
+
+class AppUpdater {
+    constructor(options = {}) {
+        this.serviceWorker = options.serviceWorker !== undefined
+            ? options.serviceWorker
+            : (typeof navigator !== 'undefined' ? navigator.serviceWorker : null);
+        this.scriptUrl = options.scriptUrl || 'service-worker.js';
+        this.onUpdateReady = options.onUpdateReady || (() => {});
+        this.reload = options.reload || (() => window.location.reload());
+        this.registration = null;
+        this.updating = false;
+    }
+
+    get available() {
+        return Boolean(this.serviceWorker);
+    }
+
+    async register() {
+        if (!this.available) return null;
+
+        const registration = await this.serviceWorker.register(this.scriptUrl);
+        this.registration = registration;
+
+        // A version downloaded on an earlier visit may already be waiting
+        if (registration.waiting && this.serviceWorker.controller) this.onUpdateReady();
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+            worker.addEventListener('statechange', () => {
+                // The very first install has nothing to replace
+                if (worker.state === 'installed' && this.serviceWorker.controller) this.onUpdateReady();
+            });
+        });
+
+        // The first install also takes over the page; only a requested update reloads it
+        this.serviceWorker.addEventListener('controllerchange', () => {
+            if (!this.updating) return;
+            this.updating = false;
+            this.reload();
+        });
+
+        return registration;
+    }
+
+    checkForUpdate() {
+        if (!this.registration) return Promise.resolve();
+        return this.registration.update().catch(error => console.error('Error checking for updates:', error));
+    }
+
+    applyUpdate() {
+        const waiting = this.registration && this.registration.waiting;
+        if (!waiting) return false;
+
+        this.updating = true;
+        waiting.postMessage({ type: 'SKIP_WAITING' });
+        return true;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AppUpdater };
+}
@@ -1,78 +1,230 @@
 // Cognitive Echo Application
 class CognitiveEcho {
-    constructor() {
-        this.currentScreen = 'welcome-screen';
+    constructor(options = {}) {
+        this.demoMode = false;
         this.mediaStream = null;
         this.audioContext = null;
         this.analyser = null;
+        this.voiceMonitor = null;
+        this.suggestedSensitivity = null;
         this.devices = { cameras: [], microphones: [] };
-        this.selectedDevices = { camera: null, microphone: null };
-        this.settings = {
-            audioEnabled: true,
-            videoEnabled: true,
-            autoStart: false,
-            sensitivity: 0.7,
-            volume: 0.8
-        };
-        this.isListening = false;
+        this.audioSource = null;
+        this.audioBarsFrame = null;
+
+        // Camera and microphone - falls back when a device is unplugged and returns when it's back
+        this.mediaManager = new MediaManager({
+            mediaDevices: options.mediaDevices,
+            onStreamChange: (stream) => this.handleStreamChange(stream),
+            onStatusChange: (kind, status, detail) => this.showMediaStatus(kind, status, detail),
+            onDevicesChange: (devices) => {
+                this.devices = devices;
+                if (this.currentScreen === 'device-screen') this.populateDeviceSelectors();
+            }
+        });
+        this.mediaMessages = { camera: '', microphone: '' };
+        this.mediaStatusTimeouts = {};
+
+        // What the browser already allows, so a blocked device isn't asked for and the advice fits the browser
+        this.permissionPreflight = new PermissionPreflight({
+            permissions: options.permissions,
+            onChange: (device, state) => this.showPermissionState(device, state)
+        });
+        this.browser = detectBrowser();
+
+        // Settings - persisted per profile, validated against SETTINGS_SCHEMA
+        this.settingsStore = options.settingsStore || new SettingsStore();
+
+        // State - logic updates the store and publishes events, views subscribe and redraw
+        this.bus = new EventBus(APP_EVENTS);
+        this.store = new StateStore(this.bus, initialAppState(this.settingsStore.getSettings()));
+        this.listening = new ListeningMachine({ onChange: (state) => this.store.set({ listening: state }) });
+
+        // Interface language - message catalogs plus a word lexicon and starter deck per language
+        this.i18n = new Translator(this.settings.language);
+        this.language = null;
         this.currentScenarioIndex = 0;
         this.processingTimeout = null;
+        this.predictionRequestId = 0;
+        this.speechPipeline = null;
+        // Counts listening sessions, so a stop scheduled in one can't end the next
+        this.listeningSession = 0;
+        this.sentenceTimeout = null;
+        this.autoStopTimeout = null;
         
-        // Demo data
-        this.demoScenarios = [
-            {
-                id: 1,
-                fragmentedInput: "I... went... for a... you know... the green place...",
-                predictions: ["park", "garden", "forest", "field"],
-                visualAid: { emoji: "🌳", label: "Park" },
-                completedSentence: "I went for a walk in the park",
-                confidence: 0.85,
-                processingTime: 1200
-            },
-            {
-                id: 2,
-                fragmentedInput: "with my... uh... furry... four legs...",
-                predictions: ["dog", "cat", "pet", "animal"],
-                visualAid: { emoji: "🐕", label: "Dog" },
-                completedSentence: "with my dog",
-                confidence: 0.92,
-                processingTime: 800
-            },
-            {
-                id: 3,
-                fragmentedInput: "Need to... the white... for teeth...",
-                predictions: ["toothbrush", "dentist", "toothpaste", "dental"],
-                visualAid: { emoji: "🪥", label: "Toothbrush" },
-                completedSentence: "Need to brush my teeth",
-                confidence: 0.78,
-                processingTime: 1500
+        // Scenario decks - authored by caregivers, persisted locally
+        this.deckStore = options.deckStore || new DeckStore();
+        this.demoScenarios = this.deckStore.getActiveDeck().scenarios;
+
+        // Prediction engine - scripted scenarios first, then the offline cue lexicon
+        this.wordFindingEngine = new WordFindingEngine(CUE_LEXICON);
+        this.scriptedProvider = new ScriptedPredictionProvider(this.demoScenarios);
+        this.predictionProvider = options.predictionProvider || new ChainedPredictionProvider([
+            this.scriptedProvider,
+            new LexiconPredictionProvider(this.wordFindingEngine)
+        ]);
+
+        // Speech-to-text - without an adapter, listening falls back to the scripted scenarios
+        this.speechAdapter = options.speechAdapter || null;
+
+        // Backend - with a server URL set, the server predicts and transcribes first
+        // and the on-device engines take over whenever it can't be reached
+        this.apiClient = options.apiClient || new ApiClient({
+            fetch: options.fetch,
+            onAuthChange: () => this.updateBackendRoutes()
+        });
+        this.apiSocket = new ApiSocket(this.apiClient, {
+            WebSocket: options.WebSocket,
+            onStatusChange: () => this.renderServerStatus()
+        });
+        this.apiSocket.on('visual_aid_ready', (data) => this.applyVisualAid(data));
+        this.localPredictionProvider = this.predictionProvider;
+        this.backendPredictionProvider = new ChainedPredictionProvider([
+            new BackendPredictionProvider(this.apiClient, this.apiSocket),
+            this.localPredictionProvider
+        ]);
+        this.backendSpeechAdapter = new BackendSpeechAdapter(this.apiClient, this.apiSocket);
+        this.serverUrl = null;
+
+        // Session data for the server waits here while offline or signed out
+        this.syncQueue = options.syncQueue || new SyncQueue(this.apiClient, {
+            onChange: () => this.renderServerStatus()
+        });
+        this.syncSessionKey = null;
+
+        // Offline support - the service worker caches the app, new versions wait for the user
+        this.appUpdater = new AppUpdater({ onUpdateReady: () => this.showUpdatePrompt() });
+
+        // Screens - each has a URL hash, so back/forward and bookmarks work
+        this.router = new ScreenRouter({
+            window: options.window,
+            defaultRoute: 'welcome',
+            onChange: (route) => this.store.set({ screen: route.screen })
+        });
+        this.disfluencyAnalyzer = new DisfluencyAnalyzer();
+        this.personalVocabulary = options.personalVocabulary ||
+            new PersonalVocabulary({ profileId: this.settingsStore.getActiveProfile().id });
+
+        // Pictures for prediction cards - installed picture packs and personal photos
+        this.visualAids = new VisualAidLibrary(options.visualAidStore || new VisualAidStore());
+
+        // Sentences are built word by word, with next-word suggestions between found words
+        this.sentenceBuilder = new SentenceBuilder({
+            isNoun: (word) => this.wordFindingEngine.categoriesOf(word).length > 0
+        });
+        this.nextWordPredictor = new NextWordPredictor({
+            sentences: this.demoScenarios.map(scenario => scenario.completedSentence)
+        });
+
+        // Text-to-speech for completed sentences and card previews
+        this.speechOutput = new SpeechOutput(
+            options.ttsAdapter || new WebSpeechTtsAdapter(),
+            () => this.settings,
+            () => this.i18n.locale
+        );
+
+        // Switch access - steps through cards and controls for single-switch users
+        this.switchScanner = new SwitchScanner({
+            getItems: () => this.scanItems(),
+            intervalMs: this.settings.scanIntervalMs,
+            onHighlight: (item) => item.focus()
+        });
+
+        // Dwell selection - the mouse or the user's head points, resting on a target clicks it
+        this.headTracker = new HeadTracker();
+        this.headPointer = new HeadPointer();
+        this.dwellSelector = new DwellSelector({
+            dwellMs: this.settings.dwellTimeMs,
+            hitTest: (x, y) => this.dwellTargetAt(x, y),
+            onProgress: (target, progress) => {
+                target.classList.toggle('dwelling', progress > 0);
+                target.style.setProperty('--dwell-progress', progress);
             },
-            {
-                id: 4,
-                fragmentedInput: "Want some... cold... from the...",
-                predictions: ["water", "juice", "milk", "drink"],
-                visualAid: { emoji: "🥛", label: "Glass of water" },
-                completedSentence: "Want some cold water from the fridge",
-                confidence: 0.88,
-                processingTime: 900
-            }
-        ];
+            onSelect: (target) => target.click()
+        });
+        this.pointerSource = null;
+        this.pointerTimer = null;
+        this.pointerPosition = null;
+
+        // Gestures - mimes and pointing inform predictions, nod/shake answer yes/no
+        this.gestureDetector = new GestureDetector({ onGesture: (gesture) => this.handleGesture(gesture) });
+        this.gestureSource = null;
+        this.recentGestures = [];
+        this.gestureIndicatorTimeout = null;
 
-        this.tips = [
-            "Speak clearly and at a natural pace",
-            "Look at the camera for better gesture recognition", 
-            "Use the visual aids to help complete your thoughts",
-            "Don't worry about making mistakes - the AI learns from them"
-        ];
+        // Session history - every round of predictions is recorded as an attempt
+        this.sessionStore = options.sessionStore || new SessionStore();
+        this.session = null;
+        this.currentAttempt = null;
+
+        // Session recording for clinical review - opt-in, only started after the user agrees
+        this.sessionRecorder = new SessionRecorder({ store: options.recordingStore || new RecordingStore() });
 
         this.init();
     }
 
+    get currentScreen() {
+        return this.store.get('screen');
+    }
+
+    get settings() {
+        return this.store.get('settings');
+    }
+
+    get isListening() {
+        return this.listening.active;
+    }
+
     init() {
         console.log('Initializing Cognitive Echo...');
+        this.scenarioEditor = new ScenarioEditor(this.deckStore, {
+            i18n: this.i18n,
+            onChange: () => this.refreshDecks()
+        });
+        this.picturePackSettings = new PicturePackSettings(this.visualAids, { i18n: this.i18n });
+        this.sessionReplay = new SessionReplay(this.sessionRecorder.store, { i18n: this.i18n });
+        this.visualAids.load().catch(error => console.error('Error loading picture packs:', error));
+        this.setupViews();
         this.setupEventListeners();
-        this.populateTips();
-        this.showScreen('welcome-screen');
+        this.applyLanguage(this.settings.language);
+        this.connectBackend(this.settings.serverUrl);
+        if (this.syncQueue.available) {
+            this.syncQueue.updateSize().catch(error => console.error('Error reading the sync queue:', error));
+        }
+        this.appUpdater.register().catch(error => console.error('Error registering the service worker:', error));
+        this.setupRoutes();
+        this.router.start();
+
+        if (this.settings.autoStart) {
+            this.autoStart();
+        }
+    }
+
+    // Skips the welcome and device screens and goes straight to listening
+    async autoStart() {
+        console.log('Auto-start enabled, requesting permissions...');
+        const granted = await this.requestPermissions({ skipSetup: true });
+        if (granted && !this.isListening) {
+            this.toggleListening();
+        }
+    }
+
+    // Each part of the main screen redraws from the store; recording and feedback follow the events
+    setupViews() {
+        this.store.subscribe('screen', (screenId) => this.showScreen(screenId));
+        this.store.subscribe('listening', (state) => this.renderListening(state));
+        this.store.subscribe('transcript', (transcript) => this.renderTranscript(transcript));
+        this.store.subscribe('predictions', (candidates) => this.displayPredictions(candidates));
+        this.store.subscribe('selection', (word) => this.renderSelection(word));
+
+        this.bus.on('prediction:selected', ({ candidate, rank }) => {
+            this.sessionRecorder.log('selection', { word: candidate.word, rank });
+            this.apiSocket.feedback({ predictionAccepted: true, actualIntent: candidate.word });
+        });
+        this.bus.on('prediction:rejected', ({ word }) => {
+            this.sessionRecorder.log('rejection', { word });
+            this.apiSocket.feedback({ predictionAccepted: false, actualIntent: null, rejected: word });
+        });
+        this.bus.on('sentence:finished', ({ sentence }) => this.sessionRecorder.log('sentence', { text: sentence }));
     }
 
     setupEventListeners() {
@@ -84,7 +236,7 @@ class CognitiveEcho {
             startDemoBtn.addEventListener('click', (e) => {
                 e.preventDefault();
                 console.log('Start Demo button clicked');
-                this.showScreen('permission-screen');
+                this.router.navigate('permission');
             });
         } else {
             console.error('start-demo-btn not found');
@@ -119,16 +271,14 @@ class CognitiveEcho {
         const cameraSelect = document.getElementById('camera-select');
         if (cameraSelect) {
             cameraSelect.addEventListener('change', (e) => {
-                this.selectedDevices.camera = e.target.value;
-                this.updatePreview();
+                this.mediaManager.select('camera', e.target.value);
             });
         }
 
         const microphoneSelect = document.getElementById('microphone-select');
         if (microphoneSelect) {
             microphoneSelect.addEventListener('change', (e) => {
-                this.selectedDevices.microphone = e.target.value;
-                this.updatePreview();
+                this.mediaManager.select('microphone', e.target.value);
             });
         }
 
@@ -140,11 +290,27 @@ class CognitiveEcho {
             });
         }
 
+        const calibrateBtn = document.getElementById('calibrate-btn');
+        if (calibrateBtn) {
+            calibrateBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.calibrateSensitivity();
+            });
+        }
+
+        const applyCalibrationBtn = document.getElementById('apply-calibration-btn');
+        if (applyCalibrationBtn) {
+            applyCalibrationBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.applyCalibration();
+            });
+        }
+
         const backToPermissionsBtn = document.getElementById('back-to-permissions-btn');
         if (backToPermissionsBtn) {
             backToPermissionsBtn.addEventListener('click', (e) => {
                 e.preventDefault();
-                this.showScreen('permission-screen');
+                this.router.navigate('permission');
             });
         }
 
@@ -190,6 +356,48 @@ class CognitiveEcho {
             });
         }
 
+        const repeatBtn = document.getElementById('repeat-btn');
+        if (repeatBtn) {
+            repeatBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.speechOutput.repeat();
+            });
+        }
+
+        const undoWordBtn = document.getElementById('undo-word-btn');
+        if (undoWordBtn) {
+            undoWordBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.undoWord();
+            });
+        }
+
+        const finishSentenceBtn = document.getElementById('finish-sentence-btn');
+        if (finishSentenceBtn) {
+            finishSentenceBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.finishSentence();
+            });
+        }
+
+        // Word chips are re-rendered, so listen on the list
+        const sentenceWordsEl = document.getElementById('sentence-words');
+        if (sentenceWordsEl) {
+            sentenceWordsEl.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-index]');
+                if (!button) return;
+                e.preventDefault();
+                const index = Number(button.dataset.index);
+                if (button.dataset.move) {
+                    this.sentenceBuilder.move(index, Number(button.dataset.move));
+                } else {
+                    this.sentenceBuilder.remove(index);
+                }
+                this.renderSentence();
+                this.showNextWords();
+            });
+        }
+
         const toggleMainVideo = document.getElementById('toggle-main-video');
         if (toggleMainVideo) {
             toggleMainVideo.addEventListener('click', (e) => {
@@ -206,6 +414,36 @@ class CognitiveEcho {
             });
         }
 
+        const deckSelect = document.getElementById('deck-select');
+        if (deckSelect) {
+            deckSelect.addEventListener('change', (e) => {
+                this.selectDeck(e.target.value);
+            });
+        }
+
+        const scenarioSelect = document.getElementById('scenario-select');
+        if (scenarioSelect) {
+            scenarioSelect.addEventListener('change', (e) => {
+                this.selectScenario(Number(e.target.value));
+            });
+        }
+
+        const decksBtn = document.getElementById('decks-btn');
+        if (decksBtn) {
+            decksBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.router.navigate('deck-editor');
+            });
+        }
+
+        const closeEditorBtn = document.getElementById('close-editor-btn');
+        if (closeEditorBtn) {
+            closeEditorBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.router.navigate('main');
+            });
+        }
+
         const nextScenario = document.getElementById('next-scenario');
         if (nextScenario) {
             nextScenario.addEventListener('click', (e) => {
@@ -214,6 +452,103 @@ class CognitiveEcho {
             });
         }
 
+        // Progress history
+        const historyBtn = document.getElementById('history-btn');
+        if (historyBtn) {
+            historyBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.router.navigate('history');
+            });
+        }
+
+        // Session recording and replay
+        const recordBtn = document.getElementById('record-btn');
+        if (recordBtn) {
+            recordBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.toggleRecording();
+            });
+        }
+
+        const recordingsBtn = document.getElementById('recordings-btn');
+        if (recordingsBtn) {
+            recordingsBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.router.navigate('replay');
+            });
+        }
+
+        const closeReplayBtn = document.getElementById('close-replay-btn');
+        if (closeReplayBtn) {
+            closeReplayBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.router.navigate('main');
+            });
+        }
+
+        const consentAgreeBtn = document.getElementById('consent-agree-btn');
+        if (consentAgreeBtn) {
+            consentAgreeBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.startRecording();
+            });
+        }
+
+        const consentCancelBtn = document.getElementById('consent-cancel-btn');
+        if (consentCancelBtn) {
+            consentCancelBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.closeConsent();
+            });
+        }
+
+        const consentModal = document.getElementById('recording-consent-modal');
+        if (consentModal) {
+            consentModal.addEventListener('click', (e) => {
+                if (e.target.id === 'recording-consent-modal') {
+                    this.closeConsent();
+                }
+            });
+        }
+
+        const backToMainBtn = document.getElementById('back-to-main-btn');
+        if (backToMainBtn) {
+            backToMainBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.router.navigate('main');
+            });
+        }
+
+        const exportJsonBtn = document.getElementById('export-json-btn');
+        if (exportJsonBtn) {
+            exportJsonBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.exportHistory('json');
+            });
+        }
+
+        const exportCsvBtn = document.getElementById('export-csv-btn');
+        if (exportCsvBtn) {
+            exportCsvBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.exportHistory('csv');
+            });
+        }
+
+        const importJsonBtn = document.getElementById('import-json-btn');
+        const importFileInput = document.getElementById('import-file-input');
+        if (importJsonBtn && importFileInput) {
+            importJsonBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                importFileInput.click();
+            });
+            importFileInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                e.target.value = '';
+                if (file) this.importHistory(file);
+            });
+        }
+
         // Settings
         const settingsBtn = document.getElementById('settings-btn');
         if (settingsBtn) {
@@ -239,6 +574,85 @@ class CognitiveEcho {
             });
         }
 
+        const profileSelect = document.getElementById('profile-select');
+        if (profileSelect) {
+            profileSelect.addEventListener('change', (e) => {
+                this.switchProfile(e.target.value);
+            });
+        }
+
+        const createProfileBtn = document.getElementById('create-profile-btn');
+        if (createProfileBtn) {
+            createProfileBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.createProfile();
+            });
+        }
+
+        const renameProfileBtn = document.getElementById('rename-profile-btn');
+        if (renameProfileBtn) {
+            renameProfileBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.renameProfile();
+            });
+        }
+
+        const deleteProfileBtn = document.getElementById('delete-profile-btn');
+        if (deleteProfileBtn) {
+            deleteProfileBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.deleteProfile();
+            });
+        }
+
+        const resetVocabularyBtn = document.getElementById('reset-vocabulary-btn');
+        if (resetVocabularyBtn) {
+            resetVocabularyBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.resetVocabulary();
+            });
+        }
+
+        const serverLoginBtn = document.getElementById('server-login-btn');
+        if (serverLoginBtn) {
+            serverLoginBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.signIn();
+            });
+        }
+
+        const serverLogoutBtn = document.getElementById('server-logout-btn');
+        if (serverLogoutBtn) {
+            serverLogoutBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.signOut();
+            });
+        }
+
+        // Back online: send what was queued and look for a new version
+        window.addEventListener('online', () => {
+            this.syncQueue.flush();
+            this.appUpdater.checkForUpdate();
+            this.renderServerStatus();
+        });
+        window.addEventListener('offline', () => this.renderServerStatus());
+
+        const updateReloadBtn = document.getElementById('update-reload-btn');
+        if (updateReloadBtn) {
+            updateReloadBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.applyUpdate();
+            });
+        }
+
+        const updateDismissBtn = document.getElementById('update-dismiss-btn');
+        if (updateDismissBtn) {
+            updateDismissBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.hideUpdatePrompt();
+            });
+        }
+
         // Exit
         const exitBtn = document.getElementById('exit-btn');
         if (exitBtn) {
@@ -258,34 +672,107 @@ class CognitiveEcho {
             });
         }
 
+        // Keyboard and switch access
+        const predictionsContainer = document.getElementById('predictions-container');
+        if (predictionsContainer) {
+            predictionsContainer.addEventListener('keydown', (e) => this.handleCardNavigation(e));
+        }
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+        document.addEventListener('mousemove', (e) => {
+            if (this.settings.dwellMode === 'mouse') {
+                this.pointerPosition = { x: e.clientX, y: e.clientY };
+            }
+        });
+
+        const recenterPointerBtn = document.getElementById('recenter-pointer-btn');
+        if (recenterPointerBtn) {
+            recenterPointerBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.headPointer.recenter();
+            });
+        }
+
+        document.addEventListener('keyup', (e) => {
+            // Buttons activate on Space keyup, which would click the highlighted item twice
+            if (this.switchScanner.running && e.key === ' ') e.preventDefault();
+        });
+
+        // Browsers load synthesis voices asynchronously
+        if (window.speechSynthesis && typeof window.speechSynthesis.addEventListener === 'function') {
+            window.speechSynthesis.addEventListener('voiceschanged', () => this.populateVoiceSelector());
+        }
+
         console.log('Event listeners setup complete');
     }
 
+    // Screens that need the camera and microphone send the user to the permission screen first
+    setupRoutes() {
+        const needsMedia = () => Boolean(this.mediaStream) || 'permission';
+        const mainSubscreens = ['history', 'replay', 'deck-editor'];
+
+        this.router
+            .add('welcome', {
+                screen: 'welcome-screen',
+                // Coming back to the start releases the camera, microphone and session
+                enter: (from) => {
+                    if (from) this.teardown();
+                }
+            })
+            .add('permission', { screen: 'permission-screen', enter: () => this.checkPermissions() })
+            .add('device', {
+                screen: 'device-screen',
+                guard: needsMedia,
+                enter: () => {
+                    this.populateDeviceSelectors();
+                    this.startPreview();
+                }
+            })
+            .add('success', {
+                screen: 'success-screen',
+                guard: needsMedia,
+                enter: () => this.startSuccessPreview()
+            })
+            .add('main', {
+                screen: 'main-screen',
+                guard: () => Boolean(this.mediaStream) || this.demoMode || 'permission',
+                enter: (from) => {
+                    // Back from history, recordings or decks carries on where the user left off
+                    if (mainSubscreens.includes(from)) {
+                        this.updateAccessModes();
+                    } else {
+                        this.setupMainScreen();
+                    }
+                },
+                leave: () => {
+                    if (this.isListening) this.toggleListening();
+                    this.switchScanner.stop();
+                    this.stopPointerMode();
+                    this.stopGestureDetection();
+                }
+            })
+            .add('history', { screen: 'history-screen', enter: () => this.loadHistory() })
+            .add('replay', {
+                screen: 'replay-screen',
+                enter: () => this.openRecordings(),
+                leave: () => this.sessionReplay.close()
+            })
+            .add('deck-editor', { screen: 'deck-editor-screen', enter: () => this.scenarioEditor.open() });
+    }
+
     showScreen(screenId) {
-        console.log(`Attempting to show screen: ${screenId}`);
-        
-        // Get all screens
-        const screens = document.querySelectorAll('.screen');
-        
-        // Hide all screens
-        screens.forEach(screen => {
-            screen.classList.remove('active');
-        });
-
-        // Show target screen after a small delay to ensure transition
-        setTimeout(() => {
-            const targetScreen = document.getElementById(screenId);
-            if (targetScreen) {
-                targetScreen.classList.add('active');
-                this.currentScreen = screenId;
-                console.log(`Successfully switched to screen: ${screenId}`);
-            } else {
-                console.error(`Screen not found: ${screenId}`);
-            }
-        }, 50);
+        const targetScreen = document.getElementById(screenId);
+        if (!targetScreen) {
+            console.error(`Screen not found: ${screenId}`);
+            return;
+        }
+
+        document.querySelectorAll('.screen').forEach(screen => {
+            screen.classList.toggle('active', screen === targetScreen);
+        });
+        console.log(`Switched to screen: ${screenId}`);
     }
 
-    showLoading(message = 'Loading...') {
+    showLoading(message = this.i18n.t('common.loading')) {
         const overlay = document.getElementById('loading-overlay');
         const text = document.getElementById('loading-text');
         if (overlay && text) {
@@ -301,72 +788,76 @@ class CognitiveEcho {
         }
     }
 
-    async requestPermissions() {
+    // Shows each device's permission before anything is asked for
+    async checkPermissions() {
+        const states = await this.permissionPreflight.query();
+        PERMISSION_DEVICES.forEach(device => this.showPermissionState(device, states[device]));
+    }
+
+    showPermissionState(device, state) {
+        const badges = { granted: 'granted', denied: 'denied' };
+        this.updatePermissionStatus(device, badges[state] || 'waiting');
+    }
+
+    async requestPermissions(options = {}) {
         console.log('Requesting permissions...');
-        this.showLoading('Requesting camera and microphone access...');
+        this.showLoading(this.i18n.t('permission.requesting'));
         
         try {
-            // Update status
-            this.updatePermissionStatus('camera', 'requesting');
-            this.updatePermissionStatus('microphone', 'requesting');
-
-            // Request permissions
-            const stream = await navigator.mediaDevices.getUserMedia({
-                video: { width: 1280, height: 720 },
-                audio: { echoCancellation: true, noiseSuppression: true }
+            // A device the browser already refuses isn't asked for; the other one still is
+            await this.permissionPreflight.query();
+            const blocked = this.permissionPreflight.blocked();
+            PERMISSION_DEVICES.forEach(device => {
+                this.updatePermissionStatus(device, blocked.includes(device) ? 'denied' : 'requesting');
             });
 
+            // Request permissions - the media manager also lists the devices
+            await this.mediaManager.start({ blocked });
+
             console.log('Permissions granted successfully');
-            this.mediaStream = stream;
             
-            // Update status
-            this.updatePermissionStatus('camera', 'granted');
-            this.updatePermissionStatus('microphone', 'granted');
+            // Either device may have failed while the other works
+            PERMISSION_DEVICES.forEach(device => {
+                this.updatePermissionStatus(device, permissionStatusFor(this.mediaManager.errors[device]));
+            });
 
             this.hideLoading();
 
-            // Get available devices
-            await this.enumerateDevices();
-
             // Check if device selection is needed
-            if (this.devices.cameras.length > 1 || this.devices.microphones.length > 1) {
-                this.showScreen('device-screen');
-                this.populateDeviceSelectors();
-                this.startPreview();
+            if (options.skipSetup) {
+                this.enterMainApp();
+            } else if (this.devices.cameras.length > 1 || this.devices.microphones.length > 1) {
+                this.router.navigate('device');
             } else {
-                this.showScreen('success-screen');
-                this.startSuccessPreview();
+                this.router.navigate('success');
             }
+            return true;
 
         } catch (error) {
             console.error('Permission request failed:', error);
             this.hideLoading();
             this.handlePermissionError(error);
+            return false;
         }
     }
 
+    // Each device shows what it failed with; the message explains the most useful one
     handlePermissionError(error) {
-        let errorMessage = '';
-        
-        if (error.name === 'NotAllowedError') {
-            errorMessage = 'Camera/microphone access was denied. Please allow permissions and try again.';
-            this.updatePermissionStatus('camera', 'denied');
-            this.updatePermissionStatus('microphone', 'denied');
-        } else if (error.name === 'NotFoundError') {
-            errorMessage = 'No camera or microphone found. Please connect a device and refresh.';
-            this.updatePermissionStatus('camera', 'not-found');
-            this.updatePermissionStatus('microphone', 'not-found');
-        } else if (error.name === 'NotSupportedError') {
-            errorMessage = 'Your browser doesn\'t support camera/microphone access. Please use Chrome, Firefox, or Edge.';
-            this.updatePermissionStatus('camera', 'not-supported');
-            this.updatePermissionStatus('microphone', 'not-supported');
-        } else {
-            errorMessage = 'An error occurred accessing your camera/microphone. Please refresh and try again.';
-            this.updatePermissionStatus('camera', 'error');
-            this.updatePermissionStatus('microphone', 'error');
-        }
+        const errors = error.errors || { camera: error, microphone: error };
+        PERMISSION_DEVICES.forEach(device => {
+            this.updatePermissionStatus(device, permissionStatusFor(errors[device]));
+        });
 
-        this.showPermissionError(errorMessage);
+        const primary = primaryPermissionError(errors) || error;
+        const messages = {
+            denied: 'error.denied',
+            'not-found': 'error.notFound',
+            'not-supported': 'error.notSupported'
+        };
+        this.showPermissionError(
+            this.i18n.t(messages[permissionStatusFor(primary)] || 'error.generic'),
+            this.i18n.t(remedyKeyFor(primary, this.browser))
+        );
     }
 
     updatePermissionStatus(device, status) {
@@ -374,44 +865,47 @@ class CognitiveEcho {
         if (!statusEl) return;
         
         statusEl.className = 'status';
+        statusEl.dataset.status = status;
         
         switch (status) {
             case 'waiting':
                 statusEl.classList.add('status--info');
-                statusEl.textContent = 'Waiting';
+                statusEl.textContent = this.i18n.t('status.waiting');
                 break;
             case 'requesting':
                 statusEl.classList.add('status--warning');
-                statusEl.textContent = 'Requesting...';
+                statusEl.textContent = this.i18n.t('status.requesting');
                 break;
             case 'granted':
                 statusEl.classList.add('status--success');
-                statusEl.textContent = 'Granted';
+                statusEl.textContent = this.i18n.t('status.granted');
                 break;
             case 'denied':
                 statusEl.classList.add('status--error');
-                statusEl.textContent = 'Denied';
+                statusEl.textContent = this.i18n.t('status.denied');
                 break;
             case 'not-found':
                 statusEl.classList.add('status--error');
-                statusEl.textContent = 'Not Found';
+                statusEl.textContent = this.i18n.t('status.notFound');
                 break;
             case 'not-supported':
                 statusEl.classList.add('status--error');
-                statusEl.textContent = 'Not Supported';
+                statusEl.textContent = this.i18n.t('status.notSupported');
                 break;
             case 'error':
                 statusEl.classList.add('status--error');
-                statusEl.textContent = 'Error';
+                statusEl.textContent = this.i18n.t('status.error');
                 break;
         }
     }
 
-    showPermissionError(message) {
+    showPermissionError(message, remedy = '') {
         const errorEl = document.getElementById('permission-error');
         const errorText = errorEl.querySelector('.error-text');
+        const remedyText = errorEl.querySelector('.error-remedy');
         if (errorEl && errorText) {
             errorText.textContent = message;
+            if (remedyText) remedyText.textContent = remedy;
             errorEl.classList.remove('hidden');
         }
     }
@@ -421,26 +915,10 @@ class CognitiveEcho {
         if (errorEl) {
             errorEl.classList.add('hidden');
         }
-        this.updatePermissionStatus('camera', 'waiting');
-        this.updatePermissionStatus('microphone', 'waiting');
+        PERMISSION_DEVICES.forEach(device => this.updatePermissionStatus(device, 'waiting'));
         this.requestPermissions();
     }
 
-    async enumerateDevices() {
-        try {
-            const devices = await navigator.mediaDevices.enumerateDevices();
-            this.devices.cameras = devices.filter(device => device.kind === 'videoinput');
-            this.devices.microphones = devices.filter(device => device.kind === 'audioinput');
-            
-            console.log('Found devices:', {
-                cameras: this.devices.cameras.length,
-                microphones: this.devices.microphones.length
-            });
-        } catch (error) {
-            console.error('Error enumerating devices:', error);
-        }
-    }
-
     populateDeviceSelectors() {
         const cameraSelect = document.getElementById('camera-select');
         const microphoneSelect = document.getElementById('microphone-select');
@@ -448,14 +926,16 @@ class CognitiveEcho {
         if (!cameraSelect || !microphoneSelect) return;
 
         // Clear existing options
-        cameraSelect.innerHTML = '<option value="">Select Camera</option>';
-        microphoneSelect.innerHTML = '<option value="">Select Microphone</option>';
+        cameraSelect.innerHTML = '';
+        microphoneSelect.innerHTML = '';
+        cameraSelect.appendChild(new Option(this.i18n.t('device.selectCamera'), ''));
+        microphoneSelect.appendChild(new Option(this.i18n.t('device.selectMicrophone'), ''));
 
         // Populate cameras
         this.devices.cameras.forEach((device, index) => {
             const option = document.createElement('option');
             option.value = device.deviceId;
-            option.textContent = device.label || `Camera ${index + 1}`;
+            option.textContent = device.label || this.i18n.t('device.cameraNumber', { number: index + 1 });
             cameraSelect.appendChild(option);
         });
 
@@ -463,19 +943,13 @@ class CognitiveEcho {
         this.devices.microphones.forEach((device, index) => {
             const option = document.createElement('option');
             option.value = device.deviceId;
-            option.textContent = device.label || `Microphone ${index + 1}`;
+            option.textContent = device.label || this.i18n.t('device.microphoneNumber', { number: index + 1 });
             microphoneSelect.appendChild(option);
         });
 
-        // Select first available devices
-        if (this.devices.cameras.length > 0) {
-            cameraSelect.value = this.devices.cameras[0].deviceId;
-            this.selectedDevices.camera = this.devices.cameras[0].deviceId;
-        }
-        if (this.devices.microphones.length > 0) {
-            microphoneSelect.value = this.devices.microphones[0].deviceId;
-            this.selectedDevices.microphone = this.devices.microphones[0].deviceId;
-        }
+        // Show the devices in use
+        cameraSelect.value = this.mediaManager.active.camera || '';
+        microphoneSelect.value = this.mediaManager.active.microphone || '';
     }
 
     async startPreview() {
@@ -486,43 +960,151 @@ class CognitiveEcho {
         }
     }
 
-    async updatePreview() {
-        if (!this.selectedDevices.camera || !this.selectedDevices.microphone) return;
-
-        try {
-            // Stop current stream
-            if (this.mediaStream) {
-                this.mediaStream.getTracks().forEach(track => track.stop());
-            }
+    // Every new stream - a chosen device, a fallback or one that came back - is wired up here
+    handleStreamChange(stream) {
+        this.mediaStream = stream;
+        ['preview-video', 'success-video', 'main-video'].forEach(id => {
+            const video = document.getElementById(id);
+            if (video) video.srcObject = stream;
+        });
 
-            // Get new stream with selected devices
-            this.mediaStream = await navigator.mediaDevices.getUserMedia({
-                video: { deviceId: this.selectedDevices.camera },
-                audio: { deviceId: this.selectedDevices.microphone }
-            });
+        if (this.audioContext) this.startAudioLevelIndicator();
+        if (this.speechPipeline) {
+            this.stopSpeechCapture();
+            if (this.canCaptureSpeech()) this.startSpeechCapture();
+        }
+        if (this.currentScreen === 'main-screen') this.updateGestureDetection();
+        // MediaRecorder is tied to one stream, so a new device starts a new recording
+        if (this.sessionRecorder.active) this.restartRecording();
+    }
 
-            this.startPreview();
-        } catch (error) {
-            console.error('Error updating preview:', error);
+    // Unplugged, silent and restored devices are reported in a banner on every screen
+    showMediaStatus(kind, status, detail) {
+        const device = detail.device || this.i18n.t(`device.${kind}`);
+        const messages = {
+            fallback: this.i18n.t('media.fallback', { preferred: detail.preferred || device, device }),
+            lost: this.i18n.t(`media.${kind}Lost`),
+            blocked: this.i18n.t(`media.${kind}Blocked`),
+            muted: this.i18n.t(`media.${kind}Muted`),
+            error: this.i18n.t('media.error', { device })
+        };
+        const restored = status === 'active' && ['fallback', 'lost', 'error'].includes(detail.previous);
+        this.mediaMessages[kind] = messages[status] || (restored ? this.i18n.t('media.restored', { device }) : '');
+        this.renderMediaStatus();
+
+        // Good news only needs a moment
+        clearTimeout(this.mediaStatusTimeouts[kind]);
+        if (restored) {
+            this.mediaStatusTimeouts[kind] = setTimeout(() => {
+                this.mediaMessages[kind] = '';
+                this.renderMediaStatus();
+            }, 4000);
         }
     }
 
+    renderMediaStatus() {
+        const statusEl = document.getElementById('media-status');
+        if (!statusEl) return;
+
+        const messages = Object.values(this.mediaMessages).filter(Boolean);
+        const problem = Object.values(this.mediaManager.status).some(status => !['active', 'idle'].includes(status));
+        statusEl.textContent = messages.join(' ');
+        statusEl.className = `media-status status ${problem ? 'status--warning' : 'status--success'}`;
+        statusEl.classList.toggle('hidden', messages.length === 0);
+    }
+
     startAudioLevelIndicator() {
-        if (!this.mediaStream) return;
+        if (this.audioSource) {
+            this.audioSource.disconnect();
+            this.audioSource = null;
+        }
+        if (!this.mediaStream || this.mediaStream.getAudioTracks().length === 0) return;
 
         try {
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            const source = this.audioContext.createMediaStreamSource(this.mediaStream);
-            this.analyser = this.audioContext.createAnalyser();
-            this.analyser.fftSize = 256;
-            source.connect(this.analyser);
+            // One context for the whole session; only the source changes with the stream
+            if (!this.audioContext) {
+                this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+                this.analyser = this.audioContext.createAnalyser();
+                this.analyser.fftSize = 256;
+            }
+            this.audioSource = this.audioContext.createMediaStreamSource(this.mediaStream);
+            this.audioSource.connect(this.analyser);
 
             this.updateAudioBars();
+            this.startVoiceMonitor();
         } catch (error) {
             console.error('Error setting up audio analysis:', error);
         }
     }
 
+    // Lights up the level indicator while the detector hears speech at the current sensitivity
+    startVoiceMonitor() {
+        this.stopVoiceMonitor();
+        this.voiceMonitor = new AnalyserVoiceMonitor(this.analyser, {
+            vad: new VoiceActivityDetector(sensitivityThresholds(this.settings.sensitivity)),
+            onStateChange: (speaking) => {
+                const indicator = document.querySelector('.audio-level-indicator');
+                if (indicator) indicator.classList.toggle('speaking', speaking);
+            }
+        });
+        this.voiceMonitor.start();
+        this.renderCalibration();
+    }
+
+    stopVoiceMonitor() {
+        if (this.voiceMonitor) {
+            this.voiceMonitor.stop();
+            this.voiceMonitor = null;
+        }
+    }
+
+    renderCalibration(message) {
+        const valueEl = document.getElementById('calibration-value');
+        const statusEl = document.getElementById('calibration-status');
+        if (valueEl) valueEl.textContent = `${Math.round(this.settings.sensitivity * 100)}%`;
+        if (statusEl && message) statusEl.textContent = message;
+    }
+
+    async calibrateSensitivity() {
+        const calibrateBtn = document.getElementById('calibrate-btn');
+        const applyBtn = document.getElementById('apply-calibration-btn');
+
+        if (!this.voiceMonitor) {
+            this.renderCalibration(this.i18n.t('calibration.noPreview'));
+            return;
+        }
+
+        if (calibrateBtn) calibrateBtn.disabled = true;
+        if (applyBtn) applyBtn.classList.add('hidden');
+        this.renderCalibration(this.i18n.t('calibration.measuring'));
+
+        try {
+            const { noiseLevel, suggestedSensitivity } = await this.voiceMonitor.measureNoise(3000);
+            this.suggestedSensitivity = suggestedSensitivity;
+            this.renderCalibration(this.i18n.t('calibration.result', {
+                noise: (noiseLevel * 100).toFixed(1),
+                suggested: Math.round(suggestedSensitivity * 100)
+            }));
+            if (applyBtn) applyBtn.classList.remove('hidden');
+        } catch (error) {
+            console.error('Calibration failed:', error);
+            this.renderCalibration(this.i18n.t('calibration.failed'));
+        } finally {
+            if (calibrateBtn) calibrateBtn.disabled = false;
+        }
+    }
+
+    applyCalibration() {
+        if (this.suggestedSensitivity === null) return;
+
+        this.applySettings(this.settingsStore.update({ sensitivity: this.suggestedSensitivity }));
+        this.suggestedSensitivity = null;
+
+        const applyBtn = document.getElementById('apply-calibration-btn');
+        if (applyBtn) applyBtn.classList.add('hidden');
+        this.renderCalibration(this.i18n.t('calibration.saved', { profile: this.settingsStore.getActiveProfile().name }));
+    }
+
     updateAudioBars() {
         if (!this.analyser) return;
 
@@ -530,6 +1112,8 @@ class CognitiveEcho {
         if (bars.length === 0) return;
         
         const dataArray = new Uint8Array(this.analyser.frequencyBinCount);
+        // Restarted with every new stream, so never run two loops
+        cancelAnimationFrame(this.audioBarsFrame);
         
         const animate = () => {
             this.analyser.getByteFrequencyData(dataArray);
@@ -545,7 +1129,7 @@ class CognitiveEcho {
             });
 
             if (this.analyser) {
-                requestAnimationFrame(animate);
+                this.audioBarsFrame = requestAnimationFrame(animate);
             }
         };
 
@@ -553,8 +1137,7 @@ class CognitiveEcho {
     }
 
     confirmDevices() {
-        this.showScreen('success-screen');
-        this.startSuccessPreview();
+        this.router.navigate('success');
     }
 
     startSuccessPreview() {
@@ -595,7 +1178,7 @@ class CognitiveEcho {
         const tipsList = document.getElementById('tips-list');
         if (tipsList) {
             tipsList.innerHTML = '';
-            this.tips.forEach(tip => {
+            this.i18n.t('tips').forEach(tip => {
                 const li = document.createElement('li');
                 li.textContent = tip;
                 tipsList.appendChild(li);
@@ -603,13 +1186,59 @@ class CognitiveEcho {
         }
     }
 
-    enterMainApp() {
-        this.showScreen('main-screen');
-        this.startMainVideo();
-        this.setupMainInterface();
-    }
+    // Switches the interface text, prediction lexicon, sentence rules, decks and voices
+    applyLanguage(language) {
+        if (this.isListening) this.toggleListening();
 
-    startMainVideo() {
+        this.language = language;
+        this.i18n.setLanguage(language);
+        this.i18n.translatePage();
+        this.renderRecordingState();
+        this.renderServerStatus();
+        this.populateTips();
+        ['camera', 'microphone'].forEach(device => {
+            const statusEl = document.getElementById(`${device}-status`);
+            this.updatePermissionStatus(device, (statusEl && statusEl.dataset.status) || 'waiting');
+        });
+
+        const pack = languagePack(language);
+        this.wordFindingEngine.configure(pack);
+        this.disfluencyAnalyzer = new DisfluencyAnalyzer({
+            fillers: pack.fillers,
+            discourseFillers: pack.discourseFillers,
+            determiners: pack.determiners
+        });
+        this.sentenceBuilder.language = language;
+        this.sentenceBuilder.clear();
+        this.nextWordPredictor = new NextWordPredictor({ language, phrases: pack.phrases });
+
+        this.deckStore.useLanguage(language, { name: pack.deckName, scenarios: pack.scenarios || DEFAULT_SCENARIOS });
+        this.currentScenarioIndex = 0;
+        this.refreshDecks();
+        if (this.currentScreen === 'main-screen') {
+            this.displayCurrentScenario();
+            this.resetSession();
+        }
+        console.log(`Language set to: ${this.i18n.language}`);
+    }
+
+    enterMainApp() {
+        this.demoMode = false;
+        this.router.navigate('main');
+    }
+
+    setupMainScreen() {
+        if (this.demoMode) {
+            this.startSession('demo');
+            this.setupDemoMode();
+            return;
+        }
+        this.startSession('live');
+        this.startMainVideo();
+        this.setupMainInterface();
+    }
+
+    startMainVideo() {
         const video = document.getElementById('main-video');
         if (this.mediaStream && video) {
             video.srcObject = this.mediaStream;
@@ -617,131 +1246,1190 @@ class CognitiveEcho {
     }
 
     setupMainInterface() {
+        this.populateDeckSelectors();
         this.displayCurrentScenario();
         this.resetInterface();
+        this.updateAccessModes();
     }
 
     displayCurrentScenario() {
-        const scenario = this.demoScenarios[this.currentScenarioIndex];
-        const inputEl = document.getElementById('speech-input');
-        const predictionsEl = document.getElementById('predictions-container');
         const completedEl = document.getElementById('completed-sentence');
+        this.store.set({ transcript: IDLE_TRANSCRIPT, predictions: null, selection: null });
 
-        if (inputEl) {
-            inputEl.textContent = "Click 'Start Listening' to begin...";
-            inputEl.className = 'speech-text fragmented';
-        }
-        
-        if (predictionsEl) {
-            predictionsEl.innerHTML = '';
-        }
-        
         if (completedEl) {
-            completedEl.textContent = 'Your completed sentence will appear here...';
+            completedEl.textContent = this.i18n.t('main.sentencePlaceholder');
         }
     }
 
     toggleListening() {
+        if (this.listening.can('stop')) {
+            this.stopListening();
+        } else {
+            this.startListening();
+        }
+    }
+
+    renderListening(state) {
         const button = document.getElementById('listen-btn');
         if (!button) return;
-        
-        if (!this.isListening) {
-            this.startListening();
-            button.textContent = 'Stop Listening';
-            button.classList.add('btn--secondary');
-            button.classList.remove('btn--primary');
-        } else {
-            this.stopListening();
-            button.textContent = 'Start Listening';
-            button.classList.add('btn--primary');
-            button.classList.remove('btn--secondary');
+
+        const active = state !== 'idle';
+        button.textContent = this.i18n.t(active ? 'main.stopListening' : 'main.startListening');
+        button.classList.toggle('btn--secondary', active);
+        button.classList.toggle('btn--primary', !active);
+    }
+
+    setPredictionProvider(provider) {
+        if (!provider || typeof provider.predict !== 'function') {
+            throw new Error('Prediction provider must implement predict(transcript, context)');
+        }
+        this.predictionProvider = provider;
+        console.log(`Prediction provider set to: ${provider.name || 'custom'}`);
+    }
+
+    setTtsAdapter(adapter) {
+        if (!adapter || typeof adapter.speak !== 'function') {
+            throw new Error('Text-to-speech adapter must implement speak(text, options)');
+        }
+        this.speechOutput.setAdapter(adapter);
+        console.log(`Text-to-speech adapter set to: ${adapter.name || 'custom'}`);
+    }
+
+    setSpeechAdapter(adapter) {
+        if (!adapter || typeof adapter.transcribe !== 'function') {
+            throw new Error('Speech adapter must implement transcribe(segment, options)');
+        }
+        this.speechAdapter = adapter;
+        console.log(`Speech adapter set to: ${adapter.name || 'custom'}`);
+    }
+
+    canCaptureSpeech() {
+        return Boolean(
+            this.speechAdapter &&
+            this.settings.audioEnabled &&
+            this.mediaStream &&
+            this.mediaStream.getAudioTracks().length > 0
+        );
+    }
+
+    // Runs on launch and whenever the server URL setting changes
+    connectBackend(url) {
+        this.serverUrl = url;
+        this.apiSocket.close();
+        this.syncSessionKey = null;
+        this.apiClient.configure(url);
+        this.updateBackendRoutes();
+    }
+
+    // The server is used while signed in to it; providers and adapters set
+    // through setPredictionProvider() or setSpeechAdapter() are left alone
+    updateBackendRoutes() {
+        const useBackend = this.apiClient.configured && this.apiClient.authenticated;
+        if ([this.localPredictionProvider, this.backendPredictionProvider].includes(this.predictionProvider)) {
+            this.predictionProvider = useBackend ? this.backendPredictionProvider : this.localPredictionProvider;
+        }
+        if (!this.speechAdapter || this.speechAdapter === this.backendSpeechAdapter) {
+            this.speechAdapter = useBackend ? this.backendSpeechAdapter : null;
+        }
+
+        if (useBackend) this.syncQueue.flush();
+        if (useBackend && !this.apiSocket.socket) {
+            this.apiSocket.connect().catch(error => {
+                console.error('Could not connect to the server, working on this device:', error);
+                this.renderServerStatus();
+            });
+        } else if (!useBackend) {
+            this.apiSocket.close();
+        }
+        this.renderServerStatus();
+    }
+
+    async signIn() {
+        const urlInput = document.getElementById('server-url');
+        const emailInput = document.getElementById('server-email');
+        const passwordInput = document.getElementById('server-password');
+
+        const url = urlInput ? urlInput.value.trim() : this.serverUrl;
+        if (url !== this.serverUrl) {
+            this.applySettings(this.settingsStore.update({ serverUrl: url }));
+        }
+        if (!this.apiClient.configured) {
+            this.renderServerStatus();
+            return;
+        }
+
+        this.renderServerStatus(this.i18n.t('backend.signingIn'));
+        try {
+            await this.apiClient.login(emailInput ? emailInput.value.trim() : '', passwordInput ? passwordInput.value : '');
+            if (passwordInput) passwordInput.value = '';
+        } catch (error) {
+            console.error('Error signing in:', error);
+            this.renderServerStatus(this.i18n.t('backend.signInFailed', { error: error.message }), true);
         }
-        
-        this.isListening = !this.isListening;
     }
 
-    startListening() {
+    signOut() {
+        this.apiClient.logout();
+    }
+
+    renderServerStatus(message = null, isError = false) {
+        const statusEl = document.getElementById('server-status');
+        const signInEl = document.getElementById('server-sign-in');
+        const signOutBtn = document.getElementById('server-logout-btn');
+        const { configured, authenticated } = this.apiClient;
+
+        if (signInEl) signInEl.classList.toggle('hidden', !configured || authenticated);
+        if (signOutBtn) signOutBtn.classList.toggle('hidden', !authenticated);
+        if (!statusEl) return;
+
+        const server = this.apiClient.baseUrl;
+        if (!message) {
+            if (!configured) {
+                message = this.i18n.t('backend.local');
+            } else if (!authenticated) {
+                message = this.i18n.t('backend.signedOut', { server });
+            } else if (this.apiSocket.connected) {
+                message = this.i18n.t('backend.connected', { server });
+            } else if (this.apiSocket.socket) {
+                message = this.i18n.t('backend.connecting', { server });
+            } else {
+                message = this.i18n.t('backend.offline', { server });
+                isError = true;
+            }
+            if (configured && this.syncQueue.size > 0) {
+                message = `${message} ${this.i18n.t('backend.pending', { count: this.syncQueue.size })}`;
+            }
+        }
+        statusEl.textContent = message;
+        statusEl.className = `history-import-status status ${isError ? 'status--error' : 'status--success'}`;
+    }
+
+    showUpdatePrompt() {
+        const banner = document.getElementById('update-banner');
+        if (banner) banner.classList.remove('hidden');
+    }
+
+    hideUpdatePrompt() {
+        const banner = document.getElementById('update-banner');
+        if (banner) banner.classList.add('hidden');
+    }
+
+    // The page reloads into the new version; beforeunload ends the session as usual
+    applyUpdate() {
+        this.hideUpdatePrompt();
+        if (!this.appUpdater.applyUpdate()) window.location.reload();
+    }
+
+    async startListening() {
+        this.listening.transition('start');
+        this.listeningSession++;
+        if (this.canCaptureSpeech()) {
+            await this.startSpeechCapture();
+            return;
+        }
+
         console.log('Starting listening simulation...');
         const scenario = this.demoScenarios[this.currentScenarioIndex];
-        const inputEl = document.getElementById('speech-input');
-        
-        if (inputEl) {
-            // Simulate fragmented input
-            inputEl.textContent = scenario.fragmentedInput;
-            inputEl.className = 'speech-text';
+
+        if (!scenario) {
+            this.store.set({ transcript: { ...IDLE_TRANSCRIPT, message: 'main.noScenarios' } });
+            this.listening.transition('stop');
+            return;
         }
+        this.listening.transition('started');
+        const transcript = scenario.fragmentedInput;
+        const analysis = this.disfluencyAnalyzer.analyze(transcript);
+
+        // Simulate fragmented input
+        this.store.set({ transcript: { text: transcript, partial: '', analysis, message: null } });
         
         // Show processing
         this.showProgress(scenario.processingTime);
         
-        // Display predictions after a delay
-        setTimeout(() => {
-            this.displayPredictions(scenario);
-        }, scenario.processingTime * 0.6);
+        await this.requestPredictions(transcript, { scenario, analysis });
+    }
+
+    // Also restarts capture on a new microphone mid-session, which keeps the
+    // transcript and the listening state as they are
+    async startSpeechCapture() {
+        console.log('Starting speech capture...');
+        if (this.listening.can('started')) this.store.set({ transcript: { ...IDLE_TRANSCRIPT, message: 'main.listening' } });
+
+        const pipeline = new SpeechCapturePipeline({
+            source: new MicrophoneAudioSource(this.mediaStream),
+            adapter: this.speechAdapter,
+            vad: new VoiceActivityDetector(sensitivityThresholds(this.settings.sensitivity)),
+            language: this.i18n.locale,
+            onPartial: (text) => {
+                this.store.set({ transcript: { ...this.store.get('transcript'), partial: text, message: null } });
+            },
+            onFinal: (text, segment) => {
+                // Utterances are separated by a silence long enough to end them
+                const marked = this.disfluencyAnalyzer.insertPauses(text, segment);
+                const transcript = [this.store.get('transcript').text, marked].filter(Boolean).join(` ${PAUSE_MARK} `);
+
+                const analysis = this.disfluencyAnalyzer.analyze(transcript);
+                this.store.set({ transcript: { text: transcript, partial: '', analysis, message: null } });
+                this.requestPredictions(transcript, { analysis });
+            },
+            onError: (error) => console.error('Speech transcription failed:', error)
+        });
+        this.speechPipeline = pipeline;
+
+        try {
+            await pipeline.start();
+            // Stopped, or started again, while the microphone was opening
+            if (this.speechPipeline === pipeline && this.listening.can('started')) this.listening.transition('started');
+        } catch (error) {
+            console.error('Error starting speech capture:', error);
+            if (this.speechPipeline === pipeline) this.stopListening();
+        }
+    }
+
+    renderTranscript({ text, partial, analysis, message }) {
+        const inputEl = document.getElementById('speech-input');
+        if (!inputEl) return;
+
+        if (partial) {
+            // While the user is still talking, show the latest partial after what was already finalised
+            inputEl.textContent = [text, partial].filter(Boolean).join(' ');
+            inputEl.className = 'speech-text partial';
+        } else if (analysis) {
+            this.renderAnalysis(analysis);
+        } else if (message) {
+            inputEl.textContent = this.i18n.t(message);
+            inputEl.className = 'speech-text fragmented';
+        } else {
+            inputEl.textContent = text;
+            inputEl.className = 'speech-text';
+        }
+    }
+
+    renderAnalysis(analysis) {
+        const inputEl = document.getElementById('speech-input');
+        if (!inputEl) return;
+
+        inputEl.innerHTML = '';
+        inputEl.className = 'speech-text';
+
+        const slot = analysis.slot;
+        const cueIndexes = new Set(slot ? slot.descriptionIndexes : []);
+
+        analysis.tokens.forEach(token => {
+            // Mark the missing word just before the hesitation where it should have been
+            if (slot && token.index === slot.index) {
+                const gap = document.createElement('span');
+                gap.className = 'speech-gap';
+                gap.title = this.i18n.t('main.missingWord');
+                gap.textContent = '___';
+                inputEl.append(gap, ' ');
+            }
+
+            const span = document.createElement('span');
+            span.className = `speech-token speech-token--${token.type}`;
+            if (cueIndexes.has(token.index)) {
+                span.classList.add('speech-token--cue');
+            }
+            span.textContent = token.text;
+            inputEl.append(span, ' ');
+        });
+    }
+
+    async requestPredictions(transcript, context = {}) {
+        // Speech finalised just as listening stopped has nowhere to go
+        if (!this.listening.can('process')) return;
+
+        this.listening.transition('process');
+        const requestId = ++this.predictionRequestId;
+        this.sessionRecorder.log('transcript', { text: transcript });
+
+        try {
+            const result = await this.predictionProvider.predict(transcript, { ...context, language: this.i18n.locale });
+
+            // Ignore results that arrive after the user stopped or moved on
+            if (requestId !== this.predictionRequestId || !this.listening.can('settle')) return;
+            this.listening.transition('settle');
+
+            // Re-rank with what this user has picked for similar descriptions before
+            const cueText = this.cueTextFor(transcript, context);
+            const threshold = minimumConfidence(this.settings.sensitivity);
+            const candidates = rerankByGestures(
+                this.personalVocabulary.rerank(result.candidates, cueText),
+                this.currentGestures(),
+                word => this.wordFindingEngine.categoriesOf(word)
+            ).filter(candidate => candidate.confidence >= threshold);
+
+            this.setPredictions(candidates);
+            if (candidates.length > 0) {
+                this.beginAttempt(transcript, context, candidates, cueText);
+            }
+        } catch (error) {
+            console.error('Prediction request failed:', error);
+            if (requestId === this.predictionRequestId && this.listening.can('settle')) {
+                this.listening.transition('settle');
+            }
+            this.resetProgress();
+        }
+    }
+
+    cueTextFor(transcript, context) {
+        const slot = context.analysis && context.analysis.slot;
+        return slot && slot.description.length > 0 ? slot.description.join(' ') : transcript;
     }
 
     stopListening() {
-        console.log('Stopping listening...');
+        if (this.listening.can('stop')) {
+            console.log('Stopping listening...');
+            this.listening.transition('stop');
+        }
+        this.predictionRequestId++;
+        this.stopSpeechCapture();
         if (this.processingTimeout) {
             clearTimeout(this.processingTimeout);
         }
+        clearTimeout(this.autoStopTimeout);
+        this.autoStopTimeout = null;
         this.resetProgress();
     }
 
-    displayPredictions(scenario) {
+    stopSpeechCapture() {
+        if (!this.speechPipeline) return;
+
+        const pipeline = this.speechPipeline;
+        this.speechPipeline = null;
+        pipeline.stop().catch(error => console.error('Error stopping speech capture:', error));
+    }
+
+    setPredictions(candidates) {
+        this.sessionRecorder.log('predictions', { words: candidates.map(candidate => candidate.word) });
+        this.store.set({ predictions: candidates, selection: null });
+    }
+
+    displayPredictions(candidates) {
         const predictionsEl = document.getElementById('predictions-container');
         if (!predictionsEl) return;
         
         predictionsEl.innerHTML = '';
+        // Nothing asked for yet
+        if (!candidates) return;
+
+        if (candidates.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'predictions-empty';
+            empty.textContent = this.i18n.t('predictions.empty');
+            predictionsEl.appendChild(empty);
+            return;
+        }
 
-        // Add visual aid prediction first
-        const visualCard = document.createElement('div');
-        visualCard.className = 'prediction-card';
-        visualCard.innerHTML = `
-            <span class="prediction-emoji">${scenario.visualAid.emoji}</span>
-            <span class="prediction-label">${scenario.visualAid.label}</span>
-        `;
-        visualCard.addEventListener('click', () => this.selectPrediction(visualCard, scenario));
-        predictionsEl.appendChild(visualCard);
-
-        // Add other predictions
-        scenario.predictions.slice(0, 3).forEach(prediction => {
-            const card = document.createElement('div');
+        candidates.forEach((candidate, index) => {
+            const visualAid = this.visualAidFor(candidate);
+            const card = document.createElement('button');
+            card.type = 'button';
             card.className = 'prediction-card';
-            card.innerHTML = `
-                <span class="prediction-emoji">💭</span>
-                <span class="prediction-label">${prediction}</span>
-            `;
-            card.addEventListener('click', () => this.selectPrediction(card, scenario));
+            card.dataset.word = candidate.word;
+            card.setAttribute('aria-label', this.i18n.t('predictions.card', {
+                number: index + 1,
+                label: visualAid.label,
+                confidence: Math.round(candidate.confidence * 100)
+            }));
+            card.setAttribute('aria-pressed', 'false');
+
+            if (index < 9) {
+                const shortcut = document.createElement('span');
+                shortcut.className = 'prediction-shortcut';
+                shortcut.setAttribute('aria-hidden', 'true');
+                shortcut.textContent = index + 1;
+                card.appendChild(shortcut);
+            }
+            if (visualAid.image) {
+                const img = document.createElement('img');
+                img.className = 'prediction-image';
+                img.src = visualAid.image;
+                img.alt = visualAid.label;
+                card.appendChild(img);
+            } else {
+                const emoji = document.createElement('span');
+                emoji.className = 'prediction-emoji';
+                emoji.textContent = visualAid.emoji;
+                card.appendChild(emoji);
+            }
+            const label = document.createElement('span');
+            label.className = 'prediction-label';
+            label.textContent = visualAid.label;
+            card.appendChild(label);
+            // Roving tabindex: Tab reaches the grid once, arrow keys move within it
+            card.tabIndex = index === 0 ? 0 : -1;
+            card.addEventListener('click', () => this.selectPrediction(card, candidate));
+            card.addEventListener('mouseenter', () => this.speechOutput.preview(visualAid.label));
+            card.addEventListener('focus', () => this.speechOutput.preview(visualAid.label));
             predictionsEl.appendChild(card);
         });
+
+        const labels = candidates.map(candidate => (candidate.visualAid ? candidate.visualAid.label : candidate.word));
+        this.announce(this.i18n.t('predictions.announce', {
+            count: candidates.length,
+            labels: labels.join(', '),
+            max: Math.min(candidates.length, 9)
+        }));
+    }
+
+    // A personal photo beats everything; a caregiver's scenario image beats a generic pack picture
+    visualAidFor(candidate) {
+        const visualAid = candidate.visualAid || { emoji: '💭', label: candidate.word };
+        const picture = this.visualAids.resolve(candidate.word);
+        if (picture && (picture.packId === PERSONAL_PACK_ID || !visualAid.image)) {
+            return { ...visualAid, image: picture.image, label: visualAid.label || picture.label };
+        }
+        return visualAid;
     }
 
-    selectPrediction(card, scenario) {
-        // Remove previous selections
-        document.querySelectorAll('.prediction-card').forEach(c => {
-            c.classList.remove('selected');
+    // The server may send a picture for a card after the predictions themselves.
+    // It replaces only an emoji: personal photos and pack pictures stay.
+    applyVisualAid({ word, label, image }) {
+        if (!word || !image) return;
+
+        const card = [...document.querySelectorAll('#predictions-container .prediction-card')]
+            .find(existing => existing.dataset.word === word);
+        const emoji = card && card.querySelector('.prediction-emoji');
+        if (!emoji) return;
+
+        const img = document.createElement('img');
+        img.className = 'prediction-image';
+        img.src = image;
+        img.alt = label || word;
+        emoji.replaceWith(img);
+    }
+
+    // Screen readers read the status region whenever its text changes
+    announce(message) {
+        const statusEl = document.getElementById('predictions-status');
+        if (statusEl) statusEl.textContent = message;
+    }
+
+    // Arrow keys move between cards; up/down jump a whole row of the grid
+    handleCardNavigation(e) {
+        const cards = [...document.querySelectorAll('#predictions-container .prediction-card')];
+        const index = cards.indexOf(document.activeElement);
+        if (index === -1) return;
+
+        const columns = cards.filter(card => card.offsetTop === cards[0].offsetTop).length || 1;
+        const offsets = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -columns, ArrowDown: columns };
+        let target;
+        if (e.key in offsets) {
+            target = Math.min(cards.length - 1, Math.max(0, index + offsets[e.key]));
+        } else if (e.key === 'Home') {
+            target = 0;
+        } else if (e.key === 'End') {
+            target = cards.length - 1;
+        } else {
+            return;
+        }
+
+        e.preventDefault();
+        cards.forEach((card, i) => {
+            card.tabIndex = i === target ? 0 : -1;
         });
-        
-        // Select current card
-        card.classList.add('selected');
-        
-        // Show completed sentence
-        setTimeout(() => {
-            const completedEl = document.getElementById('completed-sentence');
-            if (completedEl) {
-                completedEl.textContent = scenario.completedSentence;
+        cards[target].focus();
+    }
+
+    // Number keys choose a card; with switch scanning on, Space/Enter is the switch
+    handleKeydown(e) {
+        if (this.currentScreen !== 'main-screen' || e.ctrlKey || e.metaKey || e.altKey) return;
+        if (this.modalOpen()) return;
+        if (e.target.closest && e.target.closest('input, select, textarea')) return;
+
+        if (this.settings.switchScanning && (e.key === ' ' || e.key === 'Enter')) {
+            e.preventDefault();
+            if (!e.repeat) this.switchScanner.select();
+            return;
+        }
+
+        if (/^[1-9]$/.test(e.key)) {
+            const card = document.querySelectorAll('#predictions-container .prediction-card')[Number(e.key) - 1];
+            if (card) {
+                e.preventDefault();
+                card.click();
             }
-            
-            // Auto stop listening
-            setTimeout(() => {
-                if (this.isListening) {
-                    this.toggleListening();
+        }
+    }
+
+    // Settings or the recording consent is on top of the main screen
+    modalOpen() {
+        return [...document.querySelectorAll('.modal')].some(modal => !modal.classList.contains('hidden'));
+    }
+
+    scanItems() {
+        if (this.currentScreen !== 'main-screen') return [];
+        if (this.modalOpen()) return [];
+
+        return [...document.querySelectorAll('#main-screen .prediction-card, #main-screen [data-scan]')]
+            .filter(item => !item.disabled && item.offsetParent !== null);
+    }
+
+    updateAccessModes() {
+        this.updateSwitchScanning();
+        this.updatePointerMode();
+        this.updateGestureDetection();
+    }
+
+    updateSwitchScanning() {
+        this.switchScanner.configure({ intervalMs: this.settings.scanIntervalMs });
+        if (this.settings.switchScanning && this.currentScreen === 'main-screen') {
+            this.switchScanner.start();
+        } else {
+            this.switchScanner.stop();
+        }
+    }
+
+    dwellTargetAt(x, y) {
+        if (this.currentScreen !== 'main-screen') return null;
+        if (this.modalOpen()) return null;
+
+        const element = document.elementFromPoint(x, y);
+        const target = element ? element.closest('#main-screen .prediction-card, #main-screen [data-scan]') : null;
+        return target && !target.disabled ? target : null;
+    }
+
+    async updatePointerMode() {
+        this.stopPointerMode();
+        this.dwellSelector.configure({ dwellMs: this.settings.dwellTimeMs });
+
+        const mainScreen = document.getElementById('main-screen');
+        if (mainScreen) {
+            mainScreen.classList.toggle('dwell-indicator--fill', this.settings.dwellIndicator === 'fill');
+            mainScreen.classList.toggle('dwell-indicator--bar', this.settings.dwellIndicator === 'bar');
+        }
+        if (this.currentScreen !== 'main-screen') return;
+
+        if (this.settings.dwellMode === 'mouse') {
+            // The mouse may rest without moving, so dwell on a timer rather than on mousemove
+            this.pointerTimer = setInterval(() => {
+                if (this.pointerPosition) {
+                    this.dwellSelector.update(this.pointerPosition.x, this.pointerPosition.y, performance.now());
                 }
+            }, 50);
+        } else if (this.settings.dwellMode === 'head') {
+            await this.startHeadPointer();
+        }
+    }
+
+    async startHeadPointer() {
+        const cursor = document.getElementById('head-pointer');
+        const recenterBtn = document.getElementById('recenter-pointer-btn');
+        const source = new VideoFrameSource(document.getElementById('main-video'));
+        this.headPointer.recenter();
+
+        try {
+            this.pointerSource = source;
+            await source.start((frame) => {
+                const position = this.headPointer.update(this.headTracker.process(frame));
+                if (!position) return;
+
+                const x = position.x * window.innerWidth;
+                const y = position.y * window.innerHeight;
+                if (cursor) {
+                    cursor.style.left = `${x}px`;
+                    cursor.style.top = `${y}px`;
+                }
+                this.dwellSelector.update(x, y, frame.timestamp);
+            });
+            if (cursor) cursor.classList.remove('hidden');
+            if (recenterBtn) recenterBtn.classList.remove('hidden');
+            console.log('Head pointer started - look at the centre of the screen');
+        } catch (error) {
+            console.error('Error starting head pointer:', error);
+            this.pointerSource = null;
+        }
+    }
+
+    stopPointerMode() {
+        clearInterval(this.pointerTimer);
+        this.pointerTimer = null;
+        this.pointerPosition = null;
+        if (this.pointerSource) {
+            this.pointerSource.stop();
+            this.pointerSource = null;
+        }
+        this.dwellSelector.reset();
+
+        const cursor = document.getElementById('head-pointer');
+        const recenterBtn = document.getElementById('recenter-pointer-btn');
+        if (cursor) cursor.classList.add('hidden');
+        if (recenterBtn) recenterBtn.classList.add('hidden');
+    }
+
+    async updateGestureDetection() {
+        this.stopGestureDetection();
+        if (this.currentScreen !== 'main-screen' || !this.settings.gestureDetection || !this.settings.videoEnabled) return;
+        if (!this.mediaStream || this.mediaStream.getVideoTracks().length === 0) return;
+
+        const source = new VideoFrameSource(document.getElementById('main-video'), { fps: 10 });
+        try {
+            this.gestureSource = source;
+            await source.start((frame) => this.gestureDetector.process(frame));
+            console.log('Gesture detection started');
+        } catch (error) {
+            console.error('Error starting gesture detection:', error);
+            this.gestureSource = null;
+        }
+    }
+
+    stopGestureDetection() {
+        if (this.gestureSource) {
+            this.gestureSource.stop();
+            this.gestureSource = null;
+        }
+        this.gestureDetector.reset();
+        this.recentGestures = [];
+    }
+
+    // Gestures from the last few seconds describe what the user is talking about now
+    currentGestures() {
+        const since = performance.now() - 5000;
+        this.recentGestures = this.recentGestures.filter(gesture => gesture.timestamp >= since);
+        return this.recentGestures;
+    }
+
+    handleGesture(gesture) {
+        const answer = gesture.type === 'nod' || gesture.type === 'shake';
+        // Pointing with the head moves it up, down and sideways all the time
+        if (answer && this.settings.dwellMode === 'head') return;
+
+        console.log('Gesture detected:', gesture);
+        this.showGesture(gesture);
+
+        if (gesture.type === 'nod') {
+            const card = this.highlightedCard();
+            if (card) card.click();
+        } else if (gesture.type === 'shake') {
+            const card = this.highlightedCard();
+            if (card) this.rejectPrediction(card);
+        } else {
+            this.recentGestures.push(gesture);
+        }
+    }
+
+    showGesture(gesture) {
+        const indicator = document.getElementById('gesture-indicator');
+        if (!indicator) return;
+
+        indicator.textContent = gesture.type === 'point'
+            ? this.i18n.t('gesture.point', { direction: this.i18n.t(`gesture.${gesture.direction}`) })
+            : this.i18n.t(`gesture.${gesture.type}`);
+        indicator.classList.remove('hidden');
+
+        clearTimeout(this.gestureIndicatorTimeout);
+        this.gestureIndicatorTimeout = setTimeout(() => indicator.classList.add('hidden'), 2000);
+    }
+
+    // The card the user is looking at: scanned, dwelt on or focused. A nod or
+    // shake with nothing highlighted is ignored rather than guessed at.
+    highlightedCard() {
+        const cards = [...document.querySelectorAll('#predictions-container .prediction-card')];
+        return [this.switchScanner.current, this.dwellSelector.target, document.activeElement]
+            .find(element => cards.includes(element)) || null;
+    }
+
+    rejectPrediction(card) {
+        const word = card.dataset.word;
+        this.bus.emit('prediction:rejected', { word });
+        if (this.currentAttempt && !this.currentAttempt.rejected.has(word)) {
+            this.currentAttempt.rejected.add(word);
+            this.personalVocabulary.recordRejection(this.currentAttempt.cueText, [word]);
+        }
+
+        const candidates = this.store.get('predictions') || [];
+        const index = candidates.findIndex(candidate => candidate.word === word);
+        const remaining = candidates.filter(candidate => candidate.word !== word);
+        this.store.set({ predictions: remaining });
+
+        // Focus stays where the rejected card was
+        const cards = [...document.querySelectorAll('#predictions-container .prediction-card')];
+        const next = cards[Math.min(index, cards.length - 1)];
+        if (next) {
+            cards.forEach(other => {
+                other.tabIndex = other === next ? 0 : -1;
+            });
+            next.focus();
+            this.announce(this.i18n.t('predictions.rejected', { word }));
+        } else {
+            this.announce(this.i18n.t('predictions.noneLeft', { word }));
+        }
+    }
+
+    selectPrediction(card, candidate) {
+        this.completeAttempt(candidate);
+        this.bus.emit('prediction:selected', {
+            candidate,
+            rank: (this.store.get('predictions') || []).indexOf(candidate)
+        });
+        this.store.set({ selection: candidate.word });
+
+        // A found word brings the words said around it; a next-word card adds just itself
+        if (candidate.kind === 'next') {
+            this.sentenceBuilder.append(candidate.word);
+        } else {
+            this.sentenceBuilder.appendPhrase(candidate.completedSentence);
+        }
+        
+        // Show the sentence so far and what might come next
+        const session = this.listeningSession;
+        clearTimeout(this.sentenceTimeout);
+        clearTimeout(this.autoStopTimeout);
+        this.sentenceTimeout = setTimeout(() => {
+            this.sentenceTimeout = null;
+            this.renderSentence();
+            this.speechOutput.speak(this.sentenceBuilder.text);
+            this.showNextWords();
+
+            // Auto stop listening, unless the user already stopped or started again
+            if (session !== this.listeningSession || !this.listening.can('stop')) return;
+            this.autoStopTimeout = setTimeout(() => {
+                this.autoStopTimeout = null;
+                if (session === this.listeningSession) this.stopListening();
             }, 1000);
         }, 500);
     }
 
+    renderSelection(word) {
+        document.querySelectorAll('#predictions-container .prediction-card').forEach(card => {
+            const selected = card.dataset.word === word;
+            card.classList.toggle('selected', selected);
+            card.setAttribute('aria-pressed', String(selected));
+        });
+    }
+
+    renderSentence() {
+        const wordsEl = document.getElementById('sentence-words');
+        const completedEl = document.getElementById('completed-sentence');
+        const words = this.sentenceBuilder.words;
+
+        if (wordsEl) {
+            wordsEl.innerHTML = '';
+            words.forEach((word, index) => {
+                const item = document.createElement('li');
+                item.className = 'sentence-word';
+
+                const moveLeft = this.sentenceControl('◀', this.i18n.t('sentence.moveEarlier', { word }), index, -1);
+                moveLeft.disabled = index === 0;
+                const text = document.createElement('span');
+                text.textContent = word;
+                const moveRight = this.sentenceControl('▶', this.i18n.t('sentence.moveLater', { word }), index, 1);
+                moveRight.disabled = index === words.length - 1;
+                const remove = this.sentenceControl('✕', this.i18n.t('sentence.remove', { word }), index);
+
+                item.append(moveLeft, text, moveRight, remove);
+                wordsEl.appendChild(item);
+            });
+        }
+
+        if (completedEl) {
+            completedEl.textContent = this.sentenceBuilder.empty
+                ? this.i18n.t('main.sentencePlaceholder')
+                : this.sentenceBuilder.text;
+        }
+
+        const undoBtn = document.getElementById('undo-word-btn');
+        if (undoBtn) undoBtn.disabled = this.sentenceBuilder.history.length === 0;
+        const finishBtn = document.getElementById('finish-sentence-btn');
+        if (finishBtn) finishBtn.disabled = this.sentenceBuilder.empty;
+    }
+
+    sentenceControl(symbol, label, index, move) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'sentence-word-control';
+        button.textContent = symbol;
+        button.setAttribute('aria-label', label);
+        button.dataset.index = index;
+        if (move) button.dataset.move = move;
+        return button;
+    }
+
+    // Next-word suggestions appear as ordinary prediction cards
+    showNextWords() {
+        const words = this.sentenceBuilder.words;
+        const candidates = this.nextWordPredictor.predict(words).map(({ word, confidence }) => {
+            const entry = this.wordFindingEngine.entryOf(word);
+            return {
+                word,
+                confidence,
+                kind: 'next',
+                visualAid: { emoji: entry ? entry.emoji : '➕', label: word === 'i' ? 'I' : word },
+                completedSentence: smoothSentence([...words, word], {
+                    isNoun: this.sentenceBuilder.isNoun,
+                    language: this.sentenceBuilder.language
+                })
+            };
+        });
+        this.setPredictions(candidates);
+    }
+
+    undoWord() {
+        if (!this.sentenceBuilder.undo()) return;
+        this.renderSentence();
+        this.showNextWords();
+        this.announce(this.sentenceBuilder.empty
+            ? this.i18n.t('sentence.cleared')
+            : this.i18n.t('sentence.current', { sentence: this.sentenceBuilder.text }));
+    }
+
+    // Speaks the smoothed sentence and starts the next one
+    finishSentence() {
+        if (this.sentenceBuilder.empty) return;
+
+        const sentence = this.sentenceBuilder.text;
+        this.bus.emit('sentence:finished', { sentence });
+        this.nextWordPredictor.learn(sentence);
+        this.speechOutput.speak(sentence);
+        this.sentenceBuilder.clear();
+        this.renderSentence();
+        this.showNextWords();
+
+        const completedEl = document.getElementById('completed-sentence');
+        if (completedEl) completedEl.textContent = sentence;
+        this.announce(this.i18n.t('sentence.finished', { sentence }));
+    }
+
+    async startSession(mode) {
+        this.startRemoteSession(mode);
+        if (!this.sessionStore.available || this.session) return;
+
+        try {
+            this.session = await this.sessionStore.startSession({ mode });
+            console.log(`Session ${this.session.id} started (${mode})`);
+        } catch (error) {
+            console.error('Error starting session:', error);
+        }
+    }
+
+    endSession() {
+        this.abandonAttempt();
+        this.endRemoteSession();
+        if (!this.session) return;
+
+        const sessionId = this.session.id;
+        this.session = null;
+        this.sessionStore.endSession(sessionId)
+            .catch(error => console.error('Error ending session:', error));
+    }
+
+    // With a server configured, sessions are mirrored to it through the sync
+    // queue, which sends them once the server can be reached. Failures there
+    // never affect the local history.
+    startRemoteSession(mode) {
+        if (this.syncSessionKey || !this.apiClient.configured || !this.syncQueue.available) return;
+
+        this.syncSessionKey = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+        this.queueSync('startSession', { key: this.syncSessionKey, details: { mode, language: this.language } });
+        this.apiSocket.startSession();
+    }
+
+    endRemoteSession() {
+        if (!this.syncSessionKey) return;
+
+        this.queueSync('endSession', { key: this.syncSessionKey });
+        this.syncSessionKey = null;
+    }
+
+    queueSync(type, data) {
+        this.syncQueue.enqueue(type, data)
+            .catch(error => console.error('Error queueing session data:', error));
+    }
+
+    beginAttempt(transcript, context, candidates, cueText) {
+        // Predictions replaced before a card was chosen count as an abandoned attempt
+        this.abandonAttempt();
+
+        this.currentAttempt = {
+            scenarioId: context.scenario ? context.scenario.id : null,
+            fragmentedInput: transcript,
+            cueText,
+            candidates,
+            // Words already penalised by a shake or dismiss, so the outcome doesn't penalise them again
+            rejected: new Set(),
+            startedAt: Date.now()
+        };
+    }
+
+    completeAttempt(candidate) {
+        const attempt = this.currentAttempt;
+        if (!attempt) return;
+
+        const completedAt = Date.now();
+        const passedOver = attempt.candidates.map(c => c.word).filter(word => !attempt.rejected.has(word));
+        this.personalVocabulary.recordSelection(attempt.cueText, candidate.word, passedOver);
+        this.saveAttempt(attempt, {
+            selected: {
+                word: candidate.word,
+                confidence: candidate.confidence,
+                rank: attempt.candidates.indexOf(candidate)
+            },
+            timeToSelectionMs: completedAt - attempt.startedAt,
+            completedSentence: candidate.completedSentence,
+            category: this.wordFindingEngine.categoryOf(candidate.word),
+            completedAt
+        });
+    }
+
+    abandonAttempt() {
+        const attempt = this.currentAttempt;
+        if (!attempt) return;
+
+        const unrejected = attempt.candidates.map(c => c.word).filter(word => !attempt.rejected.has(word));
+        this.personalVocabulary.recordRejection(attempt.cueText, unrejected);
+        this.saveAttempt(attempt, {
+            selected: null,
+            timeToSelectionMs: null,
+            completedSentence: null,
+            category: attempt.candidates.length > 0
+                ? this.wordFindingEngine.categoryOf(attempt.candidates[0].word)
+                : 'other',
+            completedAt: null
+        });
+    }
+
+    saveAttempt(attempt, outcome) {
+        this.currentAttempt = null;
+
+        const record = {
+            scenarioId: attempt.scenarioId,
+            fragmentedInput: attempt.fragmentedInput,
+            predictions: attempt.candidates.map(c => ({ word: c.word, confidence: c.confidence })),
+            startedAt: attempt.startedAt,
+            ...outcome
+        };
+
+        if (this.syncSessionKey) {
+            this.queueSync('updateSession', { key: this.syncSessionKey, update: { attempt: record } });
+        }
+        if (!this.session) return;
+
+        this.sessionStore.recordAttempt({ sessionId: this.session.id, ...record })
+            .catch(error => console.error('Error recording attempt:', error));
+    }
+
+    toggleRecording() {
+        if (this.sessionRecorder.active) {
+            this.stopRecording();
+        } else {
+            this.openConsent();
+        }
+    }
+
+    // Nothing is recorded until the user has been told what is kept and agreed to it
+    openConsent() {
+        if (!this.sessionRecorder.available) {
+            this.announce(this.i18n.t('recording.unsupported'));
+            return;
+        }
+
+        const modal = document.getElementById('recording-consent-modal');
+        if (modal) {
+            modal.classList.remove('hidden');
+            const agreeBtn = document.getElementById('consent-agree-btn');
+            if (agreeBtn) agreeBtn.focus();
+        }
+    }
+
+    closeConsent() {
+        const modal = document.getElementById('recording-consent-modal');
+        if (modal) {
+            modal.classList.add('hidden');
+        }
+    }
+
+    startRecording() {
+        this.closeConsent();
+        try {
+            this.sessionRecorder.start(this.mediaStream, { sessionId: this.session ? this.session.id : null });
+            this.announce(this.i18n.t('recording.started'));
+        } catch (error) {
+            console.error('Error starting recording:', error);
+            this.announce(this.i18n.t('recording.failed'));
+        }
+        this.renderRecordingState();
+    }
+
+    async stopRecording() {
+        const stopping = this.sessionRecorder.stop();
+        this.renderRecordingState();
+        try {
+            await stopping;
+            this.announce(this.i18n.t('recording.saved'));
+        } catch (error) {
+            console.error('Error saving recording:', error);
+            this.announce(this.i18n.t('recording.failed'));
+        }
+    }
+
+    // Keeps what was recorded so far and carries on with the current stream
+    async restartRecording() {
+        const sessionId = this.session ? this.session.id : null;
+        try {
+            await this.sessionRecorder.stop();
+            this.sessionRecorder.start(this.mediaStream, { sessionId });
+        } catch (error) {
+            console.error('Error restarting recording:', error);
+        }
+        this.renderRecordingState();
+    }
+
+    renderRecordingState() {
+        const recordBtn = document.getElementById('record-btn');
+        if (!recordBtn) return;
+
+        const recording = this.sessionRecorder.active;
+        recordBtn.textContent = this.i18n.t(recording ? 'main.stopRecording' : 'main.record');
+        recordBtn.classList.toggle('recording', recording);
+        recordBtn.setAttribute('aria-pressed', String(recording));
+    }
+
+    async openRecordings() {
+        // Playing a recording back shouldn't end up in a new one
+        if (this.sessionRecorder.active) {
+            await this.stopRecording();
+        }
+        this.sessionReplay.open();
+    }
+
+    async loadHistory() {
+        const summaryEl = document.getElementById('history-summary');
+        if (!this.sessionStore.available) {
+            if (summaryEl) summaryEl.textContent = this.i18n.t('history.unavailable');
+            return;
+        }
+
+        try {
+            // Four weeks is enough to see a trend without crowding the screen
+            const since = Date.now() - 28 * 24 * 60 * 60 * 1000;
+            const attempts = await this.sessionStore.getAttempts({ since });
+            this.renderHistory(summarizeProgress(attempts));
+        } catch (error) {
+            console.error('Error loading history:', error);
+            if (summaryEl) summaryEl.textContent = this.i18n.t('history.loadFailed');
+        }
+    }
+
+    renderHistory(progress) {
+        const summaryEl = document.getElementById('history-summary');
+        const byDayEl = document.getElementById('history-by-day');
+        const byCategoryEl = document.getElementById('history-by-category');
+        const { overall } = progress;
+
+        if (summaryEl) {
+            const counts = { completed: overall.completed, attempts: overall.attempts };
+            if (overall.attempts === 0) {
+                summaryEl.textContent = this.i18n.t('history.none');
+            } else if (overall.averageTimeToSelectionMs === null) {
+                summaryEl.textContent = this.i18n.t('history.summary', counts);
+            } else {
+                const seconds = (overall.averageTimeToSelectionMs / 1000).toFixed(1);
+                summaryEl.textContent = this.i18n.t('history.summaryWithTime', { ...counts, seconds });
+            }
+        }
+
+        const renderRows = (container, rows, labelOf) => {
+            if (!container) return;
+            container.innerHTML = '';
+            rows.forEach(row => {
+                const item = document.createElement('div');
+                item.className = 'trend-row';
+
+                const label = document.createElement('span');
+                label.className = 'trend-label';
+                label.textContent = labelOf(row);
+
+                const bar = document.createElement('div');
+                bar.className = 'trend-bar';
+                const fill = document.createElement('div');
+                fill.className = 'trend-fill';
+                fill.style.width = `${Math.round(row.successRate * 100)}%`;
+                bar.appendChild(fill);
+
+                const value = document.createElement('span');
+                value.className = 'trend-value';
+                value.textContent = `${row.completed}/${row.attempts}` +
+                    (row.averageTimeToSelectionMs !== null ? ` · ${(row.averageTimeToSelectionMs / 1000).toFixed(1)}s` : '');
+
+                item.append(label, bar, value);
+                container.appendChild(item);
+            });
+        };
+
+        renderRows(byDayEl, progress.byDay, row =>
+            new Date(`${row.day}T00:00:00`).toLocaleDateString(this.i18n.locale, { weekday: 'short', month: 'short', day: 'numeric' })
+        );
+        // Categories are the lexicon's English names; one without a translation is shown as it is
+        renderRows(byCategoryEl, progress.byCategory, row =>
+            this.i18n.has(`category.${row.category}`)
+                ? this.i18n.t(`category.${row.category}`)
+                : row.category.charAt(0).toUpperCase() + row.category.slice(1)
+        );
+    }
+
+    async exportHistory(format) {
+        if (!this.sessionStore.available) return;
+
+        try {
+            const [sessions, attempts] = await Promise.all([
+                this.sessionStore.getSessions(),
+                this.sessionStore.getAttempts()
+            ]);
+            const stamp = localDayKey(Date.now());
+
+            if (format === 'csv') {
+                this.downloadFile(`cognitive-echo-sessions-${stamp}.csv`, exportSessionsCsv(sessions, attempts), 'text/csv');
+            } else {
+                const data = exportSessionsJson(sessions, attempts);
+                this.downloadFile(`cognitive-echo-sessions-${stamp}.json`, JSON.stringify(data, null, 2), 'application/json');
+            }
+        } catch (error) {
+            console.error('Error exporting sessions:', error);
+            this.showImportStatus(this.i18n.t('history.exportFailed'), true);
+        }
+    }
+
+    downloadFile(filename, contents, type) {
+        const url = URL.createObjectURL(new Blob([contents], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    async importHistory(file) {
+        if (!this.sessionStore.available) return;
+
+        try {
+            const data = parseSessionImport(await file.text());
+            const result = await this.sessionStore.importData(data);
+            let message = this.i18n.t('history.imported', { attempts: result.attempts, sessions: result.sessions });
+            if (result.skipped.attempts > 0) {
+                message += ` ${this.i18n.t('history.importSkipped', { attempts: result.skipped.attempts })}`;
+            }
+            this.showImportStatus(message, false);
+            await this.loadHistory();
+        } catch (error) {
+            console.error('Error importing sessions:', error);
+            const message = error instanceof SessionImportError
+                ? `${this.i18n.t('history.importInvalid')} ${this.i18n.errorMessage(error)}`
+                : this.i18n.t('history.importFailed');
+            this.showImportStatus(message, true);
+        }
+    }
+
+    showImportStatus(message, isError) {
+        const statusEl = document.getElementById('history-import-status');
+        if (!statusEl) return;
+
+        statusEl.textContent = message;
+        statusEl.className = `history-import-status status ${isError ? 'status--error' : 'status--success'}`;
+    }
+
     showProgress(duration) {
         const progressFill = document.getElementById('progress-fill');
         if (!progressFill) return;
@@ -772,34 +2460,98 @@ class CognitiveEcho {
     }
 
     resetSession() {
+        this.abandonAttempt();
         this.stopListening();
         this.resetInterface();
     }
 
     resetInterface() {
-        const inputEl = document.getElementById('speech-input');
-        const predictionsEl = document.getElementById('predictions-container');
-        const completedEl = document.getElementById('completed-sentence');
-        
-        if (inputEl) {
-            inputEl.textContent = "Click 'Start Listening' to begin...";
-            inputEl.className = 'speech-text fragmented';
-        }
-        if (predictionsEl) {
-            predictionsEl.innerHTML = '';
-        }
-        if (completedEl) {
-            completedEl.textContent = 'Your completed sentence will appear here...';
-        }
+        this.speechOutput.cancel();
+        this.store.set({ transcript: IDLE_TRANSCRIPT, predictions: null, selection: null });
+        this.sentenceBuilder.clear();
+        this.renderSentence();
         this.resetProgress();
     }
 
     nextScenario() {
-        this.currentScenarioIndex = (this.currentScenarioIndex + 1) % this.demoScenarios.length;
+        if (this.demoScenarios.length === 0) return;
+        this.selectScenario((this.currentScenarioIndex + 1) % this.demoScenarios.length);
+    }
+
+    selectScenario(index) {
+        if (!this.demoScenarios[index]) return;
+
+        if (this.isListening) {
+            this.toggleListening();
+        }
+        this.currentScenarioIndex = index;
         this.resetSession();
+
+        const scenarioSelect = document.getElementById('scenario-select');
+        if (scenarioSelect) scenarioSelect.value = String(index);
         console.log(`Switched to scenario ${this.currentScenarioIndex + 1}`);
     }
 
+    selectDeck(deckId) {
+        try {
+            this.deckStore.setActiveDeck(deckId);
+        } catch (error) {
+            console.error('Error selecting deck:', error);
+            return;
+        }
+        this.currentScenarioIndex = 0;
+        this.refreshDecks();
+        if (this.demoScenarios.length > 0) {
+            this.selectScenario(0);
+        } else {
+            this.resetSession();
+        }
+    }
+
+    // Re-reads the active deck after it was switched or edited
+    refreshDecks() {
+        const deck = this.deckStore.getActiveDeck();
+        this.demoScenarios = deck.scenarios;
+        this.scriptedProvider.scenarios = deck.scenarios;
+        this.nextWordPredictor.setCorpus(deck.scenarios.map(scenario => scenario.completedSentence));
+        if (this.currentScenarioIndex >= this.demoScenarios.length) {
+            this.currentScenarioIndex = 0;
+        }
+        this.populateDeckSelectors();
+    }
+
+    populateDeckSelectors() {
+        const deckSelect = document.getElementById('deck-select');
+        const scenarioSelect = document.getElementById('scenario-select');
+        const activeDeck = this.deckStore.getActiveDeck();
+
+        if (deckSelect) {
+            deckSelect.innerHTML = '';
+            // Decks in the current language, plus the active one if it was chosen from the editor
+            const decks = this.deckStore.decks
+                .filter(deck => (deck.language || 'en') === this.language || deck.id === activeDeck.id);
+            decks.forEach(deck => {
+                const option = document.createElement('option');
+                option.value = deck.id;
+                option.textContent = deck.name;
+                deckSelect.appendChild(option);
+            });
+            deckSelect.value = activeDeck.id;
+        }
+
+        if (scenarioSelect) {
+            scenarioSelect.innerHTML = '';
+            this.demoScenarios.forEach((scenario, index) => {
+                const option = document.createElement('option');
+                option.value = String(index);
+                option.textContent = `${index + 1}. ${scenario.visualAid.label}`;
+                scenarioSelect.appendChild(option);
+            });
+            scenarioSelect.value = String(this.currentScenarioIndex);
+            scenarioSelect.disabled = this.demoScenarios.length === 0;
+        }
+    }
+
     toggleMainVideo(button) {
         const video = document.getElementById('main-video');
         const videoTrack = this.mediaStream?.getVideoTracks()[0];
@@ -832,19 +2584,203 @@ class CognitiveEcho {
         if (modal) {
             modal.classList.remove('hidden');
             
-            // Load current settings
-            const audioEnabled = document.getElementById('audio-enabled');
-            const videoEnabled = document.getElementById('video-enabled');
-            const sensitivitySlider = document.getElementById('sensitivity-slider');
-            const volumeSlider = document.getElementById('volume-slider');
-            
-            if (audioEnabled) audioEnabled.checked = this.settings.audioEnabled;
-            if (videoEnabled) videoEnabled.checked = this.settings.videoEnabled;
-            if (sensitivitySlider) sensitivitySlider.value = this.settings.sensitivity * 100;
-            if (volumeSlider) volumeSlider.value = this.settings.volume * 100;
+            this.populateProfileSelector();
+            this.loadSettingsForm();
+            this.renderVocabulary();
+            this.picturePackSettings.render();
         }
     }
 
+    loadSettingsForm() {
+        const audioEnabled = document.getElementById('audio-enabled');
+        const videoEnabled = document.getElementById('video-enabled');
+        const autoStart = document.getElementById('auto-start');
+        const sensitivitySlider = document.getElementById('sensitivity-slider');
+        const volumeSlider = document.getElementById('volume-slider');
+        const rateSlider = document.getElementById('tts-rate-slider');
+        const pitchSlider = document.getElementById('tts-pitch-slider');
+        const speakPredictions = document.getElementById('speak-predictions');
+        const switchScanning = document.getElementById('switch-scanning');
+        const scanSpeedSlider = document.getElementById('scan-speed-slider');
+        const dwellMode = document.getElementById('dwell-mode');
+        const dwellTimeSlider = document.getElementById('dwell-time-slider');
+        const dwellIndicator = document.getElementById('dwell-indicator');
+        const gestureDetection = document.getElementById('gesture-detection');
+        const languageSelect = document.getElementById('language-select');
+        const serverUrl = document.getElementById('server-url');
+        
+        if (languageSelect) {
+            languageSelect.innerHTML = '';
+            Object.entries(SUPPORTED_LANGUAGES).forEach(([code, language]) => {
+                const option = document.createElement('option');
+                option.value = code;
+                option.textContent = language.name;
+                languageSelect.appendChild(option);
+            });
+            languageSelect.value = this.settings.language;
+        }
+        if (audioEnabled) audioEnabled.checked = this.settings.audioEnabled;
+        if (videoEnabled) videoEnabled.checked = this.settings.videoEnabled;
+        if (autoStart) autoStart.checked = this.settings.autoStart;
+        if (sensitivitySlider) sensitivitySlider.value = this.settings.sensitivity * 100;
+        if (volumeSlider) volumeSlider.value = this.settings.volume * 100;
+        if (rateSlider) rateSlider.value = this.settings.ttsRate * 100;
+        if (pitchSlider) pitchSlider.value = this.settings.ttsPitch * 100;
+        if (speakPredictions) speakPredictions.checked = this.settings.speakPredictions;
+        if (switchScanning) switchScanning.checked = this.settings.switchScanning;
+        if (scanSpeedSlider) scanSpeedSlider.value = this.settings.scanIntervalMs / 1000;
+        if (dwellMode) dwellMode.value = this.settings.dwellMode;
+        if (dwellTimeSlider) dwellTimeSlider.value = this.settings.dwellTimeMs / 1000;
+        if (dwellIndicator) dwellIndicator.value = this.settings.dwellIndicator;
+        if (gestureDetection) gestureDetection.checked = this.settings.gestureDetection;
+        if (serverUrl) serverUrl.value = this.settings.serverUrl;
+
+        this.populateVoiceSelector();
+        this.renderServerStatus();
+    }
+
+    populateProfileSelector() {
+        const profileSelect = document.getElementById('profile-select');
+        if (!profileSelect) return;
+
+        profileSelect.innerHTML = '';
+        this.settingsStore.profiles.forEach(({ id, name }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = name;
+            profileSelect.appendChild(option);
+        });
+        profileSelect.value = this.settingsStore.getActiveProfile().id;
+    }
+
+    // Unsaved changes in the form belong to the profile being left, so they are discarded
+    switchProfile(profileId) {
+        try {
+            this.settingsStore.setActiveProfile(profileId);
+        } catch (error) {
+            console.error('Error switching profile:', error);
+            return;
+        }
+        this.applySettings(this.settingsStore.getSettings());
+        this.populateProfileSelector();
+        this.loadSettingsForm();
+        this.renderVocabulary();
+    }
+
+    createProfile() {
+        const name = window.prompt(this.i18n.t('settings.newProfile'));
+        if (name === null) return;
+
+        try {
+            this.settingsStore.createProfile(name);
+        } catch (error) {
+            window.alert(this.i18n.errorMessage(error, 'settings.profileFailed'));
+            return;
+        }
+        this.populateProfileSelector();
+    }
+
+    renameProfile() {
+        const profile = this.settingsStore.getActiveProfile();
+        const name = window.prompt(this.i18n.t('settings.renameProfile'), profile.name);
+        if (name === null) return;
+
+        try {
+            this.settingsStore.renameProfile(profile.id, name);
+        } catch (error) {
+            window.alert(this.i18n.errorMessage(error, 'settings.profileFailed'));
+            return;
+        }
+        this.populateProfileSelector();
+    }
+
+    deleteProfile() {
+        const profile = this.settingsStore.getActiveProfile();
+        if (!window.confirm(this.i18n.t('settings.deleteProfile', { name: profile.name }))) return;
+
+        try {
+            this.settingsStore.deleteProfile(profile.id);
+        } catch (error) {
+            window.alert(this.i18n.errorMessage(error, 'settings.profileFailed'));
+            return;
+        }
+        this.personalVocabulary.removeProfile(profile.id);
+        this.switchProfile(this.settingsStore.getActiveProfile().id);
+    }
+
+    applySettings(settings) {
+        this.store.set({ settings });
+        this.personalVocabulary.useProfile(this.settingsStore.getActiveProfile().id);
+        if (settings.language !== this.language) this.applyLanguage(settings.language);
+        if (settings.serverUrl !== this.serverUrl) this.connectBackend(settings.serverUrl);
+
+        const thresholds = sensitivityThresholds(settings.sensitivity);
+        if (this.voiceMonitor) this.voiceMonitor.vad.configure(thresholds);
+        if (this.speechPipeline) this.speechPipeline.vad.configure(thresholds);
+        this.renderCalibration();
+        this.updateAccessModes();
+
+        console.log(`Settings applied for profile: ${this.settingsStore.getActiveProfile().name}`);
+    }
+
+    populateVoiceSelector() {
+        const voiceSelect = document.getElementById('tts-voice-select');
+        if (!voiceSelect) return;
+
+        voiceSelect.innerHTML = '';
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = this.i18n.t('settings.defaultVoice');
+        voiceSelect.appendChild(defaultOption);
+
+        // Only voices for the current language, unless the device has none
+        const voices = this.speechOutput.adapter.getVoices();
+        const localVoices = voices.filter(voice => speaksLocale(voice, this.i18n.locale));
+        (localVoices.length > 0 ? localVoices : voices).forEach(voice => {
+            const option = document.createElement('option');
+            option.value = voice.id;
+            option.textContent = `${voice.name} (${voice.lang})`;
+            voiceSelect.appendChild(option);
+        });
+        voiceSelect.value = this.settings.ttsVoice;
+        // A voice saved on another device may not exist here
+        if (voiceSelect.value !== this.settings.ttsVoice) voiceSelect.value = '';
+    }
+
+    renderVocabulary() {
+        const listEl = document.getElementById('vocabulary-list');
+        if (!listEl) return;
+
+        listEl.innerHTML = '';
+        const entries = this.personalVocabulary.entries().filter(entry => entry.weight > 0).slice(0, 10);
+
+        if (entries.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'vocabulary-empty';
+            empty.textContent = this.i18n.t('settings.vocabularyEmpty');
+            listEl.appendChild(empty);
+            return;
+        }
+
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.textContent = `"${entry.cue}" → ${entry.word}`;
+            const detail = document.createElement('span');
+            detail.className = 'vocabulary-detail';
+            detail.textContent = this.i18n.t('settings.vocabularyDetail', { accepted: entry.accepted, weight: entry.weight.toFixed(2) });
+            item.appendChild(detail);
+            listEl.appendChild(item);
+        });
+    }
+
+    resetVocabulary() {
+        if (!window.confirm(this.i18n.t('settings.resetVocabularyConfirm'))) return;
+
+        this.personalVocabulary.reset();
+        this.renderVocabulary();
+        console.log('Personal vocabulary reset');
+    }
+
     closeSettings() {
         const modal = document.getElementById('settings-modal');
         if (modal) {
@@ -853,24 +2789,61 @@ class CognitiveEcho {
     }
 
     saveSettings() {
+        const changes = {};
         const audioEnabled = document.getElementById('audio-enabled');
         const videoEnabled = document.getElementById('video-enabled');
+        const autoStart = document.getElementById('auto-start');
         const sensitivitySlider = document.getElementById('sensitivity-slider');
         const volumeSlider = document.getElementById('volume-slider');
         
-        if (audioEnabled) this.settings.audioEnabled = audioEnabled.checked;
-        if (videoEnabled) this.settings.videoEnabled = videoEnabled.checked;
-        if (sensitivitySlider) this.settings.sensitivity = sensitivitySlider.value / 100;
-        if (volumeSlider) this.settings.volume = volumeSlider.value / 100;
+        if (audioEnabled) changes.audioEnabled = audioEnabled.checked;
+        if (videoEnabled) changes.videoEnabled = videoEnabled.checked;
+        if (autoStart) changes.autoStart = autoStart.checked;
+        if (sensitivitySlider) changes.sensitivity = sensitivitySlider.value / 100;
+        if (volumeSlider) changes.volume = volumeSlider.value / 100;
+
+        const voiceSelect = document.getElementById('tts-voice-select');
+        const rateSlider = document.getElementById('tts-rate-slider');
+        const pitchSlider = document.getElementById('tts-pitch-slider');
+        const speakPredictions = document.getElementById('speak-predictions');
+
+        if (voiceSelect) changes.ttsVoice = voiceSelect.value;
+        if (rateSlider) changes.ttsRate = rateSlider.value / 100;
+        if (pitchSlider) changes.ttsPitch = pitchSlider.value / 100;
+        if (speakPredictions) changes.speakPredictions = speakPredictions.checked;
+
+        const switchScanning = document.getElementById('switch-scanning');
+        const scanSpeedSlider = document.getElementById('scan-speed-slider');
+
+        if (switchScanning) changes.switchScanning = switchScanning.checked;
+        if (scanSpeedSlider) changes.scanIntervalMs = Math.round(scanSpeedSlider.value * 1000);
+
+        const dwellMode = document.getElementById('dwell-mode');
+        const dwellTimeSlider = document.getElementById('dwell-time-slider');
+        const dwellIndicator = document.getElementById('dwell-indicator');
+
+        if (dwellMode) changes.dwellMode = dwellMode.value;
+        if (dwellTimeSlider) changes.dwellTimeMs = Math.round(dwellTimeSlider.value * 1000);
+        if (dwellIndicator) changes.dwellIndicator = dwellIndicator.value;
+
+        const gestureDetection = document.getElementById('gesture-detection');
+        if (gestureDetection) changes.gestureDetection = gestureDetection.checked;
+
+        const languageSelect = document.getElementById('language-select');
+        if (languageSelect) changes.language = languageSelect.value;
+
+        const serverUrl = document.getElementById('server-url');
+        if (serverUrl) changes.serverUrl = serverUrl.value.trim();
         
+        this.applySettings(this.settingsStore.update(changes));
         console.log('Settings saved:', this.settings);
         this.closeSettings();
     }
 
     enterDemoMode() {
         console.log('Entering demo mode without real camera/microphone');
-        this.showScreen('main-screen');
-        this.setupDemoMode();
+        this.demoMode = true;
+        this.router.navigate('main');
     }
 
     setupDemoMode() {
@@ -885,7 +2858,13 @@ class CognitiveEcho {
             // Create placeholder content
             const placeholder = document.createElement('div');
             placeholder.style.cssText = 'color: var(--color-text-secondary); text-align: center; padding: 20px; font-size: var(--font-size-lg);';
-            placeholder.innerHTML = 'Demo Mode<br>Camera Simulation';
+            // One line each, re-translated with the page when the language changes
+            ['main.demoMode', 'main.cameraSimulation'].forEach(key => {
+                const line = document.createElement('div');
+                line.dataset.i18n = key;
+                line.textContent = this.i18n.t(key);
+                placeholder.appendChild(line);
+            });
             
             // Clear video and add placeholder
             video.innerHTML = '';
@@ -896,25 +2875,40 @@ class CognitiveEcho {
     }
 
     exitDemo() {
+        this.router.navigate('welcome');
+    }
+
+    // Releases everything a session holds; runs on the way back to the welcome screen and on unload
+    teardown() {
+        if (this.sessionRecorder.active) this.stopRecording();
+        this.switchScanner.stop();
+        this.stopPointerMode();
+        this.stopGestureDetection();
+        this.stopListening();
+        clearTimeout(this.sentenceTimeout);
+        this.sentenceTimeout = null;
+        this.speechOutput.cancel();
+        this.endSession();
+
         // Clean up media streams
-        if (this.mediaStream) {
-            this.mediaStream.getTracks().forEach(track => track.stop());
-            this.mediaStream = null;
-        }
+        this.mediaManager.stop();
+        this.mediaStream = null;
+        this.mediaMessages = { camera: '', microphone: '' };
+        this.renderMediaStatus();
         
         // Clean up audio context
+        this.stopVoiceMonitor();
+        cancelAnimationFrame(this.audioBarsFrame);
         if (this.audioContext) {
             this.audioContext.close();
             this.audioContext = null;
             this.analyser = null;
+            this.audioSource = null;
         }
         
         // Reset state
-        this.isListening = false;
+        this.demoMode = false;
         this.currentScenarioIndex = 0;
-        
-        // Return to welcome screen
-        this.showScreen('welcome-screen');
         console.log('Demo exited and resources cleaned up');
     }
 }
@@ -932,6 +2926,6 @@ document.addEventListener('DOMContentLoaded', () => {
 // Handle page unload to clean up resources
 window.addEventListener('beforeunload', () => {
     if (window.cognitiveEcho) {
-        window.cognitiveEcho.exitDemo();
+        window.cognitiveEcho.teardown();
     }
 });
\ No newline at end of file
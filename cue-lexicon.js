@@ -0,0 +1,232 @@
+// Cognitive Echo Semantic-Cue Lexicon
+//
+// Bundled, offline word-finding data. People with anomia often describe a word
+// they cannot retrieve ("the green place", "furry... four legs"); each entry
+// lists the descriptive cues that point at it, grouped by facet. The engine
+// ranks entries by how much of the speaker's description they explain.
+// Runs without network access in the browser and under Node.
+
+const CUE_FACETS = ['category', 'color', 'function', 'location', 'features'];
+
+const CUE_FACET_WEIGHTS = {
+    category: 1.2,
+    color: 0.8,
+    function: 1.0,
+    location: 0.8,
+    features: 1.0
+};
+
+const CUE_LEXICON = [
+    // Places
+    { word: 'park', emoji: '🌳', category: ['place', 'outside'], color: ['green'], function: ['walk', 'play', 'picnic'], location: ['town', 'outside'], features: ['trees', 'grass', 'bench', 'swings'] },
+    { word: 'garden', emoji: '🌷', category: ['place', 'outside'], color: ['green'], function: ['grow', 'plant', 'dig'], location: ['home', 'back'], features: ['flowers', 'grass', 'soil', 'vegetables'] },
+    { word: 'forest', emoji: '🌲', category: ['place', 'outside'], color: ['green', 'brown'], function: ['walk', 'hike'], location: ['country', 'outside'], features: ['trees', 'wood', 'leaves'] },
+    { word: 'field', emoji: '🌾', category: ['place', 'outside'], color: ['green', 'yellow'], function: ['farm', 'play'], location: ['country', 'farm'], features: ['grass', 'open', 'big'] },
+    { word: 'beach', emoji: '🏖️', category: ['place', 'outside'], color: ['yellow', 'blue'], function: ['swim', 'holiday'], location: ['sea', 'coast'], features: ['sand', 'waves', 'sun'] },
+    { word: 'shop', emoji: '🏪', category: ['place'], color: [], function: ['buy', 'pay', 'shopping'], location: ['town', 'street'], features: ['money', 'till', 'shelves'] },
+    { word: 'doctor', emoji: '🩺', category: ['person', 'place'], color: ['white'], function: ['sick', 'medicine', 'appointment'], location: ['surgery', 'clinic', 'hospital'], features: ['coat', 'stethoscope'] },
+    { word: 'church', emoji: '⛪', category: ['place', 'building'], color: [], function: ['pray', 'sunday', 'sing'], location: ['town', 'village'], features: ['bells', 'tower', 'cross'] },
+
+    // Animals
+    { word: 'dog', emoji: '🐕', category: ['animal', 'pet'], color: ['brown', 'black'], function: ['walk', 'fetch', 'guard'], location: ['home', 'kennel'], features: ['furry', 'four legs', 'bark', 'tail', 'woof'] },
+    { word: 'cat', emoji: '🐈', category: ['animal', 'pet'], color: ['black', 'ginger'], function: ['stroke', 'mice'], location: ['home'], features: ['furry', 'four legs', 'whiskers', 'meow', 'purr', 'tail'] },
+    { word: 'bird', emoji: '🐦', category: ['animal'], color: [], function: ['fly', 'sing'], location: ['tree', 'sky', 'cage'], features: ['feathers', 'wings', 'beak', 'tweet'] },
+    { word: 'horse', emoji: '🐎', category: ['animal'], color: ['brown', 'white'], function: ['ride'], location: ['field', 'stable', 'farm'], features: ['four legs', 'mane', 'saddle', 'big'] },
+    { word: 'fish', emoji: '🐟', category: ['animal', 'food', 'pet'], color: ['orange'], function: ['swim'], location: ['water', 'sea', 'tank', 'pond'], features: ['fins', 'scales', 'wet'] },
+
+    // Personal care
+    { word: 'toothbrush', emoji: '🪥', category: ['bathroom'], color: ['white'], function: ['brush', 'clean'], location: ['bathroom', 'sink'], features: ['teeth', 'tooth', 'bristles', 'mouth'] },
+    { word: 'toothpaste', emoji: '🦷', category: ['bathroom'], color: ['white'], function: ['brush', 'clean', 'squeeze'], location: ['bathroom', 'sink'], features: ['teeth', 'tooth', 'tube', 'minty', 'mint'] },
+    { word: 'dentist', emoji: '🦷', category: ['person', 'place'], color: ['white'], function: ['check', 'fix', 'appointment'], location: ['surgery', 'clinic'], features: ['teeth', 'tooth', 'chair', 'drill'] },
+    { word: 'soap', emoji: '🧼', category: ['bathroom'], color: ['white'], function: ['wash', 'clean'], location: ['bathroom', 'sink', 'shower'], features: ['bubbles', 'hands', 'slippery'] },
+    { word: 'towel', emoji: '🧻', category: ['bathroom'], color: ['white'], function: ['dry', 'wipe'], location: ['bathroom', 'shower'], features: ['soft', 'fluffy', 'wet'] },
+    { word: 'comb', emoji: '🪮', category: ['bathroom'], color: ['black'], function: ['hair', 'brush'], location: ['bathroom', 'bedroom'], features: ['teeth', 'hair'] },
+
+    // Drinks and food
+    { word: 'water', emoji: '🥛', category: ['drink'], color: ['clear'], function: ['drink', 'thirsty'], location: ['fridge', 'tap', 'kitchen'], features: ['cold', 'glass', 'wet'] },
+    { word: 'juice', emoji: '🧃', category: ['drink'], color: ['orange'], function: ['drink', 'breakfast', 'thirsty'], location: ['fridge', 'kitchen'], features: ['cold', 'sweet', 'fruit', 'glass'] },
+    { word: 'milk', emoji: '🥛', category: ['drink'], color: ['white'], function: ['drink', 'cereal', 'tea'], location: ['fridge', 'kitchen'], features: ['cold', 'cow', 'bottle', 'carton'] },
+    { word: 'tea', emoji: '🍵', category: ['drink'], color: ['brown'], function: ['drink', 'morning'], location: ['kitchen', 'kettle'], features: ['hot', 'cup', 'mug', 'bag'] },
+    { word: 'coffee', emoji: '☕', category: ['drink'], color: ['brown', 'black'], function: ['drink', 'morning', 'wake'], location: ['kitchen', 'cafe'], features: ['hot', 'cup', 'mug', 'beans'] },
+    { word: 'bread', emoji: '🍞', category: ['food'], color: ['brown', 'white'], function: ['eat', 'toast', 'sandwich'], location: ['kitchen', 'bakery'], features: ['slice', 'loaf', 'crust'] },
+    { word: 'apple', emoji: '🍎', category: ['food', 'fruit'], color: ['red', 'green'], function: ['eat', 'snack'], location: ['kitchen', 'tree', 'bowl'], features: ['round', 'crunchy', 'sweet', 'core'] },
+    { word: 'banana', emoji: '🍌', category: ['food', 'fruit'], color: ['yellow'], function: ['eat', 'snack'], location: ['kitchen', 'bowl'], features: ['long', 'peel', 'curved', 'soft'] },
+    { word: 'soup', emoji: '🍲', category: ['food'], color: [], function: ['eat', 'lunch'], location: ['kitchen', 'bowl'], features: ['hot', 'spoon', 'bowl'] },
+    { word: 'ice cream', emoji: '🍦', category: ['food'], color: ['white'], function: ['eat', 'lick', 'dessert'], location: ['freezer', 'beach'], features: ['cold', 'sweet', 'cone', 'melts'] },
+
+    // Household
+    { word: 'fridge', emoji: '🧊', category: ['kitchen', 'furniture'], color: ['white'], function: ['cool', 'keep', 'store'], location: ['kitchen'], features: ['cold', 'door', 'big', 'light'] },
+    { word: 'kettle', emoji: '🫖', category: ['kitchen'], color: [], function: ['boil', 'tea'], location: ['kitchen'], features: ['hot', 'water', 'spout', 'steam'] },
+    { word: 'bed', emoji: '🛏️', category: ['furniture'], color: [], function: ['sleep', 'rest', 'lie'], location: ['bedroom'], features: ['soft', 'pillow', 'blanket', 'night'] },
+    { word: 'chair', emoji: '🪑', category: ['furniture'], color: [], function: ['sit'], location: ['kitchen', 'table', 'room'], features: ['four legs', 'back', 'seat'] },
+    { word: 'television', emoji: '📺', category: ['furniture'], color: ['black'], function: ['watch', 'news', 'programme', 'show'], location: ['lounge', 'living room'], features: ['screen', 'remote', 'channel'] },
+    { word: 'phone', emoji: '📱', category: [], color: ['black'], function: ['call', 'talk', 'ring', 'text'], location: ['pocket', 'bag'], features: ['screen', 'buttons'] },
+    { word: 'glasses', emoji: '👓', category: ['clothes'], color: [], function: ['see', 'read'], location: ['face', 'nose', 'eyes'], features: ['lenses', 'frame'] },
+    { word: 'keys', emoji: '🔑', category: [], color: ['silver'], function: ['lock', 'open', 'door', 'car'], location: ['pocket', 'door', 'hook'], features: ['metal', 'jingle', 'small'] },
+
+    // Clothing
+    { word: 'coat', emoji: '🧥', category: ['clothes'], color: [], function: ['wear', 'warm', 'rain'], location: ['hook', 'hall', 'outside'], features: ['sleeves', 'buttons', 'zip', 'cold'] },
+    { word: 'shoes', emoji: '👟', category: ['clothes'], color: [], function: ['wear', 'walk'], location: ['feet', 'door'], features: ['laces', 'pair', 'feet'] },
+    { word: 'hat', emoji: '👒', category: ['clothes'], color: [], function: ['wear', 'warm', 'sun'], location: ['head'], features: ['head', 'brim'] },
+
+    // People
+    { word: 'wife', emoji: '👩', category: ['person', 'family'], color: [], function: ['married', 'love'], location: ['home'], features: ['married', 'ring', 'partner'] },
+    { word: 'husband', emoji: '👨', category: ['person', 'family'], color: [], function: ['married', 'love'], location: ['home'], features: ['married', 'ring', 'partner'] },
+    { word: 'daughter', emoji: '👧', category: ['person', 'family'], color: [], function: ['visit', 'call'], location: [], features: ['girl', 'child', 'kid'] },
+    { word: 'son', emoji: '👦', category: ['person', 'family'], color: [], function: ['visit', 'call'], location: [], features: ['boy', 'child', 'kid'] },
+    { word: 'nurse', emoji: '🧑‍⚕️', category: ['person'], color: ['blue', 'white'], function: ['help', 'medicine', 'care'], location: ['hospital', 'clinic'], features: ['uniform'] }
+];
+
+const SENTENCE_FILLERS = ['uh', 'um', 'er', 'erm', 'hmm', 'like', 'you know', 'i mean'];
+const DETERMINERS = ['a', 'an', 'the', 'my', 'some', 'your', 'his', 'her', 'our', 'their'];
+
+class WordFindingEngine {
+    constructor(lexicon = CUE_LEXICON, options = {}) {
+        this.weights = { ...CUE_FACET_WEIGHTS, ...(options.weights || {}) };
+        this.configure({ ...options, lexicon });
+    }
+
+    // Switches to another language's lexicon and filler words (see language-packs.js);
+    // anything not given falls back to the English data in this file
+    configure(options = {}) {
+        this.lexicon = options.lexicon || CUE_LEXICON;
+        this.fillers = options.fillers || SENTENCE_FILLERS;
+        this.determiners = options.determiners || DETERMINERS;
+        this.cueIndex = WordFindingEngine.buildCueIndex(this.lexicon);
+    }
+
+    // cue -> [{ entry, facet }]
+    static buildCueIndex(lexicon) {
+        const index = new Map();
+        lexicon.forEach(entry => {
+            CUE_FACETS.forEach(facet => {
+                (entry[facet] || []).forEach(cue => {
+                    const key = cue.toLowerCase();
+                    if (!index.has(key)) index.set(key, []);
+                    index.get(key).push({ entry, facet });
+                });
+            });
+        });
+        return index;
+    }
+
+    static tokenize(text) {
+        return (text || '')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{M}\p{N}\s']/gu, ' ')
+            .split(/\s+/)
+            .filter(Boolean);
+    }
+
+    entryOf(word) {
+        return this.lexicon.find(candidate => candidate.word === (word || '').toLowerCase()) || null;
+    }
+
+    // English category names, used for gesture hints and to group progress by kind of word.
+    // Other languages' entries list them as `groups`, since their `category` cues are translated.
+    categoriesOf(word) {
+        const entry = this.entryOf(word);
+        if (!entry) return [];
+        return entry.groups || entry.category || [];
+    }
+
+    // First listed category
+    categoryOf(word) {
+        return this.categoriesOf(word)[0] || 'other';
+    }
+
+    // Single words and adjacent pairs ("four legs") that appear in the lexicon
+    extractCues(transcript) {
+        const tokens = WordFindingEngine.tokenize(transcript);
+        const cues = new Set();
+
+        tokens.forEach((token, i) => {
+            const pair = i < tokens.length - 1 ? `${token} ${tokens[i + 1]}` : null;
+            if (pair && this.cueIndex.has(pair)) {
+                cues.add(pair);
+            } else if (this.cueIndex.has(token)) {
+                cues.add(token);
+            } else if (token.endsWith('s') && this.cueIndex.has(token.slice(0, -1))) {
+                cues.add(token.slice(0, -1));
+            }
+        });
+
+        return [...cues];
+    }
+
+    findWords(transcript, options = {}) {
+        const limit = options.limit || 4;
+        const cues = this.extractCues(transcript);
+        if (cues.length === 0) return [];
+
+        const spoken = new Set(WordFindingEngine.tokenize(transcript));
+        const scores = new Map();
+
+        cues.forEach(cue => {
+            this.cueIndex.get(cue).forEach(({ entry, facet }) => {
+                // The speaker already said the word, so it isn't the one they're looking for
+                if (spoken.has(entry.word)) return;
+
+                if (!scores.has(entry.word)) {
+                    scores.set(entry.word, { entry, score: 0, matched: {} });
+                }
+                const result = scores.get(entry.word);
+                // Count each cue once per entry, under its heaviest facet
+                const previous = result.matched[cue];
+                const weight = this.weights[facet];
+                if (previous === undefined || this.weights[previous] < weight) {
+                    result.score += weight - (previous === undefined ? 0 : this.weights[previous]);
+                    result.matched[cue] = facet;
+                }
+            });
+        });
+
+        const maxPossible = cues.length * Math.max(...Object.values(this.weights));
+
+        return [...scores.values()]
+            .map(({ entry, score, matched }) => ({
+                word: entry.word,
+                entry,
+                matchedCues: matched,
+                score,
+                confidence: Math.round(Math.min(score / maxPossible, 1) * 100) / 100
+            }))
+            // Ties keep lexicon order, which lists the more everyday word first
+            .sort((a, b) => b.score - a.score || this.lexicon.indexOf(a.entry) - this.lexicon.indexOf(b.entry))
+            .slice(0, limit);
+    }
+
+    // Keeps what the speaker said before describing the word and slots the word in:
+    // "with my... uh... furry... four legs..." -> "with my dog"
+    completeSentence(transcript, word) {
+        const cues = new Set(this.extractCues(transcript).flatMap(cue => cue.split(' ')));
+        const text = ` ${WordFindingEngine.tokenize(transcript).join(' ')} `;
+        const tokens = this.fillers
+            .reduce((result, filler) => result.split(` ${filler} `).join(' '), text)
+            .trim()
+            .split(/\s+/)
+            .filter(Boolean);
+
+        const firstCue = tokens.findIndex(token => cues.has(token) || cues.has(token.replace(/s$/, '')));
+        const carrier = [];
+        (firstCue === -1 ? tokens : tokens.slice(0, firstCue)).forEach(token => {
+            // "for a the" -> "for the": keep the last of adjacent determiners
+            if (this.determiners.includes(token) && this.determiners.includes(carrier[carrier.length - 1])) {
+                carrier.pop();
+            }
+            carrier.push(token);
+        });
+
+        const sentence = [...carrier, word].map(token => (token === 'i' ? 'I' : token)).join(' ');
+        return sentence.charAt(0).toUpperCase() + sentence.slice(1);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CUE_FACETS,
+        CUE_FACET_WEIGHTS,
+        CUE_LEXICON,
+        WordFindingEngine
+    };
+}
@@ -0,0 +1,203 @@
+// Cognitive Echo Disfluency Analyzer
+//
+// Tags a transcript token by token:
+//   word        ordinary speech
+//   filler      "uh", "um", "you know"... and "like" or "well" where a filler goes
+//   pause       "..." in the text, or a silence measured in the audio
+//   repetition  an earlier copy of a word/phrase the speaker said again
+//   restart     a determiner abandoned for another ("for a... the")
+//
+// and locates the word-finding gap: the hesitation where a noun was expected.
+// Words between the determiner and the gap are the speaker's description of
+// the word they are looking for ("the green place...") and make up the slot
+// that predictions should fill.
+
+const FILLER_PHRASES = [
+    ['you', 'know'],
+    ['i', 'mean'],
+    ['kind', 'of'],
+    ['sort', 'of'],
+    ['uh'], ['uhm'], ['um'], ['umm'], ['er'], ['erm'], ['ah'], ['hmm'], ['mm']
+];
+
+// Fillers that are also ordinary words ("I'd like water", "not feeling well"), so
+// they only count at the start of an utterance or right after another hesitation
+const DISCOURSE_FILLER_PHRASES = [['like'], ['well']];
+
+const SLOT_DETERMINERS = ['a', 'an', 'the', 'my', 'your', 'his', 'her', 'our', 'their', 'some', 'this', 'that'];
+
+const PAUSE_MARK = '...';
+
+class DisfluencyAnalyzer {
+    constructor(options = {}) {
+        // Phrases may be given as word lists or as text: ['you', 'know'] or 'you know'
+        const phrases = list => list.map(filler => (typeof filler === 'string' ? filler.split(' ') : filler));
+        this.fillers = phrases(options.fillers || FILLER_PHRASES);
+        this.discourseFillers = phrases(options.discourseFillers || DISCOURSE_FILLER_PHRASES);
+        this.determiners = options.determiners || SLOT_DETERMINERS;
+        // Silences shorter than this inside an utterance are ordinary rhythm, not hesitation
+        this.minPauseMs = options.minPauseMs ?? 300;
+        this.maxDescriptionWords = options.maxDescriptionWords ?? 5;
+    }
+
+    // Splits "I... went" into ['I', '...', 'went']; other punctuation is dropped
+    static tokenize(text) {
+        return (text || '')
+            .replace(/…/g, PAUSE_MARK)
+            .replace(/\.{2,}/g, ` ${PAUSE_MARK} `)
+            .split(/\s+/)
+            .map(token => (token === PAUSE_MARK ? token : token.replace(/[^\p{L}\p{M}\p{N}']/gu, '')))
+            .filter(Boolean);
+    }
+
+    // Writes pauses measured in the audio back into the text. Word timings aren't
+    // known, so each pause is placed proportionally to where it fell in the utterance.
+    insertPauses(text, segment) {
+        const tokens = DisfluencyAnalyzer.tokenize(text);
+        const pauses = (segment && segment.pauses) || [];
+        const durationMs = segment ? segment.endMs - segment.startMs : 0;
+        if (pauses.length === 0 || durationMs <= 0 || tokens.length === 0) return text;
+
+        const words = tokens.filter(token => token !== PAUSE_MARK).length;
+        const pausesAfter = new Set();
+        pauses
+            .filter(pause => pause.endMs - pause.startMs >= this.minPauseMs)
+            .forEach(pause => {
+                const position = Math.round(((pause.startMs - segment.startMs) / durationMs) * words);
+                if (position > 0 && position < words) pausesAfter.add(position);
+            });
+
+        const result = [];
+        let wordCount = 0;
+        tokens.forEach(token => {
+            result.push(token);
+            if (token === PAUSE_MARK) return;
+            wordCount++;
+            if (pausesAfter.has(wordCount) && result[result.length - 1] !== PAUSE_MARK) {
+                result.push(PAUSE_MARK);
+            }
+        });
+        return result.join(' ');
+    }
+
+    analyze(text) {
+        const tokens = this.tagTokens(DisfluencyAnalyzer.tokenize(text));
+        this.tagRepetitions(tokens);
+        this.tagRestarts(tokens);
+
+        const count = type => tokens.filter(token => token.type === type).length;
+        return {
+            tokens,
+            slot: this.findSlot(tokens),
+            counts: {
+                fillers: count('filler'),
+                pauses: count('pause'),
+                repetitions: count('repetition'),
+                restarts: count('restart')
+            }
+        };
+    }
+
+    tagTokens(rawTokens) {
+        const tokens = [];
+        let i = 0;
+        while (i < rawTokens.length) {
+            if (rawTokens[i] === PAUSE_MARK) {
+                tokens.push({ text: PAUSE_MARK, type: 'pause' });
+                i++;
+                continue;
+            }
+
+            const matches = phrase => phrase.every((part, offset) => (rawTokens[i + offset] || '').toLowerCase() === part);
+            const previous = tokens[tokens.length - 1];
+            const fillerPosition = !previous || previous.type === 'pause' || previous.type === 'filler';
+            const filler = this.fillers.find(matches) || (fillerPosition && this.discourseFillers.find(matches));
+            if (filler) {
+                tokens.push({ text: rawTokens.slice(i, i + filler.length).join(' '), type: 'filler' });
+                i += filler.length;
+                continue;
+            }
+
+            tokens.push({ text: rawTokens[i], type: 'word' });
+            i++;
+        }
+        return tokens.map((token, index) => ({ ...token, index }));
+    }
+
+    // "I went I went to" -> the first "I went" is tagged as a repetition
+    tagRepetitions(tokens) {
+        const words = tokens.filter(token => token.type === 'word');
+        for (let size = 3; size >= 1; size--) {
+            for (let i = 0; i + size * 2 <= words.length; i++) {
+                const first = words.slice(i, i + size);
+                const second = words.slice(i + size, i + size * 2);
+                if (first.some(token => token.type !== 'word')) continue;
+                const same = first.every((token, k) => token.text.toLowerCase() === second[k].text.toLowerCase());
+                if (same) first.forEach(token => { token.type = 'repetition'; });
+            }
+        }
+    }
+
+    // A determiner followed only by hesitation and then another determiner was abandoned
+    tagRestarts(tokens) {
+        tokens.forEach((token, i) => {
+            if (token.type !== 'word' || !this.isDeterminer(token)) return;
+
+            let next = i + 1;
+            let hesitated = false;
+            while (next < tokens.length && (tokens[next].type === 'pause' || tokens[next].type === 'filler')) {
+                hesitated = true;
+                next++;
+            }
+            if (hesitated && tokens[next] && tokens[next].type === 'word' && this.isDeterminer(tokens[next])) {
+                token.type = 'restart';
+            }
+        });
+    }
+
+    isDeterminer(token) {
+        return this.determiners.includes(token.text.toLowerCase());
+    }
+
+    // The gap is the last hesitation that follows a content position: either right
+    // after a determiner or after the description the speaker gave instead of the word.
+    findSlot(tokens) {
+        const isHesitation = token => token.type === 'pause' || token.type === 'filler';
+        const isSpoken = token => token.type === 'word';
+
+        for (let i = tokens.length - 1; i >= 0; i--) {
+            if (!isHesitation(tokens[i])) continue;
+
+            // Walk back over the description to the determiner that opened the noun phrase
+            let start = i - 1;
+            while (start >= 0 && !(isSpoken(tokens[start]) && this.isDeterminer(tokens[start]))) {
+                start--;
+            }
+            if (start < 0) continue;
+
+            const description = tokens.slice(start + 1, i).filter(isSpoken);
+            // A long run of words after the determiner is a sentence, not a description
+            if (description.length > this.maxDescriptionWords) continue;
+
+            const spokenText = list => list.filter(isSpoken).map(token => token.text).join(' ');
+            return {
+                index: i,
+                determinerIndex: start,
+                description: description.map(token => token.text),
+                descriptionIndexes: description.map(token => token.index),
+                before: spokenText(tokens.slice(0, start + 1)),
+                after: spokenText(tokens.slice(i + 1))
+            };
+        }
+        return null;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DisfluencyAnalyzer,
+        FILLER_PHRASES,
+        DISCOURSE_FILLER_PHRASES,
+        PAUSE_MARK
+    };
+}
@@ -0,0 +1,294 @@
+// Cognitive Echo Gesture Detector
+//
+// Reads a few everyday gestures from the camera, on the device:
+//
+//   point  - a hand held out to one side of (or above) the face; carries a direction
+//   eat    - the hand brought to the mouth repeatedly
+//   drink  - the hand held at the mouth
+//   nod    - the head moving down and up (yes)
+//   shake  - the head turning side to side (no)
+//
+// Frames come from the same sources as the head pointer. Skin-toned pixels are
+// grouped into blobs on a coarse grid; the largest blob is the face and the
+// others are hands. Directions are from the user's point of view.
+//
+// Detected gestures are passed to the prediction ranking as context, so miming
+// a drink lifts drink words up the list. Pointing to the side is taken as
+// pointing at something or someone in the room, pointing up as somewhere else.
+
+// Things and people close enough to point at
+const POINT_NEARBY_HINTS = ['furniture', 'kitchen', 'bathroom', 'clothes', 'person', 'family'];
+
+const GESTURE_CATEGORY_HINTS = {
+    eat: ['food', 'fruit', 'kitchen'],
+    drink: ['drink'],
+    point: {
+        left: POINT_NEARBY_HINTS,
+        right: POINT_NEARBY_HINTS,
+        up: ['place', 'outside', 'building']
+    }
+};
+
+// Categories a gesture hints at; pointing hints by direction
+function gestureHints(gesture) {
+    const hints = GESTURE_CATEGORY_HINTS[gesture.type];
+    if (!hints) return [];
+    return Array.isArray(hints) ? hints : hints[gesture.direction] || [];
+}
+
+// Groups skin-toned cells into connected blobs, largest first.
+// Positions and sizes are fractions of the frame.
+function skinBlobs(frame, options = {}) {
+    const cellSize = options.cellSize || 4;
+    const minCellSkin = options.minCellSkin ?? 0.4;
+    const isSkin = options.isSkin || HeadTracker.isSkin;
+    const { data, width, height } = frame;
+    const cols = Math.floor(width / cellSize);
+    const rows = Math.floor(height / cellSize);
+    const grid = new Uint8Array(cols * rows);
+
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            let skin = 0;
+            for (let y = row * cellSize; y < (row + 1) * cellSize; y++) {
+                for (let x = col * cellSize; x < (col + 1) * cellSize; x++) {
+                    const i = (y * width + x) * 4;
+                    if (isSkin(data[i], data[i + 1], data[i + 2])) skin++;
+                }
+            }
+            grid[row * cols + col] = skin / (cellSize * cellSize) >= minCellSkin ? 1 : 0;
+        }
+    }
+
+    const blobs = [];
+    const seen = new Uint8Array(cols * rows);
+    for (let start = 0; start < grid.length; start++) {
+        if (!grid[start] || seen[start]) continue;
+
+        const blob = { cells: 0, sumX: 0, sumY: 0, minX: cols, maxX: 0, minY: rows, maxY: 0 };
+        const stack = [start];
+        seen[start] = 1;
+        while (stack.length > 0) {
+            const index = stack.pop();
+            const col = index % cols;
+            const row = Math.floor(index / cols);
+            blob.cells++;
+            blob.sumX += col;
+            blob.sumY += row;
+            blob.minX = Math.min(blob.minX, col);
+            blob.maxX = Math.max(blob.maxX, col);
+            blob.minY = Math.min(blob.minY, row);
+            blob.maxY = Math.max(blob.maxY, row);
+
+            [[col - 1, row], [col + 1, row], [col, row - 1], [col, row + 1]].forEach(([x, y]) => {
+                const next = y * cols + x;
+                if (x >= 0 && x < cols && y >= 0 && y < rows && grid[next] && !seen[next]) {
+                    seen[next] = 1;
+                    stack.push(next);
+                }
+            });
+        }
+
+        blobs.push({
+            x: (blob.sumX / blob.cells + 0.5) / cols,
+            y: (blob.sumY / blob.cells + 0.5) / rows,
+            size: blob.cells / (cols * rows),
+            left: blob.minX / cols,
+            right: (blob.maxX + 1) / cols,
+            top: blob.minY / rows,
+            bottom: (blob.maxY + 1) / rows
+        });
+    }
+
+    return blobs.sort((a, b) => b.size - a.size);
+}
+
+// Counts zig-zag swings of at least `amplitude` in a series of positions
+function countSwings(values, amplitude) {
+    let swings = 0;
+    let direction = 0;
+    let extreme = values[0];
+
+    for (const value of values) {
+        if (direction === 0) {
+            if (Math.abs(value - extreme) >= amplitude) {
+                direction = Math.sign(value - extreme);
+                extreme = value;
+                swings = 1;
+            }
+        } else if ((value - extreme) * direction > 0) {
+            extreme = value;
+        } else if (Math.abs(value - extreme) >= amplitude) {
+            direction = -direction;
+            extreme = value;
+            swings++;
+        }
+    }
+    return swings;
+}
+
+class GestureDetector {
+    constructor(options = {}) {
+        this.onGesture = options.onGesture || (() => {});
+        this.isSkin = options.isSkin;
+        this.historyMs = options.historyMs || 1500;
+        this.minFaceSize = options.minFaceSize ?? 0.03;
+        this.minHandSize = options.minHandSize ?? 0.005;
+        // Head movement, as a fraction of the frame, that counts as one swing of a nod or shake
+        this.swingAmplitude = options.swingAmplitude ?? 0.03;
+        this.minSwings = options.minSwings || 2;
+        // How far from the face a hand has to be to count as pointing
+        this.pointDistance = options.pointDistance ?? 0.25;
+        this.pointHoldMs = options.pointHoldMs || 500;
+        this.mouthDistance = options.mouthDistance ?? 0.15;
+        this.drinkHoldMs = options.drinkHoldMs || 900;
+        this.eatContacts = options.eatContacts || 2;
+        this.cooldownMs = options.cooldownMs || 1000;
+        // Cameras see the user mirrored; their right hand is on the left of the frame
+        this.mirror = options.mirror ?? true;
+        this.reset();
+    }
+
+    reset() {
+        this.headHistory = [];
+        this.headCooldownUntil = 0;
+        this.pointing = null;
+        this.mouthSince = null;
+        this.mouthContacts = [];
+        this.drinkReported = false;
+        this.faceHeight = null;
+    }
+
+    // Returns the gestures completed by this frame
+    process(frame) {
+        const t = frame.timestamp;
+        const blobs = skinBlobs(frame, { isSkin: this.isSkin });
+        const face = blobs[0] && blobs[0].size >= this.minFaceSize ? blobs[0] : null;
+        if (!face) {
+            this.reset();
+            return [];
+        }
+
+        const hands = blobs.slice(1).filter(blob => blob.size >= this.minHandSize);
+        const mouthGestures = this.detectMouthGestures(face, hands, t);
+
+        // A hand at the mouth drags the face blob's centre around, which is not a nod
+        if (this.mouthSince !== null) this.headHistory = [];
+        const gestures = [
+            this.mouthSince === null ? this.detectHeadGesture(face, t) : null,
+            this.detectPointing(face, hands, t),
+            ...mouthGestures
+        ].filter(Boolean);
+
+        gestures.forEach(gesture => this.onGesture(gesture));
+        return gestures;
+    }
+
+    detectHeadGesture(face, t) {
+        this.headHistory.push({ t, x: face.x, y: face.y });
+        this.headHistory = this.headHistory.filter(point => t - point.t <= this.historyMs);
+        if (t < this.headCooldownUntil) return null;
+
+        const xSwings = countSwings(this.headHistory.map(point => point.x), this.swingAmplitude);
+        const ySwings = countSwings(this.headHistory.map(point => point.y), this.swingAmplitude);
+
+        let type = null;
+        if (ySwings >= this.minSwings && xSwings < this.minSwings) type = 'nod';
+        else if (xSwings >= this.minSwings && ySwings < this.minSwings) type = 'shake';
+        if (!type) return null;
+
+        this.headHistory = [];
+        this.headCooldownUntil = t + this.cooldownMs;
+        return { type, timestamp: t };
+    }
+
+    detectPointing(face, hands, t) {
+        let direction = null;
+        for (const hand of hands) {
+            const dx = (hand.x - face.x) * (this.mirror ? -1 : 1);
+            if (Math.abs(dx) >= this.pointDistance) {
+                direction = dx > 0 ? 'right' : 'left';
+                break;
+            }
+            if (hand.bottom <= face.top) {
+                direction = 'up';
+                break;
+            }
+        }
+
+        if (!direction) {
+            this.pointing = null;
+            return null;
+        }
+        if (!this.pointing || this.pointing.direction !== direction) {
+            this.pointing = { direction, since: t, reported: false };
+        }
+        // Report a held point once, not on every frame
+        if (this.pointing.reported || t - this.pointing.since < this.pointHoldMs) return null;
+
+        this.pointing.reported = true;
+        return { type: 'point', direction, timestamp: t };
+    }
+
+    detectMouthGestures(face, hands, t) {
+        const mouth = { x: face.x, y: face.y + (face.bottom - face.y) * 0.6 };
+        const nearMouth = hands.some(hand => Math.hypot(hand.x - mouth.x, hand.top - mouth.y) <= this.mouthDistance);
+
+        // A hand touching the face merges into its blob, which then looks unusually tall
+        const faceHeight = face.bottom - face.top;
+        const merged = this.faceHeight !== null && faceHeight > this.faceHeight * 1.2;
+        const atMouth = nearMouth || merged;
+        if (!atMouth) {
+            this.faceHeight = this.faceHeight === null ? faceHeight : this.faceHeight * 0.9 + faceHeight * 0.1;
+        }
+        const gestures = [];
+
+        if (!atMouth) {
+            this.mouthSince = null;
+            this.drinkReported = false;
+            return gestures;
+        }
+
+        if (this.mouthSince === null) {
+            this.mouthSince = t;
+            this.mouthContacts = this.mouthContacts.filter(contact => t - contact <= this.historyMs * 2);
+            this.mouthContacts.push(t);
+            if (this.mouthContacts.length >= this.eatContacts) {
+                this.mouthContacts = [];
+                gestures.push({ type: 'eat', timestamp: t });
+            }
+        } else if (!this.drinkReported && t - this.mouthSince >= this.drinkHoldMs) {
+            this.drinkReported = true;
+            this.mouthContacts = [];
+            gestures.push({ type: 'drink', timestamp: t });
+        }
+        return gestures;
+    }
+}
+
+// Lifts candidates whose categories match what the user just mimed or pointed at
+function rerankByGestures(candidates, gestures, categoriesOf, boost = 0.15) {
+    const hinted = new Set(gestures.flatMap(gestureHints));
+    if (hinted.size === 0) return candidates;
+
+    return candidates
+        .map(candidate => {
+            if (!categoriesOf(candidate.word).some(category => hinted.has(category))) return candidate;
+            const confidence = Math.min(1, candidate.confidence + boost);
+            return { ...candidate, confidence: Math.round(confidence * 100) / 100, gestureBoost: boost };
+        })
+        .map((candidate, index) => ({ candidate, index }))
+        .sort((a, b) => b.candidate.confidence - a.candidate.confidence || a.index - b.index)
+        .map(({ candidate }) => candidate);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GESTURE_CATEGORY_HINTS,
+        GestureDetector,
+        countSwings,
+        gestureHints,
+        rerankByGestures,
+        skinBlobs
+    };
+}
@@ -0,0 +1,227 @@
+// Cognitive Echo Head Pointer
+//
+// Hands-free selection: a pointer (the mouse, or the user's head as seen by
+// the camera) rests on a card or control, and after `dwellMs` it is clicked.
+//
+//   VideoFrameSource (live camera) or FrameSequenceSource (recorded frames)
+//     emits small RGBA frames { data, width, height, timestamp }
+//   HeadTracker
+//     finds the face as the centroid of skin-toned pixels, on the device
+//   HeadPointer
+//     turns head movement away from a neutral pose into a screen position
+//   DwellSelector
+//     times how long the pointer stays on one target and selects it
+//
+// Frames carry their own timestamps, so a recorded sequence dwells exactly
+// like the live camera did.
+
+// --- Frame sources -------------------------------------------------------------
+
+// Samples the playing <video> into a small canvas at `fps`
+class VideoFrameSource {
+    constructor(video, options = {}) {
+        this.video = video;
+        this.width = options.width || 80;
+        this.height = options.height || 60;
+        this.fps = options.fps || 15;
+        this.timer = null;
+        this.canvas = null;
+        this.context = null;
+    }
+
+    async start(onFrame) {
+        if (!this.video || !this.video.srcObject) {
+            throw new Error('No camera feed available for head tracking');
+        }
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = this.width;
+        this.canvas.height = this.height;
+        this.context = this.canvas.getContext('2d', { willReadFrequently: true });
+
+        this.timer = setInterval(() => {
+            if (this.video.readyState < 2) return;
+            this.context.drawImage(this.video, 0, 0, this.width, this.height);
+            const { data } = this.context.getImageData(0, 0, this.width, this.height);
+            onFrame({ data, width: this.width, height: this.height, timestamp: performance.now() });
+        }, 1000 / this.fps);
+    }
+
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.canvas = null;
+        this.context = null;
+    }
+}
+
+// Replays recorded frames; resolves once they are exhausted
+class FrameSequenceSource {
+    constructor(frames) {
+        this.frames = frames;
+        this.stopped = false;
+    }
+
+    async start(onFrame) {
+        this.stopped = false;
+        for (const frame of this.frames) {
+            if (this.stopped) break;
+            onFrame(frame);
+        }
+    }
+
+    async stop() {
+        this.stopped = true;
+    }
+}
+
+// --- Tracking -------------------------------------------------------------------
+
+class HeadTracker {
+    constructor(options = {}) {
+        // Share of sampled pixels that must look like skin before we trust the position
+        this.minCoverage = options.minCoverage ?? 0.02;
+        this.step = options.step || 2;
+    }
+
+    // Skin tones cluster tightly in the chroma (Cb/Cr) plane regardless of brightness
+    static isSkin(r, g, b) {
+        const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+        const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+        return cb >= 77 && cb <= 127 && cr >= 133 && cr <= 173;
+    }
+
+    // Returns the face centre as fractions of the frame, or null if no face is visible
+    process(frame) {
+        const { data, width, height } = frame;
+        let sumX = 0;
+        let sumY = 0;
+        let count = 0;
+        let sampled = 0;
+
+        for (let y = 0; y < height; y += this.step) {
+            for (let x = 0; x < width; x += this.step) {
+                const i = (y * width + x) * 4;
+                sampled++;
+                if (HeadTracker.isSkin(data[i], data[i + 1], data[i + 2])) {
+                    sumX += x;
+                    sumY += y;
+                    count++;
+                }
+            }
+        }
+
+        if (sampled === 0 || count / sampled < this.minCoverage) return null;
+        return {
+            x: sumX / count / (width - 1 || 1),
+            y: sumY / count / (height - 1 || 1),
+            coverage: count / sampled
+        };
+    }
+}
+
+class HeadPointer {
+    constructor(options = {}) {
+        // How far the pointer moves for a given head movement
+        this.gain = options.gain ?? 3;
+        // 0 follows the head exactly; closer to 1 is steadier but slower
+        this.smoothing = options.smoothing ?? 0.6;
+        // The camera sees the user mirrored
+        this.mirror = options.mirror ?? true;
+        this.neutral = null;
+        this.position = null;
+    }
+
+    // The next head position becomes the centre of the screen
+    recenter() {
+        this.neutral = null;
+        this.position = null;
+    }
+
+    // Returns the pointer as fractions of the viewport
+    update(head) {
+        if (!head) return this.position;
+        if (!this.neutral) this.neutral = { x: head.x, y: head.y };
+
+        const clamp = value => Math.min(1, Math.max(0, value));
+        const dx = (head.x - this.neutral.x) * (this.mirror ? -1 : 1);
+        const target = {
+            x: clamp(0.5 + dx * this.gain),
+            y: clamp(0.5 + (head.y - this.neutral.y) * this.gain)
+        };
+
+        this.position = this.position
+            ? {
+                x: this.position.x + (target.x - this.position.x) * (1 - this.smoothing),
+                y: this.position.y + (target.y - this.position.y) * (1 - this.smoothing)
+            }
+            : target;
+        return this.position;
+    }
+}
+
+// --- Dwell selection -----------------------------------------------------------
+
+class DwellSelector {
+    constructor(options = {}) {
+        this.dwellMs = options.dwellMs || 1200;
+        // How far the pointer has to move after a selection before it can select again
+        this.releaseDistance = options.releaseDistance ?? 48;
+        this.hitTest = options.hitTest || (() => null);
+        this.onProgress = options.onProgress || (() => {});
+        this.onSelect = options.onSelect || (() => {});
+        this.reset();
+    }
+
+    configure(options = {}) {
+        if (options.dwellMs) this.dwellMs = options.dwellMs;
+    }
+
+    reset() {
+        if (this.target) this.onProgress(this.target, 0);
+        this.target = null;
+        this.since = 0;
+        this.fired = false;
+        this.selectedAt = null;
+    }
+
+    // Call with the pointer position on every frame or tick, not just when it moves
+    update(x, y, now) {
+        const target = this.hitTest(x, y);
+        // A selection usually redraws the cards, putting a new one under a pointer
+        // that hasn't moved; it doesn't count as a visit until the pointer moves away
+        if (this.selectedAt) {
+            const moved = Math.hypot(x - this.selectedAt.x, y - this.selectedAt.y) >= this.releaseDistance;
+            if (target && !moved) {
+                this.target = target;
+                return;
+            }
+            this.selectedAt = null;
+        }
+        if (target !== this.target) {
+            this.reset();
+            this.target = target;
+            this.since = now;
+        }
+        // Each visit selects once; the pointer has to leave and come back to select again
+        if (!target || this.fired) return;
+
+        const progress = Math.min(1, (now - this.since) / this.dwellMs);
+        this.onProgress(target, progress);
+        if (progress >= 1) {
+            this.fired = true;
+            this.selectedAt = { x, y };
+            this.onSelect(target);
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DwellSelector,
+        FrameSequenceSource,
+        HeadPointer,
+        HeadTracker,
+        VideoFrameSource
+    };
+}
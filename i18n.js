@@ -0,0 +1,1188 @@
+// Cognitive Echo Internationalization
+//
+// Message catalogs for the interface, one per supported language. Static text
+// in index.html is tagged with the key to show:
+//
+//   <h3 data-i18n="main.saying">You're saying:</h3>
+//   <input data-i18n-placeholder="settings.photoWord">
+//   <button data-i18n-title="main.repeatTitle" data-i18n-label="...">
+//
+// and text built in code goes through `translator.t(key, params)`, where
+// "{count} predictions" style placeholders are filled from `params`. A key
+// missing from a catalog falls back to English, then to the key itself.
+//
+// Modules that validate what the user entered or imported don't write English
+// either: their errors carry keys, and `translator.errorMessage(error)` says
+// them in the user's language.
+
+const DEFAULT_LANGUAGE = 'en';
+
+// `locale` is what speech recognition and text-to-speech are asked for
+const SUPPORTED_LANGUAGES = {
+    en: { name: 'English', locale: 'en-US' },
+    es: { name: 'Español', locale: 'es-ES' },
+    hi: { name: 'हिन्दी', locale: 'hi-IN' }
+};
+
+const MESSAGE_CATALOGS = {
+    en: {
+        'app.title': 'Cognitive Echo',
+        'common.loading': 'Loading...',
+        'common.new': 'New',
+        'common.rename': 'Rename',
+        'common.delete': 'Delete',
+        'common.back': 'Back',
+        'common.cancel': 'Cancel',
+        'common.backToApp': 'Back to Cognitive Echo',
+        'common.remove': 'Remove',
+        'common.imageType': 'Choose an image file (PNG, JPEG or SVG).',
+
+        'welcome.subtitle': 'AI-Powered Communication Assistant',
+        'welcome.description': 'Experience the future of assistive communication technology. Our AI helps complete your thoughts using voice patterns, gestures, and contextual understanding.',
+        'welcome.voiceTitle': 'Voice Processing',
+        'welcome.voiceText': 'Advanced speech recognition and completion',
+        'welcome.gestureTitle': 'Gesture Recognition',
+        'welcome.gestureText': 'Visual cues to enhance communication',
+        'welcome.predictTitle': 'AI Predictions',
+        'welcome.predictText': 'Context-aware sentence completion',
+        'welcome.start': 'Start Demo',
+
+        'permission.title': 'Camera & Microphone Access',
+        'permission.intro': 'To provide the best experience, Cognitive Echo needs access to your camera and microphone.',
+        'permission.micTitle': 'Microphone Access',
+        'permission.micText': 'Process your speech patterns to predict and complete sentences',
+        'permission.cameraTitle': 'Camera Access',
+        'permission.cameraText': 'Analyze gestures and facial expressions for enhanced communication',
+        'permission.camera': 'Camera:',
+        'permission.microphone': 'Microphone:',
+        'permission.grant': 'Grant Permissions',
+        'permission.demo': 'Continue in Demo Mode',
+        'permission.retry': 'Try Again',
+        'permission.requesting': 'Requesting camera and microphone access...',
+        'status.waiting': 'Waiting',
+        'status.requesting': 'Requesting...',
+        'status.granted': 'Granted',
+        'status.denied': 'Denied',
+        'status.notFound': 'Not Found',
+        'status.notSupported': 'Not Supported',
+        'status.error': 'Error',
+        'error.denied': 'Camera/microphone access was denied. Please allow permissions and try again.',
+        'error.notFound': 'No camera or microphone found. Please connect a device and refresh.',
+        'error.notSupported': 'Your browser doesn\'t support camera/microphone access. Please use Chrome, Firefox, or Edge.',
+        'error.generic': 'An error occurred accessing your camera/microphone. Please refresh and try again.',
+        'remedy.denied.chrome': 'In Chrome, click the camera icon at the right of the address bar, choose to always allow this site, then try again.',
+        'remedy.denied.edge': 'In Edge, click the lock icon in the address bar, set Camera and Microphone to Allow, then try again.',
+        'remedy.denied.firefox': 'In Firefox, click the crossed-out camera or microphone icon in the address bar, clear the block, then try again.',
+        'remedy.denied.safari': 'In Safari, open Settings for This Website from the Safari menu, set Camera and Microphone to Allow, then try again.',
+        'remedy.denied.other': 'Open your browser\'s settings for this site, allow the camera and microphone, then try again.',
+        'remedy.notFound': 'Check that the camera or microphone is plugged in and switched on.',
+        'remedy.inUse': 'Another app may be using the camera or microphone. Close it, then try again.',
+        'remedy.notSupported': 'Open this page over https in a current version of Chrome, Edge, Firefox or Safari.',
+
+        'device.title': 'Select Your Devices',
+        'device.intro': 'Multiple devices detected. Please select your preferred camera and microphone.',
+        'device.camera': 'Camera',
+        'device.microphone': 'Microphone',
+        'device.selectCamera': 'Select Camera',
+        'device.selectMicrophone': 'Select Microphone',
+        'device.cameraNumber': 'Camera {number}',
+        'device.microphoneNumber': 'Microphone {number}',
+        'device.audioLevel': 'Audio Level:',
+        'device.sensitivity': 'Sensitivity:',
+        'device.calibrate': 'Calibrate',
+        'device.calibrateHelp': 'Calibrate to measure background noise and get a suggested sensitivity. Stay quiet while it runs.',
+        'device.useSuggested': 'Use Suggested Sensitivity',
+        'device.continue': 'Continue with Selected Devices',
+        'calibration.noPreview': 'The microphone preview is not running, so noise cannot be measured.',
+        'calibration.measuring': 'Measuring background noise - please stay quiet for 3 seconds...',
+        'calibration.result': 'Background noise is {noise}% of full scale. Suggested sensitivity: {suggested}%.',
+        'calibration.failed': 'Calibration failed. Please try again.',
+        'calibration.saved': 'Sensitivity saved to the "{profile}" profile.',
+        'media.fallback': '{preferred} was disconnected - using {device} instead.',
+        'media.restored': 'Switched back to {device}.',
+        'media.cameraLost': 'The camera was disconnected. Plug one in to use gestures and head pointing.',
+        'media.microphoneLost': 'The microphone was disconnected. Plug one in to keep talking.',
+        'media.cameraMuted': 'The camera has stopped sending video.',
+        'media.microphoneMuted': 'The microphone has stopped sending sound.',
+        'media.cameraBlocked': 'Camera access is blocked - carrying on without gestures and head pointing.',
+        'media.microphoneBlocked': 'Microphone access is blocked - carrying on with scenarios and the camera.',
+        'media.error': 'Could not switch to {device}. Please check the connection.',
+
+        'success.title': 'Setup Complete!',
+        'success.text': 'Your camera and microphone are working perfectly.',
+        'success.tips': 'Tips for Best Results:',
+        'success.enter': 'Enter Cognitive Echo',
+        'tips': [
+            'Speak clearly and at a natural pace',
+            'Look at the camera for better gesture recognition',
+            'Use the visual aids to help complete your thoughts',
+            'Don\'t worry about making mistakes - the AI learns from them'
+        ],
+
+        'main.decks': 'Decks',
+        'main.progress': 'Progress',
+        'main.settings': 'Settings',
+        'main.exit': 'Exit Demo',
+        'main.record': '⏺ Record',
+        'main.stopRecording': '⏹ Stop Recording',
+        'main.recordings': 'Recordings',
+        'main.live': 'LIVE',
+        'main.saying': 'You\'re saying:',
+        'main.clickToStart': 'Click \'Start Listening\' to begin...',
+        'main.listening': 'Listening...',
+        'main.noScenarios': 'This deck has no scenarios yet. Add some from Decks.',
+        'main.predictions': 'AI Predictions:',
+        'main.completed': 'Completed Sentence:',
+        'main.undo': '↩ Undo',
+        'main.undoTitle': 'Undo the last change',
+        'main.finish': '✓ Finish',
+        'main.finishTitle': 'Say the sentence and start a new one',
+        'main.repeat': '🔊 Repeat',
+        'main.repeatTitle': 'Say it again',
+        'main.sentenceWords': 'Words in your sentence',
+        'main.sentencePlaceholder': 'Your completed sentence will appear here...',
+        'main.startListening': 'Start Listening',
+        'main.stopListening': 'Stop Listening',
+        'main.reset': 'Reset',
+        'main.deck': 'Deck',
+        'main.scenario': 'Scenario',
+        'main.toggleVideo': 'Toggle Video',
+        'main.demoMode': 'Demo Mode',
+        'main.cameraSimulation': 'Camera Simulation',
+        'main.toggleAudio': 'Toggle Audio',
+        'main.nextScenario': 'Next Scenario',
+        'main.recenter': 'Recenter Head Pointer',
+        'main.processing': 'Processing:',
+        'main.missingWord': 'Missing word',
+        'gesture.point': '👉 Pointing {direction}',
+        'gesture.left': 'left',
+        'gesture.right': 'right',
+        'gesture.up': 'up',
+        'gesture.eat': '🍽️ Eating',
+        'gesture.drink': '🥤 Drinking',
+        'gesture.nod': '👍 Yes',
+        'gesture.shake': '👎 No',
+        'predictions.empty': 'Not sure yet - try describing it a little more.',
+        'predictions.card': '{number}: {label}, {confidence}% confidence',
+        'predictions.announce': '{count} predictions: {labels}. Press 1 to {max} to choose.',
+        'predictions.rejected': '{word} rejected',
+        'predictions.noneLeft': '{word} rejected. No predictions left.',
+        'sentence.moveEarlier': 'Move {word} earlier',
+        'sentence.moveLater': 'Move {word} later',
+        'sentence.remove': 'Remove {word}',
+        'sentence.cleared': 'Sentence cleared',
+        'sentence.current': 'Sentence: {sentence}',
+        'sentence.finished': 'Finished: {sentence}',
+
+        'history.title': 'Your Progress',
+        'history.loading': 'Loading your progress...',
+        'history.byDay': 'By Day',
+        'history.byCategory': 'By Word Category',
+        'history.share': 'Share With Your Therapist',
+        'history.exportJson': 'Export JSON',
+        'history.exportCsv': 'Export CSV',
+        'history.importJson': 'Import JSON',
+        'history.unavailable': 'Progress tracking is not available in this browser.',
+        'history.loadFailed': 'Could not load your progress. Please try again.',
+        'history.exportFailed': 'Could not export your sessions. Please try again.',
+        'history.imported': 'Imported {attempts} attempts from {sessions} sessions.',
+        'history.importSkipped': 'Skipped {attempts} attempts that were already imported.',
+        'history.none': 'No attempts recorded in the last four weeks yet.',
+        'history.summary': '{completed} of {attempts} attempts completed in the last four weeks',
+        'history.summaryWithTime': '{completed} of {attempts} attempts completed in the last four weeks · average {seconds}s to choose',
+        'history.importInvalid': 'This file can\'t be imported:',
+        'history.importFailed': 'Could not import the file. Please try again.',
+        'category.place': 'Places',
+        'category.outside': 'Outdoors',
+        'category.person': 'People',
+        'category.building': 'Buildings',
+        'category.animal': 'Animals',
+        'category.pet': 'Pets',
+        'category.food': 'Food',
+        'category.bathroom': 'Bathroom',
+        'category.drink': 'Drinks',
+        'category.fruit': 'Fruit',
+        'category.kitchen': 'Kitchen',
+        'category.furniture': 'Furniture',
+        'category.clothes': 'Clothes',
+        'category.family': 'Family',
+        'category.other': 'Other',
+        'validation.json': 'The file is not valid JSON.',
+        'validation.notObject': 'The file does not contain a JSON object.',
+        'validation.format': '"format" must be "{expected}".',
+        'validation.version': 'Version {version} is not supported; expected {expected}.',
+        'validation.required': '{field} is required.',
+        'validation.object': '{field} must be an object.',
+        'validation.list': '{field} must be a list.',
+        'validation.text': '{field} must be text.',
+        'validation.textOrEmpty': '{field} must be text or empty.',
+        'validation.choice': '{field} must be one of: {choices}.',
+        'validation.date': '{field} must be an ISO 8601 date.',
+        'validation.dateOrEmpty': '{field} must be an ISO 8601 date or empty.',
+        'validation.duplicate': '{field} {value} appears more than once.',
+        'validation.wholeNumber': '{field} must be a whole number from 0.',
+        'validation.confidence': '{field} must be between 0 and 1.',
+        'validation.positiveOrEmpty': '{field} must be a positive number or empty.',
+        'validation.more': '...and {count} more.',
+        'import.error.session': '{field} does not match any session.',
+        'import.error.prediction': '{field} needs a word and a confidence between 0 and 1.',
+        'import.error.selected': '{field} needs a word.',
+        'recording.consentTitle': 'Record this session?',
+        'recording.consentText': 'Cognitive Echo will record the camera and microphone, together with what was said, the predictions shown and the words chosen, so a therapist can review the session later.',
+        'recording.consentStorage': 'The recording stays on this device. It is never uploaded, and you can delete it at any time from Recordings.',
+        'recording.agree': 'I Agree - Start Recording',
+        'recording.started': 'Recording started',
+        'recording.saved': 'Recording saved',
+        'recording.failed': 'Could not record this session.',
+        'recording.unsupported': 'Recording is not available in this browser.',
+        'replay.title': 'Session Recordings',
+        'replay.intro': 'Recordings are kept only on this device. Choose one to watch it alongside what happened.',
+        'replay.empty': 'No recordings yet.',
+        'replay.item': '{date} · {duration} · {count} events',
+        'replay.play': 'Play',
+        'replay.delete': 'Delete',
+        'replay.deleteAll': 'Delete All Recordings',
+        'replay.deleted': 'Recording deleted.',
+        'replay.allDeleted': 'All recordings deleted.',
+        'replay.deleteFailed': 'Could not delete the recording. Please try again.',
+        'replay.loadFailed': 'Could not load recordings. Please try again.',
+        'replay.noMedia': 'No video was recorded - only the timeline was kept.',
+        'replay.transcript': 'Heard: "{text}"',
+        'replay.predictions': 'Suggested: {words}',
+        'replay.selection': 'Chose: {word}',
+        'replay.rejection': 'Rejected: {word}',
+        'replay.sentence': 'Sentence: {text}',
+
+        'decks.title': 'Scenario Decks',
+        'decks.intro': 'Build decks of the phrases this person uses every day, like "Kitchen" or "Family".',
+        'decks.deck': 'Deck',
+        'decks.name': 'Deck name',
+        'decks.delete': 'Delete Deck',
+        'decks.new': 'New Deck',
+        'decks.addScenario': 'Add Scenario',
+        'decks.empty': 'No scenarios yet. Add the phrases this person uses every day.',
+        'decks.moveUp': 'Move up',
+        'decks.moveDown': 'Move down',
+        'decks.edit': 'Edit',
+        'decks.deleteScenario': 'Delete this scenario?',
+        'decks.newDeckName': 'Name the new deck, e.g. "Kitchen" or "Family"',
+        'decks.deleteDeck': 'Delete the "{name}" deck and all its scenarios?',
+        'decks.needsName': 'Give the deck a name.',
+        'decks.keepOne': 'Keep at least one deck.',
+        'decks.saveFailed': 'Could not save decks - the device may be out of storage space.',
+        'decks.changeFailed': 'Could not change the deck. Please try again.',
+        'scenario.newTitle': 'New Scenario',
+        'scenario.editTitle': 'Edit Scenario',
+        'scenario.prompt': 'What they might say',
+        'scenario.promptPlaceholder': 'Want some... cold... from the...',
+        'scenario.words': 'Candidate words (comma separated, best first)',
+        'scenario.wordsPlaceholder': 'water, juice, milk',
+        'scenario.emoji': 'Emoji',
+        'scenario.label': 'Label',
+        'scenario.labelPlaceholder': 'Glass of water',
+        'scenario.image': 'Photo (optional, replaces the emoji)',
+        'scenario.sentence': 'Target sentence',
+        'scenario.sentencePlaceholder': 'Want some cold water from the fridge',
+        'scenario.save': 'Save Scenario',
+        'scenario.imageTooLarge': 'That image is too large. Please choose one under 512 KB.',
+        'scenario.imageUnreadable': 'Could not read that image.',
+        'scenario.imagePreview': 'Visual aid preview',
+        'scenario.removeImage': 'Remove image',
+        'scenario.needsPrompt': 'Enter the fragmented prompt the user might say.',
+        'scenario.needsWords': 'Add at least one candidate word.',
+        'scenario.needsAid': 'Choose an emoji or an image for the visual aid.',
+        'scenario.needsLabel': 'Give the visual aid a label.',
+        'scenario.needsSentence': 'Enter the target sentence.',
+
+        'settings.title': 'Settings',
+        'settings.profile': 'Profile',
+        'settings.profileHelp': 'Each profile keeps its own settings, e.g. one for the patient and one for the therapist.',
+        'settings.newProfile': 'Name the new profile, e.g. "Therapist"',
+        'settings.renameProfile': 'Rename this profile',
+        'settings.deleteProfile': 'Delete the "{name}" profile?',
+        'settings.needsProfileName': 'Give the profile a name.',
+        'settings.keepOneProfile': 'Keep at least one profile.',
+        'settings.profileFailed': 'Could not change the profile. Please try again.',
+        'settings.language': 'Language',
+        'settings.languageHelp': 'Changes the interface, the words Cognitive Echo suggests, its scenario decks and the voice it speaks with.',
+        'settings.audio': 'Audio Processing',
+        'settings.video': 'Video Processing',
+        'settings.gestures': 'Gesture recognition',
+        'settings.gesturesHelp': 'Pointing and eating or drinking mimes guide predictions. Nod to choose the highlighted card, shake your head to dismiss it. Video is analysed on this device only.',
+        'settings.autoStart': 'Start listening automatically on launch',
+        'settings.sensitivity': 'AI Sensitivity',
+        'settings.sensitivityHelp': 'Higher picks up quieter speech, waits longer through pauses and shows less certain predictions.',
+        'settings.volume': 'Volume',
+        'settings.voice': 'Voice',
+        'settings.defaultVoice': 'Default voice',
+        'settings.rate': 'Speaking Rate',
+        'settings.pitch': 'Voice Pitch',
+        'settings.speakPredictions': 'Read predictions aloud on hover or focus',
+        'settings.switchScanning': 'Switch scanning',
+        'settings.switchScanningHelp': 'Highlights each card and control in turn. Press Space or Enter (or your switch) to choose the highlighted one.',
+        'settings.scanSpeed': 'Scan Speed (seconds per item)',
+        'settings.dwell': 'Dwell Selection',
+        'settings.dwellOff': 'Off',
+        'settings.dwellMouse': 'Mouse pointer',
+        'settings.dwellHead': 'Head pointer (camera)',
+        'settings.dwellHelp': 'Rest the pointer on a card to choose it. Head tracking runs on this device only; nothing is uploaded.',
+        'settings.dwellTime': 'Dwell Time (seconds)',
+        'settings.dwellIndicator': 'Dwell Indicator',
+        'settings.dwellFill': 'Fill the card',
+        'settings.dwellBar': 'Progress bar',
+        'settings.vocabulary': 'Personal Vocabulary',
+        'settings.vocabularyHelp': 'Words Cognitive Echo has learned from your choices.',
+        'settings.resetVocabulary': 'Reset Learning',
+        'settings.resetVocabularyConfirm': 'Forget everything Cognitive Echo has learned from your choices?',
+        'settings.vocabularyEmpty': 'Nothing learned yet - choose a few predictions first.',
+        'settings.vocabularyDetail': 'chosen {accepted}×, weight {weight}',
+        'settings.picturePacks': 'Picture Packs',
+        'settings.picturePacksHelp': 'Install a pack by selecting its manifest.json together with all of its pictures.',
+        'settings.installPack': 'Install Pack',
+        'settings.personalPhotos': 'Personal Photos',
+        'settings.personalPhotosHelp': 'Photos of the user\'s own things are shown instead of pack pictures.',
+        'settings.photoWord': 'Word, e.g. dog',
+        'settings.addPhoto': 'Add Photo',
+        'settings.photoWordLabel': 'Word the photo shows',
+        'settings.photoFile': 'Photo',
+        'packs.pictures': '{count} pictures',
+        'packs.empty': 'No picture packs installed - cards show emoji.',
+        'packs.noPhotos': 'No personal photos yet.',
+        'packs.removeItem': 'Remove {name}',
+        'packs.needsManifest': 'Select the pack\'s manifest.json together with its pictures.',
+        'packs.installed': 'Installed "{name}" with {count} pictures.',
+        'packs.invalid': 'This picture pack can\'t be installed:',
+        'packs.installFailed': 'Could not install the pack. Please try again.',
+        'packs.confirmRemove': 'Remove the "{name}" picture pack?',
+        'packs.removed': 'Removed "{name}".',
+        'packs.removeFailed': 'Could not remove the pack. Please try again.',
+        'packs.needsPhoto': 'Enter a word and choose a photo of it.',
+        'packs.photoTooLarge': 'That photo is too large. Please choose one under 2 MB.',
+        'packs.photoAdded': 'Added a photo for "{word}".',
+        'packs.photoFailed': 'Could not add the photo. Please try again.',
+        'packs.photoRemoveFailed': 'Could not remove the photo. Please try again.',
+        'packs.error.json': 'manifest.json is not valid JSON.',
+        'packs.error.id': '"id" must use only lowercase letters, digits and dashes.',
+        'packs.error.reserved': '"{id}" is reserved for personal photos.',
+        'packs.error.images': '"images" must list at least one picture.',
+        'packs.error.file': '{field} must be an SVG, PNG, JPEG or WebP file name.',
+        'packs.error.synonyms': '{field} must be a list of words.',
+        'packs.error.missingFile': '{file} is listed in the manifest but was not selected.',
+        'packs.error.photoWord': 'Enter the word this photo shows.',
+        'settings.server': 'Server',
+        'settings.serverPlaceholder': 'https://echo.example.org',
+        'settings.serverHelp': 'Leave empty to keep everything on this device. With a server, it transcribes speech and suggests words, and this device takes over whenever the server can\'t be reached.',
+        'settings.serverEmail': 'Email',
+        'settings.serverPassword': 'Password',
+        'settings.serverSignIn': 'Sign In',
+        'settings.serverSignOut': 'Sign Out',
+        'backend.local': 'No server set - everything runs on this device.',
+        'backend.signedOut': 'Sign in to use {server}. Until then everything runs on this device.',
+        'backend.signingIn': 'Signing in...',
+        'backend.signInFailed': 'Sign-in failed: {error}',
+        'backend.connected': 'Connected to {server}.',
+        'backend.connecting': 'Connecting to {server}...',
+        'backend.offline': 'Can\'t connect to {server} - using this device until it\'s back.',
+        'backend.pending': 'Session updates waiting to be sent: {count}.',
+        'update.available': 'A new version of Cognitive Echo is ready.',
+        'update.reload': 'Update Now',
+        'update.later': 'Later',
+        'settings.save': 'Save Settings'
+    },
+
+    es: {
+        'app.title': 'Cognitive Echo',
+        'common.loading': 'Cargando...',
+        'common.new': 'Nuevo',
+        'common.rename': 'Renombrar',
+        'common.delete': 'Eliminar',
+        'common.back': 'Atrás',
+        'common.cancel': 'Cancelar',
+        'common.backToApp': 'Volver a Cognitive Echo',
+        'common.remove': 'Quitar',
+        'common.imageType': 'Elija un archivo de imagen (PNG, JPEG o SVG).',
+
+        'welcome.subtitle': 'Asistente de comunicación con IA',
+        'welcome.description': 'Descubra el futuro de la comunicación asistida. Nuestra IA le ayuda a completar sus ideas a partir de la voz, los gestos y el contexto.',
+        'welcome.voiceTitle': 'Procesamiento de voz',
+        'welcome.voiceText': 'Reconocimiento y completado del habla',
+        'welcome.gestureTitle': 'Reconocimiento de gestos',
+        'welcome.gestureText': 'Señales visuales que ayudan a comunicarse',
+        'welcome.predictTitle': 'Predicciones con IA',
+        'welcome.predictText': 'Frases completadas según el contexto',
+        'welcome.start': 'Empezar demostración',
+
+        'permission.title': 'Acceso a cámara y micrófono',
+        'permission.intro': 'Para ofrecerle la mejor experiencia, Cognitive Echo necesita acceder a su cámara y a su micrófono.',
+        'permission.micTitle': 'Acceso al micrófono',
+        'permission.micText': 'Analiza su forma de hablar para predecir y completar frases',
+        'permission.cameraTitle': 'Acceso a la cámara',
+        'permission.cameraText': 'Analiza gestos y expresiones faciales para mejorar la comunicación',
+        'permission.camera': 'Cámara:',
+        'permission.microphone': 'Micrófono:',
+        'permission.grant': 'Conceder permisos',
+        'permission.demo': 'Continuar en modo demostración',
+        'permission.retry': 'Intentar de nuevo',
+        'permission.requesting': 'Solicitando acceso a la cámara y al micrófono...',
+        'status.waiting': 'En espera',
+        'status.requesting': 'Solicitando...',
+        'status.granted': 'Concedido',
+        'status.denied': 'Denegado',
+        'status.notFound': 'No encontrado',
+        'status.notSupported': 'No compatible',
+        'status.error': 'Error',
+        'error.denied': 'Se denegó el acceso a la cámara o al micrófono. Permita el acceso e inténtelo de nuevo.',
+        'error.notFound': 'No se encontró ninguna cámara ni micrófono. Conecte un dispositivo y recargue la página.',
+        'error.notSupported': 'Su navegador no permite usar la cámara o el micrófono. Use Chrome, Firefox o Edge.',
+        'error.generic': 'Se produjo un error al acceder a la cámara o al micrófono. Recargue la página e inténtelo de nuevo.',
+        'remedy.denied.chrome': 'En Chrome, haga clic en el icono de la cámara a la derecha de la barra de direcciones, elija permitir siempre este sitio e inténtelo de nuevo.',
+        'remedy.denied.edge': 'En Edge, haga clic en el candado de la barra de direcciones, ponga Cámara y Micrófono en Permitir e inténtelo de nuevo.',
+        'remedy.denied.firefox': 'En Firefox, haga clic en el icono tachado de la cámara o del micrófono en la barra de direcciones, quite el bloqueo e inténtelo de nuevo.',
+        'remedy.denied.safari': 'En Safari, abra Ajustes de este sitio web en el menú Safari, ponga Cámara y Micrófono en Permitir e inténtelo de nuevo.',
+        'remedy.denied.other': 'Abra los ajustes del navegador para este sitio, permita la cámara y el micrófono e inténtelo de nuevo.',
+        'remedy.notFound': 'Compruebe que la cámara o el micrófono están conectados y encendidos.',
+        'remedy.inUse': 'Puede que otra aplicación esté usando la cámara o el micrófono. Ciérrela e inténtelo de nuevo.',
+        'remedy.notSupported': 'Abra esta página con https en una versión actual de Chrome, Edge, Firefox o Safari.',
+
+        'device.title': 'Elija sus dispositivos',
+        'device.intro': 'Se detectaron varios dispositivos. Elija la cámara y el micrófono que prefiera.',
+        'device.camera': 'Cámara',
+        'device.microphone': 'Micrófono',
+        'device.selectCamera': 'Elegir cámara',
+        'device.selectMicrophone': 'Elegir micrófono',
+        'device.cameraNumber': 'Cámara {number}',
+        'device.microphoneNumber': 'Micrófono {number}',
+        'device.audioLevel': 'Nivel de audio:',
+        'device.sensitivity': 'Sensibilidad:',
+        'device.calibrate': 'Calibrar',
+        'device.calibrateHelp': 'Calibre para medir el ruido de fondo y obtener una sensibilidad sugerida. Guarde silencio mientras se mide.',
+        'device.useSuggested': 'Usar la sensibilidad sugerida',
+        'device.continue': 'Continuar con estos dispositivos',
+        'calibration.noPreview': 'La vista previa del micrófono no está activa, así que no se puede medir el ruido.',
+        'calibration.measuring': 'Midiendo el ruido de fondo: guarde silencio durante 3 segundos...',
+        'calibration.result': 'El ruido de fondo es el {noise}% del máximo. Sensibilidad sugerida: {suggested}%.',
+        'calibration.failed': 'La calibración falló. Inténtelo de nuevo.',
+        'calibration.saved': 'Sensibilidad guardada en el perfil "{profile}".',
+        'media.fallback': 'Se desconectó {preferred}; se usa {device} en su lugar.',
+        'media.restored': 'Se volvió a {device}.',
+        'media.cameraLost': 'Se desconectó la cámara. Conecte una para usar gestos y el puntero con la cabeza.',
+        'media.microphoneLost': 'Se desconectó el micrófono. Conecte uno para seguir hablando.',
+        'media.cameraMuted': 'La cámara ha dejado de enviar vídeo.',
+        'media.microphoneMuted': 'El micrófono ha dejado de enviar sonido.',
+        'media.cameraBlocked': 'El acceso a la cámara está bloqueado; se continúa sin gestos ni puntero con la cabeza.',
+        'media.microphoneBlocked': 'El acceso al micrófono está bloqueado; se continúa con los escenarios y la cámara.',
+        'media.error': 'No se pudo cambiar a {device}. Compruebe la conexión.',
+
+        'success.title': '¡Configuración completa!',
+        'success.text': 'Su cámara y su micrófono funcionan perfectamente.',
+        'success.tips': 'Consejos para mejores resultados:',
+        'success.enter': 'Entrar en Cognitive Echo',
+        'tips': [
+            'Hable con claridad y a un ritmo natural',
+            'Mire a la cámara para que se reconozcan mejor los gestos',
+            'Use las ayudas visuales para completar sus ideas',
+            'No se preocupe por equivocarse: la IA aprende de los errores'
+        ],
+
+        'main.decks': 'Mazos',
+        'main.progress': 'Progreso',
+        'main.settings': 'Ajustes',
+        'main.exit': 'Salir',
+        'main.record': '⏺ Grabar',
+        'main.stopRecording': '⏹ Detener grabación',
+        'main.recordings': 'Grabaciones',
+        'main.live': 'EN VIVO',
+        'main.saying': 'Está diciendo:',
+        'main.clickToStart': 'Pulse «Empezar a escuchar» para comenzar...',
+        'main.listening': 'Escuchando...',
+        'main.noScenarios': 'Este mazo aún no tiene escenarios. Añádalos desde Mazos.',
+        'main.predictions': 'Predicciones:',
+        'main.completed': 'Frase completa:',
+        'main.undo': '↩ Deshacer',
+        'main.undoTitle': 'Deshacer el último cambio',
+        'main.finish': '✓ Terminar',
+        'main.finishTitle': 'Decir la frase y empezar otra',
+        'main.repeat': '🔊 Repetir',
+        'main.repeatTitle': 'Decirlo otra vez',
+        'main.sentenceWords': 'Palabras de su frase',
+        'main.sentencePlaceholder': 'Su frase completa aparecerá aquí...',
+        'main.startListening': 'Empezar a escuchar',
+        'main.stopListening': 'Dejar de escuchar',
+        'main.reset': 'Reiniciar',
+        'main.deck': 'Mazo',
+        'main.scenario': 'Escenario',
+        'main.toggleVideo': 'Activar o desactivar vídeo',
+        'main.demoMode': 'Modo de demostración',
+        'main.cameraSimulation': 'Cámara simulada',
+        'main.toggleAudio': 'Activar o desactivar audio',
+        'main.nextScenario': 'Siguiente escenario',
+        'main.recenter': 'Centrar el puntero de cabeza',
+        'main.processing': 'Procesando:',
+        'main.missingWord': 'Palabra que falta',
+        'gesture.point': '👉 Señalando a la {direction}',
+        'gesture.left': 'izquierda',
+        'gesture.right': 'derecha',
+        'gesture.up': 'arriba',
+        'gesture.eat': '🍽️ Comiendo',
+        'gesture.drink': '🥤 Bebiendo',
+        'gesture.nod': '👍 Sí',
+        'gesture.shake': '👎 No',
+        'predictions.empty': 'Aún no está claro: intente describirlo un poco más.',
+        'predictions.card': '{number}: {label}, {confidence}% de confianza',
+        'predictions.announce': '{count} predicciones: {labels}. Pulse de 1 a {max} para elegir.',
+        'predictions.rejected': '{word} descartada',
+        'predictions.noneLeft': '{word} descartada. No quedan predicciones.',
+        'sentence.moveEarlier': 'Mover {word} antes',
+        'sentence.moveLater': 'Mover {word} después',
+        'sentence.remove': 'Quitar {word}',
+        'sentence.cleared': 'Frase borrada',
+        'sentence.current': 'Frase: {sentence}',
+        'sentence.finished': 'Terminada: {sentence}',
+
+        'history.title': 'Su progreso',
+        'history.loading': 'Cargando su progreso...',
+        'history.byDay': 'Por día',
+        'history.byCategory': 'Por tipo de palabra',
+        'history.share': 'Compartir con su terapeuta',
+        'history.exportJson': 'Exportar JSON',
+        'history.exportCsv': 'Exportar CSV',
+        'history.importJson': 'Importar JSON',
+        'history.unavailable': 'El seguimiento del progreso no está disponible en este navegador.',
+        'history.loadFailed': 'No se pudo cargar su progreso. Inténtelo de nuevo.',
+        'history.exportFailed': 'No se pudieron exportar sus sesiones. Inténtelo de nuevo.',
+        'history.imported': 'Se importaron {attempts} intentos de {sessions} sesiones.',
+        'history.importSkipped': 'Se omitieron {attempts} intentos que ya estaban importados.',
+        'history.none': 'Todavía no hay intentos registrados en las últimas cuatro semanas.',
+        'history.summary': '{completed} de {attempts} intentos completados en las últimas cuatro semanas',
+        'history.summaryWithTime': '{completed} de {attempts} intentos completados en las últimas cuatro semanas · {seconds} s de media para elegir',
+        'history.importInvalid': 'No se puede importar este archivo:',
+        'history.importFailed': 'No se pudo importar el archivo. Inténtelo de nuevo.',
+        'category.place': 'Lugares',
+        'category.outside': 'Al aire libre',
+        'category.person': 'Personas',
+        'category.building': 'Edificios',
+        'category.animal': 'Animales',
+        'category.pet': 'Mascotas',
+        'category.food': 'Comida',
+        'category.bathroom': 'Baño',
+        'category.drink': 'Bebidas',
+        'category.fruit': 'Fruta',
+        'category.kitchen': 'Cocina',
+        'category.furniture': 'Muebles',
+        'category.clothes': 'Ropa',
+        'category.family': 'Familia',
+        'category.other': 'Otros',
+        'validation.json': 'El archivo no es JSON válido.',
+        'validation.notObject': 'El archivo no contiene un objeto JSON.',
+        'validation.format': '"format" debe ser "{expected}".',
+        'validation.version': 'La versión {version} no es compatible; se esperaba {expected}.',
+        'validation.required': '{field} es obligatorio.',
+        'validation.object': '{field} debe ser un objeto.',
+        'validation.list': '{field} debe ser una lista.',
+        'validation.text': '{field} debe ser texto.',
+        'validation.textOrEmpty': '{field} debe ser texto o estar vacío.',
+        'validation.choice': '{field} debe ser uno de: {choices}.',
+        'validation.date': '{field} debe ser una fecha ISO 8601.',
+        'validation.dateOrEmpty': '{field} debe ser una fecha ISO 8601 o estar vacío.',
+        'validation.duplicate': '{field} {value} aparece más de una vez.',
+        'validation.wholeNumber': '{field} debe ser un número entero desde 0.',
+        'validation.confidence': '{field} debe estar entre 0 y 1.',
+        'validation.positiveOrEmpty': '{field} debe ser un número positivo o estar vacío.',
+        'validation.more': '...y {count} más.',
+        'import.error.session': '{field} no coincide con ninguna sesión.',
+        'import.error.prediction': '{field} necesita una palabra y una confianza entre 0 y 1.',
+        'import.error.selected': '{field} necesita una palabra.',
+        'recording.consentTitle': '¿Grabar esta sesión?',
+        'recording.consentText': 'Cognitive Echo grabará la cámara y el micrófono, junto con lo que se dijo, las predicciones mostradas y las palabras elegidas, para que un terapeuta pueda revisar la sesión más tarde.',
+        'recording.consentStorage': 'La grabación se queda en este dispositivo. Nunca se sube a internet y puede eliminarla cuando quiera desde Grabaciones.',
+        'recording.agree': 'Acepto: empezar a grabar',
+        'recording.started': 'Grabación iniciada',
+        'recording.saved': 'Grabación guardada',
+        'recording.failed': 'No se pudo grabar esta sesión.',
+        'recording.unsupported': 'La grabación no está disponible en este navegador.',
+        'replay.title': 'Grabaciones de sesiones',
+        'replay.intro': 'Las grabaciones solo se guardan en este dispositivo. Elija una para verla junto con lo que ocurrió.',
+        'replay.empty': 'Aún no hay grabaciones.',
+        'replay.item': '{date} · {duration} · {count} eventos',
+        'replay.play': 'Reproducir',
+        'replay.delete': 'Eliminar',
+        'replay.deleteAll': 'Eliminar todas las grabaciones',
+        'replay.deleted': 'Grabación eliminada.',
+        'replay.allDeleted': 'Se eliminaron todas las grabaciones.',
+        'replay.deleteFailed': 'No se pudo eliminar la grabación. Inténtelo de nuevo.',
+        'replay.loadFailed': 'No se pudieron cargar las grabaciones. Inténtelo de nuevo.',
+        'replay.noMedia': 'No se grabó vídeo; solo se guardó la cronología.',
+        'replay.transcript': 'Se oyó: "{text}"',
+        'replay.predictions': 'Sugerencias: {words}',
+        'replay.selection': 'Eligió: {word}',
+        'replay.rejection': 'Descartó: {word}',
+        'replay.sentence': 'Frase: {text}',
+
+        'decks.title': 'Mazos de escenarios',
+        'decks.intro': 'Cree mazos con las frases que esta persona usa a diario, como «Cocina» o «Familia».',
+        'decks.deck': 'Mazo',
+        'decks.name': 'Nombre del mazo',
+        'decks.delete': 'Eliminar mazo',
+        'decks.new': 'Nuevo mazo',
+        'decks.addScenario': 'Añadir escenario',
+        'decks.empty': 'Todavía no hay escenarios. Añada las frases que esta persona usa a diario.',
+        'decks.moveUp': 'Subir',
+        'decks.moveDown': 'Bajar',
+        'decks.edit': 'Editar',
+        'decks.deleteScenario': '¿Eliminar este escenario?',
+        'decks.newDeckName': 'Nombre del nuevo mazo, p. ej. "Cocina" o "Familia"',
+        'decks.deleteDeck': '¿Eliminar el mazo "{name}" y todos sus escenarios?',
+        'decks.needsName': 'Ponga un nombre al mazo.',
+        'decks.keepOne': 'Debe quedar al menos un mazo.',
+        'decks.saveFailed': 'No se pudieron guardar los mazos; puede que el dispositivo no tenga espacio.',
+        'decks.changeFailed': 'No se pudo cambiar el mazo. Inténtelo de nuevo.',
+        'scenario.newTitle': 'Nuevo escenario',
+        'scenario.editTitle': 'Editar escenario',
+        'scenario.prompt': 'Lo que podría decir',
+        'scenario.promptPlaceholder': 'Quiero algo... frío... de la...',
+        'scenario.words': 'Palabras candidatas (separadas por comas, la mejor primero)',
+        'scenario.wordsPlaceholder': 'agua, zumo, leche',
+        'scenario.emoji': 'Emoji',
+        'scenario.label': 'Etiqueta',
+        'scenario.labelPlaceholder': 'Vaso de agua',
+        'scenario.image': 'Foto (opcional, sustituye al emoji)',
+        'scenario.sentence': 'Frase objetivo',
+        'scenario.sentencePlaceholder': 'Quiero agua fría de la nevera',
+        'scenario.save': 'Guardar escenario',
+        'scenario.imageTooLarge': 'Esa imagen es demasiado grande. Elija una de menos de 512 KB.',
+        'scenario.imageUnreadable': 'No se pudo leer esa imagen.',
+        'scenario.imagePreview': 'Vista previa de la ayuda visual',
+        'scenario.removeImage': 'Quitar imagen',
+        'scenario.needsPrompt': 'Escriba la frase entrecortada que podría decir el usuario.',
+        'scenario.needsWords': 'Añada al menos una palabra candidata.',
+        'scenario.needsAid': 'Elija un emoji o una imagen para la ayuda visual.',
+        'scenario.needsLabel': 'Ponga una etiqueta a la ayuda visual.',
+        'scenario.needsSentence': 'Escriba la frase objetivo.',
+
+        'settings.title': 'Ajustes',
+        'settings.profile': 'Perfil',
+        'settings.profileHelp': 'Cada perfil guarda sus propios ajustes, por ejemplo uno para el paciente y otro para el terapeuta.',
+        'settings.newProfile': 'Nombre del nuevo perfil, p. ej. "Terapeuta"',
+        'settings.renameProfile': 'Cambiar el nombre de este perfil',
+        'settings.deleteProfile': '¿Eliminar el perfil "{name}"?',
+        'settings.needsProfileName': 'Ponga un nombre al perfil.',
+        'settings.keepOneProfile': 'Debe quedar al menos un perfil.',
+        'settings.profileFailed': 'No se pudo cambiar el perfil. Inténtelo de nuevo.',
+        'settings.language': 'Idioma',
+        'settings.languageHelp': 'Cambia la interfaz, las palabras que sugiere Cognitive Echo, sus mazos de escenarios y la voz con la que habla.',
+        'settings.audio': 'Procesamiento de audio',
+        'settings.video': 'Procesamiento de vídeo',
+        'settings.gestures': 'Reconocimiento de gestos',
+        'settings.gesturesHelp': 'Señalar e imitar comer o beber orientan las predicciones. Asienta para elegir la tarjeta resaltada y niegue con la cabeza para descartarla. El vídeo se analiza solo en este dispositivo.',
+        'settings.autoStart': 'Empezar a escuchar automáticamente al abrir',
+        'settings.sensitivity': 'Sensibilidad de la IA',
+        'settings.sensitivityHelp': 'Más alta capta voces más bajas, espera más durante las pausas y muestra predicciones menos seguras.',
+        'settings.volume': 'Volumen',
+        'settings.voice': 'Voz',
+        'settings.defaultVoice': 'Voz predeterminada',
+        'settings.rate': 'Velocidad de habla',
+        'settings.pitch': 'Tono de voz',
+        'settings.speakPredictions': 'Leer las predicciones en voz alta al señalarlas',
+        'settings.switchScanning': 'Barrido con pulsador',
+        'settings.switchScanningHelp': 'Resalta cada tarjeta y control por turnos. Pulse Espacio o Intro (o su pulsador) para elegir el resaltado.',
+        'settings.scanSpeed': 'Velocidad de barrido (segundos por elemento)',
+        'settings.dwell': 'Selección por permanencia',
+        'settings.dwellOff': 'Desactivada',
+        'settings.dwellMouse': 'Puntero del ratón',
+        'settings.dwellHead': 'Puntero de cabeza (cámara)',
+        'settings.dwellHelp': 'Deje el puntero sobre una tarjeta para elegirla. El seguimiento de la cabeza se hace solo en este dispositivo; no se sube nada.',
+        'settings.dwellTime': 'Tiempo de permanencia (segundos)',
+        'settings.dwellIndicator': 'Indicador de permanencia',
+        'settings.dwellFill': 'Rellenar la tarjeta',
+        'settings.dwellBar': 'Barra de progreso',
+        'settings.vocabulary': 'Vocabulario personal',
+        'settings.vocabularyHelp': 'Palabras que Cognitive Echo ha aprendido de sus elecciones.',
+        'settings.resetVocabulary': 'Borrar aprendizaje',
+        'settings.resetVocabularyConfirm': '¿Olvidar todo lo que Cognitive Echo ha aprendido de sus elecciones?',
+        'settings.vocabularyEmpty': 'Aún no ha aprendido nada: elija primero algunas predicciones.',
+        'settings.vocabularyDetail': 'elegida {accepted}×, peso {weight}',
+        'settings.picturePacks': 'Paquetes de imágenes',
+        'settings.picturePacksHelp': 'Instale un paquete eligiendo su manifest.json junto con todas sus imágenes.',
+        'settings.installPack': 'Instalar paquete',
+        'settings.personalPhotos': 'Fotos personales',
+        'settings.personalPhotosHelp': 'Las fotos de las cosas del usuario se muestran en lugar de las imágenes de los paquetes.',
+        'settings.photoWord': 'Palabra, p. ej. perro',
+        'settings.addPhoto': 'Añadir foto',
+        'settings.photoWordLabel': 'Palabra que muestra la foto',
+        'settings.photoFile': 'Foto',
+        'packs.pictures': '{count} imágenes',
+        'packs.empty': 'No hay paquetes de imágenes instalados; las tarjetas muestran emoji.',
+        'packs.noPhotos': 'Todavía no hay fotos personales.',
+        'packs.removeItem': 'Quitar {name}',
+        'packs.needsManifest': 'Seleccione el manifest.json del paquete junto con sus imágenes.',
+        'packs.installed': 'Se instaló "{name}" con {count} imágenes.',
+        'packs.invalid': 'No se puede instalar este paquete de imágenes:',
+        'packs.installFailed': 'No se pudo instalar el paquete. Inténtelo de nuevo.',
+        'packs.confirmRemove': '¿Quitar el paquete de imágenes "{name}"?',
+        'packs.removed': 'Se quitó "{name}".',
+        'packs.removeFailed': 'No se pudo quitar el paquete. Inténtelo de nuevo.',
+        'packs.needsPhoto': 'Escriba una palabra y elija una foto de ella.',
+        'packs.photoTooLarge': 'Esa foto es demasiado grande. Elija una de menos de 2 MB.',
+        'packs.photoAdded': 'Se añadió una foto de "{word}".',
+        'packs.photoFailed': 'No se pudo añadir la foto. Inténtelo de nuevo.',
+        'packs.photoRemoveFailed': 'No se pudo quitar la foto. Inténtelo de nuevo.',
+        'packs.error.json': 'manifest.json no es JSON válido.',
+        'packs.error.id': '"id" solo puede usar minúsculas, dígitos y guiones.',
+        'packs.error.reserved': '"{id}" está reservado para las fotos personales.',
+        'packs.error.images': '"images" debe incluir al menos una imagen.',
+        'packs.error.file': '{field} debe ser el nombre de un archivo SVG, PNG, JPEG o WebP.',
+        'packs.error.synonyms': '{field} debe ser una lista de palabras.',
+        'packs.error.missingFile': '{file} aparece en el manifiesto pero no se seleccionó.',
+        'packs.error.photoWord': 'Escriba la palabra que muestra esta foto.',
+        'settings.server': 'Servidor',
+        'settings.serverPlaceholder': 'https://echo.example.org',
+        'settings.serverHelp': 'Déjelo vacío para que todo se quede en este dispositivo. Con un servidor, este transcribe la voz y sugiere palabras, y este dispositivo toma el relevo cuando no se puede contactar con el servidor.',
+        'settings.serverEmail': 'Correo electrónico',
+        'settings.serverPassword': 'Contraseña',
+        'settings.serverSignIn': 'Iniciar sesión',
+        'settings.serverSignOut': 'Cerrar sesión',
+        'backend.local': 'No hay servidor configurado; todo se ejecuta en este dispositivo.',
+        'backend.signedOut': 'Inicie sesión para usar {server}. Mientras tanto, todo se ejecuta en este dispositivo.',
+        'backend.signingIn': 'Iniciando sesión...',
+        'backend.signInFailed': 'No se pudo iniciar sesión: {error}',
+        'backend.connected': 'Conectado a {server}.',
+        'backend.connecting': 'Conectando con {server}...',
+        'backend.offline': 'No se puede conectar con {server}; se usa este dispositivo hasta que vuelva.',
+        'backend.pending': 'Actualizaciones de sesión pendientes de envío: {count}.',
+        'update.available': 'Hay una nueva versión de Cognitive Echo lista.',
+        'update.reload': 'Actualizar ahora',
+        'update.later': 'Más tarde',
+        'settings.save': 'Guardar ajustes'
+    },
+
+    hi: {
+        'app.title': 'Cognitive Echo',
+        'common.loading': 'लोड हो रहा है...',
+        'common.new': 'नया',
+        'common.rename': 'नाम बदलें',
+        'common.delete': 'हटाएँ',
+        'common.back': 'वापस',
+        'common.cancel': 'रद्द करें',
+        'common.backToApp': 'Cognitive Echo पर वापस जाएँ',
+        'common.remove': 'हटाएँ',
+        'common.imageType': 'कोई चित्र फ़ाइल चुनें (PNG, JPEG या SVG)।',
+
+        'welcome.subtitle': 'एआई संचार सहायक',
+        'welcome.description': 'सहायक संचार तकनीक का भविष्य आज़माएँ। हमारा एआई आपकी आवाज़, इशारों और संदर्भ से आपकी बात पूरी करने में मदद करता है।',
+        'welcome.voiceTitle': 'आवाज़ की पहचान',
+        'welcome.voiceText': 'बोली को समझना और वाक्य पूरे करना',
+        'welcome.gestureTitle': 'इशारों की पहचान',
+        'welcome.gestureText': 'बातचीत में मदद करने वाले दृश्य संकेत',
+        'welcome.predictTitle': 'एआई सुझाव',
+        'welcome.predictText': 'संदर्भ के अनुसार वाक्य पूरे करना',
+        'welcome.start': 'डेमो शुरू करें',
+
+        'permission.title': 'कैमरा और माइक्रोफ़ोन की अनुमति',
+        'permission.intro': 'सबसे अच्छे अनुभव के लिए Cognitive Echo को आपके कैमरे और माइक्रोफ़ोन की ज़रूरत है।',
+        'permission.micTitle': 'माइक्रोफ़ोन की अनुमति',
+        'permission.micText': 'आपके बोलने के ढंग से वाक्यों का अनुमान लगाकर उन्हें पूरा करता है',
+        'permission.cameraTitle': 'कैमरे की अनुमति',
+        'permission.cameraText': 'बेहतर बातचीत के लिए इशारों और चेहरे के भावों को समझता है',
+        'permission.camera': 'कैमरा:',
+        'permission.microphone': 'माइक्रोफ़ोन:',
+        'permission.grant': 'अनुमति दें',
+        'permission.demo': 'डेमो मोड में जारी रखें',
+        'permission.retry': 'फिर से कोशिश करें',
+        'permission.requesting': 'कैमरा और माइक्रोफ़ोन की अनुमति माँगी जा रही है...',
+        'status.waiting': 'प्रतीक्षा में',
+        'status.requesting': 'माँगी जा रही है...',
+        'status.granted': 'मिल गई',
+        'status.denied': 'नहीं मिली',
+        'status.notFound': 'नहीं मिला',
+        'status.notSupported': 'समर्थित नहीं',
+        'status.error': 'त्रुटि',
+        'error.denied': 'कैमरा/माइक्रोफ़ोन की अनुमति नहीं दी गई। कृपया अनुमति दें और फिर से कोशिश करें।',
+        'error.notFound': 'कोई कैमरा या माइक्रोफ़ोन नहीं मिला। कृपया डिवाइस जोड़ें और पेज रीफ़्रेश करें।',
+        'error.notSupported': 'आपका ब्राउज़र कैमरा/माइक्रोफ़ोन का उपयोग नहीं कर सकता। कृपया Chrome, Firefox या Edge इस्तेमाल करें।',
+        'error.generic': 'कैमरा/माइक्रोफ़ोन चालू करते समय त्रुटि हुई। कृपया पेज रीफ़्रेश करके फिर से कोशिश करें।',
+        'remedy.denied.chrome': 'Chrome में, पता बार के दाईं ओर कैमरा आइकन पर क्लिक करें, इस साइट को हमेशा अनुमति दें चुनें, फिर से कोशिश करें।',
+        'remedy.denied.edge': 'Edge में, पता बार में ताले के आइकन पर क्लिक करें, कैमरा और माइक्रोफ़ोन को अनुमति दें पर सेट करें, फिर से कोशिश करें।',
+        'remedy.denied.firefox': 'Firefox में, पता बार में कटे हुए कैमरा या माइक्रोफ़ोन आइकन पर क्लिक करें, रोक हटाएँ, फिर से कोशिश करें।',
+        'remedy.denied.safari': 'Safari में, Safari मेन्यू से इस वेबसाइट की सेटिंग खोलें, कैमरा और माइक्रोफ़ोन को अनुमति दें, फिर से कोशिश करें।',
+        'remedy.denied.other': 'ब्राउज़र में इस साइट की सेटिंग खोलें, कैमरा और माइक्रोफ़ोन की अनुमति दें, फिर से कोशिश करें।',
+        'remedy.notFound': 'जाँचें कि कैमरा या माइक्रोफ़ोन लगा हुआ और चालू है।',
+        'remedy.inUse': 'शायद कोई और ऐप कैमरा या माइक्रोफ़ोन इस्तेमाल कर रहा है। उसे बंद करें, फिर से कोशिश करें।',
+        'remedy.notSupported': 'यह पेज https पर Chrome, Edge, Firefox या Safari के नए संस्करण में खोलें।',
+
+        'device.title': 'अपने डिवाइस चुनें',
+        'device.intro': 'कई डिवाइस मिले हैं। कृपया अपना पसंदीदा कैमरा और माइक्रोफ़ोन चुनें।',
+        'device.camera': 'कैमरा',
+        'device.microphone': 'माइक्रोफ़ोन',
+        'device.selectCamera': 'कैमरा चुनें',
+        'device.selectMicrophone': 'माइक्रोफ़ोन चुनें',
+        'device.cameraNumber': 'कैमरा {number}',
+        'device.microphoneNumber': 'माइक्रोफ़ोन {number}',
+        'device.audioLevel': 'आवाज़ का स्तर:',
+        'device.sensitivity': 'संवेदनशीलता:',
+        'device.calibrate': 'कैलिब्रेट करें',
+        'device.calibrateHelp': 'पीछे का शोर मापकर सुझाई गई संवेदनशीलता पाने के लिए कैलिब्रेट करें। इस दौरान चुप रहें।',
+        'device.useSuggested': 'सुझाई गई संवेदनशीलता अपनाएँ',
+        'device.continue': 'चुने गए डिवाइस के साथ आगे बढ़ें',
+        'calibration.noPreview': 'माइक्रोफ़ोन प्रीव्यू नहीं चल रहा है, इसलिए शोर नहीं मापा जा सकता।',
+        'calibration.measuring': 'पीछे का शोर मापा जा रहा है - कृपया 3 सेकंड चुप रहें...',
+        'calibration.result': 'पीछे का शोर पूरे स्तर का {noise}% है। सुझाई गई संवेदनशीलता: {suggested}%।',
+        'calibration.failed': 'कैलिब्रेशन नहीं हो सका। कृपया फिर से कोशिश करें।',
+        'calibration.saved': 'संवेदनशीलता "{profile}" प्रोफ़ाइल में सहेजी गई।',
+        'media.fallback': '{preferred} डिस्कनेक्ट हो गया - इसकी जगह {device} का उपयोग हो रहा है।',
+        'media.restored': 'फिर से {device} पर लौट आए।',
+        'media.cameraLost': 'कैमरा डिस्कनेक्ट हो गया। इशारों और सिर से पॉइंटिंग के लिए कैमरा लगाएँ।',
+        'media.microphoneLost': 'माइक्रोफ़ोन डिस्कनेक्ट हो गया। बात जारी रखने के लिए माइक्रोफ़ोन लगाएँ।',
+        'media.cameraMuted': 'कैमरे से वीडियो आना बंद हो गया है।',
+        'media.microphoneMuted': 'माइक्रोफ़ोन से आवाज़ आना बंद हो गई है।',
+        'media.cameraBlocked': 'कैमरे की अनुमति नहीं है - इशारों और सिर से पॉइंटिंग के बिना जारी है।',
+        'media.microphoneBlocked': 'माइक्रोफ़ोन की अनुमति नहीं है - परिदृश्यों और कैमरे के साथ जारी है।',
+        'media.error': '{device} पर नहीं जा सके। कृपया कनेक्शन जाँचें।',
+
+        'success.title': 'सेटअप पूरा हुआ!',
+        'success.text': 'आपका कैमरा और माइक्रोफ़ोन ठीक से काम कर रहे हैं।',
+        'success.tips': 'अच्छे नतीजों के लिए सुझाव:',
+        'success.enter': 'Cognitive Echo खोलें',
+        'tips': [
+            'साफ़ और सामान्य गति से बोलें',
+            'इशारों की बेहतर पहचान के लिए कैमरे की ओर देखें',
+            'अपनी बात पूरी करने के लिए चित्रों की मदद लें',
+            'गलतियों की चिंता न करें - एआई उनसे सीखता है'
+        ],
+
+        'main.decks': 'डेक',
+        'main.progress': 'प्रगति',
+        'main.settings': 'सेटिंग्स',
+        'main.exit': 'बाहर निकलें',
+        'main.record': '⏺ रिकॉर्ड करें',
+        'main.stopRecording': '⏹ रिकॉर्डिंग रोकें',
+        'main.recordings': 'रिकॉर्डिंग',
+        'main.live': 'लाइव',
+        'main.saying': 'आप कह रहे हैं:',
+        'main.clickToStart': 'शुरू करने के लिए \'सुनना शुरू करें\' दबाएँ...',
+        'main.listening': 'सुन रहे हैं...',
+        'main.noScenarios': 'इस डेक में अभी कोई परिदृश्य नहीं है। डेक से कुछ जोड़ें।',
+        'main.predictions': 'सुझाव:',
+        'main.completed': 'पूरा वाक्य:',
+        'main.undo': '↩ पूर्ववत करें',
+        'main.undoTitle': 'पिछला बदलाव वापस लें',
+        'main.finish': '✓ पूरा करें',
+        'main.finishTitle': 'वाक्य बोलें और नया शुरू करें',
+        'main.repeat': '🔊 दोहराएँ',
+        'main.repeatTitle': 'फिर से बोलें',
+        'main.sentenceWords': 'आपके वाक्य के शब्द',
+        'main.sentencePlaceholder': 'आपका पूरा वाक्य यहाँ दिखेगा...',
+        'main.startListening': 'सुनना शुरू करें',
+        'main.stopListening': 'सुनना बंद करें',
+        'main.reset': 'रीसेट करें',
+        'main.deck': 'डेक',
+        'main.scenario': 'परिदृश्य',
+        'main.toggleVideo': 'वीडियो चालू/बंद',
+        'main.demoMode': 'डेमो मोड',
+        'main.cameraSimulation': 'कैमरा सिमुलेशन',
+        'main.toggleAudio': 'ऑडियो चालू/बंद',
+        'main.nextScenario': 'अगला परिदृश्य',
+        'main.recenter': 'हेड पॉइंटर को बीच में लाएँ',
+        'main.processing': 'प्रोसेस हो रहा है:',
+        'main.missingWord': 'छूटा हुआ शब्द',
+        'gesture.point': '👉 {direction} इशारा',
+        'gesture.left': 'बाईं ओर',
+        'gesture.right': 'दाईं ओर',
+        'gesture.up': 'ऊपर',
+        'gesture.eat': '🍽️ खाना',
+        'gesture.drink': '🥤 पीना',
+        'gesture.nod': '👍 हाँ',
+        'gesture.shake': '👎 नहीं',
+        'predictions.empty': 'अभी पक्का नहीं - थोड़ा और बताने की कोशिश करें।',
+        'predictions.card': '{number}: {label}, {confidence}% विश्वास',
+        'predictions.announce': '{count} सुझाव: {labels}। चुनने के लिए 1 से {max} दबाएँ।',
+        'predictions.rejected': '{word} हटाया गया',
+        'predictions.noneLeft': '{word} हटाया गया। कोई सुझाव नहीं बचा।',
+        'sentence.moveEarlier': '{word} को पहले ले जाएँ',
+        'sentence.moveLater': '{word} को बाद में ले जाएँ',
+        'sentence.remove': '{word} हटाएँ',
+        'sentence.cleared': 'वाक्य साफ़ किया गया',
+        'sentence.current': 'वाक्य: {sentence}',
+        'sentence.finished': 'पूरा हुआ: {sentence}',
+
+        'history.title': 'आपकी प्रगति',
+        'history.loading': 'आपकी प्रगति लोड हो रही है...',
+        'history.byDay': 'दिन के अनुसार',
+        'history.byCategory': 'शब्द की श्रेणी के अनुसार',
+        'history.share': 'अपने थेरेपिस्ट के साथ साझा करें',
+        'history.exportJson': 'JSON निर्यात करें',
+        'history.exportCsv': 'CSV निर्यात करें',
+        'history.importJson': 'JSON आयात करें',
+        'history.unavailable': 'इस ब्राउज़र में प्रगति ट्रैकिंग उपलब्ध नहीं है।',
+        'history.loadFailed': 'आपकी प्रगति लोड नहीं हो सकी। कृपया फिर से कोशिश करें।',
+        'history.exportFailed': 'आपके सत्र निर्यात नहीं हो सके। कृपया फिर से कोशिश करें।',
+        'history.imported': '{sessions} सत्रों से {attempts} प्रयास आयात किए गए।',
+        'history.importSkipped': 'पहले से आयात किए गए {attempts} प्रयास छोड़ दिए गए।',
+        'history.none': 'पिछले चार हफ़्तों में अभी तक कोई प्रयास दर्ज नहीं हुआ।',
+        'history.summary': 'पिछले चार हफ़्तों में {attempts} में से {completed} प्रयास पूरे हुए',
+        'history.summaryWithTime': 'पिछले चार हफ़्तों में {attempts} में से {completed} प्रयास पूरे हुए · चुनने में औसतन {seconds} सेकंड',
+        'history.importInvalid': 'यह फ़ाइल आयात नहीं की जा सकती:',
+        'history.importFailed': 'फ़ाइल आयात नहीं हो सकी। कृपया फिर से कोशिश करें।',
+        'category.place': 'जगहें',
+        'category.outside': 'बाहर',
+        'category.person': 'लोग',
+        'category.building': 'इमारतें',
+        'category.animal': 'जानवर',
+        'category.pet': 'पालतू जानवर',
+        'category.food': 'खाना',
+        'category.bathroom': 'बाथरूम',
+        'category.drink': 'पेय',
+        'category.fruit': 'फल',
+        'category.kitchen': 'रसोई',
+        'category.furniture': 'फ़र्नीचर',
+        'category.clothes': 'कपड़े',
+        'category.family': 'परिवार',
+        'category.other': 'अन्य',
+        'validation.json': 'फ़ाइल मान्य JSON नहीं है।',
+        'validation.notObject': 'फ़ाइल में JSON ऑब्जेक्ट नहीं है।',
+        'validation.format': '"format" का मान "{expected}" होना चाहिए।',
+        'validation.version': 'संस्करण {version} समर्थित नहीं है; {expected} अपेक्षित है।',
+        'validation.required': '{field} ज़रूरी है।',
+        'validation.object': '{field} एक ऑब्जेक्ट होना चाहिए।',
+        'validation.list': '{field} एक सूची होनी चाहिए।',
+        'validation.text': '{field} पाठ होना चाहिए।',
+        'validation.textOrEmpty': '{field} पाठ या खाली होना चाहिए।',
+        'validation.choice': '{field} इनमें से एक होना चाहिए: {choices}।',
+        'validation.date': '{field} ISO 8601 तारीख़ होनी चाहिए।',
+        'validation.dateOrEmpty': '{field} ISO 8601 तारीख़ या खाली होना चाहिए।',
+        'validation.duplicate': '{field} {value} एक से ज़्यादा बार है।',
+        'validation.wholeNumber': '{field} 0 या उससे बड़ी पूर्ण संख्या होनी चाहिए।',
+        'validation.confidence': '{field} 0 और 1 के बीच होना चाहिए।',
+        'validation.positiveOrEmpty': '{field} धनात्मक संख्या या खाली होना चाहिए।',
+        'validation.more': '...और {count} अन्य।',
+        'import.error.session': '{field} किसी सत्र से मेल नहीं खाता।',
+        'import.error.prediction': '{field} में एक शब्द और 0 से 1 के बीच विश्वास होना चाहिए।',
+        'import.error.selected': '{field} में एक शब्द होना चाहिए।',
+        'recording.consentTitle': 'क्या इस सत्र को रिकॉर्ड करें?',
+        'recording.consentText': 'Cognitive Echo कैमरा और माइक्रोफ़ोन रिकॉर्ड करेगा, साथ ही जो कहा गया, जो अनुमान दिखाए गए और जो शब्द चुने गए, ताकि थेरेपिस्ट बाद में सत्र देख सकें।',
+        'recording.consentStorage': 'रिकॉर्डिंग इसी डिवाइस पर रहती है। इसे कभी अपलोड नहीं किया जाता, और आप इसे कभी भी रिकॉर्डिंग में जाकर हटा सकते हैं।',
+        'recording.agree': 'मैं सहमत हूँ - रिकॉर्डिंग शुरू करें',
+        'recording.started': 'रिकॉर्डिंग शुरू हुई',
+        'recording.saved': 'रिकॉर्डिंग सहेजी गई',
+        'recording.failed': 'इस सत्र को रिकॉर्ड नहीं किया जा सका।',
+        'recording.unsupported': 'इस ब्राउज़र में रिकॉर्डिंग उपलब्ध नहीं है।',
+        'replay.title': 'सत्र रिकॉर्डिंग',
+        'replay.intro': 'रिकॉर्डिंग केवल इसी डिवाइस पर रखी जाती हैं। किसी एक को चुनें और देखें कि क्या हुआ।',
+        'replay.empty': 'अभी कोई रिकॉर्डिंग नहीं है।',
+        'replay.item': '{date} · {duration} · {count} घटनाएँ',
+        'replay.play': 'चलाएँ',
+        'replay.delete': 'हटाएँ',
+        'replay.deleteAll': 'सभी रिकॉर्डिंग हटाएँ',
+        'replay.deleted': 'रिकॉर्डिंग हटा दी गई।',
+        'replay.allDeleted': 'सभी रिकॉर्डिंग हटा दी गईं।',
+        'replay.deleteFailed': 'रिकॉर्डिंग हटाई नहीं जा सकी। कृपया फिर से कोशिश करें।',
+        'replay.loadFailed': 'रिकॉर्डिंग लोड नहीं हो सकीं। कृपया फिर से कोशिश करें।',
+        'replay.noMedia': 'कोई वीडियो रिकॉर्ड नहीं हुआ - केवल समय-रेखा रखी गई।',
+        'replay.transcript': 'सुना: "{text}"',
+        'replay.predictions': 'सुझाव: {words}',
+        'replay.selection': 'चुना: {word}',
+        'replay.rejection': 'हटाया: {word}',
+        'replay.sentence': 'वाक्य: {text}',
+
+        'decks.title': 'परिदृश्य डेक',
+        'decks.intro': 'इस व्यक्ति के रोज़ के वाक्यों के डेक बनाएँ, जैसे "रसोई" या "परिवार"।',
+        'decks.deck': 'डेक',
+        'decks.name': 'डेक का नाम',
+        'decks.delete': 'डेक हटाएँ',
+        'decks.new': 'नया डेक',
+        'decks.addScenario': 'परिदृश्य जोड़ें',
+        'decks.empty': 'अभी कोई परिदृश्य नहीं है। इस व्यक्ति के रोज़ के वाक्य जोड़ें।',
+        'decks.moveUp': 'ऊपर ले जाएँ',
+        'decks.moveDown': 'नीचे ले जाएँ',
+        'decks.edit': 'बदलें',
+        'decks.deleteScenario': 'यह परिदृश्य हटाएँ?',
+        'decks.newDeckName': 'नए डेक का नाम, जैसे "रसोई" या "परिवार"',
+        'decks.deleteDeck': '"{name}" डेक और उसके सभी परिदृश्य हटाएँ?',
+        'decks.needsName': 'डेक को एक नाम दें।',
+        'decks.keepOne': 'कम से कम एक डेक रखें।',
+        'decks.saveFailed': 'डेक सहेजे नहीं जा सके - शायद डिवाइस में जगह नहीं बची है।',
+        'decks.changeFailed': 'डेक बदला नहीं जा सका। कृपया फिर से कोशिश करें।',
+        'scenario.newTitle': 'नया परिदृश्य',
+        'scenario.editTitle': 'परिदृश्य बदलें',
+        'scenario.prompt': 'वे क्या कह सकते हैं',
+        'scenario.promptPlaceholder': 'चाहिए कुछ... ठंडा... उसमें से...',
+        'scenario.words': 'संभावित शब्द (कॉमा से अलग, सबसे अच्छा पहले)',
+        'scenario.wordsPlaceholder': 'पानी, जूस, दूध',
+        'scenario.emoji': 'इमोजी',
+        'scenario.label': 'लेबल',
+        'scenario.labelPlaceholder': 'पानी का गिलास',
+        'scenario.image': 'फ़ोटो (वैकल्पिक, इमोजी की जगह दिखेगी)',
+        'scenario.sentence': 'लक्ष्य वाक्य',
+        'scenario.sentencePlaceholder': 'फ़्रिज से ठंडा पानी चाहिए',
+        'scenario.save': 'परिदृश्य सहेजें',
+        'scenario.imageTooLarge': 'यह चित्र बहुत बड़ा है। कृपया 512 KB से छोटा चित्र चुनें।',
+        'scenario.imageUnreadable': 'यह चित्र पढ़ा नहीं जा सका।',
+        'scenario.imagePreview': 'दृश्य सहायता का पूर्वावलोकन',
+        'scenario.removeImage': 'चित्र हटाएँ',
+        'scenario.needsPrompt': 'वह अधूरा वाक्य लिखें जो उपयोगकर्ता कह सकता है।',
+        'scenario.needsWords': 'कम से कम एक संभावित शब्द जोड़ें।',
+        'scenario.needsAid': 'दृश्य सहायता के लिए इमोजी या चित्र चुनें।',
+        'scenario.needsLabel': 'दृश्य सहायता को एक लेबल दें।',
+        'scenario.needsSentence': 'लक्ष्य वाक्य लिखें।',
+
+        'settings.title': 'सेटिंग्स',
+        'settings.profile': 'प्रोफ़ाइल',
+        'settings.profileHelp': 'हर प्रोफ़ाइल की अपनी सेटिंग्स होती हैं, जैसे एक मरीज़ के लिए और एक थेरेपिस्ट के लिए।',
+        'settings.newProfile': 'नई प्रोफ़ाइल का नाम, जैसे "थेरेपिस्ट"',
+        'settings.renameProfile': 'इस प्रोफ़ाइल का नाम बदलें',
+        'settings.deleteProfile': '"{name}" प्रोफ़ाइल हटाएँ?',
+        'settings.needsProfileName': 'प्रोफ़ाइल को एक नाम दें।',
+        'settings.keepOneProfile': 'कम से कम एक प्रोफ़ाइल रखें।',
+        'settings.profileFailed': 'प्रोफ़ाइल बदली नहीं जा सकी। कृपया फिर से कोशिश करें।',
+        'settings.language': 'भाषा',
+        'settings.languageHelp': 'इंटरफ़ेस, Cognitive Echo के सुझाए शब्द, परिदृश्य डेक और बोलने वाली आवाज़ बदलती है।',
+        'settings.audio': 'ऑडियो प्रोसेसिंग',
+        'settings.video': 'वीडियो प्रोसेसिंग',
+        'settings.gestures': 'इशारों की पहचान',
+        'settings.gesturesHelp': 'इशारा करना और खाने-पीने का अभिनय सुझावों को दिशा देते हैं। चुने हुए कार्ड के लिए सिर हिलाकर हाँ कहें, हटाने के लिए सिर हिलाकर ना कहें। वीडियो केवल इसी डिवाइस पर जाँचा जाता है।',
+        'settings.autoStart': 'खुलते ही अपने-आप सुनना शुरू करें',
+        'settings.sensitivity': 'एआई संवेदनशीलता',
+        'settings.sensitivityHelp': 'ज़्यादा होने पर धीमी आवाज़ भी पकड़ता है, रुकावटों में ज़्यादा इंतज़ार करता है और कम पक्के सुझाव भी दिखाता है।',
+        'settings.volume': 'आवाज़',
+        'settings.voice': 'बोलने वाली आवाज़',
+        'settings.defaultVoice': 'डिफ़ॉल्ट आवाज़',
+        'settings.rate': 'बोलने की गति',
+        'settings.pitch': 'आवाज़ का सुर',
+        'settings.speakPredictions': 'कार्ड पर जाने पर सुझाव पढ़कर सुनाएँ',
+        'settings.switchScanning': 'स्विच स्कैनिंग',
+        'settings.switchScanningHelp': 'हर कार्ड और बटन को बारी-बारी से चिह्नित करता है। चुनने के लिए स्पेस या एंटर (या अपना स्विच) दबाएँ।',
+        'settings.scanSpeed': 'स्कैन की गति (हर चीज़ पर सेकंड)',
+        'settings.dwell': 'ठहरकर चुनना',
+        'settings.dwellOff': 'बंद',
+        'settings.dwellMouse': 'माउस पॉइंटर',
+        'settings.dwellHead': 'हेड पॉइंटर (कैमरा)',
+        'settings.dwellHelp': 'चुनने के लिए पॉइंटर को कार्ड पर रोककर रखें। सिर की ट्रैकिंग केवल इसी डिवाइस पर होती है; कुछ भी अपलोड नहीं होता।',
+        'settings.dwellTime': 'ठहरने का समय (सेकंड)',
+        'settings.dwellIndicator': 'ठहरने का संकेत',
+        'settings.dwellFill': 'कार्ड भरें',
+        'settings.dwellBar': 'प्रगति पट्टी',
+        'settings.vocabulary': 'निजी शब्दावली',
+        'settings.vocabularyHelp': 'आपकी पसंद से Cognitive Echo के सीखे हुए शब्द।',
+        'settings.resetVocabulary': 'सीखा हुआ मिटाएँ',
+        'settings.resetVocabularyConfirm': 'Cognitive Echo ने आपकी पसंद से जो सीखा है, क्या वह सब भुला दें?',
+        'settings.vocabularyEmpty': 'अभी कुछ नहीं सीखा - पहले कुछ अनुमान चुनें।',
+        'settings.vocabularyDetail': '{accepted}× चुना गया, भार {weight}',
+        'settings.picturePacks': 'चित्र पैक',
+        'settings.picturePacksHelp': 'पैक इंस्टॉल करने के लिए उसकी manifest.json और सभी चित्र एक साथ चुनें।',
+        'settings.installPack': 'पैक इंस्टॉल करें',
+        'settings.personalPhotos': 'निजी फ़ोटो',
+        'settings.personalPhotosHelp': 'उपयोगकर्ता की अपनी चीज़ों की फ़ोटो पैक के चित्रों की जगह दिखाई जाती हैं।',
+        'settings.photoWord': 'शब्द, जैसे कुत्ता',
+        'settings.addPhoto': 'फ़ोटो जोड़ें',
+        'settings.photoWordLabel': 'फ़ोटो में दिखने वाला शब्द',
+        'settings.photoFile': 'फ़ोटो',
+        'packs.pictures': '{count} चित्र',
+        'packs.empty': 'कोई चित्र पैक इंस्टॉल नहीं है - कार्ड इमोजी दिखाते हैं।',
+        'packs.noPhotos': 'अभी कोई निजी फ़ोटो नहीं है।',
+        'packs.removeItem': '{name} हटाएँ',
+        'packs.needsManifest': 'पैक की manifest.json फ़ाइल उसके चित्रों के साथ चुनें।',
+        'packs.installed': '"{name}" {count} चित्रों के साथ इंस्टॉल हुआ।',
+        'packs.invalid': 'यह चित्र पैक इंस्टॉल नहीं किया जा सकता:',
+        'packs.installFailed': 'पैक इंस्टॉल नहीं हो सका। कृपया फिर से कोशिश करें।',
+        'packs.confirmRemove': '"{name}" चित्र पैक हटाएँ?',
+        'packs.removed': '"{name}" हटा दिया गया।',
+        'packs.removeFailed': 'पैक हटाया नहीं जा सका। कृपया फिर से कोशिश करें।',
+        'packs.needsPhoto': 'एक शब्द लिखें और उसकी फ़ोटो चुनें।',
+        'packs.photoTooLarge': 'यह फ़ोटो बहुत बड़ी है। कृपया 2 MB से छोटी फ़ोटो चुनें।',
+        'packs.photoAdded': '"{word}" की फ़ोटो जोड़ी गई।',
+        'packs.photoFailed': 'फ़ोटो जोड़ी नहीं जा सकी। कृपया फिर से कोशिश करें।',
+        'packs.photoRemoveFailed': 'फ़ोटो हटाई नहीं जा सकी। कृपया फिर से कोशिश करें।',
+        'packs.error.json': 'manifest.json मान्य JSON नहीं है।',
+        'packs.error.id': '"id" में केवल छोटे अक्षर, अंक और डैश हो सकते हैं।',
+        'packs.error.reserved': '"{id}" निजी फ़ोटो के लिए आरक्षित है।',
+        'packs.error.images': '"images" में कम से कम एक चित्र होना चाहिए।',
+        'packs.error.file': '{field} किसी SVG, PNG, JPEG या WebP फ़ाइल का नाम होना चाहिए।',
+        'packs.error.synonyms': '{field} शब्दों की सूची होनी चाहिए।',
+        'packs.error.missingFile': '{file} मैनिफ़ेस्ट में है, पर चुनी नहीं गई।',
+        'packs.error.photoWord': 'यह फ़ोटो जो शब्द दिखाती है, वह लिखें।',
+        'settings.server': 'सर्वर',
+        'settings.serverPlaceholder': 'https://echo.example.org',
+        'settings.serverHelp': 'सब कुछ इसी डिवाइस पर रखने के लिए खाली छोड़ें। सर्वर होने पर वह बोली को लिखता है और शब्द सुझाता है, और जब सर्वर तक न पहुँचा जा सके तो यह डिवाइस काम संभाल लेता है।',
+        'settings.serverEmail': 'ईमेल',
+        'settings.serverPassword': 'पासवर्ड',
+        'settings.serverSignIn': 'साइन इन करें',
+        'settings.serverSignOut': 'साइन आउट करें',
+        'backend.local': 'कोई सर्वर सेट नहीं है - सब कुछ इसी डिवाइस पर चलता है।',
+        'backend.signedOut': '{server} का उपयोग करने के लिए साइन इन करें। तब तक सब कुछ इसी डिवाइस पर चलता है।',
+        'backend.signingIn': 'साइन इन हो रहा है...',
+        'backend.signInFailed': 'साइन इन नहीं हो सका: {error}',
+        'backend.connected': '{server} से जुड़े हैं।',
+        'backend.connecting': '{server} से जुड़ रहे हैं...',
+        'backend.offline': '{server} से नहीं जुड़ पा रहे - उसके वापस आने तक यह डिवाइस इस्तेमाल हो रहा है।',
+        'backend.pending': 'भेजे जाने के लिए बाकी सत्र अपडेट: {count}।',
+        'update.available': 'Cognitive Echo का नया संस्करण तैयार है।',
+        'update.reload': 'अभी अपडेट करें',
+        'update.later': 'बाद में',
+        'settings.save': 'सेटिंग्स सहेजें'
+    }
+};
+
+class Translator {
+    constructor(language = DEFAULT_LANGUAGE, catalogs = MESSAGE_CATALOGS) {
+        this.catalogs = catalogs;
+        this.language = DEFAULT_LANGUAGE;
+        this.setLanguage(language);
+    }
+
+    setLanguage(language) {
+        this.language = this.catalogs[language] ? language : DEFAULT_LANGUAGE;
+    }
+
+    get locale() {
+        return (SUPPORTED_LANGUAGES[this.language] || SUPPORTED_LANGUAGES[DEFAULT_LANGUAGE]).locale;
+    }
+
+    // Lists (like the tips) come back as they are; strings get their {placeholders} filled
+    t(key, params = {}) {
+        const message = [this.catalogs[this.language], this.catalogs[DEFAULT_LANGUAGE]]
+            .map(catalog => catalog && catalog[key])
+            .find(value => value !== undefined);
+        if (message === undefined) return key;
+        if (typeof message !== 'string') return message;
+        return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    }
+
+    has(key) {
+        return [this.catalogs[this.language], this.catalogs[DEFAULT_LANGUAGE]]
+            .some(catalog => catalog && catalog[key] !== undefined);
+    }
+
+    // Errors meant for the user list what went wrong in `error.errors`, each a
+    // catalog key or { key, params }; any other error gets `fallbackKey`
+    errorMessage(error, fallbackKey) {
+        const errors = error && Array.isArray(error.errors) ? error.errors : [];
+        if (errors.length === 0) return this.t(fallbackKey);
+        return errors
+            .map(entry => (typeof entry === 'string' ? this.t(entry) : this.t(entry.key, entry.params)))
+            .join(' ');
+    }
+
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = this.t(el.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+            el.placeholder = this.t(el.dataset.i18nPlaceholder);
+        });
+        root.querySelectorAll('[data-i18n-title]').forEach(el => {
+            el.title = this.t(el.dataset.i18nTitle);
+        });
+        root.querySelectorAll('[data-i18n-label]').forEach(el => {
+            el.setAttribute('aria-label', this.t(el.dataset.i18nLabel));
+        });
+        if (root.documentElement) root.documentElement.lang = this.language;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_LANGUAGE,
+        MESSAGE_CATALOGS,
+        SUPPORTED_LANGUAGES,
+        Translator
+    };
+}
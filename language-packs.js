@@ -0,0 +1,203 @@
+// Cognitive Echo Language Packs
+//
+// Everything word finding needs in a language other than English: the
+// semantic-cue lexicon, the filler words and determiners the disfluency
+// analyzer listens for, everyday phrases for next-word suggestions and a
+// starter scenario deck. English keeps its data in the modules that use it
+// (cue-lexicon.js, disfluency-analyzer.js, sentence-builder.js,
+// scenario-decks.js), so its pack only names the deck.
+//
+// Lexicon entries have the same shape as CUE_LEXICON. Their `category` cues
+// are in the pack's language, so `groups` gives the English category names
+// that gesture hints and progress reports are keyed on.
+
+const LANGUAGE_PACKS = {
+    en: {
+        deckName: 'Everyday'
+    },
+
+    es: {
+        deckName: 'Diario',
+        fillers: ['eh', 'em', 'ehm', 'mmm', 'pues', 'o sea', 'sabes', 'digamos'],
+        discourseFillers: ['bueno'],
+        determiners: ['el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'mi', 'mis', 'tu', 'tus', 'su', 'sus', 'este', 'esta', 'ese', 'esa', 'al', 'del'],
+        lexicon: [
+            { word: 'parque', emoji: '🌳', groups: ['place', 'outside'], category: ['sitio', 'lugar'], color: ['verde'], function: ['pasear', 'jugar', 'caminar'], location: ['ciudad', 'fuera'], features: ['árboles', 'césped', 'banco', 'columpios'] },
+            { word: 'jardín', emoji: '🌷', groups: ['place', 'outside'], category: ['sitio', 'lugar'], color: ['verde'], function: ['plantar', 'regar'], location: ['casa', 'detrás'], features: ['flores', 'césped', 'tierra'] },
+            { word: 'bosque', emoji: '🌲', groups: ['place', 'outside'], category: ['sitio', 'lugar'], color: ['verde', 'marrón'], function: ['pasear', 'caminar'], location: ['campo', 'fuera'], features: ['árboles', 'madera', 'hojas'] },
+            { word: 'campo', emoji: '🌾', groups: ['place', 'outside'], category: ['sitio', 'lugar'], color: ['verde', 'amarillo'], function: ['cultivar', 'jugar'], location: ['pueblo', 'granja'], features: ['hierba', 'abierto', 'grande'] },
+            { word: 'tienda', emoji: '🏪', groups: ['place'], category: ['sitio', 'lugar'], color: [], function: ['comprar', 'pagar'], location: ['ciudad', 'calle'], features: ['dinero', 'caja', 'estantes'] },
+            { word: 'perro', emoji: '🐕', groups: ['animal', 'pet'], category: ['animal', 'mascota'], color: ['marrón', 'negro'], function: ['pasear', 'ladrar'], location: ['casa'], features: ['peludo', 'cuatro patas', 'cola', 'ladra'] },
+            { word: 'gato', emoji: '🐈', groups: ['animal', 'pet'], category: ['animal', 'mascota'], color: ['negro', 'naranja'], function: ['acariciar'], location: ['casa'], features: ['peludo', 'cuatro patas', 'bigotes', 'maúlla'] },
+            { word: 'pájaro', emoji: '🐦', groups: ['animal'], category: ['animal'], color: [], function: ['volar', 'cantar'], location: ['árbol', 'cielo', 'jaula'], features: ['plumas', 'alas', 'pico'] },
+            { word: 'cepillo', emoji: '🪥', groups: ['bathroom'], category: ['baño'], color: ['blanco'], function: ['cepillar', 'limpiar'], location: ['baño', 'lavabo'], features: ['dientes', 'boca', 'cerdas'] },
+            { word: 'pasta', emoji: '🦷', groups: ['bathroom'], category: ['baño'], color: ['blanco'], function: ['cepillar', 'limpiar'], location: ['baño', 'lavabo'], features: ['dientes', 'tubo', 'menta'] },
+            { word: 'dentista', emoji: '🦷', groups: ['person', 'place'], category: ['persona', 'sitio'], color: ['blanco'], function: ['revisar', 'cita'], location: ['clínica', 'consulta'], features: ['dientes', 'sillón'] },
+            { word: 'jabón', emoji: '🧼', groups: ['bathroom'], category: ['baño'], color: ['blanco'], function: ['lavar', 'limpiar'], location: ['baño', 'lavabo', 'ducha'], features: ['burbujas', 'manos', 'espuma'] },
+            { word: 'agua', emoji: '🥛', groups: ['drink'], category: ['bebida'], color: ['transparente'], function: ['beber', 'sed'], location: ['nevera', 'grifo', 'cocina'], features: ['frío', 'fría', 'vaso'] },
+            { word: 'zumo', emoji: '🧃', groups: ['drink'], category: ['bebida'], color: ['naranja'], function: ['beber', 'desayuno', 'sed'], location: ['nevera', 'cocina'], features: ['frío', 'dulce', 'fruta', 'vaso'] },
+            { word: 'leche', emoji: '🥛', groups: ['drink'], category: ['bebida'], color: ['blanco', 'blanca'], function: ['beber', 'cereales'], location: ['nevera', 'cocina'], features: ['fría', 'vaca', 'botella'] },
+            { word: 'café', emoji: '☕', groups: ['drink'], category: ['bebida'], color: ['marrón', 'negro'], function: ['beber', 'mañana', 'despertar'], location: ['cocina', 'bar'], features: ['caliente', 'taza'] },
+            { word: 'pan', emoji: '🍞', groups: ['food'], category: ['comida'], color: ['marrón', 'blanco'], function: ['comer', 'tostada', 'bocadillo'], location: ['cocina', 'panadería'], features: ['rebanada', 'barra', 'corteza'] },
+            { word: 'manzana', emoji: '🍎', groups: ['food', 'fruit'], category: ['comida', 'fruta'], color: ['roja', 'verde'], function: ['comer'], location: ['cocina', 'árbol', 'frutero'], features: ['redonda', 'dulce', 'crujiente'] },
+            { word: 'nevera', emoji: '🧊', groups: ['kitchen', 'furniture'], category: ['cocina', 'mueble'], color: ['blanca'], function: ['enfriar', 'guardar'], location: ['cocina'], features: ['frío', 'fría', 'puerta', 'grande'] },
+            { word: 'cama', emoji: '🛏️', groups: ['furniture'], category: ['mueble'], color: [], function: ['dormir', 'descansar'], location: ['dormitorio'], features: ['blanda', 'almohada', 'manta', 'noche'] },
+            { word: 'silla', emoji: '🪑', groups: ['furniture'], category: ['mueble'], color: [], function: ['sentarse'], location: ['cocina', 'mesa'], features: ['cuatro patas', 'respaldo', 'asiento'] },
+            { word: 'teléfono', emoji: '📱', groups: [], category: [], color: ['negro'], function: ['llamar', 'hablar', 'mensaje'], location: ['bolsillo', 'bolso'], features: ['pantalla', 'botones'] },
+            { word: 'gafas', emoji: '👓', groups: ['clothes'], category: ['ropa'], color: [], function: ['ver', 'leer'], location: ['cara', 'nariz', 'ojos'], features: ['cristales', 'montura'] },
+            { word: 'abrigo', emoji: '🧥', groups: ['clothes'], category: ['ropa'], color: [], function: ['abrigar', 'lluvia'], location: ['percha', 'fuera'], features: ['mangas', 'botones', 'frío'] },
+            { word: 'hija', emoji: '👧', groups: ['person', 'family'], category: ['persona', 'familia'], color: [], function: ['visitar', 'llamar'], location: [], features: ['niña', 'chica'] },
+            { word: 'hijo', emoji: '👦', groups: ['person', 'family'], category: ['persona', 'familia'], color: [], function: ['visitar', 'llamar'], location: [], features: ['niño', 'chico'] },
+            { word: 'enfermera', emoji: '🧑‍⚕️', groups: ['person'], category: ['persona'], color: ['azul', 'blanco'], function: ['ayudar', 'medicina', 'cuidar'], location: ['hospital', 'clínica'], features: ['uniforme'] }
+        ],
+        phrases: [
+            'Quiero ir a casa',
+            'Quiero agua',
+            'Necesito ir al baño',
+            'Quiero una taza de café',
+            'Estoy cansado',
+            'Tengo hambre',
+            'Tengo frío',
+            'Fui a pasear al parque',
+            'Me puedes ayudar',
+            'Te quiero',
+            'Dónde está mi teléfono',
+            'Quiero comer',
+            'Necesito mis gafas',
+            'Quiero dormir',
+            'Gracias'
+        ],
+        scenarios: [
+            {
+                fragmentedInput: 'Fui... a... eh... el sitio verde...',
+                predictions: ['parque', 'jardín', 'bosque', 'campo'],
+                visualAid: { emoji: '🌳', label: 'Parque' },
+                completedSentence: 'Fui a pasear al parque',
+                confidence: 0.85,
+                processingTime: 1200
+            },
+            {
+                fragmentedInput: 'con mi... em... peludo... cuatro patas...',
+                predictions: ['perro', 'gato', 'mascota', 'animal'],
+                visualAid: { emoji: '🐕', label: 'Perro' },
+                completedSentence: 'con mi perro',
+                confidence: 0.92,
+                processingTime: 800
+            },
+            {
+                fragmentedInput: 'Tengo que... lo blanco... para los dientes...',
+                predictions: ['cepillo', 'dentista', 'pasta', 'dientes'],
+                visualAid: { emoji: '🪥', label: 'Cepillo de dientes' },
+                completedSentence: 'Tengo que lavarme los dientes',
+                confidence: 0.78,
+                processingTime: 1500
+            },
+            {
+                fragmentedInput: 'Quiero un poco de... fría... de la...',
+                predictions: ['agua', 'zumo', 'leche', 'bebida'],
+                visualAid: { emoji: '🥛', label: 'Vaso de agua' },
+                completedSentence: 'Quiero un poco de agua fría de la nevera',
+                confidence: 0.88,
+                processingTime: 900
+            }
+        ]
+    },
+
+    hi: {
+        deckName: 'रोज़मर्रा',
+        fillers: ['उम्म', 'अं', 'हम्म', 'मतलब', 'यानी', 'पता है'],
+        discourseFillers: ['अच्छा'],
+        determiners: ['एक', 'वो', 'वह', 'यह', 'ये', 'मेरा', 'मेरी', 'मेरे', 'तुम्हारा', 'उसका', 'उसकी', 'कुछ'],
+        lexicon: [
+            { word: 'पार्क', emoji: '🌳', groups: ['place', 'outside'], category: ['जगह'], color: ['हरा', 'हरी'], function: ['सैर', 'घूमना', 'खेलना'], location: ['शहर', 'बाहर'], features: ['पेड़', 'घास', 'बेंच', 'झूले'] },
+            { word: 'बगीचा', emoji: '🌷', groups: ['place', 'outside'], category: ['जगह'], color: ['हरा', 'हरी'], function: ['पौधे', 'लगाना'], location: ['घर', 'पीछे'], features: ['फूल', 'घास', 'मिट्टी'] },
+            { word: 'जंगल', emoji: '🌲', groups: ['place', 'outside'], category: ['जगह'], color: ['हरा', 'हरी'], function: ['घूमना'], location: ['गाँव', 'बाहर'], features: ['पेड़', 'लकड़ी', 'पत्ते'] },
+            { word: 'खेत', emoji: '🌾', groups: ['place', 'outside'], category: ['जगह'], color: ['हरा', 'पीला'], function: ['खेती', 'फसल'], location: ['गाँव'], features: ['घास', 'खुला', 'बड़ा'] },
+            { word: 'दुकान', emoji: '🏪', groups: ['place'], category: ['जगह'], color: [], function: ['खरीदना', 'पैसे'], location: ['बाज़ार', 'सड़क'], features: ['सामान', 'दुकानदार'] },
+            { word: 'मंदिर', emoji: '🛕', groups: ['place', 'building'], category: ['जगह'], color: [], function: ['पूजा', 'प्रार्थना'], location: ['शहर', 'गाँव'], features: ['घंटी', 'भगवान'] },
+            { word: 'कुत्ता', emoji: '🐕', groups: ['animal', 'pet'], category: ['जानवर', 'पालतू'], color: ['भूरा', 'काला'], function: ['भौंकना', 'रखवाली'], location: ['घर'], features: ['बालों वाला', 'चार पैर', 'पूँछ'] },
+            { word: 'बिल्ली', emoji: '🐈', groups: ['animal', 'pet'], category: ['जानवर', 'पालतू'], color: ['काली', 'सफ़ेद'], function: ['म्याऊँ'], location: ['घर'], features: ['बालों वाली', 'चार पैर', 'मूँछें'] },
+            { word: 'गाय', emoji: '🐄', groups: ['animal'], category: ['जानवर'], color: ['सफ़ेद', 'भूरी'], function: ['दूध'], location: ['गाँव', 'खेत'], features: ['चार पैर', 'सींग', 'बड़ी'] },
+            { word: 'टूथब्रश', emoji: '🪥', groups: ['bathroom'], category: ['बाथरूम'], color: ['सफ़ेद'], function: ['ब्रश', 'साफ़'], location: ['बाथरूम'], features: ['दाँत', 'दाँतों', 'मुँह'] },
+            { word: 'टूथपेस्ट', emoji: '🦷', groups: ['bathroom'], category: ['बाथरूम'], color: ['सफ़ेद'], function: ['ब्रश', 'साफ़'], location: ['बाथरूम'], features: ['दाँत', 'दाँतों', 'ट्यूब'] },
+            { word: 'साबुन', emoji: '🧼', groups: ['bathroom'], category: ['बाथरूम'], color: [], function: ['नहाना', 'धोना'], location: ['बाथरूम'], features: ['झाग', 'हाथ'] },
+            { word: 'पानी', emoji: '🥛', groups: ['drink'], category: ['पीना'], color: [], function: ['प्यास', 'पीना'], location: ['फ्रिज', 'नल', 'रसोई'], features: ['ठंडा', 'गिलास'] },
+            { word: 'जूस', emoji: '🧃', groups: ['drink'], category: ['पीना'], color: ['नारंगी'], function: ['प्यास', 'नाश्ता'], location: ['फ्रिज', 'रसोई'], features: ['ठंडा', 'मीठा', 'फल'] },
+            { word: 'दूध', emoji: '🥛', groups: ['drink'], category: ['पीना'], color: ['सफ़ेद'], function: ['पीना'], location: ['फ्रिज', 'रसोई'], features: ['ठंडा', 'गरम', 'गाय'] },
+            { word: 'चाय', emoji: '🍵', groups: ['drink'], category: ['पीना'], color: ['भूरी'], function: ['सुबह', 'पीना'], location: ['रसोई'], features: ['गरम', 'कप', 'अदरक'] },
+            { word: 'रोटी', emoji: '🫓', groups: ['food'], category: ['खाना'], color: [], function: ['खाना', 'खाना खाना'], location: ['रसोई', 'तवा'], features: ['गोल', 'गरम', 'आटा'] },
+            { word: 'चावल', emoji: '🍚', groups: ['food'], category: ['खाना'], color: ['सफ़ेद'], function: ['खाना'], location: ['रसोई'], features: ['दाल', 'गरम'] },
+            { word: 'केला', emoji: '🍌', groups: ['food', 'fruit'], category: ['खाना', 'फल'], color: ['पीला'], function: ['खाना'], location: ['रसोई'], features: ['लंबा', 'छिलका', 'मीठा'] },
+            { word: 'फ्रिज', emoji: '🧊', groups: ['kitchen', 'furniture'], category: ['रसोई'], color: ['सफ़ेद'], function: ['ठंडा', 'रखना'], location: ['रसोई'], features: ['दरवाज़ा', 'बड़ा'] },
+            { word: 'बिस्तर', emoji: '🛏️', groups: ['furniture'], category: ['फ़र्नीचर'], color: [], function: ['सोना', 'आराम'], location: ['कमरा'], features: ['नरम', 'तकिया', 'चादर', 'रात'] },
+            { word: 'कुर्सी', emoji: '🪑', groups: ['furniture'], category: ['फ़र्नीचर'], color: [], function: ['बैठना'], location: ['कमरा', 'मेज़'], features: ['चार पैर'] },
+            { word: 'फ़ोन', emoji: '📱', groups: [], category: [], color: ['काला'], function: ['बात', 'कॉल'], location: ['जेब', 'थैला'], features: ['स्क्रीन'] },
+            { word: 'चश्मा', emoji: '👓', groups: ['clothes'], category: [], color: [], function: ['देखना', 'पढ़ना'], location: ['आँखें', 'नाक'], features: ['शीशे'] },
+            { word: 'बेटी', emoji: '👧', groups: ['person', 'family'], category: ['परिवार'], color: [], function: ['मिलना', 'फ़ोन'], location: [], features: ['लड़की', 'बच्ची'] },
+            { word: 'बेटा', emoji: '👦', groups: ['person', 'family'], category: ['परिवार'], color: [], function: ['मिलना', 'फ़ोन'], location: [], features: ['लड़का', 'बच्चा'] },
+            { word: 'डॉक्टर', emoji: '🩺', groups: ['person', 'place'], category: ['आदमी'], color: ['सफ़ेद'], function: ['दवा', 'बीमार', 'इलाज'], location: ['अस्पताल', 'क्लिनिक'], features: ['कोट'] }
+        ],
+        phrases: [
+            'मुझे घर जाना है',
+            'मुझे पानी चाहिए',
+            'मुझे बाथरूम जाना है',
+            'मुझे चाय चाहिए',
+            'मैं थक गया हूँ',
+            'मुझे भूख लगी है',
+            'मुझे ठंड लग रही है',
+            'मैं पार्क में सैर करने गया था',
+            'क्या आप मेरी मदद करेंगे',
+            'मेरा फ़ोन कहाँ है',
+            'मुझे खाना है',
+            'मुझे मेरा चश्मा चाहिए',
+            'मुझे सोना है',
+            'धन्यवाद'
+        ],
+        scenarios: [
+            {
+                fragmentedInput: 'मैं... वो... उम्म... हरी जगह... गया था...',
+                predictions: ['पार्क', 'बगीचा', 'जंगल', 'खेत'],
+                visualAid: { emoji: '🌳', label: 'पार्क' },
+                completedSentence: 'मैं पार्क में सैर करने गया था',
+                confidence: 0.85,
+                processingTime: 1200
+            },
+            {
+                fragmentedInput: 'मेरे... उम्म... बालों वाला... चार पैर...',
+                predictions: ['कुत्ता', 'बिल्ली', 'पालतू', 'जानवर'],
+                visualAid: { emoji: '🐕', label: 'कुत्ता' },
+                completedSentence: 'मेरे कुत्ते के साथ',
+                confidence: 0.92,
+                processingTime: 800
+            },
+            {
+                fragmentedInput: 'मुझे... वो सफ़ेद... दाँतों के लिए...',
+                predictions: ['टूथब्रश', 'टूथपेस्ट', 'डॉक्टर', 'दाँत'],
+                visualAid: { emoji: '🪥', label: 'टूथब्रश' },
+                completedSentence: 'मुझे दाँत ब्रश करने हैं',
+                confidence: 0.78,
+                processingTime: 1500
+            },
+            {
+                fragmentedInput: 'थोड़ा... ठंडा... फ्रिज से...',
+                predictions: ['पानी', 'जूस', 'दूध', 'पीना'],
+                visualAid: { emoji: '🥛', label: 'पानी का गिलास' },
+                completedSentence: 'फ्रिज से थोड़ा ठंडा पानी चाहिए',
+                confidence: 0.88,
+                processingTime: 900
+            }
+        ]
+    }
+};
+
+// Unknown languages get the English pack
+function languagePack(language) {
+    return LANGUAGE_PACKS[language] || LANGUAGE_PACKS.en;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LANGUAGE_PACKS,
+        languagePack
+    };
+}
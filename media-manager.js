@@ -0,0 +1,317 @@
+// Cognitive Echo Media Manager
+//
+// Owns the camera and microphone stream for the whole session. It watches for
+// devices being plugged in or out (`devicechange`) and for tracks that end or
+// go silent (`ended`, `mute`), and keeps a working stream where it can:
+//
+//   - the device in use disappears  -> switch to another one of the same kind
+//   - the user's chosen device returns -> switch back to it
+//   - no device of a kind is left   -> carry on without it until one appears
+//   - the user blocks one kind      -> carry on with the other
+//
+// The camera and microphone are requested separately, so one that fails
+// doesn't take the other with it; `errors` holds what each kind failed with.
+// A device that can't meet the preferred constraints is asked again with
+// nothing but its id.
+//
+// Every new stream is handed to `onStreamChange(stream)`; each kind's status
+// ('active', 'fallback', 'muted', 'lost', 'blocked' or 'error') is reported through
+// `onStatusChange(kind, status, { previous, device, preferred })`, where the
+// device names are labels. `mediaDevices` can be any object with
+// getUserMedia(), enumerateDevices() and addEventListener(), so a fake can
+// stand in for navigator.mediaDevices.
+
+const DEFAULT_MEDIA_CONSTRAINTS = {
+    video: { width: 1280, height: 720 },
+    audio: { echoCancellation: true, noiseSuppression: true }
+};
+
+// Errors that mean the user or browser refused, rather than a device problem
+const BLOCKING_ERRORS = ['NotAllowedError', 'SecurityError'];
+
+const MEDIA_KINDS = {
+    camera: { device: 'videoinput', track: 'video', list: 'cameras' },
+    microphone: { device: 'audioinput', track: 'audio', list: 'microphones' }
+};
+
+function kindOfTrack(track) {
+    return Object.keys(MEDIA_KINDS).find(kind => MEDIA_KINDS[kind].track === track.kind);
+}
+
+function deviceIdOf(track) {
+    return (track.getSettings && track.getSettings().deviceId) || null;
+}
+
+class MediaManager {
+    constructor(options = {}) {
+        this.mediaDevices = options.mediaDevices !== undefined
+            ? options.mediaDevices
+            : (typeof navigator !== 'undefined' ? navigator.mediaDevices : null);
+        this.constraints = options.constraints || DEFAULT_MEDIA_CONSTRAINTS;
+        this.onStreamChange = options.onStreamChange || (() => {});
+        this.onStatusChange = options.onStatusChange || (() => {});
+        this.onDevicesChange = options.onDevicesChange || (() => {});
+        this.createStream = options.createStream || (tracks => new MediaStream(tracks));
+
+        this.devices = { cameras: [], microphones: [] };
+        // Labels outlive the devices, so an unplugged device can still be named
+        this.labels = new Map();
+        // What the user chose (null means the browser's default) and what is actually open
+        this.preferred = { camera: null, microphone: null };
+        this.active = { camera: null, microphone: null };
+        this.status = { camera: 'idle', microphone: 'idle' };
+        this.errors = { camera: null, microphone: null };
+        this.blocked = { camera: false, microphone: false };
+        this.stream = null;
+        this.started = false;
+        this.trackListeners = [];
+        this.queue = Promise.resolve();
+        this.handleDeviceChange = () => this.reconcile();
+    }
+
+    get available() {
+        return Boolean(this.mediaDevices && this.mediaDevices.getUserMedia);
+    }
+
+    // The first request. `blocked` lists kinds the browser is known to refuse,
+    // which aren't asked for. Only when no kind can be opened is the error
+    // thrown, with each kind's in `error.errors`, so the caller can explain it.
+    async start(options = {}) {
+        if (!this.available) {
+            const error = new Error('Camera and microphone access is not supported in this browser');
+            error.name = 'NotSupportedError';
+            throw error;
+        }
+        if (this.started) this.stop();
+
+        const blocked = options.blocked || [];
+        const targets = {};
+        this.errors = { camera: null, microphone: null };
+        Object.keys(MEDIA_KINDS).forEach(kind => {
+            this.blocked[kind] = blocked.includes(kind);
+            targets[kind] = this.blocked[kind] ? false : this.preferred[kind];
+            if (this.blocked[kind]) this.errors[kind] = this.refusal(kind);
+        });
+
+        const errors = await this.open(targets);
+        Object.entries(errors).forEach(([kind, error]) => {
+            this.errors[kind] = error;
+            this.blocked[kind] = BLOCKING_ERRORS.includes(error.name);
+        });
+        if (!this.stream) {
+            const error = this.errors.camera || this.errors.microphone || this.refusal('camera');
+            error.errors = { ...this.errors };
+            throw error;
+        }
+
+        this.started = true;
+        await this.enumerate();
+        this.mediaDevices.addEventListener('devicechange', this.handleDeviceChange);
+        this.updateStatuses();
+        return this.stream;
+    }
+
+    stop() {
+        if (this.started) {
+            this.mediaDevices.removeEventListener('devicechange', this.handleDeviceChange);
+        }
+        this.started = false;
+        this.release();
+        this.active = { camera: null, microphone: null };
+        this.status = { camera: 'idle', microphone: 'idle' };
+    }
+
+    refusal(kind) {
+        const error = new Error(`${kind === 'camera' ? 'Camera' : 'Microphone'} access is blocked`);
+        error.name = 'NotAllowedError';
+        return error;
+    }
+
+    async enumerate() {
+        const devices = await this.mediaDevices.enumerateDevices();
+        this.devices = {
+            cameras: devices.filter(device => device.kind === MEDIA_KINDS.camera.device),
+            microphones: devices.filter(device => device.kind === MEDIA_KINDS.microphone.device)
+        };
+        devices.forEach(device => {
+            if (device.label) this.labels.set(device.deviceId, device.label);
+        });
+        this.onDevicesChange(this.devices);
+        return this.devices;
+    }
+
+    // The user picked a device; it is remembered and restored whenever it is plugged in
+    select(kind, deviceId) {
+        this.preferred[kind] = deviceId || null;
+        return this.reconcile();
+    }
+
+    trackFor(kind) {
+        if (!this.stream) return null;
+        return this.stream.getTracks().find(track => kindOfTrack(track) === kind) || null;
+    }
+
+    labelOf(deviceId) {
+        return this.labels.get(deviceId) || '';
+    }
+
+    // `target` is a device id, null for the default device or false to leave the kind out
+    constraintFor(kind, target) {
+        const base = this.constraints[MEDIA_KINDS[kind].track];
+        if (target === false || !base) return false;
+        if (!target) return base;
+        return { ...(typeof base === 'object' ? base : {}), deviceId: { exact: target } };
+    }
+
+    // Opens `kinds` on their targets; other kinds keep their tracks. A kind that
+    // fails keeps its old track too, so a failed switch loses nothing. Returns
+    // the errors by kind.
+    async open(targets, kinds = Object.keys(MEDIA_KINDS)) {
+        const tracks = {};
+        const errors = {};
+        for (const kind of Object.keys(MEDIA_KINDS)) {
+            tracks[kind] = this.trackFor(kind);
+            if (!kinds.includes(kind)) continue;
+
+            const constraint = this.constraintFor(kind, targets[kind]);
+            if (constraint === false) {
+                tracks[kind] = null;
+                continue;
+            }
+            try {
+                tracks[kind] = await this.openTrack(kind, constraint, targets[kind]);
+            } catch (error) {
+                console.error(`Error opening the ${kind}:`, error);
+                errors[kind] = error;
+            }
+        }
+
+        const kept = Object.values(tracks).filter(Boolean);
+        if (this.stream) {
+            this.stream.getTracks().filter(track => !kept.includes(track)).forEach(track => track.stop());
+        }
+        this.trackListeners.forEach(remove => remove());
+        this.trackListeners = [];
+        this.stream = kept.length > 0 ? this.createStream(kept) : null;
+        kept.forEach(track => this.watchTrack(track));
+        Object.keys(MEDIA_KINDS).forEach(kind => {
+            this.active[kind] = tracks[kind] ? deviceIdOf(tracks[kind]) : null;
+        });
+
+        this.onStreamChange(this.stream);
+        return errors;
+    }
+
+    // Preferred resolution and processing are only preferences: a device that
+    // can't meet them is asked again with nothing but its id
+    async openTrack(kind, constraint, target) {
+        const type = MEDIA_KINDS[kind].track;
+        try {
+            return await this.requestTrack(type, constraint);
+        } catch (error) {
+            if (error.name !== 'OverconstrainedError' || constraint === true) throw error;
+            console.log(`The ${kind} can't meet the preferred constraints, retrying without them`);
+            return this.requestTrack(type, target ? { deviceId: { exact: target } } : true);
+        }
+    }
+
+    async requestTrack(type, constraint) {
+        const stream = await this.mediaDevices.getUserMedia({ [type]: constraint });
+        return stream.getTracks()[0];
+    }
+
+    watchTrack(track) {
+        const kind = kindOfTrack(track);
+        const handlers = {
+            ended: () => this.reconcile(),
+            mute: () => this.setStatus(kind, 'muted'),
+            unmute: () => this.setStatus(kind, this.statusFor(kind))
+        };
+        Object.entries(handlers).forEach(([type, handler]) => {
+            track.addEventListener(type, handler);
+            this.trackListeners.push(() => track.removeEventListener(type, handler));
+        });
+    }
+
+    release() {
+        this.trackListeners.forEach(remove => remove());
+        this.trackListeners = [];
+        if (this.stream) this.stream.getTracks().forEach(track => track.stop());
+        this.stream = null;
+    }
+
+    // The preferred device if it is plugged in, else the one in use, else any other
+    pick(kind) {
+        const ids = this.devices[MEDIA_KINDS[kind].list].map(device => device.deviceId);
+        if (this.preferred[kind] && ids.includes(this.preferred[kind])) return this.preferred[kind];
+        if (this.active[kind] && ids.includes(this.active[kind])) return this.active[kind];
+        return ids.length > 0 ? ids[0] : false;
+    }
+
+    isLive(kind) {
+        const track = this.trackFor(kind);
+        return Boolean(track && track.readyState === 'live');
+    }
+
+    // Runs after every device change, lost track or selection - one at a time,
+    // since unplugging a device fires both `devicechange` and `ended`
+    reconcile() {
+        this.queue = this.queue
+            .then(() => this.reconcileNow())
+            .catch(error => console.error('Error recovering media devices:', error));
+        return this.queue;
+    }
+
+    async reconcileNow() {
+        if (!this.started) return;
+
+        await this.enumerate();
+        const targets = {};
+        const changed = Object.keys(MEDIA_KINDS).filter(kind => {
+            const wanted = this.constraints[MEDIA_KINDS[kind].track] && !this.blocked[kind];
+            targets[kind] = wanted ? this.pick(kind) : false;
+            return targets[kind] !== (this.isLive(kind) ? this.active[kind] : false);
+        });
+
+        const errors = changed.length > 0 ? await this.open(targets, changed) : {};
+        Object.keys(MEDIA_KINDS).forEach(kind => {
+            if (errors[kind]) {
+                this.setStatus(kind, 'error', targets[kind]);
+            } else {
+                this.setStatus(kind, this.statusFor(kind));
+            }
+        });
+    }
+
+    statusFor(kind) {
+        if (this.blocked[kind]) return 'blocked';
+        if (!this.isLive(kind)) return 'lost';
+        if (this.preferred[kind] && this.active[kind] !== this.preferred[kind]) return 'fallback';
+        const track = this.trackFor(kind);
+        return track.muted ? 'muted' : 'active';
+    }
+
+    updateStatuses() {
+        Object.keys(MEDIA_KINDS).forEach(kind => this.setStatus(kind, this.statusFor(kind)));
+    }
+
+    setStatus(kind, status, deviceId = this.active[kind]) {
+        const previous = this.status[kind];
+        if (status === previous) return;
+
+        this.status[kind] = status;
+        this.onStatusChange(kind, status, {
+            previous,
+            device: this.labelOf(deviceId),
+            preferred: this.labelOf(this.preferred[kind])
+        });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_MEDIA_CONSTRAINTS,
+        BLOCKING_ERRORS,
+        MediaManager
+    };
+}
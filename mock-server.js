@@ -0,0 +1,361 @@
+// Cognitive Echo Mock Server
+//
+// A stand-in for the backend, for trying the API client (api-client.js)
+// without the real server. It runs under Node only, with no dependencies:
+//
+//   node mock-server.js [port]   (default 3000)
+//
+// then set the server to http://localhost:3000 in Settings and sign in with
+// any email and password. It speaks the REST routes and socket events the
+// client uses:
+//
+//   - auth issues tokens that expire after `tokenTtlMs`, so refreshing is exercised
+//   - transcription replays the language's starter scenarios in a loop, one per
+//     utterance, revealing partials at a steady speaking rate (as
+//     MockSpeechAdapter does)
+//   - predictions come from the offline cue lexicon, like local mode, followed
+//     by a generated picture for the top word (`visual_aid_ready`)
+//   - sessions, attempts and feedback are kept in memory on `state` so tests
+//     can check what the client sent
+//
+// The socket is a minimal WebSocket (RFC 6455) on /socket: unfragmented text
+// frames, ping and close.
+
+const crypto = require('crypto');
+const http = require('http');
+
+const { CUE_LEXICON, WordFindingEngine } = require('./cue-lexicon.js');
+const { DEFAULT_SCENARIOS } = require('./scenario-decks.js');
+const { languagePack } = require('./language-packs.js');
+const { LexiconPredictionProvider } = require('./prediction-providers.js');
+const { MockSpeechAdapter } = require('./speech-adapters.js');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+function languageCode(locale) {
+    return (locale || 'en').split('-')[0];
+}
+
+function visualAidImage(word) {
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 120 120">` +
+        `<rect width="120" height="120" rx="16" fill="#21808d"/>` +
+        `<text x="60" y="68" font-size="18" text-anchor="middle" fill="#fff">${word}</text></svg>`;
+    return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+}
+
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+// Splits complete frames off the front of `buffer`; returns what is left over
+function decodeFrames(buffer, onFrame) {
+    while (buffer.length >= 2) {
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+        if (length === 126) {
+            if (buffer.length < 4) break;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) break;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+        const mask = masked ? buffer.subarray(offset, offset + 4) : null;
+        if (masked) offset += 4;
+        if (buffer.length < offset + length) break;
+
+        const payload = Buffer.from(buffer.subarray(offset, offset + length));
+        if (mask) {
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        }
+        onFrame(opcode, payload);
+        buffer = buffer.subarray(offset + length);
+    }
+    return buffer;
+}
+
+function createMockServer(options = {}) {
+    const tokenTtlMs = options.tokenTtlMs || 15 * 60 * 1000;
+    const state = {
+        tokens: new Map(),
+        refreshTokens: new Map(),
+        sessions: new Map(),
+        feedback: [],
+        nextSessionId: 1
+    };
+    const connections = new Set();
+    const adapters = new Map();
+    const providers = new Map();
+
+    // One transcript script and one lexicon per language
+    function adapterFor(locale) {
+        const code = languageCode(locale);
+        if (!adapters.has(code)) {
+            const scenarios = options.transcripts
+                ? options.transcripts.map(fragmentedInput => ({ fragmentedInput }))
+                : languagePack(code).scenarios || DEFAULT_SCENARIOS;
+            adapters.set(code, new MockSpeechAdapter(scenarios.map(scenario => scenario.fragmentedInput)));
+        }
+        return adapters.get(code);
+    }
+
+    function providerFor(locale) {
+        const code = languageCode(locale);
+        if (!providers.has(code)) {
+            const engine = new WordFindingEngine(CUE_LEXICON);
+            engine.configure(languagePack(code));
+            providers.set(code, new LexiconPredictionProvider(engine));
+        }
+        return providers.get(code);
+    }
+
+    function issueTokens(email) {
+        const token = crypto.randomBytes(16).toString('hex');
+        const refreshToken = crypto.randomBytes(16).toString('hex');
+        state.tokens.set(token, { email, expiresAt: Date.now() + tokenTtlMs });
+        state.refreshTokens.set(refreshToken, email);
+        return { token, refreshToken, user: { email } };
+    }
+
+    function userFor(token) {
+        const entry = state.tokens.get(token);
+        return entry && entry.expiresAt > Date.now() ? entry.email : null;
+    }
+
+    function transcribe(wav, sampleRate, details = {}) {
+        // 16-bit mono after a 44-byte header
+        const seconds = Math.max(0, wav.length - 44) / 2 / (sampleRate || 16000);
+        const adapter = adapterFor(details.language);
+        // Starts the script over once every scenario has been said
+        if (adapter.utteranceIndex >= adapter.transcripts.length) adapter.reset();
+        return adapter.transcribe(
+            { startMs: 0, endMs: seconds * 1000 },
+            { partial: Boolean(details.partial) }
+        );
+    }
+
+    async function predict(transcript, language) {
+        const result = await providerFor(language).predict(transcript || '');
+        return { transcript, predictions: result.candidates, processingTime: result.processingTime };
+    }
+
+    // REST
+
+    function send(res, status, data) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+    }
+
+    async function readBody(req) {
+        const chunks = [];
+        for await (const chunk of req) chunks.push(chunk);
+        return Buffer.concat(chunks);
+    }
+
+    async function readForm(req, body) {
+        return new Response(body, { headers: { 'Content-Type': req.headers['content-type'] || '' } }).formData();
+    }
+
+    async function route(req, res) {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const body = await readBody(req);
+        const json = () => (body.length > 0 ? JSON.parse(body.toString()) : {});
+
+        if (req.method === 'POST' && (pathname === '/api/auth/login' || pathname === '/api/auth/register')) {
+            const { email, password } = json();
+            if (!email || !password) return send(res, 400, { error: 'Email and password are required' });
+            return send(res, 200, issueTokens(email));
+        }
+        if (req.method === 'POST' && pathname === '/api/auth/refresh') {
+            const { refreshToken } = json();
+            const email = state.refreshTokens.get(refreshToken);
+            if (!email) return send(res, 401, { error: 'Invalid refresh token' });
+            state.refreshTokens.delete(refreshToken);
+            return send(res, 200, issueTokens(email));
+        }
+
+        const auth = req.headers.authorization || '';
+        const user = userFor(auth.replace(/^Bearer /, ''));
+        if (!user) return send(res, 401, { error: 'Token expired or missing' });
+
+        if (req.method === 'POST' && pathname === '/api/speech/transcribe') {
+            const form = await readForm(req, body);
+            const audio = form.get('audio');
+            const wav = audio ? Buffer.from(await audio.arrayBuffer()) : Buffer.alloc(0);
+            const sampleRate = wav.length >= 28 ? wav.readUInt32LE(24) : 16000;
+            return send(res, 200, await transcribe(wav, sampleRate, { language: form.get('language') }));
+        }
+        if (req.method === 'POST' && pathname === '/api/speech/analyze') {
+            const form = await readForm(req, body);
+            return send(res, 200, await predict(form.get('transcript'), form.get('language')));
+        }
+        if (req.method === 'POST' && pathname === '/api/speech/visual-aid') {
+            const { concept } = json();
+            return send(res, 200, { word: concept, label: concept, image: visualAidImage(concept) });
+        }
+        if (req.method === 'POST' && pathname === '/api/speech/session/start') {
+            const session = { id: state.nextSessionId++, user, ...json(), startedAt: Date.now(), endedAt: null, attempts: [] };
+            state.sessions.set(session.id, session);
+            return send(res, 200, { session });
+        }
+
+        const sessionRoute = pathname.match(/^\/api\/speech\/session\/(\d+)\/(update|end)$/);
+        const session = sessionRoute && state.sessions.get(Number(sessionRoute[1]));
+        if (sessionRoute && !session) return send(res, 404, { error: 'Session not found' });
+        if (req.method === 'PUT' && sessionRoute && sessionRoute[2] === 'update') {
+            const update = json();
+            if (update.attempt) session.attempts.push(update.attempt);
+            return send(res, 200, { session });
+        }
+        if (req.method === 'POST' && sessionRoute && sessionRoute[2] === 'end') {
+            session.endedAt = Date.now();
+            return send(res, 200, { session });
+        }
+
+        return send(res, 404, { error: 'Not found' });
+    }
+
+    const server = http.createServer((req, res) => {
+        // The app is usually served from another origin
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS');
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+        route(req, res).catch(error => {
+            console.error('Mock server error:', error);
+            send(res, 500, { error: error.message });
+        });
+    });
+
+    // Socket
+
+    server.on('upgrade', (req, socket) => {
+        const key = req.headers['sec-websocket-key'];
+        if (new URL(req.url, 'http://localhost').pathname !== '/socket' || !key) {
+            socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '',
+            ''
+        ].join('\r\n'));
+
+        const connection = { socket, user: null };
+        connections.add(connection);
+        const emit = (event, data = {}) => {
+            if (!socket.destroyed) socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify({ event, data }))));
+        };
+
+        let pending = Buffer.alloc(0);
+        socket.on('data', chunk => {
+            pending = decodeFrames(Buffer.concat([pending, chunk]), (opcode, payload) => {
+                if (opcode === 0x8) {
+                    socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+                } else if (opcode === 0x9) {
+                    socket.write(encodeFrame(0xa, payload));
+                } else if (opcode === 0x1) {
+                    let message;
+                    try {
+                        message = JSON.parse(payload.toString());
+                    } catch (error) {
+                        return;
+                    }
+                    handleEvent(connection, message.event, message.data || {}, emit).catch(error => {
+                        console.error('Mock server socket error:', error);
+                    });
+                }
+            });
+        });
+        socket.on('close', () => connections.delete(connection));
+        socket.on('error', () => connections.delete(connection));
+    });
+
+    async function handleEvent(connection, event, data, emit) {
+        if (event === 'authenticate') {
+            connection.user = userFor(data.token);
+            emit(connection.user ? 'authenticated' : 'unauthorized');
+            return;
+        }
+        if (!connection.user) {
+            emit('unauthorized');
+            return;
+        }
+
+        if (event === 'process_speech' && data.audioData) {
+            const wav = Buffer.from(data.audioData, 'base64');
+            const { text } = await transcribe(wav, data.sampleRate, data);
+            emit('transcription_ready', { requestId: data.requestId, text, partial: Boolean(data.partial) });
+        } else if (event === 'process_speech') {
+            const result = await predict(data.transcript, data.language);
+            emit('predictions_ready', { requestId: data.requestId, ...result });
+            const top = result.predictions[0];
+            if (top) {
+                emit('visual_aid_ready', {
+                    requestId: data.requestId,
+                    word: top.word,
+                    label: top.visualAid.label,
+                    image: visualAidImage(top.word)
+                });
+            }
+        } else if (event === 'feedback') {
+            state.feedback.push({ user: connection.user, ...data });
+        }
+    }
+
+    return {
+        server,
+        state,
+        listen(port = 0) {
+            return new Promise(resolve => {
+                server.listen(port, () => resolve(`http://localhost:${server.address().port}`));
+            });
+        },
+        // Expires every token, as if the user had been away too long
+        expireTokens() {
+            state.tokens.forEach(entry => {
+                entry.expiresAt = 0;
+            });
+        },
+        close() {
+            connections.forEach(connection => connection.socket.destroy());
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+if (require.main === module) {
+    const mock = createMockServer();
+    mock.listen(Number(process.argv[2]) || 3000).then(url => {
+        console.log(`Cognitive Echo mock server listening on ${url}`);
+    });
+}
+
+module.exports = { createMockServer };
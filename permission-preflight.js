@@ -0,0 +1,113 @@
+// Cognitive Echo Permission Preflight
+//
+// Asks the Permissions API what the browser already knows about the camera and
+// microphone before anything is requested. The permission screen shows each
+// device's real state, and a device the user has blocked isn't asked for again:
+// the app carries on with the other one. Browsers that can't be asked about a
+// device (older Firefox has no 'camera' permission) report 'unknown'.
+//
+// When a request fails, the error decides the device's badge and the advice
+// shown, worded for the browser the user has:
+//
+//   NotAllowedError, SecurityError      denied         how to unblock, per browser
+//   NotFoundError, OverconstrainedError not-found      plug a device in
+//   NotReadableError, AbortError        error          another app has the device
+//   NotSupportedError                   not-supported  use a current browser over https
+
+const PERMISSION_DEVICES = ['camera', 'microphone'];
+
+const PERMISSION_ERROR_STATUSES = {
+    NotAllowedError: 'denied',
+    SecurityError: 'denied',
+    NotFoundError: 'not-found',
+    OverconstrainedError: 'not-found',
+    NotSupportedError: 'not-supported'
+};
+
+// A refusal is the most useful thing to explain, a missing device next
+const PERMISSION_STATUS_PRIORITY = ['denied', 'not-found', 'not-supported', 'error'];
+
+function detectBrowser(userAgent = (typeof navigator !== 'undefined' ? navigator.userAgent : '')) {
+    if (/Edg(A|iOS)?\//.test(userAgent)) return 'edge';
+    if (/Firefox\/|FxiOS\//.test(userAgent)) return 'firefox';
+    if (/Chrome\/|CriOS\//.test(userAgent)) return 'chrome';
+    if (/Safari\//.test(userAgent)) return 'safari';
+    return 'other';
+}
+
+function permissionStatusFor(error) {
+    if (!error) return 'granted';
+    return PERMISSION_ERROR_STATUSES[error.name] || 'error';
+}
+
+// Of the errors each device failed with, the one to explain
+function primaryPermissionError(errors) {
+    const failed = Object.values(errors).filter(Boolean);
+    const rank = error => PERMISSION_STATUS_PRIORITY.indexOf(permissionStatusFor(error));
+    return failed.sort((a, b) => rank(a) - rank(b))[0] || null;
+}
+
+function remedyKeyFor(error, browser) {
+    const status = permissionStatusFor(error);
+    if (status === 'denied') return `remedy.denied.${browser}`;
+    if (status === 'not-found') return 'remedy.notFound';
+    if (status === 'not-supported') return 'remedy.notSupported';
+    return 'remedy.inUse';
+}
+
+class PermissionPreflight {
+    constructor(options = {}) {
+        this.permissions = options.permissions !== undefined
+            ? options.permissions
+            : (typeof navigator !== 'undefined' ? navigator.permissions : null);
+        this.onChange = options.onChange || (() => {});
+        this.states = { camera: 'unknown', microphone: 'unknown' };
+        this.watched = new Set();
+    }
+
+    get available() {
+        return Boolean(this.permissions && this.permissions.query);
+    }
+
+    // { camera, microphone }, each 'granted', 'denied', 'prompt' or 'unknown'
+    async query() {
+        if (!this.available) return { ...this.states };
+
+        await Promise.all(PERMISSION_DEVICES.map(async device => {
+            try {
+                const status = await this.permissions.query({ name: device });
+                this.states[device] = status.state;
+                this.watch(device, status);
+            } catch (error) {
+                this.states[device] = 'unknown';
+            }
+        }));
+        return { ...this.states };
+    }
+
+    // The user can change a permission in the browser at any time
+    watch(device, status) {
+        if (this.watched.has(device) || typeof status.addEventListener !== 'function') return;
+
+        this.watched.add(device);
+        status.addEventListener('change', () => {
+            this.states[device] = status.state;
+            this.onChange(device, status.state);
+        });
+    }
+
+    blocked() {
+        return PERMISSION_DEVICES.filter(device => this.states[device] === 'denied');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PERMISSION_DEVICES,
+        detectBrowser,
+        permissionStatusFor,
+        primaryPermissionError,
+        remedyKeyFor,
+        PermissionPreflight
+    };
+}
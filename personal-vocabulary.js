@@ -0,0 +1,181 @@
+// Cognitive Echo Personal Vocabulary
+//
+// Learns which word this user means by which description. Each time a card is
+// chosen, the cue words the user spoke ("furry", "legs") gain weight towards the
+// chosen word and lose a little towards the cards passed over. Weights halve
+// every `halfLifeDays`, so old habits fade. Future predictions are re-ranked
+// by the learned weights.
+//
+// Everything is derived from the stored associations and an injectable clock,
+// so the same history always produces the same ranking. Each settings profile
+// learns separately, since a profile is usually a different person.
+
+const VOCABULARY_STORAGE_KEY = 'cognitive-echo-vocabulary';
+
+const VOCABULARY_STOPWORDS = [
+    'a', 'an', 'the', 'my', 'your', 'some', 'this', 'that', 'i', 'me', 'to', 'for', 'from', 'with',
+    'of', 'in', 'on', 'at', 'and', 'or', 'is', 'it', 'want', 'need', 'uh', 'um', 'er', 'erm', 'you', 'know'
+];
+
+class PersonalVocabulary {
+    constructor(options = {}) {
+        this.storage = options.storage !== undefined
+            ? options.storage
+            : (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.baseStorageKey = options.storageKey || VOCABULARY_STORAGE_KEY;
+        this.profileId = options.profileId || 'default';
+        this.storageKey = this.keyFor(this.profileId);
+        this.now = options.now || (() => Date.now());
+        this.halfLifeDays = options.halfLifeDays ?? 21;
+        this.acceptDelta = options.acceptDelta ?? 1;
+        this.rejectDelta = options.rejectDelta ?? -0.3;
+        // How far learned weights can move a candidate's confidence
+        this.boost = options.boost ?? 0.2;
+
+        // cue -> word -> { weight, accepted, rejected, updatedAt }
+        this.associations = {};
+        this.load();
+    }
+
+    static cueWords(text) {
+        return [...new Set((text || '')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}\s']/gu, ' ')
+            .split(/\s+/)
+            .filter(word => word.length > 1 && !VOCABULARY_STOPWORDS.includes(word)))];
+    }
+
+    // The default profile keeps the key used before there were profiles
+    keyFor(profileId) {
+        return profileId === 'default' ? this.baseStorageKey : `${this.baseStorageKey}-${profileId}`;
+    }
+
+    useProfile(profileId) {
+        if (profileId === this.profileId) return;
+        this.profileId = profileId;
+        this.storageKey = this.keyFor(profileId);
+        this.associations = {};
+        this.load();
+    }
+
+    // Forgets what a deleted profile learned
+    removeProfile(profileId) {
+        if (this.storage) this.storage.removeItem(this.keyFor(profileId));
+    }
+
+    load() {
+        if (!this.storage) return;
+        try {
+            const stored = JSON.parse(this.storage.getItem(this.storageKey) || '{}');
+            this.associations = stored && typeof stored === 'object' ? stored : {};
+        } catch (error) {
+            console.error('Error loading personal vocabulary:', error);
+            this.associations = {};
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.associations));
+        } catch (error) {
+            console.error('Error saving personal vocabulary:', error);
+        }
+    }
+
+    decayed(association, now = this.now()) {
+        const ageDays = Math.max(0, now - association.updatedAt) / (24 * 60 * 60 * 1000);
+        return association.weight * Math.pow(0.5, ageDays / this.halfLifeDays);
+    }
+
+    adjust(cue, word, delta, field) {
+        const now = this.now();
+        const words = this.associations[cue] || (this.associations[cue] = {});
+        const association = words[word] || { weight: 0, accepted: 0, rejected: 0, updatedAt: now };
+
+        association.weight = this.decayed(association, now) + delta;
+        association[field]++;
+        association.updatedAt = now;
+        words[word] = association;
+    }
+
+    // The user chose `word` for this description; the other shown words were passed over
+    recordSelection(cueText, word, shownWords = []) {
+        const cues = PersonalVocabulary.cueWords(cueText);
+        cues.forEach(cue => {
+            this.adjust(cue, word, this.acceptDelta, 'accepted');
+            shownWords
+                .filter(shown => shown !== word)
+                .forEach(shown => this.adjust(cue, shown, this.rejectDelta, 'rejected'));
+        });
+        this.save();
+    }
+
+    // None of the shown words was right
+    recordRejection(cueText, shownWords = []) {
+        PersonalVocabulary.cueWords(cueText).forEach(cue => {
+            shownWords.forEach(shown => this.adjust(cue, shown, this.rejectDelta, 'rejected'));
+        });
+        this.save();
+    }
+
+    // Average learned weight of `word` across the cue words in the description
+    score(cueText, word) {
+        const cues = PersonalVocabulary.cueWords(cueText);
+        if (cues.length === 0) return 0;
+
+        const now = this.now();
+        const total = cues.reduce((sum, cue) => {
+            const association = this.associations[cue] && this.associations[cue][word];
+            return sum + (association ? this.decayed(association, now) : 0);
+        }, 0);
+        return total / cues.length;
+    }
+
+    rerank(candidates, cueText) {
+        return candidates
+            .map(candidate => {
+                const score = this.score(cueText, candidate.word);
+                if (score === 0) return candidate;
+                const confidence = Math.min(1, Math.max(0, candidate.confidence + this.boost * Math.tanh(score)));
+                return { ...candidate, confidence: Math.round(confidence * 100) / 100, personalScore: score };
+            })
+            .map((candidate, index) => ({ candidate, index }))
+            // Stable on ties so the provider's own order breaks them
+            .sort((a, b) => b.candidate.confidence - a.candidate.confidence || a.index - b.index)
+            .map(({ candidate }) => candidate);
+    }
+
+    // Flattened view for the settings screen, strongest associations first
+    entries() {
+        const now = this.now();
+        const list = [];
+        Object.entries(this.associations).forEach(([cue, words]) => {
+            Object.entries(words).forEach(([word, association]) => {
+                list.push({
+                    cue,
+                    word,
+                    weight: Math.round(this.decayed(association, now) * 100) / 100,
+                    accepted: association.accepted,
+                    rejected: association.rejected,
+                    updatedAt: association.updatedAt
+                });
+            });
+        });
+        return list.sort((a, b) => b.weight - a.weight || a.cue.localeCompare(b.cue));
+    }
+
+    reset() {
+        this.associations = {};
+        if (this.storage) {
+            this.storage.removeItem(this.storageKey);
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PersonalVocabulary,
+        VOCABULARY_STORAGE_KEY
+    };
+}
@@ -0,0 +1,233 @@
+// Cognitive Echo Picture Pack Settings
+//
+// The Settings section for installing and removing picture packs and for
+// adding personal photos. Changes go through the library's VisualAidStore and
+// reload the library, so the next prediction cards use them straight away.
+// Text is shown through the app's translator (`i18n`).
+
+const MAX_PERSONAL_PHOTO_BYTES = 2 * 1024 * 1024;
+
+function readFileAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error || new Error(`Could not read ${file.name}`));
+        reader.readAsDataURL(file);
+    });
+}
+
+class PicturePackSettings {
+    constructor(library, options = {}) {
+        this.library = library;
+        this.store = library.store;
+        this.onChange = options.onChange || (() => {});
+        this.i18n = options.i18n;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const installBtn = document.getElementById('install-pack-btn');
+        const packInput = document.getElementById('picture-pack-input');
+        if (installBtn && packInput) {
+            installBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                packInput.click();
+            });
+            packInput.addEventListener('change', (e) => {
+                const files = [...e.target.files];
+                e.target.value = '';
+                if (files.length > 0) this.installPack(files);
+            });
+        }
+
+        const addPhotoBtn = document.getElementById('add-personal-photo-btn');
+        if (addPhotoBtn) {
+            addPhotoBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.addPersonalPhoto();
+            });
+        }
+
+        // Remove buttons are re-rendered, so listen on the lists
+        const packList = document.getElementById('picture-pack-list');
+        if (packList) {
+            packList.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-pack-id]');
+                if (!button) return;
+                e.preventDefault();
+                this.removePack(button.dataset.packId);
+            });
+        }
+
+        const photoList = document.getElementById('personal-photo-list');
+        if (photoList) {
+            photoList.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-word]');
+                if (!button) return;
+                e.preventDefault();
+                this.removePersonalPhoto(button.dataset.word);
+            });
+        }
+    }
+
+    render() {
+        const packList = document.getElementById('picture-pack-list');
+        const photoList = document.getElementById('personal-photo-list');
+
+        if (packList) {
+            packList.innerHTML = '';
+            this.library.packs.forEach(pack => {
+                packList.appendChild(this.renderItem(pack.name, this.i18n.t('packs.pictures', { count: pack.images.length }), { packId: pack.id }));
+            });
+            if (this.library.packs.length === 0) {
+                packList.appendChild(this.renderEmpty(this.i18n.t('packs.empty')));
+            }
+        }
+
+        if (photoList) {
+            photoList.innerHTML = '';
+            const photos = this.library.personalPhotos;
+            photos.forEach(photo => {
+                photoList.appendChild(this.renderItem(photo.label, photo.word, { word: photo.word }, photo.image));
+            });
+            if (photos.length === 0) {
+                photoList.appendChild(this.renderEmpty(this.i18n.t('packs.noPhotos')));
+            }
+        }
+    }
+
+    renderItem(title, detail, data, image) {
+        const item = document.createElement('li');
+
+        const text = document.createElement('span');
+        if (image) {
+            const img = document.createElement('img');
+            img.className = 'picture-thumb';
+            img.src = image;
+            img.alt = '';
+            text.appendChild(img);
+        }
+        text.append(title, ' ');
+        const detailEl = document.createElement('span');
+        detailEl.className = 'vocabulary-detail';
+        detailEl.textContent = detail;
+        text.appendChild(detailEl);
+
+        const remove = document.createElement('button');
+        remove.className = 'btn btn--outline btn--sm';
+        remove.textContent = this.i18n.t('common.remove');
+        remove.setAttribute('aria-label', this.i18n.t('packs.removeItem', { name: title }));
+        Object.assign(remove.dataset, data);
+
+        item.append(text, remove);
+        return item;
+    }
+
+    renderEmpty(message) {
+        const empty = document.createElement('li');
+        empty.className = 'vocabulary-empty';
+        empty.textContent = message;
+        return empty;
+    }
+
+    async installPack(files) {
+        const manifestFile = files.find(file => file.name === 'manifest.json');
+        if (!manifestFile) {
+            this.showStatus(this.i18n.t('packs.needsManifest'), true);
+            return;
+        }
+
+        try {
+            const pack = parsePictureManifest(await manifestFile.text());
+            const wanted = new Set(pack.images.map(image => image.file));
+            const images = new Map();
+            for (const file of files) {
+                if (wanted.has(file.name)) images.set(file.name, await readFileAsDataUrl(file));
+            }
+
+            await this.store.installPack(pack, images);
+            await this.changed();
+            this.showStatus(this.i18n.t('packs.installed', { name: pack.name, count: pack.images.length }), false);
+        } catch (error) {
+            console.error('Error installing picture pack:', error);
+            this.showStatus(error instanceof PicturePackError
+                ? `${this.i18n.t('packs.invalid')} ${this.i18n.errorMessage(error)}`
+                : this.i18n.t('packs.installFailed'), true);
+        }
+    }
+
+    async removePack(packId) {
+        const pack = this.library.packs.find(existing => existing.id === packId);
+        if (!pack || !window.confirm(this.i18n.t('packs.confirmRemove', { name: pack.name }))) return;
+
+        try {
+            await this.store.removePack(packId);
+            await this.changed();
+            this.showStatus(this.i18n.t('packs.removed', { name: pack.name }), false);
+        } catch (error) {
+            console.error('Error removing picture pack:', error);
+            this.showStatus(this.i18n.t('packs.removeFailed'), true);
+        }
+    }
+
+    async addPersonalPhoto() {
+        const wordInput = document.getElementById('personal-photo-word');
+        const photoInput = document.getElementById('personal-photo-input');
+        const word = wordInput ? wordInput.value.trim() : '';
+        const file = photoInput && photoInput.files[0];
+
+        if (!word || !file) {
+            this.showStatus(this.i18n.t('packs.needsPhoto'), true);
+            return;
+        }
+        if (!file.type.startsWith('image/')) {
+            this.showStatus(this.i18n.t('common.imageType'), true);
+            return;
+        }
+        if (file.size > MAX_PERSONAL_PHOTO_BYTES) {
+            this.showStatus(this.i18n.t('packs.photoTooLarge'), true);
+            return;
+        }
+
+        try {
+            const label = word.charAt(0).toUpperCase() + word.slice(1);
+            await this.store.addPersonalPhoto(word, label, await readFileAsDataUrl(file));
+            wordInput.value = '';
+            photoInput.value = '';
+            await this.changed();
+            this.showStatus(this.i18n.t('packs.photoAdded', { word }), false);
+        } catch (error) {
+            console.error('Error adding personal photo:', error);
+            this.showStatus(this.i18n.errorMessage(error, 'packs.photoFailed'), true);
+        }
+    }
+
+    async removePersonalPhoto(word) {
+        try {
+            await this.store.removePersonalPhoto(word);
+            await this.changed();
+        } catch (error) {
+            console.error('Error removing personal photo:', error);
+            this.showStatus(this.i18n.t('packs.photoRemoveFailed'), true);
+        }
+    }
+
+    async changed() {
+        await this.library.load();
+        this.render();
+        this.onChange();
+    }
+
+    showStatus(message, isError) {
+        const statusEl = document.getElementById('picture-pack-status');
+        if (!statusEl) return;
+
+        statusEl.textContent = message;
+        statusEl.className = `history-import-status status ${isError ? 'status--error' : 'status--success'}`;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PicturePackSettings };
+}
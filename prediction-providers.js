@@ -0,0 +1,191 @@
+// Cognitive Echo Prediction Providers
+//
+// A prediction provider turns a fragmented transcript into ranked candidates.
+// Every provider implements the same contract so CognitiveEcho never needs to
+// know where predictions come from:
+//
+//   predict(transcript, context) -> Promise<{
+//       candidates: [{ word, confidence, visualAid: { emoji, label }, completedSentence }],
+//       processingTime
+//   }>
+//
+// `context` carries whatever the app knows about the current attempt
+// (the active scenario, previous selections, settings). Candidates are sorted
+// by descending confidence.
+
+const DEFAULT_VISUAL_AID_EMOJI = '💭';
+
+class PredictionProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    async predict(transcript, context = {}) {
+        throw new Error(`${this.name} provider does not implement predict()`);
+    }
+
+    static rank(candidates, limit = 4) {
+        return candidates
+            .filter(candidate => candidate && candidate.word)
+            .sort((a, b) => b.confidence - a.confidence)
+            .slice(0, limit);
+    }
+}
+
+// Replays the hand-written demo scenarios, including their simulated latency.
+class ScriptedPredictionProvider extends PredictionProvider {
+    constructor(scenarios = [], options = {}) {
+        super('scripted');
+        this.scenarios = scenarios;
+        this.simulateLatency = options.simulateLatency !== false;
+    }
+
+    findScenario(transcript, context) {
+        if (context.scenario) return context.scenario;
+        return this.scenarios.find(scenario => scenario.fragmentedInput === transcript) || null;
+    }
+
+    async predict(transcript, context = {}) {
+        const scenario = this.findScenario(transcript, context);
+        if (!scenario) {
+            return { candidates: [], processingTime: 0 };
+        }
+
+        if (this.simulateLatency) {
+            await new Promise(resolve => setTimeout(resolve, scenario.processingTime * 0.6));
+        }
+
+        const candidates = scenario.predictions.map((word, index) => ({
+            word,
+            confidence: Math.max(scenario.confidence - index * 0.15, 0.05),
+            visualAid: index === 0
+                ? { ...scenario.visualAid }
+                : { emoji: DEFAULT_VISUAL_AID_EMOJI, label: word },
+            completedSentence: scenario.completedSentence
+        }));
+
+        return {
+            candidates: PredictionProvider.rank(candidates),
+            processingTime: scenario.processingTime
+        };
+    }
+}
+
+// Ranks words from the offline semantic-cue lexicon (see cue-lexicon.js).
+// The engine is injected so tests and other locales can supply their own.
+class LexiconPredictionProvider extends PredictionProvider {
+    constructor(engine) {
+        super('lexicon');
+        this.engine = engine;
+    }
+
+    static fillSlot(slot, word) {
+        const sentence = [slot.before, word, slot.after].filter(Boolean).join(' ');
+        return sentence.charAt(0).toUpperCase() + sentence.slice(1);
+    }
+
+    async predict(transcript, context = {}) {
+        const started = Date.now();
+        const slot = context.analysis && context.analysis.slot;
+
+        // Aim at the word-finding gap when the disfluency analyzer found one,
+        // falling back to the whole transcript if its description gives no cues
+        let matches = slot && slot.description.length > 0
+            ? this.engine.findWords(slot.description.join(' '))
+            : [];
+        if (matches.length === 0) {
+            matches = this.engine.findWords(transcript);
+        }
+
+        const candidates = matches.map(match => ({
+            word: match.word,
+            confidence: match.confidence,
+            visualAid: {
+                emoji: match.entry.emoji || DEFAULT_VISUAL_AID_EMOJI,
+                label: match.word.charAt(0).toUpperCase() + match.word.slice(1)
+            },
+            completedSentence: slot
+                ? LexiconPredictionProvider.fillSlot(slot, match.word)
+                : this.engine.completeSentence(transcript, match.word)
+        }));
+
+        return {
+            candidates: PredictionProvider.rank(candidates),
+            processingTime: Date.now() - started
+        };
+    }
+}
+
+// Asks the Cognitive Echo backend (see api-client.js): over the socket while it
+// is connected, otherwise POST /api/speech/analyze. Failures are thrown so a
+// ChainedPredictionProvider falls through to the on-device providers.
+class BackendPredictionProvider extends PredictionProvider {
+    constructor(client, socket = null) {
+        super('backend');
+        this.client = client;
+        this.socket = socket;
+    }
+
+    static normalize(prediction) {
+        const word = prediction.word || prediction.text || '';
+        const visualAid = prediction.visualAid || {};
+        return {
+            word,
+            confidence: typeof prediction.confidence === 'number' ? prediction.confidence : 0.5,
+            visualAid: {
+                emoji: visualAid.emoji || DEFAULT_VISUAL_AID_EMOJI,
+                label: visualAid.label || word,
+                ...(visualAid.image ? { image: visualAid.image } : {})
+            },
+            completedSentence: prediction.completedSentence || ''
+        };
+    }
+
+    async predict(transcript, context = {}) {
+        if (!this.client.configured) throw new Error('No server is configured');
+
+        const started = Date.now();
+        const options = { language: context.language };
+        const data = this.socket && this.socket.connected
+            ? await this.socket.predict(transcript, options)
+            : await this.client.analyze(transcript, options);
+        const predictions = (data && (data.predictions || data.candidates)) || [];
+
+        return {
+            candidates: PredictionProvider.rank(predictions.map(BackendPredictionProvider.normalize)),
+            processingTime: (data && data.processingTime) || Date.now() - started,
+            requestId: data && data.requestId
+        };
+    }
+}
+
+// Asks each provider in turn and returns the first non-empty answer, so scripted
+// demo scenarios win when they match and the lexicon covers everything else.
+class ChainedPredictionProvider extends PredictionProvider {
+    constructor(providers = []) {
+        super('chained');
+        this.providers = providers;
+    }
+
+    async predict(transcript, context = {}) {
+        for (const provider of this.providers) {
+            try {
+                const result = await provider.predict(transcript, context);
+                if (result.candidates.length > 0) return result;
+            } catch (error) {
+                console.error(`Prediction provider ${provider.name} failed:`, error);
+            }
+        }
+        return { candidates: [], processingTime: 0 };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PredictionProvider,
+        ScriptedPredictionProvider,
+        LexiconPredictionProvider,
+        BackendPredictionProvider,
+        ChainedPredictionProvider
+    };
+}
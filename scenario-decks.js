@@ -0,0 +1,325 @@
+// Cognitive Echo Scenario Decks
+//
+// Scenarios are grouped into named decks ("Kitchen", "Family") that caregivers
+// author in the app. Decks live in localStorage:
+//
+//   {
+//       version: 1,
+//       activeDeckId,
+//       decks: [{ id, name, language?, scenarios: [scenario] }]
+//   }
+//
+// Decks without a language are English. The app shows the decks of the
+// current language and adds a starter deck the first time a language is used.
+//
+// A scenario has the same shape the scripted prediction provider replays:
+//   { id, fragmentedInput, predictions: [word], visualAid: { emoji, label, image? },
+//     completedSentence, confidence, processingTime }
+
+const DECK_STORAGE_KEY = 'cognitive-echo-decks';
+const DECK_STORAGE_VERSION = 1;
+
+const DEFAULT_SCENARIOS = [
+    {
+        id: 1,
+        fragmentedInput: "I... went... for a... you know... the green place...",
+        predictions: ["park", "garden", "forest", "field"],
+        visualAid: { emoji: "🌳", label: "Park" },
+        completedSentence: "I went for a walk in the park",
+        confidence: 0.85,
+        processingTime: 1200
+    },
+    {
+        id: 2,
+        fragmentedInput: "with my... uh... furry... four legs...",
+        predictions: ["dog", "cat", "pet", "animal"],
+        visualAid: { emoji: "🐕", label: "Dog" },
+        completedSentence: "with my dog",
+        confidence: 0.92,
+        processingTime: 800
+    },
+    {
+        id: 3,
+        fragmentedInput: "Need to... the white... for teeth...",
+        predictions: ["toothbrush", "dentist", "toothpaste", "dental"],
+        visualAid: { emoji: "🪥", label: "Toothbrush" },
+        completedSentence: "Need to brush my teeth",
+        confidence: 0.78,
+        processingTime: 1500
+    },
+    {
+        id: 4,
+        fragmentedInput: "Want some... cold... from the...",
+        predictions: ["water", "juice", "milk", "drink"],
+        visualAid: { emoji: "🥛", label: "Glass of water" },
+        completedSentence: "Want some cold water from the fridge",
+        confidence: 0.88,
+        processingTime: 900
+    }
+];
+
+// Something the caregiver can put right; `errors` are message catalog keys
+class DeckError extends Error {
+    constructor(errors) {
+        super(`Invalid deck change: ${errors.join(', ')}`);
+        this.name = 'DeckError';
+        this.errors = errors;
+    }
+}
+
+// Catalog keys of whatever the scenario is missing
+function validateScenario(scenario) {
+    const errors = [];
+    if (!scenario.fragmentedInput || !scenario.fragmentedInput.trim()) {
+        errors.push('scenario.needsPrompt');
+    }
+    if (!Array.isArray(scenario.predictions) || scenario.predictions.filter(word => word.trim()).length === 0) {
+        errors.push('scenario.needsWords');
+    }
+    if (!scenario.visualAid || (!scenario.visualAid.emoji && !scenario.visualAid.image)) {
+        errors.push('scenario.needsAid');
+    }
+    if (!scenario.visualAid || !scenario.visualAid.label || !scenario.visualAid.label.trim()) {
+        errors.push('scenario.needsLabel');
+    }
+    if (!scenario.completedSentence || !scenario.completedSentence.trim()) {
+        errors.push('scenario.needsSentence');
+    }
+    return errors;
+}
+
+class DeckStore {
+    constructor(options = {}) {
+        this.storage = options.storage !== undefined
+            ? options.storage
+            : (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.storageKey = options.storageKey || DECK_STORAGE_KEY;
+        this.data = this.load();
+    }
+
+    static defaultData() {
+        return {
+            version: DECK_STORAGE_VERSION,
+            activeDeckId: 'everyday',
+            decks: [{
+                id: 'everyday',
+                name: 'Everyday',
+                scenarios: DEFAULT_SCENARIOS.map(scenario => ({
+                    ...scenario,
+                    predictions: [...scenario.predictions],
+                    visualAid: { ...scenario.visualAid }
+                }))
+            }]
+        };
+    }
+
+    load() {
+        if (!this.storage) return DeckStore.defaultData();
+        try {
+            const stored = JSON.parse(this.storage.getItem(this.storageKey));
+            if (stored && stored.version === DECK_STORAGE_VERSION && Array.isArray(stored.decks) && stored.decks.length > 0) {
+                return stored;
+            }
+        } catch (error) {
+            console.error('Error loading scenario decks:', error);
+        }
+        return DeckStore.defaultData();
+    }
+
+    save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.data));
+        } catch (error) {
+            // Usually the quota, when decks carry large photos
+            console.error('Error saving scenario decks:', error);
+            throw new DeckError(['decks.saveFailed']);
+        }
+    }
+
+    // Runs `change` on a copy of the decks and keeps it only once it is saved.
+    // If anything throws, including the save, the decks are left exactly as they
+    // were, so what is shown always matches what is stored.
+    update(change) {
+        const previous = this.data;
+        this.data = JSON.parse(JSON.stringify(previous));
+        try {
+            const result = change();
+            this.save();
+            return result;
+        } catch (error) {
+            this.data = previous;
+            throw error;
+        }
+    }
+
+    get decks() {
+        return this.data.decks;
+    }
+
+    getDeck(deckId) {
+        return this.data.decks.find(deck => deck.id === deckId) || null;
+    }
+
+    getActiveDeck() {
+        return this.getDeck(this.data.activeDeckId) || this.data.decks[0];
+    }
+
+    decksFor(language) {
+        return this.data.decks.filter(deck => (deck.language || 'en') === language);
+    }
+
+    // Makes a deck of `language` active, creating one from `starter` ({ name, scenarios })
+    // if there is none yet. The active deck stays if it is already in that language.
+    useLanguage(language, starter) {
+        const active = this.getActiveDeck();
+        if ((active.language || 'en') === language) return active;
+
+        return this.update(() => {
+            let deck = this.decksFor(language)[0];
+            if (!deck) {
+                const firstId = this.nextScenarioId();
+                deck = {
+                    id: `everyday-${language}`,
+                    name: starter.name,
+                    language,
+                    scenarios: starter.scenarios.map((scenario, index) => ({
+                        ...scenario,
+                        id: firstId + index,
+                        predictions: [...scenario.predictions],
+                        visualAid: { ...scenario.visualAid }
+                    }))
+                };
+                this.data.decks.push(deck);
+            }
+            this.data.activeDeckId = deck.id;
+            return deck;
+        });
+    }
+
+    setActiveDeck(deckId) {
+        if (!this.getDeck(deckId)) throw new Error(`Unknown deck: ${deckId}`);
+        this.update(() => {
+            this.data.activeDeckId = deckId;
+        });
+    }
+
+    // New decks are in the language of the active deck unless told otherwise
+    createDeck(name, language = this.getActiveDeck().language) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) throw new DeckError(['decks.needsName']);
+
+        return this.update(() => {
+            const deck = { id: `deck-${Date.now().toString(36)}-${this.data.decks.length}`, name: trimmed, scenarios: [] };
+            if (language && language !== 'en') deck.language = language;
+            this.data.decks.push(deck);
+            return deck;
+        });
+    }
+
+    renameDeck(deckId, name) {
+        const trimmed = (name || '').trim();
+        return this.update(() => {
+            const deck = this.requireDeck(deckId);
+            if (!trimmed) throw new DeckError(['decks.needsName']);
+            deck.name = trimmed;
+            return deck;
+        });
+    }
+
+    deleteDeck(deckId) {
+        if (this.data.decks.length === 1) {
+            throw new DeckError(['decks.keepOne']);
+        }
+        this.update(() => {
+            this.data.decks = this.data.decks.filter(deck => deck.id !== deckId);
+            if (this.data.activeDeckId === deckId) {
+                this.data.activeDeckId = this.data.decks[0].id;
+            }
+        });
+    }
+
+    requireDeck(deckId) {
+        const deck = this.getDeck(deckId);
+        if (!deck) throw new Error(`Unknown deck: ${deckId}`);
+        return deck;
+    }
+
+    // Scenario ids are unique across decks so recorded attempts stay unambiguous
+    nextScenarioId() {
+        const ids = this.data.decks.flatMap(deck => deck.scenarios.map(scenario => scenario.id));
+        return ids.length > 0 ? Math.max(...ids) + 1 : 1;
+    }
+
+    static normalizeScenario(scenario) {
+        return {
+            fragmentedInput: (scenario.fragmentedInput || '').trim(),
+            predictions: (scenario.predictions || []).map(word => word.trim()).filter(Boolean),
+            visualAid: {
+                emoji: (scenario.visualAid && scenario.visualAid.emoji) || '',
+                label: ((scenario.visualAid && scenario.visualAid.label) || '').trim(),
+                ...(scenario.visualAid && scenario.visualAid.image ? { image: scenario.visualAid.image } : {})
+            },
+            completedSentence: (scenario.completedSentence || '').trim(),
+            confidence: scenario.confidence ?? 0.85,
+            processingTime: scenario.processingTime ?? 1000
+        };
+    }
+
+    addScenario(deckId, scenario) {
+        return this.update(() => {
+            const deck = this.requireDeck(deckId);
+            const normalized = DeckStore.normalizeScenario(scenario);
+            const errors = validateScenario(normalized);
+            if (errors.length > 0) throw new DeckError(errors);
+
+            const created = { id: this.nextScenarioId(), ...normalized };
+            deck.scenarios.push(created);
+            return created;
+        });
+    }
+
+    updateScenario(deckId, scenarioId, scenario) {
+        return this.update(() => {
+            const deck = this.requireDeck(deckId);
+            const index = deck.scenarios.findIndex(existing => existing.id === scenarioId);
+            if (index === -1) throw new Error(`Unknown scenario: ${scenarioId}`);
+
+            const normalized = DeckStore.normalizeScenario({ ...deck.scenarios[index], ...scenario });
+            const errors = validateScenario(normalized);
+            if (errors.length > 0) throw new DeckError(errors);
+
+            deck.scenarios[index] = { id: scenarioId, ...normalized };
+            return deck.scenarios[index];
+        });
+    }
+
+    deleteScenario(deckId, scenarioId) {
+        this.update(() => {
+            const deck = this.requireDeck(deckId);
+            deck.scenarios = deck.scenarios.filter(scenario => scenario.id !== scenarioId);
+        });
+    }
+
+    moveScenario(deckId, scenarioId, offset) {
+        const { scenarios } = this.requireDeck(deckId);
+        const from = scenarios.findIndex(scenario => scenario.id === scenarioId);
+        const to = from + offset;
+        if (from === -1 || to < 0 || to >= scenarios.length) return;
+
+        this.update(() => {
+            const deck = this.requireDeck(deckId);
+            const [scenario] = deck.scenarios.splice(from, 1);
+            deck.scenarios.splice(to, 0, scenario);
+        });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_SCENARIOS,
+        DeckError,
+        DeckStore,
+        validateScenario
+    };
+}
@@ -0,0 +1,388 @@
+// Cognitive Echo Scenario Editor
+//
+// The caregiver-facing screen for building decks of everyday phrases.
+// All changes go through DeckStore; `onChange` lets the main screen refresh
+// its deck and scenario pickers afterwards. Text is shown through the app's
+// translator (`i18n`), and DeckErrors are explained with it.
+
+const MAX_SCENARIO_IMAGE_BYTES = 512 * 1024;
+
+class ScenarioEditor {
+    constructor(deckStore, options = {}) {
+        this.deckStore = deckStore;
+        this.onChange = options.onChange || (() => {});
+        this.i18n = options.i18n;
+        this.deckId = deckStore.getActiveDeck().id;
+        this.editingScenarioId = null;
+        this.pendingImage = null;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const deckSelect = document.getElementById('editor-deck-select');
+        if (deckSelect) {
+            deckSelect.addEventListener('change', (e) => {
+                this.deckId = e.target.value;
+                this.closeForm();
+                this.render();
+            });
+        }
+
+        const createDeckBtn = document.getElementById('create-deck-btn');
+        if (createDeckBtn) {
+            createDeckBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.createDeck();
+            });
+        }
+
+        const renameDeckBtn = document.getElementById('rename-deck-btn');
+        if (renameDeckBtn) {
+            renameDeckBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.renameDeck();
+            });
+        }
+
+        const deleteDeckBtn = document.getElementById('delete-deck-btn');
+        if (deleteDeckBtn) {
+            deleteDeckBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.deleteDeck();
+            });
+        }
+
+        const addScenarioBtn = document.getElementById('add-scenario-btn');
+        if (addScenarioBtn) {
+            addScenarioBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.openForm(null);
+            });
+        }
+
+        const scenarioForm = document.getElementById('scenario-form');
+        if (scenarioForm) {
+            scenarioForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveScenario();
+            });
+        }
+
+        const cancelScenarioBtn = document.getElementById('cancel-scenario-btn');
+        if (cancelScenarioBtn) {
+            cancelScenarioBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.closeForm();
+            });
+        }
+
+        const imageInput = document.getElementById('scenario-image');
+        if (imageInput) {
+            imageInput.addEventListener('change', (e) => {
+                this.loadImage(e.target.files[0]);
+            });
+        }
+
+        // Edit / move / delete buttons are re-rendered, so listen on the list
+        const scenarioList = document.getElementById('scenario-list');
+        if (scenarioList) {
+            scenarioList.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-action]');
+                if (!button) return;
+                e.preventDefault();
+                this.handleScenarioAction(button.dataset.action, Number(button.dataset.scenarioId));
+            });
+        }
+    }
+
+    open() {
+        this.deckId = this.deckStore.getActiveDeck().id;
+        this.closeForm();
+        this.render();
+    }
+
+    get deck() {
+        return this.deckStore.getDeck(this.deckId) || this.deckStore.getActiveDeck();
+    }
+
+    render() {
+        const deckSelect = document.getElementById('editor-deck-select');
+        const deckNameInput = document.getElementById('deck-name-input');
+        const scenarioList = document.getElementById('scenario-list');
+        const deck = this.deck;
+        this.deckId = deck.id;
+
+        if (deckSelect) {
+            deckSelect.innerHTML = '';
+            this.deckStore.decks.forEach(({ id, name, scenarios }) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = `${name} (${scenarios.length})`;
+                deckSelect.appendChild(option);
+            });
+            deckSelect.value = deck.id;
+        }
+
+        if (deckNameInput) {
+            deckNameInput.value = deck.name;
+        }
+
+        if (!scenarioList) return;
+        scenarioList.innerHTML = '';
+
+        if (deck.scenarios.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'scenario-empty';
+            empty.textContent = this.i18n.t('decks.empty');
+            scenarioList.appendChild(empty);
+            return;
+        }
+
+        deck.scenarios.forEach((scenario, index) => {
+            const item = document.createElement('li');
+            item.className = 'scenario-item';
+
+            const aid = document.createElement('span');
+            aid.className = 'scenario-aid';
+            if (scenario.visualAid.image) {
+                const img = document.createElement('img');
+                img.src = scenario.visualAid.image;
+                img.alt = scenario.visualAid.label;
+                aid.appendChild(img);
+            } else {
+                aid.textContent = scenario.visualAid.emoji;
+            }
+
+            const text = document.createElement('span');
+            text.className = 'scenario-text';
+            text.textContent = scenario.completedSentence;
+            const prompt = document.createElement('small');
+            prompt.textContent = scenario.fragmentedInput;
+            text.appendChild(prompt);
+
+            const actions = document.createElement('span');
+            actions.className = 'scenario-actions';
+            [
+                ['up', '▲', 'decks.moveUp', index === 0],
+                ['down', '▼', 'decks.moveDown', index === deck.scenarios.length - 1],
+                ['edit', '✏️', 'decks.edit', false],
+                ['delete', '🗑️', 'common.delete', false]
+            ].forEach(([action, icon, titleKey, disabled]) => {
+                const title = this.i18n.t(titleKey);
+                const button = document.createElement('button');
+                button.className = 'control-btn';
+                button.dataset.action = action;
+                button.dataset.scenarioId = scenario.id;
+                button.title = title;
+                button.setAttribute('aria-label', title);
+                button.textContent = icon;
+                button.disabled = disabled;
+                actions.appendChild(button);
+            });
+
+            item.append(aid, text, actions);
+            scenarioList.appendChild(item);
+        });
+    }
+
+    handleScenarioAction(action, scenarioId) {
+        try {
+            if (action === 'up' || action === 'down') {
+                this.deckStore.moveScenario(this.deckId, scenarioId, action === 'up' ? -1 : 1);
+            } else if (action === 'edit') {
+                this.openForm(scenarioId);
+                return;
+            } else if (action === 'delete') {
+                if (!window.confirm(this.i18n.t('decks.deleteScenario'))) return;
+                this.deckStore.deleteScenario(this.deckId, scenarioId);
+                if (this.editingScenarioId === scenarioId) this.closeForm();
+            }
+            this.changed();
+        } catch (error) {
+            this.showError(this.describeError(error));
+        }
+    }
+
+    createDeck() {
+        const name = window.prompt(this.i18n.t('decks.newDeckName'));
+        if (name === null) return;
+
+        try {
+            this.deckId = this.deckStore.createDeck(name).id;
+            this.closeForm();
+            this.changed();
+        } catch (error) {
+            this.showError(this.describeError(error));
+        }
+    }
+
+    renameDeck() {
+        const deckNameInput = document.getElementById('deck-name-input');
+        try {
+            this.deckStore.renameDeck(this.deckId, deckNameInput ? deckNameInput.value : '');
+            this.changed();
+        } catch (error) {
+            this.showError(this.describeError(error));
+        }
+    }
+
+    deleteDeck() {
+        if (!window.confirm(this.i18n.t('decks.deleteDeck', { name: this.deck.name }))) return;
+
+        try {
+            this.deckStore.deleteDeck(this.deckId);
+            this.deckId = this.deckStore.getActiveDeck().id;
+            this.closeForm();
+            this.changed();
+        } catch (error) {
+            this.showError(this.describeError(error));
+        }
+    }
+
+    openForm(scenarioId) {
+        const form = document.getElementById('scenario-form');
+        if (!form) return;
+
+        const scenario = scenarioId === null
+            ? null
+            : this.deck.scenarios.find(existing => existing.id === scenarioId);
+        this.editingScenarioId = scenario ? scenario.id : null;
+        this.pendingImage = scenario ? scenario.visualAid.image || null : null;
+
+        const setValue = (id, value) => {
+            const el = document.getElementById(id);
+            if (el) el.value = value;
+        };
+        setValue('scenario-prompt', scenario ? scenario.fragmentedInput : '');
+        setValue('scenario-words', scenario ? scenario.predictions.join(', ') : '');
+        setValue('scenario-emoji', scenario ? scenario.visualAid.emoji : '');
+        setValue('scenario-label', scenario ? scenario.visualAid.label : '');
+        setValue('scenario-sentence', scenario ? scenario.completedSentence : '');
+        setValue('scenario-image', '');
+
+        const title = document.getElementById('scenario-form-title');
+        if (title) {
+            // Tagged so a language change keeps the right title
+            title.dataset.i18n = scenario ? 'scenario.editTitle' : 'scenario.newTitle';
+            title.textContent = this.i18n.t(title.dataset.i18n);
+        }
+
+        this.hideError();
+        this.renderImagePreview();
+        form.classList.remove('hidden');
+    }
+
+    closeForm() {
+        const form = document.getElementById('scenario-form');
+        if (form) form.classList.add('hidden');
+        this.editingScenarioId = null;
+        this.pendingImage = null;
+        this.hideError();
+    }
+
+    loadImage(file) {
+        if (!file) return;
+        if (!file.type.startsWith('image/')) {
+            this.showError(this.i18n.t('common.imageType'));
+            return;
+        }
+        // Decks live in localStorage, which only holds a few megabytes in total
+        if (file.size > MAX_SCENARIO_IMAGE_BYTES) {
+            this.showError(this.i18n.t('scenario.imageTooLarge'));
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            this.pendingImage = reader.result;
+            this.hideError();
+            this.renderImagePreview();
+        };
+        reader.onerror = () => this.showError(this.i18n.t('scenario.imageUnreadable'));
+        reader.readAsDataURL(file);
+    }
+
+    renderImagePreview() {
+        const preview = document.getElementById('scenario-image-preview');
+        if (!preview) return;
+
+        preview.innerHTML = '';
+        if (!this.pendingImage) return;
+
+        const img = document.createElement('img');
+        img.src = this.pendingImage;
+        img.alt = this.i18n.t('scenario.imagePreview');
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'btn btn--outline btn--sm';
+        remove.textContent = this.i18n.t('scenario.removeImage');
+        remove.addEventListener('click', () => {
+            this.pendingImage = null;
+            this.renderImagePreview();
+        });
+        preview.append(img, remove);
+    }
+
+    readForm() {
+        const value = id => {
+            const el = document.getElementById(id);
+            return el ? el.value : '';
+        };
+        return {
+            fragmentedInput: value('scenario-prompt'),
+            predictions: value('scenario-words').split(','),
+            visualAid: {
+                emoji: value('scenario-emoji').trim(),
+                label: value('scenario-label'),
+                ...(this.pendingImage ? { image: this.pendingImage } : {})
+            },
+            completedSentence: value('scenario-sentence')
+        };
+    }
+
+    saveScenario() {
+        const scenario = this.readForm();
+        try {
+            if (this.editingScenarioId === null) {
+                this.deckStore.addScenario(this.deckId, scenario);
+            } else {
+                // Replace rather than merge the visual aid so a removed image stays removed
+                this.deckStore.updateScenario(this.deckId, this.editingScenarioId, scenario);
+            }
+            this.closeForm();
+            this.changed();
+        } catch (error) {
+            this.showError(this.describeError(error));
+        }
+    }
+
+    changed() {
+        this.render();
+        this.onChange();
+    }
+
+    // DeckErrors are the caregiver's to fix; anything else is logged
+    describeError(error) {
+        if (!(error instanceof DeckError)) console.error('Error editing decks:', error);
+        return this.i18n.errorMessage(error, 'decks.changeFailed');
+    }
+
+    showError(message) {
+        const errorEl = document.getElementById('scenario-form-error');
+        const errorText = errorEl ? errorEl.querySelector('.error-text') : null;
+        if (errorEl && errorText) {
+            errorText.textContent = message;
+            errorEl.classList.remove('hidden');
+        }
+    }
+
+    hideError() {
+        const errorEl = document.getElementById('scenario-form-error');
+        if (errorEl) errorEl.classList.add('hidden');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ScenarioEditor };
+}
@@ -0,0 +1,111 @@
+// Cognitive Echo Screen Router
+//
+// Gives every screen its own URL hash (#/main, #/history, ...), so the browser's
+// back and forward buttons move between screens instead of leaving the app, and
+// a screen can be bookmarked or linked to. Each route names its screen and may
+// add hooks:
+//
+//   router.add('main', {
+//       screen: 'main-screen',
+//       guard: (from) => ready || 'permission',  // true, or a route to go to instead
+//       enter: (from) => { ... },
+//       leave: (to) => { ... }
+//   });
+//
+// navigate() adds a history entry and replace() doesn't. Guards run before
+// anything changes; a redirect replaces the entry it was asked for, so going
+// back never lands on a screen the guard refused. Hashes typed in or reached
+// through history go through the same guards and hooks.
+
+const MAX_REDIRECTS = 5;
+
+class ScreenRouter {
+    constructor(options = {}) {
+        this.window = options.window || window;
+        this.defaultRoute = options.defaultRoute || null;
+        this.onChange = options.onChange || (() => {});
+        this.routes = new Map();
+        this.current = null;
+        this.handleHashChange = () => this.go(this.routeFromHash(), { fromHistory: true });
+    }
+
+    add(name, route) {
+        this.routes.set(name, { name, ...route });
+        return this;
+    }
+
+    get route() {
+        return this.current ? this.routes.get(this.current) : null;
+    }
+
+    // Opens the screen in the address bar, or the default one
+    start() {
+        this.window.addEventListener('hashchange', this.handleHashChange);
+        return this.go(this.routeFromHash(), { replace: true });
+    }
+
+    stop() {
+        this.window.removeEventListener('hashchange', this.handleHashChange);
+    }
+
+    hashFor(name) {
+        return `#/${name}`;
+    }
+
+    routeFromHash() {
+        const name = this.window.location.hash.replace(/^#\/?/, '');
+        return this.routes.has(name) ? name : this.defaultRoute;
+    }
+
+    navigate(name) {
+        return this.go(name, { replace: false });
+    }
+
+    replace(name) {
+        return this.go(name, { replace: true });
+    }
+
+    go(name, options = {}) {
+        const from = this.current;
+        const target = this.resolve(name, from);
+        if (!target) {
+            console.error(`Unknown route: ${name}`);
+            return null;
+        }
+
+        // History already shows the requested hash; anything else is written over it
+        const hash = this.hashFor(target);
+        if (this.window.location.hash !== hash) {
+            const replace = options.replace || options.fromHistory || target !== name;
+            this.window.history[replace ? 'replaceState' : 'pushState'](null, '', hash);
+        }
+
+        if (target === from) return target;
+
+        const previous = this.route;
+        const route = this.routes.get(target);
+        if (previous && previous.leave) previous.leave(target);
+        this.current = target;
+        this.onChange(route, from);
+        if (route.enter) route.enter(from);
+        return target;
+    }
+
+    resolve(name, from) {
+        let target = name;
+        for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+            const route = this.routes.get(target);
+            if (!route) return null;
+
+            const verdict = route.guard ? route.guard(from) : true;
+            if (verdict === true) return target;
+            target = verdict;
+        }
+        console.error(`Too many redirects on the way to ${name}`);
+        return from;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ScreenRouter };
+}
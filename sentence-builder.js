@@ -0,0 +1,307 @@
+// Cognitive Echo Sentence Builder
+//
+// Sentences are assembled a piece at a time: the word found for a gap, then
+// next-word suggestions, with undo and reordering along the way. The words
+// are kept as the user chose them; `smoothSentence` only tidies them up for
+// display and speech:
+//
+//   ["i", "go", "to", "park", "yesterday"]  ->  "I went to the park yesterday."
+//
+// Smoothing is deliberately conservative - a/an agreement, a missing "the"
+// after a preposition, past tense when the sentence is clearly about the past,
+// and he/she/it agreement - so it never rewrites what the user meant. Those
+// rules are English; other languages only get repeats removed, a capital and
+// a full stop.
+
+const SENTENCE_STORAGE_KEY = 'cognitive-echo-sentences';
+
+const PREPOSITIONS = ['in', 'to', 'for', 'at', 'on', 'from', 'with', 'into', 'under', 'near'];
+const ARTICLE_DETERMINERS = ['a', 'an', 'the', 'my', 'your', 'his', 'her', 'our', 'their', 'some', 'this', 'that'];
+const PAST_MARKERS = ['yesterday', 'ago', 'last'];
+// A verb after these stays in its base form: "want to go", "can go", "did go"
+const BASE_FORM_TRIGGERS = ['to', 'can', 'could', 'will', 'would', 'should', 'must', 'might', 'may', 'did', "didn't", "don't", 'do', 'let', "let's"];
+const THIRD_PERSON_SUBJECTS = ['he', 'she', 'it'];
+// Already agree with he/she/it: "she is", not "she ises"
+const THIRD_PERSON_FORMS = ['is', 'was', 'has', 'does'];
+const FULL_STOPS = { hi: '।' };
+
+const IRREGULAR_PAST = {
+    am: 'was', is: 'was', are: 'were', be: 'was', bring: 'brought', buy: 'bought', come: 'came',
+    do: 'did', drink: 'drank', drive: 'drove', eat: 'ate', feel: 'felt', find: 'found', forget: 'forgot',
+    get: 'got', give: 'gave', go: 'went', have: 'had', leave: 'left', lose: 'lost', make: 'made',
+    meet: 'met', put: 'put', read: 'read', run: 'ran', say: 'said', see: 'saw', sit: 'sat',
+    sleep: 'slept', speak: 'spoke', swim: 'swam', take: 'took', tell: 'told', think: 'thought',
+    wear: 'wore', write: 'wrote'
+};
+
+const REGULAR_VERBS = [
+    'brush', 'call', 'clean', 'close', 'cook', 'dress', 'finish', 'help', 'like', 'listen', 'live',
+    'look', 'love', 'need', 'open', 'play', 'shower', 'start', 'stay', 'talk', 'turn', 'use',
+    'visit', 'walk', 'want', 'wash', 'watch', 'work'
+];
+
+// Phrases people commonly build, so suggestions work before anything is learned
+const BASE_SENTENCES = [
+    'I want to go home',
+    'I want some water',
+    'I need to go to the bathroom',
+    'I would like a cup of tea',
+    'I am tired',
+    'I am hungry',
+    'I feel cold',
+    'I went for a walk in the park',
+    'Can you help me',
+    'I love you',
+    'Where is my phone',
+    'I want to eat',
+    'I need my glasses',
+    'I want to sleep',
+    'Thank you'
+];
+
+function sentenceWords(text) {
+    return (text || '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{M}\p{N}\s']/gu, ' ')
+        .split(/\s+/)
+        .filter(Boolean);
+}
+
+function isVerb(word) {
+    return word in IRREGULAR_PAST || REGULAR_VERBS.includes(word);
+}
+
+// "a walk", "my drink" - after a determiner the word is a noun, not a verb
+function isVerbAt(tokens, i) {
+    return isVerb(tokens[i]) && !ARTICLE_DETERMINERS.includes(tokens[i - 1]);
+}
+
+function pastTense(verb) {
+    if (verb in IRREGULAR_PAST) return IRREGULAR_PAST[verb];
+    if (verb.endsWith('e')) return `${verb}d`;
+    if (/[^aeiou]y$/.test(verb)) return `${verb.slice(0, -1)}ied`;
+    return `${verb}ed`;
+}
+
+function thirdPerson(verb) {
+    if (THIRD_PERSON_FORMS.includes(verb)) return verb;
+    if (verb === 'have') return 'has';
+    if (verb === 'be' || verb === 'am' || verb === 'are') return 'is';
+    if (/(s|sh|ch|x|z|o)$/.test(verb)) return `${verb}es`;
+    if (/[^aeiou]y$/.test(verb)) return `${verb.slice(0, -1)}ies`;
+    return `${verb}s`;
+}
+
+function isPastForm(word) {
+    return Object.values(IRREGULAR_PAST).includes(word) ||
+        REGULAR_VERBS.some(verb => pastTense(verb) === word);
+}
+
+// "an" before a vowel sound; a few common spellings say otherwise
+function indefiniteArticle(word) {
+    if (/^(hour|honest|honou?r|heir)/.test(word)) return 'an';
+    if (/^(uni|use|usu|one|once|eu)/.test(word)) return 'a';
+    return /^[aeiou]/.test(word) ? 'an' : 'a';
+}
+
+// `isNoun` tells which words may take a missing "the"; without it none are added
+function smoothSentence(words, options = {}) {
+    const isNoun = options.isNoun || (() => false);
+    const language = options.language || 'en';
+    const tokens = words.map(word => word.toLowerCase()).filter(Boolean);
+    if (tokens.length === 0) return '';
+
+    if (language !== 'en') {
+        const sentence = tokens.filter((token, i) => token !== tokens[i - 1]).join(' ');
+        const capitalized = sentence.charAt(0).toUpperCase() + sentence.slice(1);
+        return /[.!?।]$/.test(capitalized) ? capitalized : `${capitalized}${FULL_STOPS[language] || '.'}`;
+    }
+
+    // Repeated words and stacked determiners are usually restarts: "the the", "a the"
+    const cleaned = [];
+    tokens.forEach(token => {
+        const previous = cleaned[cleaned.length - 1];
+        if (token === previous) return;
+        if (ARTICLE_DETERMINERS.includes(token) && ARTICLE_DETERMINERS.includes(previous)) cleaned.pop();
+        cleaned.push(token);
+    });
+
+    const withArticles = [];
+    cleaned.forEach(token => {
+        const previous = withArticles[withArticles.length - 1];
+        if (PREPOSITIONS.includes(previous) && isNoun(token)) withArticles.push('the');
+        withArticles.push(token);
+    });
+
+    const past = withArticles.some(token => PAST_MARKERS.includes(token)) ||
+        withArticles.some((token, i) => isPastForm(token) && !BASE_FORM_TRIGGERS.includes(withArticles[i - 1]));
+
+    const result = withArticles.map((token, i) => {
+        const previous = withArticles[i - 1];
+        if (!isVerbAt(withArticles, i) || BASE_FORM_TRIGGERS.includes(previous)) return token;
+        if (past) return pastTense(token);
+        if (THIRD_PERSON_SUBJECTS.includes(previous)) return thirdPerson(token);
+        return token;
+    });
+
+    // a/an last, once every word it precedes is final
+    for (let i = 0; i < result.length - 1; i++) {
+        if (result[i] === 'a' || result[i] === 'an') result[i] = indefiniteArticle(result[i + 1]);
+    }
+
+    const sentence = result.map(token => (token === 'i' || token.startsWith("i'") ? `I${token.slice(1)}` : token)).join(' ');
+    const capitalized = sentence.charAt(0).toUpperCase() + sentence.slice(1);
+    return /[.!?]$/.test(capitalized) ? capitalized : `${capitalized}.`;
+}
+
+class SentenceBuilder {
+    constructor(options = {}) {
+        this.isNoun = options.isNoun;
+        this.language = options.language || 'en';
+        this.words = [];
+        this.history = [];
+    }
+
+    get empty() {
+        return this.words.length === 0;
+    }
+
+    get text() {
+        return smoothSentence(this.words, { isNoun: this.isNoun, language: this.language });
+    }
+
+    // Every change can be undone
+    change(words) {
+        this.history.push(this.words);
+        this.words = words;
+    }
+
+    append(word) {
+        const added = sentenceWords(word);
+        if (added.length === 0) return;
+        this.change([...this.words, ...added]);
+    }
+
+    // Appends a phrase, skipping any beginning it shares with the end of the sentence:
+    // "I went for a walk" + "a walk in the park" -> "I went for a walk in the park"
+    appendPhrase(phrase) {
+        const added = sentenceWords(phrase);
+        let overlap = Math.min(this.words.length, added.length);
+        while (overlap > 0 && this.words.slice(-overlap).join(' ') !== added.slice(0, overlap).join(' ')) {
+            overlap--;
+        }
+        if (added.length === overlap) return;
+        this.change([...this.words, ...added.slice(overlap)]);
+    }
+
+    move(index, offset) {
+        const to = index + offset;
+        if (index < 0 || index >= this.words.length || to < 0 || to >= this.words.length) return;
+
+        const words = [...this.words];
+        const [word] = words.splice(index, 1);
+        words.splice(to, 0, word);
+        this.change(words);
+    }
+
+    remove(index) {
+        if (index < 0 || index >= this.words.length) return;
+        this.change(this.words.filter((_, i) => i !== index));
+    }
+
+    undo() {
+        if (this.history.length === 0) return false;
+        this.words = this.history.pop();
+        return true;
+    }
+
+    clear() {
+        this.words = [];
+        this.history = [];
+    }
+}
+
+// Bigram suggestions from common phrases, the decks' sentences and sentences the user finished.
+// Each language learns separately; `phrases` replaces the English starter phrases.
+class NextWordPredictor {
+    constructor(options = {}) {
+        this.storage = options.storage !== undefined
+            ? options.storage
+            : (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.language = options.language || 'en';
+        this.storageKey = options.storageKey ||
+            (this.language === 'en' ? SENTENCE_STORAGE_KEY : `${SENTENCE_STORAGE_KEY}-${this.language}`);
+        this.phrases = options.phrases || BASE_SENTENCES;
+        this.maxLearned = options.maxLearned || 200;
+        this.learned = this.load();
+        this.setCorpus(options.sentences || []);
+    }
+
+    load() {
+        if (!this.storage) return [];
+        try {
+            const stored = JSON.parse(this.storage.getItem(this.storageKey) || '[]');
+            return Array.isArray(stored) ? stored.filter(sentence => typeof sentence === 'string') : [];
+        } catch (error) {
+            console.error('Error loading learned sentences:', error);
+            return [];
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.learned));
+        } catch (error) {
+            console.error('Error saving learned sentences:', error);
+        }
+    }
+
+    setCorpus(sentences) {
+        this.corpus = sentences;
+        this.bigrams = new Map();
+        this.unigrams = new Map();
+        [...this.phrases, ...sentences, ...this.learned].forEach(sentence => this.count(sentence));
+    }
+
+    count(sentence) {
+        const words = ['<s>', ...sentenceWords(sentence)];
+        for (let i = 1; i < words.length; i++) {
+            if (!this.bigrams.has(words[i - 1])) this.bigrams.set(words[i - 1], new Map());
+            const next = this.bigrams.get(words[i - 1]);
+            next.set(words[i], (next.get(words[i]) || 0) + 1);
+            this.unigrams.set(words[i], (this.unigrams.get(words[i]) || 0) + 1);
+        }
+    }
+
+    learn(sentence) {
+        if (sentenceWords(sentence).length === 0) return;
+        this.learned = [...this.learned, sentence].slice(-this.maxLearned);
+        this.count(sentence);
+        this.save();
+    }
+
+    // [{ word, confidence }] for the word after `words`; ties keep first-seen order
+    predict(words, limit = 4) {
+        const previous = words.length > 0 ? words[words.length - 1].toLowerCase() : '<s>';
+        const following = this.bigrams.get(previous);
+        // Unseen context: fall back to the commonest words, with less confidence
+        const counts = following && following.size > 0 ? following : this.unigrams;
+        const scale = counts === following ? 0.9 : 0.4;
+        const total = [...counts.values()].reduce((sum, value) => sum + value, 0);
+
+        return [...counts.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, limit)
+            .map(([word, count]) => ({ word, confidence: Math.round((count / total) * scale * 100) / 100 }));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        NextWordPredictor,
+        SentenceBuilder,
+        sentenceWords,
+        smoothSentence
+    };
+}
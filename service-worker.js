@@ -0,0 +1,114 @@
+// Cognitive Echo Service Worker
+//
+// Lets the app start and run without a connection. Everything it needs is
+// precached on install: the page, styles, every script - the cue lexicon,
+// language packs and message catalogs included - the manifest and the icon.
+// Picture packs and personal photos already live in IndexedDB on the device.
+//
+// The cache is versioned: bump CACHE_VERSION with every release so changed
+// files are fetched again. A new version installs next to the running one and
+// waits until the user accepts the update prompt (see app-updater.js), then
+// removes the old caches. Requests to the backend API are never cached; the
+// sync queue holds session data while offline.
+//
+// SHELL_ASSETS must list every file index.html loads; test/service-worker.test.js
+// checks that they all exist.
+
+const CACHE_VERSION = 'v6';
+const CACHE_PREFIX = 'cognitive-echo-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${CACHE_VERSION}`;
+
+// The page every navigation opens
+const SHELL_PAGE = 'index[1].html';
+
+const SHELL_ASSETS = [
+    SHELL_PAGE,
+    'style[2].css',
+    'manifest.webmanifest',
+    'icon.svg',
+    'settings-store.js',
+    'app-state.js',
+    'app-updater.js',
+    'screen-router.js',
+    'media-manager.js',
+    'permission-preflight.js',
+    'speech-capture.js',
+    'voice-sensitivity.js',
+    'api-client.js',
+    'speech-adapters.js',
+    'session-store.js',
+    'sync-queue.js',
+    'session-export.js',
+    'session-recorder.js',
+    'session-replay.js',
+    'disfluency-analyzer.js',
+    'personal-vocabulary.js',
+    'scenario-decks.js',
+    'scenario-editor.js',
+    'switch-scanner.js',
+    'head-pointer.js',
+    'gesture-detector.js',
+    'visual-aids.js',
+    'picture-pack-settings.js',
+    'cue-lexicon.js',
+    'i18n.js',
+    'language-packs.js',
+    'prediction-providers.js',
+    'sentence-builder.js',
+    'speech-output.js',
+    'app[1].js'
+];
+
+self.addEventListener('install', (event) => {
+    // All or nothing: a half-cached version would break offline
+    event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_ASSETS)));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && key !== SHELL_CACHE)
+                .map(key => caches.delete(key))))
+            // Control the page on its first visit too, so it works offline straight away
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    // The backend, other origins and anything that isn't a GET go straight to the network
+    if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+
+    // Every page of the app opens the cached shell
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            caches.match(SHELL_PAGE, { cacheName: SHELL_CACHE }).then(cached => cached || fetch(request))
+        );
+        return;
+    }
+
+    // Cache first; anything else from this origin is cached the first time it loads
+    event.respondWith(
+        caches.match(request, { cacheName: SHELL_CACHE, ignoreSearch: true }).then(cached => {
+            if (cached) return cached;
+            return fetch(request).then(response => {
+                if (response.ok && response.type === 'basic') {
+                    const copy = response.clone();
+                    caches.open(SHELL_CACHE).then(cache => cache.put(request, copy));
+                }
+                return response;
+            });
+        })
+    );
+});
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CACHE_VERSION, SHELL_PAGE, SHELL_ASSETS };
+}
@@ -0,0 +1,262 @@
+// Cognitive Echo Session Export / Import
+//
+// JSON export schema (format "cognitive-echo-sessions", version 1):
+//
+//   {
+//       "format": "cognitive-echo-sessions",
+//       "version": 1,
+//       "exportedAt": "2026-10-19T09:30:00.000Z",
+//       "sessions": [
+//           { "id": 1, "mode": "live" | "demo", "startedAt": ISO 8601, "endedAt": ISO 8601 | null }
+//       ],
+//       "attempts": [
+//           {
+//               "id": 7,
+//               "sessionId": 1,                        must match a session above
+//               "scenarioId": 2 | null,
+//               "fragmentedInput": "with my... uh... furry...",
+//               "predictions": [{ "word": "dog", "confidence": 0.92 }],
+//               "selected": { "word": "dog", "confidence": 0.92, "rank": 0 } | null,
+//               "timeToSelectionMs": 2300 | null,      latency from cards shown to card chosen
+//               "completedSentence": "with my dog" | null,
+//               "category": "animal",
+//               "startedAt": ISO 8601,
+//               "completedAt": ISO 8601 | null
+//           }
+//       ]
+//   }
+//
+// Confidences are between 0 and 1. `selected`, `timeToSelectionMs`,
+// `completedSentence` and `completedAt` are null for abandoned attempts.
+// The CSV export flattens the same data to one row per attempt.
+
+const SESSION_EXPORT_FORMAT = 'cognitive-echo-sessions';
+const SESSION_EXPORT_VERSION = 1;
+const SESSION_MODES = ['live', 'demo'];
+
+const SESSION_CSV_COLUMNS = [
+    'session_id',
+    'session_mode',
+    'attempt_id',
+    'started_at',
+    'completed_at',
+    'fragmented_input',
+    'predictions',
+    'selected_word',
+    'selected_rank',
+    'selected_confidence',
+    'time_to_selection_ms',
+    'completed_sentence',
+    'category'
+];
+
+class SessionImportError extends Error {
+    constructor(errors) {
+        super(`Invalid session file: ${errors.map(error => error.key).join(', ')}`);
+        this.name = 'SessionImportError';
+        this.errors = errors;
+    }
+}
+
+function toIsoDate(timestamp) {
+    return typeof timestamp === 'number' ? new Date(timestamp).toISOString() : null;
+}
+
+function exportSessionsJson(sessions, attempts, exportedAt = Date.now()) {
+    return {
+        format: SESSION_EXPORT_FORMAT,
+        version: SESSION_EXPORT_VERSION,
+        exportedAt: toIsoDate(exportedAt),
+        sessions: sessions.map(session => ({
+            id: session.id,
+            mode: session.mode || 'live',
+            startedAt: toIsoDate(session.startedAt),
+            endedAt: toIsoDate(session.endedAt)
+        })),
+        attempts: attempts.map(attempt => ({
+            id: attempt.id,
+            sessionId: attempt.sessionId,
+            scenarioId: attempt.scenarioId ?? null,
+            fragmentedInput: attempt.fragmentedInput || '',
+            predictions: (attempt.predictions || []).map(({ word, confidence }) => ({ word, confidence })),
+            selected: attempt.selected
+                ? { word: attempt.selected.word, confidence: attempt.selected.confidence, rank: attempt.selected.rank }
+                : null,
+            timeToSelectionMs: attempt.timeToSelectionMs ?? null,
+            completedSentence: attempt.completedSentence ?? null,
+            category: attempt.category || 'other',
+            startedAt: toIsoDate(attempt.startedAt),
+            completedAt: toIsoDate(attempt.completedAt)
+        }))
+    };
+}
+
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function exportSessionsCsv(sessions, attempts) {
+    const modes = new Map(sessions.map(session => [session.id, session.mode || 'live']));
+
+    const rows = attempts.map(attempt => [
+        attempt.sessionId,
+        modes.get(attempt.sessionId) || '',
+        attempt.id,
+        toIsoDate(attempt.startedAt),
+        toIsoDate(attempt.completedAt),
+        attempt.fragmentedInput,
+        (attempt.predictions || []).map(p => `${p.word}:${p.confidence}`).join('; '),
+        attempt.selected ? attempt.selected.word : null,
+        attempt.selected ? attempt.selected.rank : null,
+        attempt.selected ? attempt.selected.confidence : null,
+        attempt.timeToSelectionMs,
+        attempt.completedSentence,
+        attempt.category
+    ]);
+
+    return [SESSION_CSV_COLUMNS, ...rows]
+        .map(row => row.map(escapeCsvValue).join(','))
+        .join('\r\n');
+}
+
+// --- Import validation -------------------------------------------------------
+
+// Each problem is a message catalog key with its details: { key, params }
+function validateSessionExport(data) {
+    const errors = [];
+    const add = (key, params) => errors.push(params ? { key, params } : { key });
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isDate = value => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+    const isDateOrNull = value => value === null || isDate(value);
+    const isTextOrNull = value => value === null || typeof value === 'string';
+    const isConfidence = value => typeof value === 'number' && value >= 0 && value <= 1;
+    const isId = value => (typeof value === 'number' && Number.isFinite(value)) || (typeof value === 'string' && value !== '');
+
+    if (!isObject(data)) {
+        return [{ key: 'validation.notObject' }];
+    }
+    if (data.format !== SESSION_EXPORT_FORMAT) {
+        add('validation.format', { expected: SESSION_EXPORT_FORMAT });
+    }
+    if (data.version !== SESSION_EXPORT_VERSION) {
+        add('validation.version', { version: JSON.stringify(data.version), expected: SESSION_EXPORT_VERSION });
+    }
+    if (!Array.isArray(data.sessions)) add('validation.list', { field: 'sessions' });
+    if (!Array.isArray(data.attempts)) add('validation.list', { field: 'attempts' });
+    if (errors.length > 0) return errors;
+
+    const sessionIds = new Set();
+    data.sessions.forEach((session, i) => {
+        const path = `sessions[${i}]`;
+        if (!isObject(session)) {
+            add('validation.object', { field: path });
+            return;
+        }
+        if (!isId(session.id)) add('validation.required', { field: `${path}.id` });
+        else if (sessionIds.has(session.id)) add('validation.duplicate', { field: `${path}.id`, value: session.id });
+        else sessionIds.add(session.id);
+        if (session.mode !== undefined && !SESSION_MODES.includes(session.mode)) {
+            add('validation.choice', { field: `${path}.mode`, choices: SESSION_MODES.join(', ') });
+        }
+        if (!isDate(session.startedAt)) add('validation.date', { field: `${path}.startedAt` });
+        if (!isDateOrNull(session.endedAt ?? null)) add('validation.dateOrEmpty', { field: `${path}.endedAt` });
+    });
+
+    data.attempts.forEach((attempt, i) => {
+        const path = `attempts[${i}]`;
+        if (!isObject(attempt)) {
+            add('validation.object', { field: path });
+            return;
+        }
+        if (!sessionIds.has(attempt.sessionId)) add('import.error.session', { field: `${path}.sessionId` });
+        if (typeof attempt.fragmentedInput !== 'string') add('validation.text', { field: `${path}.fragmentedInput` });
+        if (!isTextOrNull(attempt.completedSentence ?? null)) add('validation.textOrEmpty', { field: `${path}.completedSentence` });
+        if (attempt.category !== undefined && typeof attempt.category !== 'string') add('validation.text', { field: `${path}.category` });
+        if (!isDate(attempt.startedAt)) add('validation.date', { field: `${path}.startedAt` });
+        if (!isDateOrNull(attempt.completedAt ?? null)) add('validation.dateOrEmpty', { field: `${path}.completedAt` });
+
+        if (!Array.isArray(attempt.predictions)) {
+            add('validation.list', { field: `${path}.predictions` });
+        } else {
+            attempt.predictions.forEach((prediction, k) => {
+                if (!isObject(prediction) || typeof prediction.word !== 'string' || !isConfidence(prediction.confidence)) {
+                    add('import.error.prediction', { field: `${path}.predictions[${k}]` });
+                }
+            });
+        }
+
+        const selected = attempt.selected ?? null;
+        if (selected !== null) {
+            if (!isObject(selected) || typeof selected.word !== 'string') {
+                add('import.error.selected', { field: `${path}.selected` });
+            } else {
+                if (!Number.isInteger(selected.rank) || selected.rank < 0) add('validation.wholeNumber', { field: `${path}.selected.rank` });
+                if (!isConfidence(selected.confidence)) add('validation.confidence', { field: `${path}.selected.confidence` });
+            }
+        }
+
+        const latency = attempt.timeToSelectionMs ?? null;
+        if (latency !== null && (typeof latency !== 'number' || latency < 0)) {
+            add('validation.positiveOrEmpty', { field: `${path}.timeToSelectionMs` });
+        }
+    });
+
+    return errors;
+}
+
+// Parses and validates an exported file; timestamps come back as epoch milliseconds
+function parseSessionImport(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new SessionImportError([{ key: 'validation.json' }]);
+    }
+
+    const errors = validateSessionExport(data);
+    if (errors.length > 0) {
+        // Long lists bury the first, most useful errors
+        const shown = errors.slice(0, 10);
+        if (errors.length > shown.length) shown.push({ key: 'validation.more', params: { count: errors.length - shown.length } });
+        throw new SessionImportError(shown);
+    }
+
+    const toTimestamp = value => (value ? Date.parse(value) : null);
+    return {
+        sessions: data.sessions.map(session => ({
+            id: session.id,
+            mode: session.mode || 'live',
+            startedAt: toTimestamp(session.startedAt),
+            endedAt: toTimestamp(session.endedAt)
+        })),
+        attempts: data.attempts.map(attempt => ({
+            sessionId: attempt.sessionId,
+            scenarioId: attempt.scenarioId ?? null,
+            fragmentedInput: attempt.fragmentedInput,
+            predictions: attempt.predictions.map(({ word, confidence }) => ({ word, confidence })),
+            selected: attempt.selected
+                ? { word: attempt.selected.word, confidence: attempt.selected.confidence, rank: attempt.selected.rank }
+                : null,
+            timeToSelectionMs: attempt.timeToSelectionMs ?? null,
+            completedSentence: attempt.completedSentence ?? null,
+            category: attempt.category || 'other',
+            startedAt: toTimestamp(attempt.startedAt),
+            completedAt: toTimestamp(attempt.completedAt)
+        }))
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SESSION_EXPORT_FORMAT,
+        SESSION_EXPORT_VERSION,
+        SESSION_CSV_COLUMNS,
+        SessionImportError,
+        exportSessionsJson,
+        exportSessionsCsv,
+        validateSessionExport,
+        parseSessionImport
+    };
+}
@@ -0,0 +1,197 @@
+// Cognitive Echo Session Recorder
+//
+// Opt-in recording of a session for clinical review: the camera and
+// microphone through MediaRecorder, plus a timeline of what the app did, each
+// event stamped with its offset into the recording:
+//
+//   {
+//       id, sessionId, startedAt, endedAt, durationMs,
+//       mimeType, media: Blob | null,         null when there was no stream (demo mode)
+//       events: [{ at, type, data }]          `at` in milliseconds from the start
+//   }
+//
+// Event types: 'transcript' { text }, 'predictions' { words },
+// 'selection' { word, rank }, 'rejection' { word }, 'sentence' { text }.
+// Recordings stay in IndexedDB on this device. The app only starts one after
+// the user agrees, and deleting a recording removes its media and timeline.
+
+const RECORDING_DB_NAME = 'cognitive-echo-recordings';
+const RECORDING_DB_VERSION = 1;
+// In order of preference; the first one the browser can record is used
+const RECORDING_MIME_TYPES = ['video/webm;codecs=vp8,opus', 'video/webm', 'video/mp4'];
+
+class RecordingStore {
+    constructor(options = {}) {
+        this.indexedDB = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.dbName = options.dbName || RECORDING_DB_NAME;
+        this.db = null;
+    }
+
+    get available() {
+        return Boolean(this.indexedDB);
+    }
+
+    async open() {
+        if (this.db) return this.db;
+        if (!this.available) {
+            throw new Error('IndexedDB is not available in this browser');
+        }
+
+        const request = this.indexedDB.open(this.dbName, RECORDING_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains('recordings')) {
+                const recordings = db.createObjectStore('recordings', { keyPath: 'id', autoIncrement: true });
+                recordings.createIndex('startedAt', 'startedAt');
+            }
+        };
+
+        this.db = await promisifyRequest(request);
+        return this.db;
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    async transaction(storeNames, mode, work) {
+        const db = await this.open();
+        const tx = db.transaction(storeNames, mode);
+        const done = new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+        const result = await work(tx);
+        await done;
+        return result;
+    }
+
+    async save(recording) {
+        const id = await this.transaction(['recordings'], 'readwrite', tx =>
+            promisifyRequest(tx.objectStore('recordings').add({ ...recording }))
+        );
+        return { ...recording, id };
+    }
+
+    // Newest first
+    async getRecordings() {
+        const recordings = await this.transaction(['recordings'], 'readonly', tx =>
+            promisifyRequest(tx.objectStore('recordings').index('startedAt').getAll())
+        );
+        return recordings.reverse();
+    }
+
+    async getRecording(id) {
+        return this.transaction(['recordings'], 'readonly', tx =>
+            promisifyRequest(tx.objectStore('recordings').get(id))
+        );
+    }
+
+    async deleteRecording(id) {
+        return this.transaction(['recordings'], 'readwrite', tx =>
+            promisifyRequest(tx.objectStore('recordings').delete(id))
+        );
+    }
+
+    async clear() {
+        return this.transaction(['recordings'], 'readwrite', tx =>
+            promisifyRequest(tx.objectStore('recordings').clear())
+        );
+    }
+}
+
+// Index of the last event at or before `time` (ms into the recording), or -1
+function eventIndexAt(events, time) {
+    let index = -1;
+    while (index + 1 < events.length && events[index + 1].at <= time) index++;
+    return index;
+}
+
+class SessionRecorder {
+    constructor(options = {}) {
+        this.store = options.store || new RecordingStore();
+        this.MediaRecorder = options.MediaRecorder !== undefined
+            ? options.MediaRecorder
+            : (typeof MediaRecorder !== 'undefined' ? MediaRecorder : null);
+        this.now = options.now || (() => Date.now());
+        this.recorder = null;
+        this.recording = null;
+        this.chunks = [];
+    }
+
+    get available() {
+        return this.store.available;
+    }
+
+    get active() {
+        return Boolean(this.recording);
+    }
+
+    // Without a stream (or MediaRecorder) only the timeline is kept
+    start(stream, details = {}) {
+        if (this.recording) return;
+        if (!this.available) throw new Error('Recording is not supported in this browser');
+
+        const chunks = [];
+        this.chunks = chunks;
+        this.recorder = null;
+        if (stream && this.MediaRecorder) {
+            const isTypeSupported = this.MediaRecorder.isTypeSupported || (() => true);
+            const mimeType = RECORDING_MIME_TYPES.find(type => isTypeSupported(type));
+            this.recorder = new this.MediaRecorder(stream, mimeType ? { mimeType } : {});
+            this.recorder.ondataavailable = event => {
+                if (event.data && event.data.size > 0) chunks.push(event.data);
+            };
+            // Chunk every second so an interrupted recording still keeps most of the media
+            this.recorder.start(1000);
+        }
+
+        this.recording = {
+            sessionId: details.sessionId ?? null,
+            startedAt: this.now(),
+            mimeType: this.recorder ? this.recorder.mimeType || 'video/webm' : null,
+            events: []
+        };
+    }
+
+    log(type, data = {}) {
+        if (!this.recording) return;
+        this.recording.events.push({ at: this.now() - this.recording.startedAt, type, data });
+    }
+
+    // Resolves with the saved recording once the last chunk of media is in
+    async stop() {
+        if (!this.recording) return null;
+
+        const recording = this.recording;
+        const recorder = this.recorder;
+        const chunks = this.chunks;
+        this.recording = null;
+        this.recorder = null;
+        this.chunks = [];
+
+        if (recorder && recorder.state !== 'inactive') {
+            await new Promise(resolve => {
+                recorder.onstop = resolve;
+                recorder.stop();
+            });
+        }
+
+        recording.endedAt = this.now();
+        recording.durationMs = recording.endedAt - recording.startedAt;
+        recording.media = chunks.length > 0 ? new Blob(chunks, { type: recording.mimeType }) : null;
+        return this.store.save(recording);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RecordingStore,
+        SessionRecorder,
+        eventIndexAt
+    };
+}
@@ -0,0 +1,272 @@
+// Cognitive Echo Session Replay
+//
+// The review screen for recorded sessions. A recording's video plays next to
+// its timeline: the event for the current moment is highlighted as the video
+// runs, and choosing an event jumps the video to it. Each recording can be
+// deleted with one click, or all of them at once.
+
+function formatReplayTime(ms) {
+    const seconds = Math.max(0, Math.floor(ms / 1000));
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+class SessionReplay {
+    constructor(store, options = {}) {
+        this.store = store;
+        this.i18n = options.i18n;
+        this.recordings = [];
+        this.current = null;
+        this.mediaUrl = null;
+        this.highlighted = -1;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        // Play and delete buttons are re-rendered, so listen on the list
+        const list = document.getElementById('recording-list');
+        if (list) {
+            list.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-recording-id]');
+                if (!button) return;
+                e.preventDefault();
+                const id = Number(button.dataset.recordingId);
+                if (button.dataset.action === 'delete') {
+                    this.deleteRecording(id);
+                } else {
+                    this.play(id);
+                }
+            });
+        }
+
+        const deleteAllBtn = document.getElementById('delete-all-recordings-btn');
+        if (deleteAllBtn) {
+            deleteAllBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.deleteAll();
+            });
+        }
+
+        const timeline = document.getElementById('replay-timeline');
+        if (timeline) {
+            timeline.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-at]');
+                if (!button) return;
+                e.preventDefault();
+                this.seek(Number(button.dataset.at));
+            });
+        }
+
+        const video = document.getElementById('replay-video');
+        if (video) {
+            video.addEventListener('timeupdate', () => this.highlight(video.currentTime * 1000));
+        }
+    }
+
+    async open() {
+        this.closePlayer();
+        this.hideStatus();
+        if (!this.store.available) {
+            this.recordings = [];
+            this.render();
+            this.showStatus(this.i18n.t('recording.unsupported'), true);
+            return;
+        }
+
+        try {
+            this.recordings = await this.store.getRecordings();
+            this.render();
+        } catch (error) {
+            console.error('Error loading recordings:', error);
+            this.showStatus(this.i18n.t('replay.loadFailed'), true);
+        }
+    }
+
+    close() {
+        this.closePlayer();
+    }
+
+    render() {
+        const list = document.getElementById('recording-list');
+        const deleteAllBtn = document.getElementById('delete-all-recordings-btn');
+        if (deleteAllBtn) deleteAllBtn.disabled = this.recordings.length === 0;
+        if (!list) return;
+
+        list.innerHTML = '';
+        this.recordings.forEach(recording => {
+            const item = document.createElement('li');
+            item.classList.toggle('active', Boolean(this.current && this.current.id === recording.id));
+
+            const text = document.createElement('span');
+            text.textContent = this.i18n.t('replay.item', {
+                date: new Date(recording.startedAt).toLocaleString(this.i18n.locale),
+                duration: formatReplayTime(recording.durationMs),
+                count: recording.events.length
+            });
+
+            const play = document.createElement('button');
+            play.className = 'btn btn--outline btn--sm';
+            play.textContent = this.i18n.t('replay.play');
+            play.dataset.recordingId = recording.id;
+            play.dataset.action = 'play';
+
+            const remove = document.createElement('button');
+            remove.className = 'btn btn--outline btn--sm';
+            remove.textContent = this.i18n.t('replay.delete');
+            remove.dataset.recordingId = recording.id;
+            remove.dataset.action = 'delete';
+
+            item.append(text, play, remove);
+            list.appendChild(item);
+        });
+
+        if (this.recordings.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'vocabulary-empty';
+            empty.textContent = this.i18n.t('replay.empty');
+            list.appendChild(empty);
+        }
+    }
+
+    play(id) {
+        const recording = this.recordings.find(existing => existing.id === id);
+        if (!recording) return;
+
+        this.closePlayer();
+        this.current = recording;
+        this.render();
+
+        const player = document.getElementById('replay-player');
+        const video = document.getElementById('replay-video');
+        const noMedia = document.getElementById('replay-no-media');
+        if (player) player.classList.remove('hidden');
+        if (video) {
+            video.classList.toggle('hidden', !recording.media);
+            if (recording.media) {
+                this.mediaUrl = URL.createObjectURL(recording.media);
+                video.src = this.mediaUrl;
+            }
+        }
+        if (noMedia) noMedia.classList.toggle('hidden', Boolean(recording.media));
+        this.renderTimeline();
+    }
+
+    closePlayer() {
+        const player = document.getElementById('replay-player');
+        const video = document.getElementById('replay-video');
+        if (video) {
+            video.pause();
+            video.removeAttribute('src');
+            video.load();
+        }
+        if (this.mediaUrl) {
+            URL.revokeObjectURL(this.mediaUrl);
+            this.mediaUrl = null;
+        }
+        if (player) player.classList.add('hidden');
+        this.current = null;
+        this.highlighted = -1;
+    }
+
+    renderTimeline() {
+        const timeline = document.getElementById('replay-timeline');
+        if (!timeline || !this.current) return;
+
+        timeline.innerHTML = '';
+        this.current.events.forEach(event => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `replay-event replay-event--${event.type}`;
+            button.dataset.at = event.at;
+            button.disabled = !this.current.media;
+
+            const time = document.createElement('span');
+            time.className = 'replay-event-time';
+            time.textContent = formatReplayTime(event.at);
+            button.append(time, ' ', this.describe(event));
+
+            item.appendChild(button);
+            timeline.appendChild(item);
+        });
+        this.highlighted = -1;
+    }
+
+    describe(event) {
+        const data = event.data || {};
+        switch (event.type) {
+            case 'predictions':
+                return this.i18n.t('replay.predictions', { words: (data.words || []).join(', ') });
+            case 'selection':
+            case 'rejection':
+                return this.i18n.t(`replay.${event.type}`, { word: data.word });
+            case 'transcript':
+            case 'sentence':
+                return this.i18n.t(`replay.${event.type}`, { text: data.text });
+            default:
+                return event.type;
+        }
+    }
+
+    highlight(time) {
+        if (!this.current) return;
+        const index = eventIndexAt(this.current.events, time);
+        if (index === this.highlighted) return;
+
+        const items = document.querySelectorAll('#replay-timeline .replay-event');
+        items.forEach((item, i) => item.classList.toggle('current', i === index));
+        if (items[index]) items[index].scrollIntoView({ block: 'nearest' });
+        this.highlighted = index;
+    }
+
+    seek(at) {
+        const video = document.getElementById('replay-video');
+        if (!video || !this.current || !this.current.media) return;
+        video.currentTime = at / 1000;
+        this.highlight(at);
+        video.play().catch(error => console.error('Error playing recording:', error));
+    }
+
+    async deleteRecording(id) {
+        try {
+            await this.store.deleteRecording(id);
+            if (this.current && this.current.id === id) this.closePlayer();
+            this.recordings = this.recordings.filter(recording => recording.id !== id);
+            this.render();
+            this.showStatus(this.i18n.t('replay.deleted'), false);
+        } catch (error) {
+            console.error('Error deleting recording:', error);
+            this.showStatus(this.i18n.t('replay.deleteFailed'), true);
+        }
+    }
+
+    async deleteAll() {
+        try {
+            await this.store.clear();
+            this.closePlayer();
+            this.recordings = [];
+            this.render();
+            this.showStatus(this.i18n.t('replay.allDeleted'), false);
+        } catch (error) {
+            console.error('Error deleting recordings:', error);
+            this.showStatus(this.i18n.t('replay.deleteFailed'), true);
+        }
+    }
+
+    showStatus(message, isError) {
+        const statusEl = document.getElementById('replay-status');
+        if (!statusEl) return;
+
+        statusEl.textContent = message;
+        statusEl.className = `history-import-status status ${isError ? 'status--error' : 'status--success'}`;
+    }
+
+    hideStatus() {
+        const statusEl = document.getElementById('replay-status');
+        if (statusEl) statusEl.classList.add('hidden');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SessionReplay, formatReplayTime };
+}
@@ -0,0 +1,231 @@
+// Cognitive Echo Session Store
+//
+// Persists therapy sessions and every word-finding attempt in IndexedDB so
+// progress survives reloads. An attempt is one round of predictions:
+//
+//   {
+//       id, sessionId, scenarioId,
+//       fragmentedInput,                      transcript the predictions were made from
+//       predictions: [{ word, confidence }],  cards shown, in rank order
+//       selected: { word, confidence, rank } | null when abandoned
+//       timeToSelectionMs,                    from predictions shown to card chosen
+//       completedSentence, category,
+//       startedAt, completedAt                epoch milliseconds
+//   }
+
+const SESSION_DB_NAME = 'cognitive-echo';
+const SESSION_DB_VERSION = 1;
+
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+class SessionStore {
+    constructor(options = {}) {
+        this.indexedDB = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.dbName = options.dbName || SESSION_DB_NAME;
+        this.db = null;
+    }
+
+    get available() {
+        return Boolean(this.indexedDB);
+    }
+
+    async open() {
+        if (this.db) return this.db;
+        if (!this.available) {
+            throw new Error('IndexedDB is not available in this browser');
+        }
+
+        const request = this.indexedDB.open(this.dbName, SESSION_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains('sessions')) {
+                db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+            }
+            if (!db.objectStoreNames.contains('attempts')) {
+                const attempts = db.createObjectStore('attempts', { keyPath: 'id', autoIncrement: true });
+                attempts.createIndex('sessionId', 'sessionId');
+                attempts.createIndex('startedAt', 'startedAt');
+            }
+        };
+
+        this.db = await promisifyRequest(request);
+        return this.db;
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    async transaction(storeNames, mode, work) {
+        const db = await this.open();
+        const tx = db.transaction(storeNames, mode);
+        const done = new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+        const result = await work(tx);
+        await done;
+        return result;
+    }
+
+    async startSession(details = {}) {
+        const session = { ...details, startedAt: details.startedAt || Date.now(), endedAt: null };
+        const id = await this.transaction(['sessions'], 'readwrite', tx =>
+            promisifyRequest(tx.objectStore('sessions').add(session))
+        );
+        return { ...session, id };
+    }
+
+    async endSession(sessionId, endedAt = Date.now()) {
+        return this.transaction(['sessions'], 'readwrite', async tx => {
+            const store = tx.objectStore('sessions');
+            const session = await promisifyRequest(store.get(sessionId));
+            if (!session) return null;
+            session.endedAt = endedAt;
+            await promisifyRequest(store.put(session));
+            return session;
+        });
+    }
+
+    async recordAttempt(attempt) {
+        const id = await this.transaction(['attempts'], 'readwrite', tx =>
+            promisifyRequest(tx.objectStore('attempts').add({ ...attempt }))
+        );
+        return { ...attempt, id };
+    }
+
+    async getSessions() {
+        return this.transaction(['sessions'], 'readonly', tx =>
+            promisifyRequest(tx.objectStore('sessions').getAll())
+        );
+    }
+
+    // Attempts started at or after `since` (epoch ms), oldest first
+    async getAttempts(options = {}) {
+        const since = options.since || 0;
+        return this.transaction(['attempts'], 'readonly', tx => {
+            const index = tx.objectStore('attempts').index('startedAt');
+            const range = typeof IDBKeyRange !== 'undefined' ? IDBKeyRange.lowerBound(since) : undefined;
+            return promisifyRequest(index.getAll(range))
+                .then(attempts => attempts.filter(attempt => attempt.startedAt >= since));
+        });
+    }
+
+    // Adds previously exported sessions under fresh ids so they never collide with local ones.
+    // Sessions already here (same start and mode) and their attempts (same start) are skipped,
+    // so importing a file twice doesn't count the same practice twice.
+    async importData({ sessions, attempts }) {
+        return this.transaction(['sessions', 'attempts'], 'readwrite', async tx => {
+            const sessionStore = tx.objectStore('sessions');
+            const attemptStore = tx.objectStore('attempts');
+            const sessionKey = session => `${session.startedAt}|${session.mode || 'live'}`;
+            const attemptKey = (sessionId, attempt) => `${sessionId}|${attempt.startedAt}`;
+            const knownSessions = new Map((await promisifyRequest(sessionStore.getAll()))
+                .map(session => [sessionKey(session), session.id]));
+            const knownAttempts = new Set((await promisifyRequest(attemptStore.getAll()))
+                .map(attempt => attemptKey(attempt.sessionId, attempt)));
+            const idMap = new Map();
+            const added = { sessions: 0, attempts: 0 };
+            const skipped = { sessions: 0, attempts: 0 };
+
+            for (const { id, ...session } of sessions) {
+                const key = sessionKey(session);
+                if (knownSessions.has(key)) {
+                    skipped.sessions++;
+                } else {
+                    knownSessions.set(key, await promisifyRequest(sessionStore.add(session)));
+                    added.sessions++;
+                }
+                idMap.set(id, knownSessions.get(key));
+            }
+            for (const attempt of attempts) {
+                const sessionId = idMap.get(attempt.sessionId);
+                const key = attemptKey(sessionId, attempt);
+                if (knownAttempts.has(key)) {
+                    skipped.attempts++;
+                    continue;
+                }
+                knownAttempts.add(key);
+                await promisifyRequest(attemptStore.add({ ...attempt, sessionId }));
+                added.attempts++;
+            }
+
+            return { ...added, skipped };
+        });
+    }
+
+    async clear() {
+        return this.transaction(['sessions', 'attempts'], 'readwrite', tx => Promise.all([
+            promisifyRequest(tx.objectStore('sessions').clear()),
+            promisifyRequest(tx.objectStore('attempts').clear())
+        ]));
+    }
+}
+
+// --- Progress summaries ------------------------------------------------------
+
+function localDayKey(timestamp) {
+    const date = new Date(timestamp);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function summarizeAttempts(attempts) {
+    const completed = attempts.filter(attempt => attempt.selected);
+    const times = completed
+        .map(attempt => attempt.timeToSelectionMs)
+        .filter(time => typeof time === 'number');
+
+    return {
+        attempts: attempts.length,
+        completed: completed.length,
+        successRate: attempts.length ? completed.length / attempts.length : 0,
+        // Share of completions where the first card was the right one
+        topChoiceRate: completed.length
+            ? completed.filter(attempt => attempt.selected.rank === 0).length / completed.length
+            : 0,
+        averageTimeToSelectionMs: times.length
+            ? Math.round(times.reduce((sum, time) => sum + time, 0) / times.length)
+            : null
+    };
+}
+
+function groupBy(items, keyOf) {
+    return items.reduce((groups, item) => {
+        const key = keyOf(item);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(item);
+        return groups;
+    }, new Map());
+}
+
+// Per-day (ascending) and per-category (most practised first) trends
+function summarizeProgress(attempts) {
+    const byDay = [...groupBy(attempts, attempt => localDayKey(attempt.startedAt))]
+        .map(([day, dayAttempts]) => ({ day, ...summarizeAttempts(dayAttempts) }))
+        .sort((a, b) => a.day.localeCompare(b.day));
+
+    const byCategory = [...groupBy(attempts, attempt => attempt.category || 'other')]
+        .map(([category, categoryAttempts]) => ({ category, ...summarizeAttempts(categoryAttempts) }))
+        .sort((a, b) => b.attempts - a.attempts || a.category.localeCompare(b.category));
+
+    return { overall: summarizeAttempts(attempts), byDay, byCategory };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SessionStore,
+        promisifyRequest,
+        summarizeProgress,
+        localDayKey
+    };
+}
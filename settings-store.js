@@ -0,0 +1,264 @@
+// Cognitive Echo Settings Store
+//
+// Persists settings in localStorage, grouped into named profiles so a patient
+// and their therapist can each keep their own setup on a shared device:
+//
+//   {
+//       version: 1,
+//       activeProfileId,
+//       profiles: [{ id, name, settings }]
+//   }
+//
+// Stored data from older versions is upgraded through SETTINGS_MIGRATIONS.
+// Data from a newer version is left as it is: the app runs on defaults and
+// saves nothing, so going back to an older build doesn't wipe it.
+// Every value is checked against SETTINGS_SCHEMA on load; anything missing,
+// of the wrong type or out of range falls back to its default.
+
+const SETTINGS_STORAGE_KEY = 'cognitive-echo-settings';
+const SETTINGS_VERSION = 1;
+
+const SETTINGS_SCHEMA = {
+    audioEnabled: { type: 'boolean', default: true },
+    videoEnabled: { type: 'boolean', default: true },
+    autoStart: { type: 'boolean', default: false },
+    sensitivity: { type: 'number', min: 0, max: 1, default: 0.7 },
+    volume: { type: 'number', min: 0, max: 1, default: 0.8 },
+    ttsVoice: { type: 'string', default: '' },
+    ttsRate: { type: 'number', min: 0.5, max: 2, default: 1 },
+    ttsPitch: { type: 'number', min: 0, max: 2, default: 1 },
+    speakPredictions: { type: 'boolean', default: false },
+    switchScanning: { type: 'boolean', default: false },
+    scanIntervalMs: { type: 'number', min: 500, max: 5000, default: 1500 },
+    dwellMode: { type: 'string', values: ['off', 'mouse', 'head'], default: 'off' },
+    dwellTimeMs: { type: 'number', min: 500, max: 5000, default: 1200 },
+    dwellIndicator: { type: 'string', values: ['fill', 'bar'], default: 'fill' },
+    gestureDetection: { type: 'boolean', default: false },
+    language: { type: 'string', values: ['en', 'es', 'hi'], default: 'en' },
+    // Empty means local mode: everything runs on this device
+    serverUrl: { type: 'string', default: '' }
+};
+
+// Each entry upgrades stored data from `version` to `version + 1`
+const SETTINGS_MIGRATIONS = {
+    // Unversioned data was a bare settings object; it becomes the first profile
+    0: settings => ({
+        version: 1,
+        activeProfileId: 'default',
+        profiles: [{ id: 'default', name: 'Default', settings }]
+    })
+};
+
+function defaultSettings() {
+    return Object.fromEntries(
+        Object.entries(SETTINGS_SCHEMA).map(([key, rule]) => [key, rule.default])
+    );
+}
+
+function isValidSetting(rule, value) {
+    if (typeof value !== rule.type) return false;
+    if (rule.type === 'number') {
+        return Number.isFinite(value) && value >= rule.min && value <= rule.max;
+    }
+    return !rule.values || rule.values.includes(value);
+}
+
+// Returns a complete settings object; unknown keys are dropped
+function validateSettings(settings) {
+    const source = settings && typeof settings === 'object' ? settings : {};
+    return Object.fromEntries(
+        Object.entries(SETTINGS_SCHEMA).map(([key, rule]) => [
+            key,
+            isValidSetting(rule, source[key]) ? source[key] : rule.default
+        ])
+    );
+}
+
+// A profile change the user can put right; `errors` are message catalog keys
+class ProfileError extends Error {
+    constructor(errors) {
+        super(`Invalid profile change: ${errors.join(', ')}`);
+        this.name = 'ProfileError';
+        this.errors = errors;
+    }
+}
+
+// Stored settings written by a newer version of the app
+class SettingsVersionError extends Error {
+    constructor(version) {
+        super(`Settings version ${version} is newer than this app supports`);
+        this.name = 'SettingsVersionError';
+        this.version = version;
+    }
+}
+
+class SettingsStore {
+    constructor(options = {}) {
+        this.storage = options.storage !== undefined
+            ? options.storage
+            : (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.storageKey = options.storageKey || SETTINGS_STORAGE_KEY;
+        // Set when the stored data is too new to read; it must not be overwritten
+        this.readOnly = false;
+        this.data = this.load();
+    }
+
+    static defaultData() {
+        return {
+            version: SETTINGS_VERSION,
+            activeProfileId: 'default',
+            profiles: [{ id: 'default', name: 'Default', settings: defaultSettings() }]
+        };
+    }
+
+    static migrate(stored) {
+        let data = stored;
+        let version = typeof data.version === 'number' ? data.version : 0;
+        while (version < SETTINGS_VERSION) {
+            const migration = SETTINGS_MIGRATIONS[version];
+            if (!migration) throw new Error(`No settings migration from version ${version}`);
+            data = migration(data);
+            version = data.version;
+        }
+        if (version !== SETTINGS_VERSION) {
+            throw new SettingsVersionError(version);
+        }
+        return data;
+    }
+
+    static sanitize(data) {
+        const profiles = (Array.isArray(data.profiles) ? data.profiles : [])
+            .filter(profile => profile && typeof profile.id === 'string' && profile.id)
+            .map(profile => ({
+                id: profile.id,
+                name: typeof profile.name === 'string' && profile.name.trim() ? profile.name.trim() : 'Unnamed',
+                settings: validateSettings(profile.settings)
+            }));
+        if (profiles.length === 0) return SettingsStore.defaultData();
+
+        return {
+            version: SETTINGS_VERSION,
+            activeProfileId: profiles.some(profile => profile.id === data.activeProfileId)
+                ? data.activeProfileId
+                : profiles[0].id,
+            profiles
+        };
+    }
+
+    load() {
+        if (!this.storage) return SettingsStore.defaultData();
+        try {
+            const stored = JSON.parse(this.storage.getItem(this.storageKey));
+            if (stored && typeof stored === 'object') {
+                return SettingsStore.sanitize(SettingsStore.migrate(stored));
+            }
+        } catch (error) {
+            if (error instanceof SettingsVersionError) this.readOnly = true;
+            console.error('Error loading settings:', error);
+        }
+        return SettingsStore.defaultData();
+    }
+
+    save() {
+        if (!this.storage || this.readOnly) return;
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.data));
+        } catch (error) {
+            console.error('Error saving settings:', error);
+        }
+    }
+
+    get profiles() {
+        return this.data.profiles;
+    }
+
+    getProfile(profileId) {
+        return this.data.profiles.find(profile => profile.id === profileId) || null;
+    }
+
+    getActiveProfile() {
+        return this.getProfile(this.data.activeProfileId) || this.data.profiles[0];
+    }
+
+    requireProfile(profileId) {
+        const profile = this.getProfile(profileId);
+        if (!profile) throw new Error(`Unknown profile: ${profileId}`);
+        return profile;
+    }
+
+    // A copy, so callers can't change stored settings without going through update()
+    getSettings() {
+        return { ...this.getActiveProfile().settings };
+    }
+
+    update(changes) {
+        const profile = this.getActiveProfile();
+        profile.settings = validateSettings({ ...profile.settings, ...changes });
+        this.save();
+        return { ...profile.settings };
+    }
+
+    setActiveProfile(profileId) {
+        this.requireProfile(profileId);
+        this.data.activeProfileId = profileId;
+        this.save();
+    }
+
+    // New profiles start from the current profile's settings
+    createProfile(name) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) throw new ProfileError(['settings.needsProfileName']);
+
+        const profile = {
+            id: this.newProfileId(),
+            name: trimmed,
+            settings: this.getSettings()
+        };
+        this.data.profiles.push(profile);
+        this.data.activeProfileId = profile.id;
+        this.save();
+        return profile;
+    }
+
+    // Counts up past any id already taken, whatever the ids were loaded as
+    newProfileId() {
+        const taken = new Set(this.data.profiles.map(profile => profile.id));
+        let count = this.data.profiles.length;
+        let id;
+        do {
+            id = `profile-${++count}`;
+        } while (taken.has(id));
+        return id;
+    }
+
+    renameProfile(profileId, name) {
+        const profile = this.requireProfile(profileId);
+        const trimmed = (name || '').trim();
+        if (!trimmed) throw new ProfileError(['settings.needsProfileName']);
+        profile.name = trimmed;
+        this.save();
+        return profile;
+    }
+
+    deleteProfile(profileId) {
+        if (this.data.profiles.length === 1) {
+            throw new ProfileError(['settings.keepOneProfile']);
+        }
+        this.data.profiles = this.data.profiles.filter(profile => profile.id !== profileId);
+        if (this.data.activeProfileId === profileId) {
+            this.data.activeProfileId = this.data.profiles[0].id;
+        }
+        this.save();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SETTINGS_SCHEMA,
+        ProfileError,
+        SettingsStore,
+        SettingsVersionError,
+        defaultSettings,
+        validateSettings
+    };
+}
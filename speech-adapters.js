@@ -0,0 +1,116 @@
+// Cognitive Echo Speech-to-Text Adapters
+//
+// SpeechCapturePipeline hands every utterance to an adapter:
+//
+//   transcribe(segment, { partial, language }) -> Promise<{ text }>
+//
+// `segment` is { samples: Float32Array, sampleRate, startMs, endMs, pauses, final }.
+// `language` is the BCP 47 locale the user speaks ('hi-IN'), when known.
+// Partial requests carry the audio heard so far while the user is still
+// talking; the final request carries the whole utterance.
+
+// encodeWav lives in speech-capture.js: a global in the browser, a require under Node
+function resolveWavEncoder() {
+    return typeof encodeWav === 'function' ? encodeWav : require('./speech-capture.js').encodeWav;
+}
+
+class SpeechToTextAdapter {
+    constructor(name) {
+        this.name = name;
+    }
+
+    async transcribe(segment, options = {}) {
+        throw new Error(`${this.name} adapter does not implement transcribe()`);
+    }
+}
+
+// Returns scripted transcripts, one per utterance, for headless runs and demos.
+// Partials reveal the words at a steady speaking rate so streaming can be exercised.
+class MockSpeechAdapter extends SpeechToTextAdapter {
+    constructor(transcripts = [], options = {}) {
+        super('mock');
+        this.transcripts = transcripts;
+        this.wordsPerSecond = options.wordsPerSecond || 2;
+        this.utteranceIndex = 0;
+    }
+
+    async transcribe(segment, options = {}) {
+        const transcript = this.transcripts[this.utteranceIndex] || '';
+        if (!options.partial) {
+            this.utteranceIndex++;
+            return { text: transcript };
+        }
+
+        const words = transcript.split(/\s+/).filter(Boolean);
+        const seconds = (segment.endMs - segment.startMs) / 1000;
+        const heard = Math.min(words.length, Math.floor(seconds * this.wordsPerSecond));
+        return { text: words.slice(0, heard).join(' ') };
+    }
+
+    reset() {
+        this.utteranceIndex = 0;
+    }
+}
+
+// Posts each utterance as a 16-bit WAV to a transcription endpoint such as the
+// backend's POST /api/speech/transcribe. Partials are skipped: uploading the
+// growing utterance every few hundred milliseconds is too costly over HTTP.
+class HttpSpeechAdapter extends SpeechToTextAdapter {
+    constructor(endpoint, options = {}) {
+        super('http');
+        this.endpoint = endpoint;
+        this.getToken = options.getToken || (() => null);
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+    }
+
+    async transcribe(segment, options = {}) {
+        if (options.partial) return { text: '' };
+
+        const body = new FormData();
+        body.append('audio', new Blob([resolveWavEncoder()(segment.samples, segment.sampleRate)], { type: 'audio/wav' }), 'utterance.wav');
+        if (options.language) body.append('language', options.language);
+
+        const headers = {};
+        const token = this.getToken();
+        if (token) headers.Authorization = `Bearer ${token}`;
+
+        const response = await this.fetch(this.endpoint, { method: 'POST', headers, body });
+        if (!response.ok) {
+            throw new Error(`Transcription request failed with status ${response.status}`);
+        }
+
+        const data = await response.json();
+        return { text: data.text || data.transcription || '' };
+    }
+}
+
+// Streams utterances to the Cognitive Echo backend (see api-client.js). While
+// the socket is connected, partials go up too and the transcript grows as the
+// user talks; without it only the final utterance is posted over REST.
+class BackendSpeechAdapter extends SpeechToTextAdapter {
+    constructor(client, socket = null) {
+        super('backend');
+        this.client = client;
+        this.socket = socket;
+    }
+
+    async transcribe(segment, options = {}) {
+        const streaming = Boolean(this.socket && this.socket.connected);
+        if (options.partial && !streaming) return { text: '' };
+
+        const wav = resolveWavEncoder()(segment.samples, segment.sampleRate);
+        const data = streaming
+            ? await this.socket.transcribe(wav, segment.sampleRate, options)
+            : await this.client.transcribe(wav, options);
+        return { text: (data && (data.text || data.transcription)) || '' };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SpeechToTextAdapter,
+        MockSpeechAdapter,
+        HttpSpeechAdapter,
+        BackendSpeechAdapter
+    };
+}
@@ -0,0 +1,399 @@
+// Cognitive Echo Speech Capture
+//
+// Audio flows source -> voice-activity detector -> speech-to-text adapter:
+//
+//   MicrophoneAudioSource (live mic) or WavAudioSource (headless, from a file)
+//     emits Float32Array frames
+//   VoiceActivityDetector
+//     splits the frames into utterances
+//   SpeechCapturePipeline
+//     buffers each utterance, asks the adapter for partial transcripts while
+//     the user is still talking and for a final one when they stop
+//
+// Time is measured in audio milliseconds, not wall-clock time, so a WAV file
+// replayed in Node segments exactly like the same audio from a microphone.
+
+// --- WAV encoding / decoding -------------------------------------------------
+
+function decodeWav(arrayBuffer) {
+    const view = new DataView(arrayBuffer);
+    const readTag = offset => String.fromCharCode(
+        view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3)
+    );
+
+    if (readTag(0) !== 'RIFF' || readTag(8) !== 'WAVE') {
+        throw new Error('Not a WAV file: missing RIFF/WAVE header');
+    }
+
+    let format = null;
+    let offset = 12;
+    while (offset + 8 <= view.byteLength) {
+        const chunkId = readTag(offset);
+        const chunkSize = view.getUint32(offset + 4, true);
+        const body = offset + 8;
+
+        if (chunkId === 'fmt ') {
+            format = {
+                audioFormat: view.getUint16(body, true),
+                channels: view.getUint16(body + 2, true),
+                sampleRate: view.getUint32(body + 4, true),
+                bitsPerSample: view.getUint16(body + 14, true)
+            };
+        } else if (chunkId === 'data') {
+            if (!format) throw new Error('Invalid WAV file: data chunk before fmt chunk');
+            return {
+                sampleRate: format.sampleRate,
+                samples: readWavSamples(view, body, Math.min(chunkSize, view.byteLength - body), format)
+            };
+        }
+        offset = body + chunkSize + (chunkSize % 2);
+    }
+
+    throw new Error('Invalid WAV file: no data chunk');
+}
+
+// Downmixes to mono Float32 in [-1, 1]
+function readWavSamples(view, start, length, format) {
+    const { audioFormat, channels, bitsPerSample } = format;
+    const bytesPerSample = bitsPerSample / 8;
+    const frameCount = Math.floor(length / (bytesPerSample * channels));
+    const samples = new Float32Array(frameCount);
+
+    let read;
+    if (audioFormat === 1 && bitsPerSample === 16) {
+        read = position => view.getInt16(position, true) / 32768;
+    } else if (audioFormat === 1 && bitsPerSample === 8) {
+        read = position => (view.getUint8(position) - 128) / 128;
+    } else if (audioFormat === 3 && bitsPerSample === 32) {
+        read = position => view.getFloat32(position, true);
+    } else {
+        throw new Error(`Unsupported WAV encoding: format ${audioFormat}, ${bitsPerSample}-bit`);
+    }
+
+    for (let i = 0; i < frameCount; i++) {
+        let sum = 0;
+        for (let channel = 0; channel < channels; channel++) {
+            sum += read(start + (i * channels + channel) * bytesPerSample);
+        }
+        samples[i] = sum / channels;
+    }
+    return samples;
+}
+
+// 16-bit PCM mono, the format most speech-to-text services accept
+function encodeWav(samples, sampleRate) {
+    const buffer = new ArrayBuffer(44 + samples.length * 2);
+    const view = new DataView(buffer);
+    const writeTag = (offset, tag) => {
+        for (let i = 0; i < tag.length; i++) view.setUint8(offset + i, tag.charCodeAt(i));
+    };
+
+    writeTag(0, 'RIFF');
+    view.setUint32(4, 36 + samples.length * 2, true);
+    writeTag(8, 'WAVE');
+    writeTag(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);
+    view.setUint16(22, 1, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * 2, true);
+    view.setUint16(32, 2, true);
+    view.setUint16(34, 16, true);
+    writeTag(36, 'data');
+    view.setUint32(40, samples.length * 2, true);
+
+    samples.forEach((sample, i) => {
+        const clamped = Math.max(-1, Math.min(1, sample));
+        view.setInt16(44 + i * 2, clamped < 0 ? clamped * 32768 : clamped * 32767, true);
+    });
+    return buffer;
+}
+
+// --- Voice activity detection ------------------------------------------------
+
+// Energy-based detector with hysteresis: speech starts above startThreshold,
+// and only ends after the level stays under stopThreshold for hangoverMs.
+class VoiceActivityDetector {
+    constructor(options = {}) {
+        this.startThreshold = options.startThreshold ?? 0.02;
+        this.stopThreshold = options.stopThreshold ?? 0.01;
+        this.hangoverMs = options.hangoverMs ?? 400;
+        this.minSpeechMs = options.minSpeechMs ?? 120;
+        this.reset();
+    }
+
+    // Retunes a running detector, e.g. when the sensitivity setting changes
+    configure(options = {}) {
+        ['startThreshold', 'stopThreshold', 'hangoverMs', 'minSpeechMs'].forEach(key => {
+            if (options[key] !== undefined) this[key] = options[key];
+        });
+    }
+
+    reset() {
+        this.speaking = false;
+        this.silenceMs = 0;
+        this.candidateMs = 0;
+    }
+
+    static rms(samples) {
+        if (samples.length === 0) return 0;
+        let sum = 0;
+        for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+        return Math.sqrt(sum / samples.length);
+    }
+
+    // Returns 'speech-start', 'speech', 'speech-end' or 'silence' for the frame
+    process(level, durationMs) {
+        if (!this.speaking) {
+            if (level >= this.startThreshold) {
+                this.candidateMs += durationMs;
+                if (this.candidateMs >= this.minSpeechMs) {
+                    this.speaking = true;
+                    this.silenceMs = 0;
+                    return 'speech-start';
+                }
+            } else {
+                this.candidateMs = 0;
+            }
+            return 'silence';
+        }
+
+        if (level < this.stopThreshold) {
+            this.silenceMs += durationMs;
+            if (this.silenceMs >= this.hangoverMs) {
+                this.reset();
+                return 'speech-end';
+            }
+        } else {
+            this.silenceMs = 0;
+        }
+        return 'speech';
+    }
+}
+
+// --- Audio sources -------------------------------------------------------------
+
+// Streams frames from the selected microphone's track
+class MicrophoneAudioSource {
+    constructor(mediaStream, options = {}) {
+        this.mediaStream = mediaStream;
+        this.frameSize = options.frameSize || 2048;
+        this.audioContext = null;
+        this.processor = null;
+        this.sourceNode = null;
+    }
+
+    async start(onFrame) {
+        const audioTrack = this.mediaStream?.getAudioTracks()[0];
+        if (!audioTrack) {
+            throw new Error('No microphone track available for speech capture');
+        }
+
+        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        this.sourceNode = this.audioContext.createMediaStreamSource(new MediaStream([audioTrack]));
+        this.processor = this.audioContext.createScriptProcessor(this.frameSize, 1, 1);
+        this.processor.onaudioprocess = event => {
+            onFrame(new Float32Array(event.inputBuffer.getChannelData(0)), this.audioContext.sampleRate);
+        };
+
+        this.sourceNode.connect(this.processor);
+        // ScriptProcessor only runs while connected to the graph's destination
+        this.processor.connect(this.audioContext.destination);
+    }
+
+    async stop() {
+        if (this.processor) {
+            this.processor.onaudioprocess = null;
+            this.processor.disconnect();
+            this.processor = null;
+        }
+        if (this.sourceNode) {
+            this.sourceNode.disconnect();
+            this.sourceNode = null;
+        }
+        if (this.audioContext) {
+            await this.audioContext.close();
+            this.audioContext = null;
+        }
+    }
+}
+
+// Replays a WAV file as if it were a microphone; resolves once the file is exhausted
+class WavAudioSource {
+    constructor(arrayBuffer, options = {}) {
+        const { samples, sampleRate } = decodeWav(arrayBuffer);
+        this.samples = samples;
+        this.sampleRate = sampleRate;
+        this.frameSize = options.frameSize || 1024;
+        this.stopped = false;
+    }
+
+    async start(onFrame) {
+        this.stopped = false;
+        for (let offset = 0; offset < this.samples.length && !this.stopped; offset += this.frameSize) {
+            await onFrame(this.samples.subarray(offset, offset + this.frameSize), this.sampleRate);
+        }
+    }
+
+    async stop() {
+        this.stopped = true;
+    }
+}
+
+// --- Pipeline ------------------------------------------------------------------
+
+class SpeechCapturePipeline {
+    constructor({ source, adapter, vad = new VoiceActivityDetector(), onPartial, onFinal, onError, partialIntervalMs = 600, prerollMs = 200, language = null }) {
+        this.source = source;
+        this.adapter = adapter;
+        // BCP 47 locale passed on to the adapter, e.g. 'es-ES'
+        this.language = language;
+        this.vad = vad;
+        this.onPartial = onPartial || (() => {});
+        this.onFinal = onFinal || (() => {});
+        this.onError = onError || (error => console.error('Speech capture error:', error));
+        this.partialIntervalMs = partialIntervalMs;
+        this.prerollMs = prerollMs;
+
+        this.running = false;
+        this.clockMs = 0;
+        this.preroll = [];
+        this.segment = null;
+        this.segmentCount = 0;
+        this.pendingPartial = null;
+        this.pendingFinals = [];
+    }
+
+    async start() {
+        if (this.running) return;
+        this.running = true;
+        this.clockMs = 0;
+        this.vad.reset();
+        await this.source.start((frame, sampleRate) => this.processFrame(frame, sampleRate));
+    }
+
+    // Flushes an utterance in progress, then waits for outstanding transcriptions
+    async stop() {
+        if (!this.running) return;
+        this.running = false;
+        await this.source.stop();
+        if (this.segment) {
+            this.finishSegment();
+        }
+        await Promise.all(this.pendingFinals);
+    }
+
+    processFrame(frame, sampleRate) {
+        if (!this.running) return;
+
+        const durationMs = (frame.length / sampleRate) * 1000;
+        const level = VoiceActivityDetector.rms(frame);
+        const state = this.vad.process(level, durationMs);
+        this.clockMs += durationMs;
+
+        if (state === 'speech-start') {
+            // Include a little audio from before the detector fired so first syllables aren't clipped
+            this.segment = {
+                id: ++this.segmentCount,
+                frames: [...this.preroll.map(entry => entry.frame), frame],
+                sampleRate,
+                startMs: this.clockMs - durationMs - this.preroll.reduce((sum, entry) => sum + entry.durationMs, 0),
+                lastPartialMs: this.clockMs,
+                pauses: [],
+                silenceStartMs: null
+            };
+            this.preroll = [];
+        } else if (this.segment) {
+            this.segment.frames.push(frame);
+            this.trackPause(level, durationMs);
+            if (state === 'speech-end') {
+                this.finishSegment();
+            } else if (this.clockMs - this.segment.lastPartialMs >= this.partialIntervalMs) {
+                this.segment.lastPartialMs = this.clockMs;
+                this.requestPartial();
+            }
+        } else {
+            this.preroll.push({ frame: new Float32Array(frame), durationMs });
+            let prerollMs = this.preroll.reduce((sum, entry) => sum + entry.durationMs, 0);
+            while (this.preroll.length > 1 && prerollMs - this.preroll[0].durationMs >= this.prerollMs) {
+                prerollMs -= this.preroll.shift().durationMs;
+            }
+        }
+    }
+
+    // Silences inside an utterance that were too short to end it; the disfluency
+    // analyzer reads them as hesitations
+    trackPause(level, durationMs) {
+        const segment = this.segment;
+        if (level < this.vad.stopThreshold) {
+            if (segment.silenceStartMs === null) segment.silenceStartMs = this.clockMs - durationMs;
+        } else if (segment.silenceStartMs !== null) {
+            segment.pauses.push({ startMs: segment.silenceStartMs, endMs: this.clockMs - durationMs });
+            segment.silenceStartMs = null;
+        }
+    }
+
+    buildSegment(final) {
+        const { frames, sampleRate, startMs, pauses } = this.segment;
+        const length = frames.reduce((sum, frame) => sum + frame.length, 0);
+        const samples = new Float32Array(length);
+        let offset = 0;
+        frames.forEach(frame => {
+            samples.set(frame, offset);
+            offset += frame.length;
+        });
+
+        return {
+            samples,
+            sampleRate,
+            startMs,
+            endMs: startMs + (length / sampleRate) * 1000,
+            pauses: [...pauses],
+            final
+        };
+    }
+
+    requestPartial() {
+        // Partials are best-effort: skip one rather than queue behind a slow adapter
+        if (this.pendingPartial) return;
+
+        const segmentId = this.segment.id;
+        const segment = this.buildSegment(false);
+        this.pendingPartial = this.adapter.transcribe(segment, { partial: true, language: this.language })
+            .then(result => {
+                // A partial that lands after its utterance was finalised is stale
+                const current = this.segment && this.segment.id === segmentId;
+                if (current && result && result.text) this.onPartial(result.text, segment);
+            })
+            .catch(error => this.onError(error))
+            .finally(() => {
+                this.pendingPartial = null;
+            });
+    }
+
+    finishSegment() {
+        const segment = this.buildSegment(true);
+        this.segment = null;
+
+        const pending = this.adapter.transcribe(segment, { partial: false, language: this.language })
+            .then(result => {
+                if (result && result.text) this.onFinal(result.text, segment);
+            })
+            .catch(error => this.onError(error))
+            .finally(() => {
+                this.pendingFinals = this.pendingFinals.filter(entry => entry !== pending);
+            });
+        this.pendingFinals.push(pending);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        decodeWav,
+        encodeWav,
+        VoiceActivityDetector,
+        MicrophoneAudioSource,
+        WavAudioSource,
+        SpeechCapturePipeline
+    };
+}
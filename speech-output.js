@@ -0,0 +1,162 @@
+// Cognitive Echo Speech Output
+//
+// Reads completed sentences (and optionally prediction cards) aloud through a
+// text-to-speech adapter:
+//
+//   speak(text, { voice, lang, rate, pitch, volume }) -> Promise, resolved when done
+//   cancel()
+//   getVoices() -> [{ id, name, lang }]
+//
+// `lang` is the locale of the text. A chosen voice that doesn't speak it is
+// passed over for one that does, so an English voice never reads Hindi.
+// The Web Speech API adapter is the default; any other engine can be swapped in.
+
+// Best voice for a locale: an exact match ('es-ES'), then the same language ('es-MX')
+function voiceForLocale(voices, locale) {
+    if (!locale) return null;
+    const normalize = lang => (lang || '').replace('_', '-').toLowerCase();
+    const wanted = normalize(locale);
+    return voices.find(voice => normalize(voice.lang) === wanted) ||
+        voices.find(voice => normalize(voice.lang).split('-')[0] === wanted.split('-')[0]) ||
+        null;
+}
+
+function speaksLocale(voice, locale) {
+    return !locale || voiceForLocale([voice], locale) !== null;
+}
+
+class TextToSpeechAdapter {
+    constructor(name) {
+        this.name = name;
+    }
+
+    get available() {
+        return true;
+    }
+
+    async speak(text, options = {}) {
+        throw new Error(`${this.name} adapter does not implement speak()`);
+    }
+
+    cancel() {}
+
+    getVoices() {
+        return [];
+    }
+}
+
+class WebSpeechTtsAdapter extends TextToSpeechAdapter {
+    constructor(synthesis = (typeof window !== 'undefined' ? window.speechSynthesis : null)) {
+        super('web-speech');
+        this.synthesis = synthesis;
+    }
+
+    get available() {
+        return Boolean(this.synthesis) && typeof SpeechSynthesisUtterance !== 'undefined';
+    }
+
+    getVoices() {
+        if (!this.available) return [];
+        return this.synthesis.getVoices().map(voice => ({
+            id: voice.voiceURI,
+            name: voice.name,
+            lang: voice.lang
+        }));
+    }
+
+    speak(text, options = {}) {
+        if (!this.available) {
+            return Promise.reject(new Error('Speech synthesis is not supported in this browser'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const utterance = new SpeechSynthesisUtterance(text);
+            const voices = this.synthesis.getVoices();
+            const chosen = voices.find(v => v.voiceURI === options.voice);
+            const voice = chosen && speaksLocale(chosen, options.lang) ? chosen : voiceForLocale(voices, options.lang);
+            if (voice) utterance.voice = voice;
+            if (options.lang) utterance.lang = options.lang;
+            utterance.rate = options.rate ?? 1;
+            utterance.pitch = options.pitch ?? 1;
+            utterance.volume = options.volume ?? 1;
+            utterance.onend = () => resolve();
+            utterance.onerror = (event) => {
+                // Cancelling to say something newer isn't a failure
+                if (event.error === 'interrupted' || event.error === 'canceled') resolve();
+                else reject(new Error(`Speech synthesis failed: ${event.error}`));
+            };
+
+            this.synthesis.cancel();
+            this.synthesis.speak(utterance);
+        });
+    }
+
+    cancel() {
+        if (this.available) this.synthesis.cancel();
+    }
+}
+
+class SpeechOutput {
+    constructor(adapter, getSettings, getLocale = () => null) {
+        this.adapter = adapter;
+        this.getSettings = getSettings;
+        this.getLocale = getLocale;
+        this.lastUtterance = null;
+    }
+
+    setAdapter(adapter) {
+        this.adapter.cancel();
+        this.adapter = adapter;
+    }
+
+    options() {
+        const settings = this.getSettings();
+        return {
+            voice: settings.ttsVoice,
+            lang: this.getLocale(),
+            rate: settings.ttsRate,
+            pitch: settings.ttsPitch,
+            volume: settings.volume
+        };
+    }
+
+    async speak(text) {
+        if (!text || !this.adapter.available) return;
+
+        this.lastUtterance = text;
+        try {
+            await this.adapter.speak(text, this.options());
+        } catch (error) {
+            console.error('Error speaking text:', error);
+        }
+    }
+
+    // Card previews are not remembered for "repeat", which should replay the sentence
+    async preview(text) {
+        if (!text || !this.adapter.available || !this.getSettings().speakPredictions) return;
+
+        try {
+            await this.adapter.speak(text, this.options());
+        } catch (error) {
+            console.error('Error speaking prediction:', error);
+        }
+    }
+
+    repeat() {
+        return this.speak(this.lastUtterance);
+    }
+
+    cancel() {
+        this.adapter.cancel();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TextToSpeechAdapter,
+        WebSpeechTtsAdapter,
+        SpeechOutput,
+        speaksLocale,
+        voiceForLocale
+    };
+}
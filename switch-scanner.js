@@ -0,0 +1,88 @@
+// Cognitive Echo Switch Scanner
+//
+// Single-switch access: the highlight steps through the available items
+// (prediction cards, then the main controls) every `intervalMs`, and pressing
+// the switch activates whichever item is highlighted. Scanning then starts
+// again from the first item, since the cards will usually have changed.
+//
+// Items are fetched afresh on every step, so cards that appear or disappear
+// while scanning are picked up without restarting.
+
+class SwitchScanner {
+    constructor(options = {}) {
+        this.getItems = options.getItems || (() => []);
+        this.intervalMs = options.intervalMs || 1500;
+        this.highlightClass = options.highlightClass || 'scan-highlight';
+        this.onHighlight = options.onHighlight || (() => {});
+        this.timer = null;
+        this.index = -1;
+        this.current = null;
+    }
+
+    get running() {
+        return this.timer !== null;
+    }
+
+    configure(options = {}) {
+        if (options.intervalMs && options.intervalMs !== this.intervalMs) {
+            this.intervalMs = options.intervalMs;
+            if (this.running) this.restart();
+        }
+    }
+
+    start() {
+        if (this.running) return;
+        this.restart();
+    }
+
+    restart() {
+        clearInterval(this.timer);
+        this.index = -1;
+        this.advance();
+        this.timer = setInterval(() => this.advance(), this.intervalMs);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.index = -1;
+        this.highlight(null);
+    }
+
+    advance() {
+        const items = this.getItems();
+        if (items.length === 0) {
+            this.index = -1;
+            this.highlight(null);
+            return;
+        }
+        this.index = (this.index + 1) % items.length;
+        this.highlight(items[this.index]);
+    }
+
+    highlight(item) {
+        if (this.current) this.current.classList.remove(this.highlightClass);
+        this.current = item;
+        if (item) {
+            item.classList.add(this.highlightClass);
+            this.onHighlight(item);
+        }
+    }
+
+    // Called when the switch is pressed
+    select() {
+        const item = this.current;
+        if (!item || !this.getItems().includes(item)) {
+            if (this.running) this.restart();
+            return false;
+        }
+
+        item.click();
+        if (this.running) this.restart();
+        return true;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SwitchScanner };
+}
@@ -0,0 +1,178 @@
+// Cognitive Echo Sync Queue
+//
+// Session data bound for the backend goes through this queue, so nothing is
+// lost while the device is offline or signed out. Operations are kept in
+// IndexedDB and sent in order once the server can be reached:
+//
+//   { id, server, type, data, queuedAt }
+//
+//   'startSession'  { key, details }   key is made up on the device
+//   'updateSession' { key, update }
+//   'endSession'    { key }
+//
+// The server's id for each started session is remembered under its key until
+// the session ends. An operation the server refuses (4xx) is dropped, since
+// sending it again won't help; a network error or 5xx leaves it and everything
+// after it for the next flush. Each operation is only sent to the server it
+// was queued for.
+
+const SYNC_DB_NAME = 'cognitive-echo-sync';
+const SYNC_DB_VERSION = 1;
+
+class SyncQueue {
+    constructor(client, options = {}) {
+        this.client = client;
+        this.indexedDB = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.dbName = options.dbName || SYNC_DB_NAME;
+        this.isOnline = options.isOnline || (() => typeof navigator === 'undefined' || navigator.onLine !== false);
+        this.onChange = options.onChange || (() => {});
+        this.db = null;
+        this.size = 0;
+        this.flushing = null;
+        this.flushRequested = false;
+    }
+
+    get available() {
+        return Boolean(this.indexedDB);
+    }
+
+    get ready() {
+        return this.available && this.client.configured && this.client.authenticated && this.isOnline();
+    }
+
+    async open() {
+        if (this.db) return this.db;
+        if (!this.available) {
+            throw new Error('IndexedDB is not available in this browser');
+        }
+
+        const request = this.indexedDB.open(this.dbName, SYNC_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains('outbox')) {
+                db.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+            }
+            if (!db.objectStoreNames.contains('sessions')) {
+                db.createObjectStore('sessions', { keyPath: 'key' });
+            }
+        };
+
+        this.db = await promisifyRequest(request);
+        return this.db;
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    async transaction(storeNames, mode, work) {
+        const db = await this.open();
+        const tx = db.transaction(storeNames, mode);
+        const done = new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+        const result = await work(tx);
+        await done;
+        return result;
+    }
+
+    async enqueue(type, data) {
+        await this.transaction(['outbox'], 'readwrite', tx =>
+            promisifyRequest(tx.objectStore('outbox').add({
+                server: this.client.baseUrl,
+                type,
+                data,
+                queuedAt: Date.now()
+            }))
+        );
+        await this.updateSize();
+        this.flush();
+    }
+
+    // Operations waiting for the current server
+    async pending() {
+        const operations = await this.transaction(['outbox'], 'readonly', tx =>
+            promisifyRequest(tx.objectStore('outbox').getAll())
+        );
+        return operations.filter(operation => operation.server === this.client.baseUrl);
+    }
+
+    async updateSize() {
+        this.size = (await this.pending()).length;
+        this.onChange(this.size);
+    }
+
+    // Safe to call at any time; it does nothing until the server can be reached
+    flush() {
+        this.flushRequested = true;
+        if (!this.flushing) {
+            this.flushing = (async () => {
+                // Operations queued during a flush are picked up by another round
+                while (this.flushRequested) {
+                    this.flushRequested = false;
+                    await this.flushNow();
+                }
+            })()
+                .catch(error => console.error('Error syncing session data:', error))
+                .finally(() => {
+                    this.flushing = null;
+                });
+        }
+        return this.flushing;
+    }
+
+    async flushNow() {
+        if (!this.ready) return;
+
+        for (const operation of await this.pending()) {
+            try {
+                await this.send(operation);
+            } catch (error) {
+                const refused = error.status >= 400 && error.status < 500 && error.status !== 401;
+                if (!refused) {
+                    console.error('Server unavailable, keeping session data for later:', error);
+                    break;
+                }
+                console.error(`Server refused queued ${operation.type}, dropping it:`, error);
+            }
+            await this.transaction(['outbox'], 'readwrite', tx =>
+                promisifyRequest(tx.objectStore('outbox').delete(operation.id))
+            );
+        }
+        await this.updateSize();
+    }
+
+    async send({ type, data }) {
+        if (type === 'startSession') {
+            const session = await this.client.startSession(data.details);
+            await this.transaction(['sessions'], 'readwrite', tx =>
+                promisifyRequest(tx.objectStore('sessions').put({ key: data.key, remoteId: session.id }))
+            );
+            return;
+        }
+
+        const mapping = await this.transaction(['sessions'], 'readonly', tx =>
+            promisifyRequest(tx.objectStore('sessions').get(data.key))
+        );
+        // The server refused the session itself, so there is nothing to add to
+        if (!mapping) return;
+
+        if (type === 'updateSession') {
+            await this.client.updateSession(mapping.remoteId, data.update);
+        } else if (type === 'endSession') {
+            await this.client.endSession(mapping.remoteId);
+            await this.transaction(['sessions'], 'readwrite', tx =>
+                promisifyRequest(tx.objectStore('sessions').delete(data.key))
+            );
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SyncQueue };
+}
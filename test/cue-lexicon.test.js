@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { CUE_LEXICON, WordFindingEngine } = require('../cue-lexicon');
+
+// Small enough to work the scores out by hand (category 1.2, color 0.8, function 1.0, location 0.8, features 1.0)
+const LEXICON = [
+    { word: 'park', category: ['place'], color: ['green'], features: ['trees', 'grass'] },
+    { word: 'garden', category: ['place'], color: ['green'], features: ['flowers', 'grass'] },
+    { word: 'frog', category: ['animal'], color: ['green'], location: ['pond'], features: ['four legs', 'pond'] },
+    { word: 'dog', category: ['animal', 'pet'], features: ['four legs', 'tail', 'furry'] },
+    { word: 'field', category: ['place'], location: ['farm'], features: ['grass'] }
+];
+
+function ranked(transcript, options) {
+    return new WordFindingEngine(LEXICON, options).findWords(transcript)
+        .map(({ word, score, confidence }) => ({ word, score: Math.round(score * 100) / 100, confidence }));
+}
+
+test('words are ranked by how many of the cues they explain', () => {
+    assert.deepEqual(ranked('a green place with grass'), [
+        { word: 'park', score: 3, confidence: 0.83 },
+        { word: 'garden', score: 3, confidence: 0.83 },
+        { word: 'field', score: 2.2, confidence: 0.61 },
+        { word: 'frog', score: 0.8, confidence: 0.22 }
+    ]);
+});
+
+test('facet weights decide between words with the same number of cues', () => {
+    assert.deepEqual(ranked('green place').map(result => result.word), ['park', 'garden', 'field', 'frog']);
+    assert.deepEqual(
+        ranked('green place', { weights: { color: 2 } }).map(result => result.word),
+        ['park', 'garden', 'frog', 'field']
+    );
+});
+
+test('a cue listed under two facets counts once, under the heavier', () => {
+    const [frog] = new WordFindingEngine(LEXICON).findWords('pond');
+    assert.equal(frog.word, 'frog');
+    assert.equal(frog.score, 1);
+    assert.deepEqual({ ...frog.matchedCues }, { pond: 'features' });
+});
+
+test('two-word cues and plurals are recognised', () => {
+    const engine = new WordFindingEngine(LEXICON);
+    assert.deepEqual(engine.extractCues('an animal, with four legs and a tail'), ['animal', 'four legs', 'tail']);
+    assert.deepEqual(engine.extractCues('lots of animals'), ['animal']);
+    assert.deepEqual(ranked('an animal, with four legs and a tail').map(result => result.word), ['dog', 'frog']);
+});
+
+test('the word already said is not offered', () => {
+    assert.deepEqual(ranked('a dog with four legs').map(result => result.word), ['frog']);
+});
+
+test('nothing is offered without a cue, and no more than the limit', () => {
+    const engine = new WordFindingEngine(LEXICON);
+    assert.deepEqual(engine.findWords('um the thing'), []);
+    assert.deepEqual(engine.findWords('green place grass', { limit: 2 }).map(result => result.word), ['park', 'garden']);
+});
+
+test('the bundled lexicon finds everyday words from descriptions', () => {
+    const engine = new WordFindingEngine(CUE_LEXICON);
+    assert.equal(engine.findWords('furry... four legs... bark')[0].word, 'dog');
+    assert.equal(engine.findWords('the green place with trees and swings')[0].word, 'park');
+    assert.equal(engine.findWords('brush my teeth... minty... tube')[0].word, 'toothpaste');
+});
+
+test('the found word takes the place of the description', () => {
+    const engine = new WordFindingEngine(CUE_LEXICON);
+    assert.equal(engine.completeSentence('with my... uh... furry... four legs...', 'dog'), 'With my dog');
+    assert.equal(engine.completeSentence('i want to go to the... green... trees', 'park'), 'I want to go to the park');
+});
@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./harness');
+
+async function openDeviceScreen() {
+    const app = await loadApp({ devices: { cameras: 2, microphones: 2 } });
+    await app.click('#start-demo-btn');
+    await app.click('#request-permissions-btn');
+    await app.tick(0);
+    return app;
+}
+
+function deviceOf(stream, kind) {
+    const track = kind === 'video' ? stream.getVideoTracks()[0] : stream.getAudioTracks()[0];
+    return track ? track.deviceId : null;
+}
+
+test('choosing a camera reopens the camera and keeps the microphone', async () => {
+    const app = await openDeviceScreen();
+    const first = app.app.mediaStream;
+    assert.equal(deviceOf(first, 'video'), 'camera-1');
+
+    await app.choose('#camera-select', 'camera-2');
+    await app.tick(0);
+
+    const stream = app.app.mediaStream;
+    assert.equal(deviceOf(stream, 'video'), 'camera-2');
+    assert.equal(deviceOf(stream, 'audio'), 'microphone-1');
+    assert.equal(app.media.requests.at(-1).video.deviceId.exact, 'camera-2');
+    assert.equal(app.media.requests.at(-1).audio, undefined);
+    assert.equal(first.getVideoTracks()[0].readyState, 'ended');
+    assert.equal(stream.getAudioTracks()[0], first.getAudioTracks()[0]);
+    assert.equal(app.$('#preview-video').srcObject, stream);
+    assert.equal(app.media.liveTracks().length, 2);
+    app.close();
+});
+
+test('the preview shows the microphone level', async () => {
+    const app = await openDeviceScreen();
+    assert.equal(app.audioContexts.length, 1);
+
+    const [context] = app.audioContexts;
+    assert.equal(context.sources.at(-1).mediaStream, app.app.mediaStream);
+
+    context.analysers[0].level = 0.6;
+    await app.tick(32);
+    assert.ok(app.$$('.audio-bars .bar.active').length > 0);
+
+    context.analysers[0].level = 0;
+    await app.tick(32);
+    assert.equal(app.$$('.audio-bars .bar.active').length, 0);
+    app.close();
+});
+
+test('a new microphone keeps the same audio context', async () => {
+    const app = await openDeviceScreen();
+    await app.choose('#microphone-select', 'microphone-2');
+    await app.tick(0);
+
+    assert.equal(deviceOf(app.app.mediaStream, 'audio'), 'microphone-2');
+    assert.equal(app.audioContexts.length, 1);
+    assert.equal(app.audioContexts[0].sources.at(-1).mediaStream, app.app.mediaStream);
+    app.close();
+});
+
+test('unplugging the chosen camera falls back to another and says so', async () => {
+    const app = await openDeviceScreen();
+    await app.choose('#camera-select', 'camera-2');
+    await app.tick(0);
+
+    app.media.unplug('camera-2');
+    await app.tick(0);
+
+    assert.equal(deviceOf(app.app.mediaStream, 'video'), 'camera-1');
+    assert.ok(!app.isHidden('#media-status'));
+    assert.match(app.text('#media-status'), /Camera 1/);
+    assert.deepEqual(app.$$('#camera-select option').map(option => option.value).filter(Boolean), ['camera-1']);
+    app.close();
+});
+
+test('confirming the devices moves on to the success screen', async () => {
+    const app = await openDeviceScreen();
+    await app.choose('#camera-select', 'camera-2');
+    await app.tick(0);
+    await app.click('#confirm-devices-btn');
+
+    assert.equal(app.screen, 'success-screen');
+    assert.equal(deviceOf(app.$('#success-video').srcObject, 'video'), 'camera-2');
+    app.close();
+});
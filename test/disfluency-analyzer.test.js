@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DisfluencyAnalyzer } = require('../disfluency-analyzer');
+
+const analyzer = new DisfluencyAnalyzer();
+
+// Each token as "text:type"
+function tags(text) {
+    return analyzer.analyze(text).tokens.map(token => `${token.text}:${token.type}`);
+}
+
+function fillers(text) {
+    return analyzer.analyze(text).tokens.filter(token => token.type === 'filler').map(token => token.text);
+}
+
+test('hesitation sounds and phrases are fillers wherever they are', () => {
+    assert.deepEqual(fillers('I want uh the um you know thing'), ['uh', 'um', 'you know']);
+    assert.deepEqual(tags('Uh... water'), ['Uh:filler', '...:pause', 'water:word']);
+});
+
+test('"like" and "well" said as words are not fillers', () => {
+    assert.deepEqual(fillers('I\'d like water'), []);
+    assert.deepEqual(fillers('I am not feeling well'), []);
+    assert.deepEqual(fillers('It looks like rain, well done'), []);
+    assert.equal(analyzer.analyze('I\'d like water').counts.fillers, 0);
+});
+
+test('"like" and "well" opening an utterance or after a hesitation are fillers', () => {
+    assert.deepEqual(fillers('Well I want the... thing'), ['Well']);
+    assert.deepEqual(fillers('I want the... like... the thing'), ['like']);
+    assert.deepEqual(fillers('I need um like a cup'), ['um', 'like']);
+    assert.deepEqual(fillers('like... well... you know'), ['like', 'well', 'you know']);
+});
+
+test('a filler "like" is still a hesitation before the missing word', () => {
+    const { slot } = analyzer.analyze('I\'d like my furry like');
+    assert.equal(slot, null);
+
+    const gap = analyzer.analyze('I\'d like my furry... like').slot;
+    assert.deepEqual(gap.description, ['furry']);
+    assert.equal(gap.before, 'I\'d like my');
+});
+
+test('other languages bring their own fillers that double as words', () => {
+    const spanish = new DisfluencyAnalyzer({ fillers: ['eh', 'pues'], discourseFillers: ['bueno'] });
+    const spanishFillers = text => spanish.analyze(text).tokens.filter(token => token.type === 'filler').map(token => token.text);
+
+    assert.deepEqual(spanishFillers('bueno... quiero el eh... perro'), ['bueno', 'eh']);
+    assert.deepEqual(spanishFillers('el pan está bueno'), []);
+    // English words are just words here
+    assert.deepEqual(spanishFillers('like'), []);
+});
+
+test('repetitions and restarts are found around the gap', () => {
+    const { counts, slot } = analyzer.analyze('I went I went to the uh... a green place');
+    assert.deepEqual(counts, { fillers: 1, pauses: 1, repetitions: 2, restarts: 1 });
+    assert.equal(slot, null);
+
+    const gap = analyzer.analyze('I went to the green... um').slot;
+    assert.deepEqual(gap.description, ['green']);
+    assert.equal(gap.after, '');
+});
@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./harness');
+
+test('exiting releases the camera, microphone, audio and session', async () => {
+    const app = await loadApp({ devices: { cameras: 2 } });
+    await app.openMainScreen();
+    await app.click('#listen-btn');
+    assert.ok(app.media.liveTracks().length > 0);
+    assert.equal(app.audioContexts.length, 1);
+
+    await app.click('#exit-btn');
+    await app.tick(0);
+
+    assert.equal(app.screen, 'welcome-screen');
+    assert.equal(app.hash, '#/welcome');
+    assert.deepEqual(app.media.liveTracks(), []);
+    assert.equal(app.audioContexts[0].state, 'closed');
+    assert.equal(app.app.audioContext, null);
+    assert.equal(app.app.mediaStream, null);
+    assert.equal(app.app.listening.state, 'idle');
+    assert.equal(app.app.voiceMonitor, null);
+    assert.equal(app.app.currentScenarioIndex, 0);
+    assert.equal(app.app.session, null);
+    app.close();
+});
+
+test('nothing keeps running after exit', async () => {
+    const app = await loadApp({ devices: { cameras: 2 } });
+    await app.openMainScreen();
+    await app.click('#exit-btn');
+    await app.tick(0);
+
+    // The level meter, voice monitor and progress bar all run on timers
+    assert.equal(app.clock.timers.size, 0);
+    app.close();
+});
+
+test('a device unplugged after exit is ignored', async () => {
+    const app = await loadApp();
+    await app.openMainScreen();
+    await app.click('#exit-btn');
+    await app.tick(0);
+
+    const requests = app.media.requests.length;
+    app.media.unplug('camera-1');
+    await app.tick(0);
+    assert.equal(app.media.requests.length, requests);
+    assert.ok(app.isHidden('#media-status'));
+    app.close();
+});
+
+test('the main screen needs permission again after exit', async () => {
+    const app = await loadApp();
+    await app.click('#start-demo-btn');
+    await app.click('#demo-mode-btn');
+    await app.click('#exit-btn');
+    assert.equal(app.app.demoMode, false);
+
+    app.window.history.back();
+    await app.tick(0);
+    assert.equal(app.screen, 'permission-screen');
+    app.close();
+});
@@ -0,0 +1,152 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { GestureDetector, gestureHints, rerankByGestures } = require('../gesture-detector');
+const { loadApp } = require('./harness');
+
+const WIDTH = 80;
+const HEIGHT = 60;
+const FACE = { x: 30, y: 10, width: 20, height: 20 };
+
+// Red rectangles on black; red is what the tests' isSkin calls skin
+function frame(timestamp, rects) {
+    const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+    rects.forEach(({ x, y, width, height }) => {
+        for (let row = y; row < y + height; row++) {
+            for (let col = x; col < x + width; col++) data[(row * WIDTH + col) * 4] = 255;
+        }
+    });
+    return { data, width: WIDTH, height: HEIGHT, timestamp };
+}
+
+function detect(frames) {
+    const gestures = [];
+    const detector = new GestureDetector({ isSkin: red => red > 128, onGesture: gesture => gestures.push(gesture) });
+    frames.forEach(({ t, rects }) => detector.process(frame(t, rects)));
+    return gestures;
+}
+
+// The face moved by `offsets` (in pixels), one frame every 100ms
+function headMoves(offsets, axis) {
+    return offsets.map((offset, i) => ({ t: i * 100, rects: [{ ...FACE, [axis]: FACE[axis] + offset }] }));
+}
+
+// The face with a hand, held for `ms`
+function heldHand(hand, ms) {
+    const frames = [];
+    for (let t = 0; t <= ms; t += 100) frames.push({ t, rects: [FACE, hand] });
+    return frames;
+}
+
+test('the head moving down and up is a nod, side to side a shake', () => {
+    assert.deepEqual(detect(headMoves([0, 4, 0, 4, 0], 'y')).map(gesture => gesture.type), ['nod']);
+    assert.deepEqual(detect(headMoves([0, 4, 0, 4, 0], 'x')).map(gesture => gesture.type), ['shake']);
+});
+
+test('small head movements are neither', () => {
+    assert.deepEqual(detect(headMoves([0, 1, 0, 1, 0, 1, 0], 'y')), []);
+    // Turning once to look somewhere else isn't a shake
+    assert.deepEqual(detect(headMoves([0, 4, 8, 8, 8], 'x')), []);
+});
+
+test('a hand held out to the side points, mirrored, and is reported once', () => {
+    // On the left of the frame, which is the user's right
+    const gestures = detect(heldHand({ x: 0, y: 16, width: 8, height: 8 }, 1500));
+    assert.deepEqual(gestures.map(({ type, direction }) => ({ type, direction })), [{ type: 'point', direction: 'right' }]);
+    assert.equal(gestures[0].timestamp, 500);
+});
+
+test('a hand above the head points up', () => {
+    const gestures = detect(heldHand({ x: 36, y: 0, width: 8, height: 4 }, 600));
+    assert.deepEqual(gestures.map(gesture => gesture.direction), ['up']);
+});
+
+test('a hand held at the mouth is drinking', () => {
+    const gestures = detect(heldHand({ x: 36, y: 36, width: 8, height: 8 }, 1200));
+    assert.deepEqual(gestures.map(gesture => gesture.type), ['drink']);
+});
+
+test('pointing hints by direction, mimes by what they mime', () => {
+    assert.ok(gestureHints({ type: 'point', direction: 'left' }).includes('furniture'));
+    assert.deepEqual(gestureHints({ type: 'point', direction: 'left' }), gestureHints({ type: 'point', direction: 'right' }));
+    assert.ok(gestureHints({ type: 'point', direction: 'up' }).includes('place'));
+    assert.ok(!gestureHints({ type: 'point', direction: 'up' }).includes('furniture'));
+    assert.deepEqual(gestureHints({ type: 'drink' }), ['drink']);
+    assert.deepEqual(gestureHints({ type: 'nod' }), []);
+});
+
+test('the pointing direction decides which words are lifted', () => {
+    const categories = { chair: ['furniture'], park: ['place', 'outside'], tea: ['drink'] };
+    const candidates = [
+        { word: 'tea', confidence: 0.6 },
+        { word: 'chair', confidence: 0.5 },
+        { word: 'park', confidence: 0.55 }
+    ];
+    const rank = gestures => rerankByGestures(candidates, gestures, word => categories[word]).map(candidate => candidate.word);
+
+    assert.deepEqual(rank([{ type: 'point', direction: 'left' }]), ['chair', 'tea', 'park']);
+    assert.deepEqual(rank([{ type: 'point', direction: 'up' }]), ['park', 'tea', 'chair']);
+    assert.deepEqual(rank([{ type: 'nod' }]), ['tea', 'chair', 'park']);
+});
+
+async function showPredictions(options) {
+    const app = await loadApp(options);
+    await app.openMainScreen();
+    await app.click('#listen-btn');
+    await app.tick(app.app.demoScenarios[0].processingTime);
+    return app;
+}
+
+function cards(app) {
+    return app.$$('#predictions-container .prediction-card');
+}
+
+test('gesture recognition is off until it is turned on', async () => {
+    const app = await loadApp();
+    assert.equal(app.app.settings.gestureDetection, false);
+    assert.equal(app.$('#gesture-detection').checked, false);
+    app.close();
+});
+
+test('a nod or shake with no card highlighted does nothing', async () => {
+    const app = await showPredictions();
+    const words = cards(app).map(card => card.dataset.word);
+    app.$('#listen-btn').focus();
+
+    app.app.handleGesture({ type: 'nod', timestamp: 0 });
+    app.app.handleGesture({ type: 'shake', timestamp: 0 });
+    assert.equal(app.app.store.get('selection'), null);
+    assert.deepEqual(cards(app).map(card => card.dataset.word), words);
+    app.close();
+});
+
+test('a nod chooses the highlighted card and a shake dismisses it', async () => {
+    const app = await showPredictions();
+    const [first, second] = cards(app);
+
+    second.focus();
+    app.app.handleGesture({ type: 'shake', timestamp: 0 });
+    assert.ok(!cards(app).some(card => card.dataset.word === second.dataset.word));
+
+    // The cards are redrawn without the dismissed one
+    const [top] = cards(app);
+    assert.equal(top.dataset.word, first.dataset.word);
+    top.focus();
+    app.app.handleGesture({ type: 'nod', timestamp: 0 });
+    assert.equal(app.app.store.get('selection'), top.dataset.word);
+    app.close();
+});
+
+test('nods and shakes are ignored while pointing with the head', async () => {
+    const profile = { id: 'default', name: 'Default', settings: { dwellMode: 'head' } };
+    const app = await showPredictions({
+        storage: { 'cognitive-echo-settings': { version: 1, activeProfileId: 'default', profiles: [profile] } }
+    });
+    const [first] = cards(app);
+
+    first.focus();
+    app.app.handleGesture({ type: 'nod', timestamp: 0 });
+    app.app.handleGesture({ type: 'shake', timestamp: 0 });
+    assert.equal(app.app.store.get('selection'), null);
+    assert.equal(cards(app).length, app.app.demoScenarios[0].predictions.length);
+    app.close();
+});
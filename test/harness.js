@@ -0,0 +1,686 @@
+// Cognitive Echo Test Harness
+//
+// Runs the real app in Node: index.html is loaded into jsdom with every script
+// it lists, in order, and the browser APIs jsdom doesn't have are replaced by
+// fakes the tests control:
+//
+//   FakeMediaDevices   getUserMedia(), enumerateDevices() and devicechange;
+//                      devices can be denied, plugged in and unplugged
+//   FakePermissions    navigator.permissions.query() for the camera and
+//                      microphone; states can change while the app runs
+//   FakeAudioContext   analysers report whatever level a test sets
+//   FakeClock          setTimeout, setInterval and requestAnimationFrame only
+//                      run when a test moves the clock on with tick()
+//   MemoryStorage      localStorage for the stores when they are tested on their own
+//   FakeIndexedDB      the object stores and indexes SessionStore uses, likewise
+//
+// IndexedDB, service workers and speech synthesis are left out, as in a
+// browser without them; the app already runs without each of these. jsdom's
+// own WebSocket is real, so the page can talk to mock-server.js.
+//
+//   const app = await loadApp({ devices: { cameras: 2 } });
+//   await app.click('#start-demo-btn');
+//   await app.tick(1000);
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+const INDEX_HTML = 'index[1].html';
+
+// Resolved promises run between timers, as they would in the browser
+function settle() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+// localStorage as far as the stores use it
+class MemoryStorage {
+    constructor(entries = {}) {
+        this.items = new Map(Object.entries(entries));
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+// IndexedDB as far as SessionStore uses it. Requests succeed on the next turn
+// and a transaction completes once a turn passes with none outstanding.
+class FakeIDBRequest {
+    constructor() {
+        this.result = undefined;
+        this.error = null;
+        this.onsuccess = null;
+        this.onerror = null;
+        this.onupgradeneeded = null;
+    }
+}
+
+class FakeIDBObjectStore {
+    constructor(transaction, data) {
+        this.transaction = transaction;
+        this.data = data;
+    }
+
+    records() {
+        return [...this.data.records.values()].map(record => structuredClone(record));
+    }
+
+    add(value) {
+        return this.transaction.request(() => {
+            const { keyPath } = this.data;
+            const key = value[keyPath] ?? this.data.nextKey++;
+            if (this.data.records.has(key)) {
+                throw Object.assign(new Error(`Key ${key} already exists`), { name: 'ConstraintError' });
+            }
+            this.data.records.set(key, structuredClone({ ...value, [keyPath]: key }));
+            return key;
+        });
+    }
+
+    put(value) {
+        return this.transaction.request(() => {
+            this.data.records.set(value[this.data.keyPath], structuredClone(value));
+            return value[this.data.keyPath];
+        });
+    }
+
+    get(key) {
+        return this.transaction.request(() => structuredClone(this.data.records.get(key)));
+    }
+
+    getAll() {
+        return this.transaction.request(() => this.records());
+    }
+
+    clear() {
+        return this.transaction.request(() => this.data.records.clear());
+    }
+
+    // Key ranges aren't supported; every record comes back in index order
+    index(name) {
+        const keyPath = this.data.indexes.get(name);
+        return {
+            getAll: () => this.transaction.request(() =>
+                this.records().sort((a, b) => (a[keyPath] > b[keyPath]) - (a[keyPath] < b[keyPath])))
+        };
+    }
+}
+
+class FakeIDBTransaction {
+    constructor(database) {
+        this.database = database;
+        this.pending = 0;
+        this.finished = false;
+        this.error = null;
+        this.oncomplete = null;
+        this.onerror = null;
+        this.onabort = null;
+        this.finishWhenIdle();
+    }
+
+    objectStore(name) {
+        return new FakeIDBObjectStore(this, this.database.stores.get(name));
+    }
+
+    request(work) {
+        const request = new FakeIDBRequest();
+        this.pending++;
+        setImmediate(() => {
+            this.pending--;
+            try {
+                request.result = work();
+            } catch (error) {
+                request.error = error;
+                this.error = error;
+                if (request.onerror) request.onerror();
+                this.finish('onabort');
+                return;
+            }
+            if (request.onsuccess) request.onsuccess();
+            this.finishWhenIdle();
+        });
+        return request;
+    }
+
+    finishWhenIdle() {
+        setImmediate(() => {
+            if (this.pending === 0) this.finish('oncomplete');
+        });
+    }
+
+    finish(handler) {
+        if (this.finished) return;
+        this.finished = true;
+        if (this[handler]) this[handler]();
+    }
+}
+
+class FakeIDBDatabase {
+    constructor() {
+        this.stores = new Map();
+        this.objectStoreNames = { contains: name => this.stores.has(name) };
+    }
+
+    createObjectStore(name, { keyPath, autoIncrement = false } = {}) {
+        const data = { keyPath, autoIncrement, nextKey: 1, records: new Map(), indexes: new Map() };
+        this.stores.set(name, data);
+        return { createIndex: (indexName, indexKeyPath) => data.indexes.set(indexName, indexKeyPath) };
+    }
+
+    transaction() {
+        return new FakeIDBTransaction(this);
+    }
+
+    close() {}
+}
+
+class FakeIndexedDB {
+    constructor() {
+        this.databases = new Map();
+    }
+
+    open(name) {
+        const request = new FakeIDBRequest();
+        setImmediate(() => {
+            const upgrade = !this.databases.has(name);
+            if (upgrade) this.databases.set(name, new FakeIDBDatabase());
+            request.result = this.databases.get(name);
+            if (upgrade && request.onupgradeneeded) request.onupgradeneeded();
+            if (request.onsuccess) request.onsuccess();
+        });
+        return request;
+    }
+}
+
+class FakeClock {
+    constructor() {
+        this.now = 0;
+        this.nextId = 1;
+        this.timers = new Map();
+    }
+
+    setTimeout(callback, delay = 0, ...args) {
+        const id = this.nextId++;
+        this.timers.set(id, { callback, args, at: this.now + Math.max(0, Number(delay) || 0), interval: null });
+        return id;
+    }
+
+    setInterval(callback, delay = 0, ...args) {
+        const id = this.setTimeout(callback, delay, ...args);
+        this.timers.get(id).interval = Math.max(1, Number(delay) || 0);
+        return id;
+    }
+
+    clearTimeout(id) {
+        this.timers.delete(id);
+    }
+
+    // One frame every 16ms
+    requestAnimationFrame(callback) {
+        return this.setTimeout(() => callback(this.now), 16);
+    }
+
+    nextDue(until) {
+        let next = null;
+        this.timers.forEach((timer, id) => {
+            if (timer.at <= until && (!next || timer.at < next.timer.at)) next = { id, timer };
+        });
+        return next;
+    }
+
+    async tick(ms = 0) {
+        const until = this.now + ms;
+        await settle();
+
+        let due = this.nextDue(until);
+        while (due) {
+            const { id, timer } = due;
+            this.now = timer.at;
+            if (timer.interval) {
+                timer.at += timer.interval;
+            } else {
+                this.timers.delete(id);
+            }
+            timer.callback(...timer.args);
+            await settle();
+            due = this.nextDue(until);
+        }
+
+        this.now = until;
+        await settle();
+    }
+
+    install(window) {
+        window.setTimeout = (...args) => this.setTimeout(...args);
+        window.setInterval = (...args) => this.setInterval(...args);
+        window.clearTimeout = (id) => this.clearTimeout(id);
+        window.clearInterval = (id) => this.clearTimeout(id);
+        window.requestAnimationFrame = (callback) => this.requestAnimationFrame(callback);
+        window.cancelAnimationFrame = (id) => this.clearTimeout(id);
+    }
+}
+
+const TRACK_KINDS = { videoinput: 'video', audioinput: 'audio' };
+
+class FakeMediaStreamTrack extends EventTarget {
+    constructor(device) {
+        super();
+        this.kind = TRACK_KINDS[device.kind];
+        this.id = `${device.deviceId}-${Math.random().toString(36).slice(2, 8)}`;
+        this.label = device.label;
+        this.deviceId = device.deviceId;
+        this.enabled = true;
+        this.muted = false;
+        this.readyState = 'live';
+    }
+
+    getSettings() {
+        return { deviceId: this.deviceId };
+    }
+
+    stop() {
+        this.readyState = 'ended';
+    }
+
+    // What the browser does when the device goes away; stop() fires nothing
+    end() {
+        if (this.readyState === 'ended') return;
+        this.readyState = 'ended';
+        this.dispatchEvent(new Event('ended'));
+    }
+}
+
+class FakeMediaStream {
+    constructor(tracks = []) {
+        this.id = Math.random().toString(36).slice(2, 10);
+        this.tracks = [...tracks];
+    }
+
+    getTracks() {
+        return [...this.tracks];
+    }
+
+    getAudioTracks() {
+        return this.tracks.filter(track => track.kind === 'audio');
+    }
+
+    getVideoTracks() {
+        return this.tracks.filter(track => track.kind === 'video');
+    }
+
+    addTrack(track) {
+        this.tracks.push(track);
+    }
+
+    removeTrack(track) {
+        this.tracks = this.tracks.filter(existing => existing !== track);
+    }
+}
+
+class FakeMediaDevices extends EventTarget {
+    constructor({ cameras = 1, microphones = 1 } = {}) {
+        super();
+        this.devices = [];
+        this.requests = [];
+        this.streams = [];
+        this.failures = { video: null, audio: null };
+        this.overconstrained = new Set();
+        for (let i = 1; i <= cameras; i++) this.plug('videoinput', `Camera ${i}`, { silent: true });
+        for (let i = 1; i <= microphones; i++) this.plug('audioinput', `Microphone ${i}`, { silent: true });
+    }
+
+    // Later requests for `kind` ('video' or 'audio', both if left out) fail
+    // with a DOMException of this name, e.g. 'NotAllowedError'
+    deny(name = 'NotAllowedError', { kind = null, message = 'Permission denied' } = {}) {
+        (kind ? [kind] : ['video', 'audio']).forEach(trackKind => {
+            this.failures[trackKind] = { name, message };
+        });
+    }
+
+    allow() {
+        this.failures = { video: null, audio: null };
+    }
+
+    // Requests for `kind` that ask for more than a device id fail with OverconstrainedError
+    overconstrain(kind) {
+        this.overconstrained.add(kind);
+    }
+
+    async getUserMedia(constraints = {}) {
+        this.requests.push(constraints);
+
+        const tracks = Object.entries(TRACK_KINDS)
+            .filter(([, trackKind]) => constraints[trackKind])
+            .map(([kind, trackKind]) => {
+                const constraint = constraints[trackKind];
+                const failure = this.failures[trackKind];
+                if (failure) throw new DOMException(failure.message, failure.name);
+                if (this.overconstrained.has(trackKind) && typeof constraint === 'object' &&
+                    Object.keys(constraint).some(key => key !== 'deviceId')) {
+                    throw new DOMException('Constraints could not be satisfied', 'OverconstrainedError');
+                }
+
+                const wanted = constraint.deviceId && constraint.deviceId.exact;
+                const device = this.devices.find(candidate =>
+                    candidate.kind === kind && (!wanted || candidate.deviceId === wanted));
+                if (!device) {
+                    throw new DOMException('Requested device not found', wanted ? 'OverconstrainedError' : 'NotFoundError');
+                }
+                return new FakeMediaStreamTrack(device);
+            });
+
+        const stream = new FakeMediaStream(tracks);
+        this.streams.push(stream);
+        return stream;
+    }
+
+    async enumerateDevices() {
+        return this.devices.map(device => ({ ...device }));
+    }
+
+    plug(kind, label, { silent = false } = {}) {
+        const prefix = TRACK_KINDS[kind] === 'video' ? 'camera' : 'microphone';
+        const count = this.devices.filter(device => device.kind === kind).length + 1;
+        const device = { deviceId: `${prefix}-${count}`, kind, label, groupId: `${prefix}-group-${count}` };
+        this.devices.push(device);
+        if (!silent) this.dispatchEvent(new Event('devicechange'));
+        return device;
+    }
+
+    unplug(deviceId) {
+        this.devices = this.devices.filter(device => device.deviceId !== deviceId);
+        this.liveTracks().filter(track => track.deviceId === deviceId).forEach(track => track.end());
+        this.dispatchEvent(new Event('devicechange'));
+    }
+
+    liveTracks() {
+        return this.streams.flatMap(stream => stream.getTracks()).filter(track => track.readyState === 'live');
+    }
+}
+
+class FakePermissionStatus extends EventTarget {
+    constructor(state) {
+        super();
+        this.state = state;
+    }
+}
+
+class FakePermissions {
+    constructor(states = {}) {
+        this.statuses = {
+            camera: new FakePermissionStatus(states.camera || 'prompt'),
+            microphone: new FakePermissionStatus(states.microphone || 'prompt')
+        };
+    }
+
+    async query({ name }) {
+        if (!this.statuses[name]) throw new TypeError(`'${name}' is not a valid permission name`);
+        return this.statuses[name];
+    }
+
+    // As if the user changed the site's settings in the browser
+    set(name, state) {
+        this.statuses[name].state = state;
+        this.statuses[name].dispatchEvent(new Event('change'));
+    }
+}
+
+class FakeAudioNode {
+    constructor(context) {
+        this.context = context;
+        this.connections = [];
+    }
+
+    connect(node) {
+        this.connections.push(node);
+        return node;
+    }
+
+    disconnect() {
+        this.connections = [];
+    }
+}
+
+class FakeAnalyserNode extends FakeAudioNode {
+    constructor(context) {
+        super(context);
+        this.fftSize = 2048;
+        // 0 is silence, 1 is as loud as it gets
+        this.level = 0;
+    }
+
+    get frequencyBinCount() {
+        return this.fftSize / 2;
+    }
+
+    getByteFrequencyData(array) {
+        array.fill(Math.round(this.level * 255));
+    }
+
+    getFloatTimeDomainData(array) {
+        for (let i = 0; i < array.length; i++) array[i] = i % 2 === 0 ? this.level : -this.level;
+    }
+}
+
+class FakeAudioContext {
+    constructor() {
+        this.state = 'running';
+        this.sampleRate = 48000;
+        this.analysers = [];
+        this.sources = [];
+    }
+
+    createAnalyser() {
+        const analyser = new FakeAnalyserNode(this);
+        this.analysers.push(analyser);
+        return analyser;
+    }
+
+    createMediaStreamSource(stream) {
+        const source = new FakeAudioNode(this);
+        source.mediaStream = stream;
+        this.sources.push(source);
+        return source;
+    }
+
+    createScriptProcessor(bufferSize = 4096) {
+        const processor = new FakeAudioNode(this);
+        processor.bufferSize = bufferSize;
+        processor.onaudioprocess = null;
+        return processor;
+    }
+
+    get destination() {
+        return new FakeAudioNode(this);
+    }
+
+    async resume() {
+        this.state = 'running';
+    }
+
+    async close() {
+        this.state = 'closed';
+    }
+}
+
+// index.html with each <script src> replaced by the file's contents, so they
+// run in order as the page is parsed
+function inlineScripts(html) {
+    return html.replace(/<script src="([^"]+)"><\/script>/g, (tag, src) =>
+        `<script>${fs.readFileSync(path.join(ROOT, src), 'utf8')}</script>`);
+}
+
+class AppHarness {
+    constructor({ dom, clock, media, permissions, audioContexts, logs }) {
+        this.dom = dom;
+        this.window = dom.window;
+        this.document = dom.window.document;
+        this.app = dom.window.cognitiveEcho;
+        this.clock = clock;
+        this.media = media;
+        this.permissions = permissions;
+        this.audioContexts = audioContexts;
+        this.logs = logs;
+    }
+
+    $(selector) {
+        return this.document.querySelector(selector);
+    }
+
+    $$(selector) {
+        return [...this.document.querySelectorAll(selector)];
+    }
+
+    get screen() {
+        const active = this.$('.screen.active');
+        return active ? active.id : null;
+    }
+
+    get hash() {
+        return this.window.location.hash;
+    }
+
+    text(selector) {
+        const element = this.$(selector);
+        return element ? element.textContent.trim() : null;
+    }
+
+    isHidden(selector) {
+        return this.$(selector).classList.contains('hidden');
+    }
+
+    async click(selector) {
+        const element = typeof selector === 'string' ? this.$(selector) : selector;
+        if (!element) throw new Error(`Nothing to click: ${selector}`);
+        element.click();
+        await settle();
+    }
+
+    async choose(selector, value) {
+        const element = this.$(selector);
+        element.value = value;
+        element.dispatchEvent(new this.window.Event('change', { bubbles: true }));
+        await settle();
+    }
+
+    async press(key) {
+        this.document.dispatchEvent(new this.window.KeyboardEvent('keydown', { key, bubbles: true }));
+        await settle();
+    }
+
+    tick(ms) {
+        return this.clock.tick(ms);
+    }
+
+    // Welcome, permission, device selection if offered, then into the app
+    async openMainScreen() {
+        await this.click('#start-demo-btn');
+        await this.click('#request-permissions-btn');
+        await this.tick(0);
+        if (this.screen === 'device-screen') await this.click('#confirm-devices-btn');
+        await this.click('#enter-app-btn');
+        await this.tick(0);
+    }
+
+    close() {
+        this.window.close();
+    }
+}
+
+// Options:
+//   devices       { cameras, microphones } plugged in at the start
+//   mediaDevices  a FakeMediaDevices, or null for a browser without them
+//   permissions   a FakePermissions, or { camera, microphone } states for one;
+//                 without it the browser has no Permissions API
+//   userAgent     the browser the page thinks it runs in
+//   hash          the URL hash the page is opened with, e.g. '#/main'
+//   storage       localStorage entries to start with
+//   fetch         the page's fetch(), e.g. Node's own for talking to a mock server;
+//                 without it the page has none, as jsdom doesn't
+//   verbose       print the app's console output
+async function loadApp(options = {}) {
+    const clock = new FakeClock();
+    const media = options.mediaDevices !== undefined ? options.mediaDevices : new FakeMediaDevices(options.devices);
+    const permissions = options.permissions && !(options.permissions instanceof FakePermissions)
+        ? new FakePermissions(options.permissions)
+        : options.permissions;
+    const audioContexts = [];
+    const logs = [];
+
+    const virtualConsole = new VirtualConsole();
+    ['log', 'info', 'warn', 'error'].forEach(level => {
+        virtualConsole.on(level, (...args) => {
+            logs.push({ level, message: args.map(String).join(' ') });
+            if (options.verbose) console[level](...args);
+        });
+    });
+    virtualConsole.on('jsdomError', (error) => {
+        logs.push({ level: 'error', message: error.message });
+        if (options.verbose) console.error(error);
+    });
+
+    const html = inlineScripts(fs.readFileSync(path.join(ROOT, INDEX_HTML), 'utf8'));
+    const dom = new JSDOM(html, {
+        url: `http://localhost/${options.hash || ''}`,
+        runScripts: 'dangerously',
+        virtualConsole,
+        beforeParse(window) {
+            clock.install(window);
+            Object.entries(options.storage || {}).forEach(([key, value]) => {
+                window.localStorage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value));
+            });
+            if (media) Object.defineProperty(window.navigator, 'mediaDevices', { value: media, configurable: true });
+            if (permissions) Object.defineProperty(window.navigator, 'permissions', { value: permissions, configurable: true });
+            if (options.fetch) window.fetch = options.fetch;
+            if (options.userAgent) {
+                Object.defineProperty(window.navigator, 'userAgent', { value: options.userAgent, configurable: true });
+            }
+            window.MediaStream = FakeMediaStream;
+            window.AudioContext = class extends FakeAudioContext {
+                constructor() {
+                    super();
+                    audioContexts.push(this);
+                }
+            };
+            // jsdom can't play media
+            window.HTMLMediaElement.prototype.play = () => Promise.resolve();
+            window.HTMLMediaElement.prototype.pause = () => {};
+        }
+    });
+
+    if (dom.window.document.readyState !== 'complete') {
+        await new Promise(resolve => dom.window.addEventListener('load', resolve));
+    }
+    await clock.tick(0);
+
+    if (!dom.window.cognitiveEcho) {
+        const errors = logs.filter(entry => entry.level === 'error').map(entry => entry.message);
+        throw new Error(`Cognitive Echo did not start:\n${errors.join('\n')}`);
+    }
+    return new AppHarness({ dom, clock, media, permissions, audioContexts, logs });
+}
+
+module.exports = {
+    FakeClock,
+    MemoryStorage,
+    FakeIndexedDB,
+    FakeMediaStreamTrack,
+    FakeMediaStream,
+    FakeMediaDevices,
+    FakePermissions,
+    FakeAnalyserNode,
+    FakeAudioContext,
+    AppHarness,
+    loadApp,
+    settle
+};
@@ -0,0 +1,231 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DwellSelector, FrameSequenceSource, HeadPointer, HeadTracker } = require('../head-pointer');
+const { FakeClock } = require('./harness');
+const recording = require('./fixtures/head-turns.json');
+
+const SCREEN = { width: 1000, height: 800 };
+const DWELL_MS = 1000;
+
+// The recording's frames as the camera would deliver them, stamped at 15 fps
+function recordedFrames() {
+    const { width, height, frameMs, colors, poses, sequence } = recording;
+    const frames = [];
+    sequence.forEach(([pose, count]) => {
+        const data = new Uint8ClampedArray(width * height * 4);
+        poses[pose].join('').split('').forEach((pixel, i) => {
+            data.set([...colors[pixel], 255], i * 4);
+        });
+        for (let n = 0; n < count; n++) {
+            frames.push({ data, width, height, pose, timestamp: (frames.length + 1) * frameMs });
+        }
+    });
+    return frames;
+}
+
+// Plays frames on the fake clock at the recording's pace, like the live camera
+class ClockedFrameSource {
+    constructor(frames, clock) {
+        this.frames = frames;
+        this.clock = clock;
+        this.timer = null;
+    }
+
+    async start(onFrame) {
+        let next = 0;
+        this.timer = this.clock.setInterval(() => {
+            if (next >= this.frames.length) return this.stop();
+            onFrame({ ...this.frames[next++], timestamp: this.clock.now });
+        }, recording.frameMs);
+    }
+
+    async stop() {
+        this.clock.clearTimeout(this.timer);
+    }
+}
+
+// Two cards, one at each side of the screen
+function hitTest(x) {
+    if (x < SCREEN.width * 0.35) return 'left-card';
+    if (x > SCREEN.width * 0.65) return 'right-card';
+    return null;
+}
+
+// Camera frames -> head position -> pointer -> dwell, as the app wires them
+function pipeline(options = {}) {
+    const tracker = new HeadTracker({ step: 1 });
+    const pointer = new HeadPointer({ smoothing: options.smoothing ?? 0 });
+    const selections = [];
+    const positions = [];
+    const dwell = new DwellSelector({
+        dwellMs: DWELL_MS,
+        hitTest,
+        onSelect: target => selections.push({ target, at: positions[positions.length - 1].timestamp })
+    });
+
+    const onFrame = frame => {
+        const position = pointer.update(tracker.process(frame));
+        if (!position) return;
+        positions.push({ ...position, pose: frame.pose, timestamp: frame.timestamp });
+        dwell.update(position.x * SCREEN.width, position.y * SCREEN.height, frame.timestamp);
+    };
+    return { tracker, pointer, dwell, selections, positions, onFrame };
+}
+
+function lastPositionOf(positions, pose) {
+    return positions.filter(position => position.pose === pose).pop();
+}
+
+test('the tracker finds the face centre and loses it when nobody is there', () => {
+    const tracker = new HeadTracker({ step: 1 });
+    const frames = recordedFrames();
+    const first = pose => frames.find(frame => frame.pose === pose);
+
+    const centre = tracker.process(first('centre'));
+    assert.equal(centre.x, 0.5);
+    assert.equal(centre.y, 0.5);
+    assert.equal(centre.coverage, 16 / 192);
+
+    assert.ok(Math.abs(tracker.process(first('right')).x - 8.5 / 15) < 1e-9);
+    assert.equal(tracker.process(first('away')), null);
+});
+
+test('a recorded sequence moves the pointer away from the neutral pose, mirrored', async () => {
+    const { positions, onFrame } = pipeline();
+    await new FrameSequenceSource(recordedFrames()).start(onFrame);
+
+    const at = pose => {
+        const { x, y } = lastPositionOf(positions, pose);
+        return { x: Math.round(x * 1000) / 1000, y: Math.round(y * 1000) / 1000 };
+    };
+    // The first face seen is the centre of the screen
+    assert.deepEqual({ x: positions[0].x, y: positions[0].y }, { x: 0.5, y: 0.5 });
+    assert.deepEqual(at('right'), { x: 0.3, y: 0.5 });
+    assert.deepEqual(at('left'), { x: 0.7, y: 0.5 });
+    // Losing the face leaves the pointer where it was
+    assert.deepEqual(at('away'), at('centre'));
+});
+
+test('smoothing eases the pointer towards the head and recentring resets it', () => {
+    const { pointer, tracker } = pipeline({ smoothing: 0.6 });
+    const frames = recordedFrames();
+
+    const first = pointer.update(tracker.process(frames[0]));
+    assert.deepEqual(first, { x: 0.5, y: 0.5 });
+    const right = frames.find(frame => frame.pose === 'right');
+    const eased = pointer.update(tracker.process(right));
+    assert.ok(Math.abs(eased.x - 0.42) < 1e-9);
+    assert.ok(pointer.update(tracker.process(right)).x < eased.x);
+
+    pointer.recenter();
+    assert.deepEqual(pointer.update(tracker.process(right)), { x: 0.5, y: 0.5 });
+});
+
+test('dwelling on a card selects it after dwellMs, and not before', async () => {
+    const clock = new FakeClock();
+    const { selections, onFrame } = pipeline();
+    await new ClockedFrameSource(recordedFrames(), clock).start(onFrame);
+
+    // Four centred frames, then the head turns and the pointer lands on the left card
+    const arrived = 5 * recording.frameMs;
+    await clock.tick(arrived);
+    assert.deepEqual(selections, []);
+
+    // The last frame before a full second has passed
+    await clock.tick(arrived + 15 * recording.frameMs - clock.now);
+    assert.ok(clock.now - arrived < DWELL_MS);
+    assert.deepEqual(selections, []);
+
+    await clock.tick(recording.frameMs);
+    assert.deepEqual(selections, [{ target: 'left-card', at: arrived + 16 * recording.frameMs }]);
+
+    // Staying on the card doesn't select it again
+    await clock.tick(8 * recording.frameMs);
+    assert.equal(selections.length, 1);
+});
+
+test('each visit dwells from the start and selects once', async () => {
+    const clock = new FakeClock();
+    const progress = [];
+    const { dwell, selections, onFrame } = pipeline();
+    dwell.onProgress = (target, value) => progress.push({ target, value });
+    await new ClockedFrameSource(recordedFrames(), clock).start(onFrame);
+
+    await clock.tick(recordedFrames().length * recording.frameMs);
+    assert.deepEqual(selections.map(selection => selection.target), ['left-card', 'right-card']);
+
+    // Leaving the left card cleared its progress before the right card began
+    const cleared = progress.findIndex(entry => entry.target === 'left-card' && entry.value === 0);
+    const started = progress.findIndex(entry => entry.target === 'right-card');
+    assert.ok(cleared !== -1 && cleared < started);
+    assert.ok(progress.filter(entry => entry.target === 'right-card').every(entry => entry.value <= 1));
+
+    // The right card was reached after the centre and away frames, and took a full dwell
+    const arrived = (4 + 24 + 4 + 3 + 1) * recording.frameMs;
+    assert.equal(selections[1].at, arrived + 16 * recording.frameMs);
+});
+
+test('a recorded sequence dwells exactly like the live camera', async () => {
+    const recorded = pipeline();
+    await new FrameSequenceSource(recordedFrames()).start(recorded.onFrame);
+
+    const clock = new FakeClock();
+    const live = pipeline();
+    await new ClockedFrameSource(recordedFrames(), clock).start(live.onFrame);
+    await clock.tick(recordedFrames().length * recording.frameMs);
+
+    assert.deepEqual(recorded.selections, live.selections);
+});
+
+test('a longer dwell time takes effect on the next visit', async () => {
+    const { dwell, selections, onFrame } = pipeline();
+    dwell.configure({ dwellMs: 2000 });
+    await new FrameSequenceSource(recordedFrames()).start(onFrame);
+
+    // 24 frames on each card is about 1.6 seconds, too short to select
+    assert.deepEqual(selections, []);
+});
+
+// Cards that are redrawn, as new elements in the same places, after each selection
+function redrawnCards() {
+    let redraws = 0;
+    const selections = [];
+    const dwell = new DwellSelector({
+        dwellMs: DWELL_MS,
+        hitTest: x => {
+            const card = hitTest(x);
+            return card ? `${card}#${redraws}` : null;
+        },
+        onSelect: target => {
+            selections.push(target);
+            redraws++;
+        }
+    });
+    // The pointer at `x` for `ms`, one update per frame
+    let now = 0;
+    const hold = (x, ms) => {
+        for (const end = now + ms; now < end; now += recording.frameMs) dwell.update(x, 400, now);
+    };
+    return { dwell, selections, hold };
+}
+
+test('a card redrawn under a still pointer is not selected again', () => {
+    const { selections, hold } = redrawnCards();
+    hold(100, 5 * DWELL_MS);
+    assert.deepEqual(selections, ['left-card#0']);
+
+    // Small movements on the new card don't count as leaving
+    hold(120, 2 * DWELL_MS);
+    assert.deepEqual(selections, ['left-card#0']);
+});
+
+test('after a selection, moving to another card or away and back selects again', () => {
+    const { selections, hold } = redrawnCards();
+    hold(100, 1.5 * DWELL_MS);
+    hold(900, 1.5 * DWELL_MS);
+    assert.deepEqual(selections, ['left-card#0', 'right-card#1']);
+
+    hold(500, 200);
+    hold(900, 1.5 * DWELL_MS);
+    assert.deepEqual(selections, ['left-card#0', 'right-card#1', 'right-card#2']);
+});
@@ -0,0 +1,151 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { MESSAGE_CATALOGS, Translator } = require('../i18n');
+const { validateScenario, DeckStore } = require('../scenario-decks');
+const { SettingsStore } = require('../settings-store');
+const { validatePictureManifest, parsePictureManifest } = require('../visual-aids');
+const { validateSessionExport, parseSessionImport } = require('../session-export');
+const { loadApp } = require('./harness');
+
+const SPANISH = {
+    'cognitive-echo-settings': {
+        version: 1,
+        activeProfileId: 'default',
+        profiles: [{ id: 'default', name: 'Default', settings: { language: 'es' } }]
+    }
+};
+
+function keysOf(errors) {
+    return errors.map(error => (typeof error === 'string' ? error : error.key));
+}
+
+function assertInCatalogs(keys) {
+    Object.entries(MESSAGE_CATALOGS).forEach(([language, catalog]) => {
+        assert.deepEqual(keys.filter(key => !(key in catalog)), [], language);
+    });
+}
+
+test('every language has the same keys, and the page only uses known ones', () => {
+    const english = Object.keys(MESSAGE_CATALOGS.en).sort();
+    Object.entries(MESSAGE_CATALOGS).forEach(([language, catalog]) => {
+        assert.deepEqual(Object.keys(catalog).sort(), english, language);
+    });
+
+    const html = fs.readFileSync(path.join(__dirname, '..', 'index[1].html'), 'utf8');
+    const tagged = [...html.matchAll(/data-i18n(?:-[a-z]+)?="([^"]+)"/g)].map(match => match[1]);
+    assertInCatalogs(tagged);
+});
+
+test('validators report catalog keys rather than English', () => {
+    assert.deepEqual(validateScenario({ predictions: [' '], visualAid: {} }), [
+        'scenario.needsPrompt',
+        'scenario.needsWords',
+        'scenario.needsAid',
+        'scenario.needsLabel',
+        'scenario.needsSentence'
+    ]);
+
+    const manifest = validatePictureManifest({ format: 'x', version: 2, id: 'personal', images: [{ word: '', file: 'a.txt' }] });
+    assert.deepEqual(keysOf(manifest), [
+        'validation.format',
+        'validation.version',
+        'packs.error.reserved',
+        'validation.required',
+        'validation.required',
+        'packs.error.file'
+    ]);
+    assert.deepEqual({ ...manifest[4].params }, { field: 'images[0].word' });
+
+    const sessions = validateSessionExport({
+        format: 'cognitive-echo-sessions',
+        version: 1,
+        sessions: [{ id: 1, startedAt: 'soon' }],
+        attempts: [{ sessionId: 2, fragmentedInput: 'dog', startedAt: '2026-10-19', predictions: [{ word: 'dog' }] }]
+    });
+    assert.deepEqual(keysOf(sessions), ['validation.date', 'import.error.session', 'import.error.prediction']);
+
+    assertInCatalogs([...keysOf(manifest), ...keysOf(sessions)]);
+});
+
+test('thrown errors carry their keys', () => {
+    const decks = new DeckStore({ storage: null });
+    assert.throws(() => decks.createDeck(' '), error => error.name === 'DeckError' && error.errors[0] === 'decks.needsName');
+    assert.throws(() => decks.deleteDeck('everyday'), error => error.errors[0] === 'decks.keepOne');
+
+    const settings = new SettingsStore({ storage: null });
+    assert.throws(() => settings.createProfile(''), error => error.name === 'ProfileError' && error.errors[0] === 'settings.needsProfileName');
+    assert.throws(() => settings.deleteProfile('default'), error => error.errors[0] === 'settings.keepOneProfile');
+
+    assert.throws(() => parsePictureManifest('{'), error => error.errors[0].key === 'packs.error.json');
+    assert.throws(() => parseSessionImport('[]'), error => error.errors[0].key === 'validation.notObject');
+});
+
+test('long import error lists are cut short', () => {
+    const attempts = Array.from({ length: 12 }, () => null);
+    const data = { format: 'cognitive-echo-sessions', version: 1, sessions: [], attempts };
+    assert.throws(() => parseSessionImport(JSON.stringify(data)), error => {
+        assert.equal(error.errors.length, 11);
+        assert.deepEqual(error.errors[10], { key: 'validation.more', params: { count: 2 } });
+        return true;
+    });
+});
+
+test('error messages are said in the chosen language', () => {
+    const spanish = new Translator('es');
+    const error = { errors: ['decks.needsName', { key: 'validation.required', params: { field: 'name' } }] };
+    assert.equal(spanish.errorMessage(error, 'decks.changeFailed'), 'Ponga un nombre al mazo. name es obligatorio.');
+
+    // Errors that aren't the user's to fix get the fallback
+    assert.equal(spanish.errorMessage(new Error('Quota exceeded'), 'decks.changeFailed'), spanish.t('decks.changeFailed'));
+    assert.equal(spanish.errorMessage({ errors: { camera: null } }, 'decks.changeFailed'), spanish.t('decks.changeFailed'));
+});
+
+test('the deck editor speaks the interface language', async () => {
+    const app = await loadApp({ hash: '#/deck-editor', storage: SPANISH });
+    const es = MESSAGE_CATALOGS.es;
+
+    await app.click('#add-scenario-btn');
+    assert.equal(app.text('#scenario-form-title'), es['scenario.newTitle']);
+    assert.equal(app.text('label[for="scenario-sentence"]'), es['scenario.sentence']);
+    assert.equal(app.$('#scenario-words').placeholder, es['scenario.wordsPlaceholder']);
+
+    await app.click('#save-scenario-btn');
+    assert.ok(!app.isHidden('#scenario-form-error'));
+    assert.ok(app.text('#scenario-form-error .error-text').startsWith(es['scenario.needsPrompt']));
+
+    const first = app.$('#scenario-list button[data-action="edit"]');
+    assert.equal(first.title, es['decks.edit']);
+    await app.click(first);
+    assert.equal(app.text('#scenario-form-title'), es['scenario.editTitle']);
+    app.close();
+});
+
+test('unnamed devices are numbered in the interface language', async () => {
+    const app = await loadApp({ devices: { cameras: 2, microphones: 1 }, storage: SPANISH });
+    app.media.devices.forEach(device => { device.label = ''; });
+    await app.click('#start-demo-btn');
+    await app.click('#request-permissions-btn');
+    await app.tick(0);
+
+    assert.equal(app.screen, 'device-screen');
+    assert.deepEqual(app.$$('#camera-select option').map(option => option.textContent), [
+        MESSAGE_CATALOGS.es['device.selectCamera'],
+        'Cámara 1',
+        'Cámara 2'
+    ]);
+    app.close();
+});
+
+test('the demo mode camera placeholder is in the interface language', async () => {
+    const app = await loadApp({ storage: SPANISH });
+    await app.click('#start-demo-btn');
+    await app.click('#demo-mode-btn');
+
+    const { es } = MESSAGE_CATALOGS;
+    const lines = app.$$('video div[data-i18n]').map(line => line.textContent);
+    assert.ok(lines.length > 0);
+    assert.deepEqual(lines.slice(0, 2), [es['main.demoMode'], es['main.cameraSimulation']]);
+    app.close();
+});
@@ -0,0 +1,166 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./harness');
+
+async function openMainScreen() {
+    const app = await loadApp();
+    await app.openMainScreen();
+    return app;
+}
+
+function cardWords(app) {
+    return app.$$('#predictions-container .prediction-card').map(card => card.dataset.word);
+}
+
+test('the main screen starts a session and shows the camera', async () => {
+    const app = await openMainScreen();
+
+    assert.equal(app.screen, 'main-screen');
+    assert.equal(app.hash, '#/main');
+    assert.equal(app.$('#main-video').srcObject, app.app.mediaStream);
+    assert.equal(app.text('#listen-btn'), app.app.i18n.t('main.startListening'));
+    assert.equal(app.app.listening.state, 'idle');
+    app.close();
+});
+
+test('listening shows the fragmented speech and then predictions', async () => {
+    const app = await openMainScreen();
+    const scenario = app.app.demoScenarios[0];
+
+    await app.click('#listen-btn');
+    assert.equal(app.app.listening.state, 'processing');
+    assert.equal(app.text('#listen-btn'), app.app.i18n.t('main.stopListening'));
+    assert.ok(app.$$('#speech-input .speech-token').length > 0);
+    assert.deepEqual(cardWords(app), []);
+
+    await app.tick(scenario.processingTime);
+    assert.equal(app.app.listening.state, 'listening');
+    // Scenarios come from the page, so copy them out of its realm before comparing
+    assert.deepEqual(cardWords(app), [...scenario.predictions]);
+    assert.match(app.text('#predictions-status'), new RegExp(scenario.visualAid.label));
+    app.close();
+});
+
+test('choosing a card builds the sentence and stops listening', async () => {
+    const app = await openMainScreen();
+    const scenario = app.app.demoScenarios[0];
+    await app.click('#listen-btn');
+    await app.tick(scenario.processingTime);
+
+    const card = app.$(`#predictions-container .prediction-card[data-word="${scenario.predictions[0]}"]`);
+    await app.click(card);
+    assert.ok(card.classList.contains('selected'));
+    assert.equal(card.getAttribute('aria-pressed'), 'true');
+    assert.equal(app.app.store.get('selection'), scenario.predictions[0]);
+
+    await app.tick(500);
+    assert.equal(app.text('#completed-sentence'), app.app.sentenceBuilder.text);
+    assert.ok(app.app.sentenceBuilder.words.length > 0);
+    assert.equal(app.app.listening.state, 'listening');
+
+    await app.tick(1000);
+    assert.equal(app.app.listening.state, 'idle');
+    assert.equal(app.text('#listen-btn'), app.app.i18n.t('main.startListening'));
+    app.close();
+});
+
+test('number keys choose a card', async () => {
+    const app = await openMainScreen();
+    const scenario = app.app.demoScenarios[0];
+    await app.click('#listen-btn');
+    await app.tick(scenario.processingTime);
+
+    await app.press('2');
+    assert.equal(app.app.store.get('selection'), scenario.predictions[1]);
+    app.close();
+});
+
+test('predictions that arrive after listening stopped are dropped', async () => {
+    const app = await openMainScreen();
+    const scenario = app.app.demoScenarios[0];
+
+    await app.click('#listen-btn');
+    await app.click('#listen-btn');
+    assert.equal(app.app.listening.state, 'idle');
+
+    await app.tick(scenario.processingTime);
+    assert.deepEqual(cardWords(app), []);
+    assert.equal(app.app.listening.state, 'idle');
+    app.close();
+});
+
+test('the listening state machine rejects impossible transitions', async () => {
+    const app = await openMainScreen();
+    const { listening } = app.app;
+
+    assert.throws(() => listening.transition('settle'), { name: 'ListeningStateError' });
+    assert.throws(() => listening.transition('stop'), /Cannot stop while idle/);
+    assert.equal(listening.state, 'idle');
+    app.close();
+});
+
+test('leaving the main screen stops listening', async () => {
+    const app = await openMainScreen();
+    await app.click('#listen-btn');
+    await app.click('#history-btn');
+
+    assert.equal(app.screen, 'history-screen');
+    assert.equal(app.app.listening.state, 'idle');
+
+    app.window.history.back();
+    await app.tick(0);
+    assert.equal(app.screen, 'main-screen');
+    app.close();
+});
+
+test('listening started again after a choice is not stopped by it', async () => {
+    const app = await openMainScreen();
+    const scenario = app.app.demoScenarios[0];
+    await app.click('#listen-btn');
+    await app.tick(scenario.processingTime);
+    await app.press('1');
+
+    // Stopped and started again before the choice's auto-stop was due
+    await app.tick(500);
+    await app.click('#listen-btn');
+    await app.click('#listen-btn');
+    assert.equal(app.app.listening.state, 'processing');
+
+    await app.tick(1000);
+    assert.notEqual(app.app.listening.state, 'idle');
+    app.close();
+});
+
+test('a choice made just before exit leaves nothing behind', async () => {
+    const app = await openMainScreen();
+    const scenario = app.app.demoScenarios[0];
+    await app.click('#listen-btn');
+    await app.tick(scenario.processingTime);
+    await app.press('1');
+
+    await app.click('#exit-btn');
+    await app.tick(0);
+    assert.equal(app.clock.timers.size, 0);
+    assert.equal(app.app.sentenceTimeout, null);
+    assert.equal(app.app.autoStopTimeout, null);
+    app.close();
+});
+
+test('unplugging the microphone while listening carries on with another one', async () => {
+    const app = await loadApp({ devices: { cameras: 1, microphones: 2 } });
+    await app.openMainScreen();
+    app.app.setSpeechAdapter({ name: 'silent', transcribe: async () => ({ text: '' }) });
+    await app.click('#listen-btn');
+    assert.equal(app.app.listening.state, 'listening');
+    const first = app.app.speechPipeline;
+
+    app.media.unplug('microphone-1');
+    await app.tick(0);
+
+    assert.equal(app.app.listening.state, 'listening');
+    assert.ok(app.app.speechPipeline && app.app.speechPipeline !== first);
+    const [track] = app.app.speechPipeline.source.mediaStream.getAudioTracks();
+    assert.equal(track.deviceId, 'microphone-2');
+    assert.equal(track.readyState, 'live');
+    app.close();
+});
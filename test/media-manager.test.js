@@ -0,0 +1,179 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MediaManager } = require('../media-manager');
+const { FakeMediaDevices, FakeMediaStream } = require('./harness');
+
+// A manager on fake devices, with every stream and status change it reports
+function setup(devices = { cameras: 2, microphones: 1 }) {
+    const media = new FakeMediaDevices(devices);
+    const streams = [];
+    const statuses = [];
+    const manager = new MediaManager({
+        mediaDevices: media,
+        createStream: tracks => new FakeMediaStream(tracks),
+        onStreamChange: stream => streams.push(stream),
+        onStatusChange: (kind, status, details) => statuses.push({ kind, status, ...details })
+    });
+    return { media, manager, streams, statuses };
+}
+
+// Unplugging fires devicechange and ended, each queueing a reconcile
+async function settled(manager) {
+    let queue;
+    do {
+        queue = manager.queue;
+        await queue;
+    } while (queue !== manager.queue);
+}
+
+// Devices with a live track in the current stream
+function openDevices(manager) {
+    if (!manager.stream) return [];
+    return manager.stream.getTracks().filter(track => track.readyState === 'live').map(track => track.deviceId);
+}
+
+function quietly(t) {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+}
+
+test('start opens the default camera and microphone separately', async () => {
+    const { media, manager, statuses } = setup();
+    const stream = await manager.start();
+
+    assert.equal(stream, manager.stream);
+    assert.deepEqual(openDevices(manager), ['camera-1', 'microphone-1']);
+    assert.deepEqual(media.requests.map(request => Object.keys(request)), [['video'], ['audio']]);
+    assert.deepEqual(manager.devices.cameras.map(device => device.label), ['Camera 1', 'Camera 2']);
+    assert.deepEqual(statuses.map(({ kind, status }) => `${kind} ${status}`), ['camera active', 'microphone active']);
+});
+
+test('losing the chosen camera falls back to another, and its return restores it', async () => {
+    const { media, manager, statuses } = setup();
+    await manager.start();
+    await manager.select('camera', 'camera-2');
+    assert.deepEqual(openDevices(manager), ['camera-2', 'microphone-1']);
+
+    media.unplug('camera-2');
+    await settled(manager);
+    assert.deepEqual(openDevices(manager), ['camera-1', 'microphone-1']);
+    assert.deepEqual(statuses.pop(), {
+        kind: 'camera',
+        status: 'fallback',
+        previous: 'active',
+        device: 'Camera 1',
+        preferred: 'Camera 2'
+    });
+
+    media.plug('videoinput', 'Camera 2');
+    await settled(manager);
+    assert.deepEqual(openDevices(manager), ['camera-2', 'microphone-1']);
+    assert.deepEqual(statuses.pop(), {
+        kind: 'camera',
+        status: 'active',
+        previous: 'fallback',
+        device: 'Camera 2',
+        preferred: 'Camera 2'
+    });
+    // Only the stream in use is still open
+    assert.deepEqual(media.liveTracks().map(track => track.deviceId).sort(), ['camera-2', 'microphone-1']);
+});
+
+test('with the last camera gone the microphone carries on until one is plugged in', async () => {
+    const { media, manager, streams } = setup({ cameras: 1, microphones: 1 });
+    await manager.start();
+    const microphone = manager.trackFor('microphone');
+
+    media.unplug('camera-1');
+    await settled(manager);
+    assert.equal(manager.status.camera, 'lost');
+    assert.deepEqual(openDevices(manager), ['microphone-1']);
+    assert.equal(manager.trackFor('microphone'), microphone);
+
+    media.plug('videoinput', 'USB camera');
+    await settled(manager);
+    assert.equal(manager.status.camera, 'active');
+    assert.deepEqual(openDevices(manager), ['camera-1', 'microphone-1']);
+    assert.equal(streams[streams.length - 1], manager.stream);
+});
+
+test('a blocked camera leaves the microphone working and is not asked for again', async (t) => {
+    quietly(t);
+    const { media, manager } = setup();
+    media.deny('NotAllowedError', { kind: 'video' });
+    await manager.start();
+
+    assert.deepEqual(openDevices(manager), ['microphone-1']);
+    assert.equal(manager.status.camera, 'blocked');
+    assert.equal(manager.errors.camera.name, 'NotAllowedError');
+
+    const asked = media.requests.length;
+    media.plug('videoinput', 'Camera 3');
+    await settled(manager);
+    assert.equal(media.requests.length, asked);
+    assert.equal(manager.status.camera, 'blocked');
+});
+
+test('start fails with each kind\'s error when nothing can be opened', async (t) => {
+    quietly(t);
+    const { media, manager } = setup();
+    media.deny('NotAllowedError', { kind: 'video' });
+    media.deny('NotFoundError', { kind: 'audio' });
+
+    await assert.rejects(manager.start(), error => {
+        assert.equal(error.name, 'NotAllowedError');
+        assert.equal(error.errors.camera.name, 'NotAllowedError');
+        assert.equal(error.errors.microphone.name, 'NotFoundError');
+        return true;
+    });
+    assert.equal(manager.stream, null);
+    assert.equal(manager.started, false);
+});
+
+test('a camera that can\'t meet the preferred constraints is asked again with just its id', async (t) => {
+    quietly(t);
+    const { media, manager } = setup();
+    media.overconstrain('video');
+    await manager.start();
+    await manager.select('camera', 'camera-2');
+
+    assert.deepEqual(openDevices(manager), ['camera-2', 'microphone-1']);
+    const cameraRequests = media.requests.filter(request => request.video).map(request => request.video);
+    assert.deepEqual(cameraRequests.slice(-2), [
+        { width: 1280, height: 720, deviceId: { exact: 'camera-2' } },
+        { deviceId: { exact: 'camera-2' } }
+    ]);
+});
+
+test('a switch that fails keeps the camera already open', async (t) => {
+    quietly(t);
+    const { media, manager, statuses } = setup();
+    await manager.start();
+    const camera = manager.trackFor('camera');
+
+    media.deny('NotReadableError', { kind: 'video' });
+    await manager.select('camera', 'camera-2');
+    assert.equal(manager.trackFor('camera'), camera);
+    assert.equal(camera.readyState, 'live');
+    assert.deepEqual(statuses.pop(), {
+        kind: 'camera',
+        status: 'error',
+        previous: 'active',
+        device: 'Camera 2',
+        preferred: 'Camera 2'
+    });
+});
+
+test('stop closes every track and ignores later device changes', async () => {
+    const { media, manager } = setup();
+    await manager.start();
+    manager.stop();
+
+    assert.deepEqual(media.liveTracks(), []);
+    assert.equal(manager.stream, null);
+
+    const asked = media.requests.length;
+    media.plug('videoinput', 'Camera 3');
+    await settled(manager);
+    assert.equal(media.requests.length, asked);
+});
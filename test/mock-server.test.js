@@ -0,0 +1,177 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { createMockServer } = require('../mock-server');
+const { ApiClient, ApiError, ApiSocket } = require('../api-client');
+const { CUE_LEXICON, WordFindingEngine } = require('../cue-lexicon');
+const { languagePack } = require('../language-packs');
+const {
+    BackendPredictionProvider,
+    ChainedPredictionProvider,
+    LexiconPredictionProvider
+} = require('../prediction-providers');
+const { loadApp } = require('./harness');
+
+const DESCRIPTION = 'the thing you eat toast sandwich';
+
+// Node 20 has no WebSocket of its own; jsdom's is a real one
+const { WebSocket } = new JSDOM('', { url: 'http://localhost/' }).window;
+
+async function startServer(t) {
+    const mock = createMockServer();
+    const url = await mock.listen();
+    t.after(() => mock.close());
+    return { mock, url };
+}
+
+// Node's fetch, with the path and status of every request kept
+function recordingFetch() {
+    const calls = [];
+    const record = async (url, init) => {
+        const response = await fetch(url, init);
+        calls.push(`${new URL(url).pathname} ${response.status}`);
+        return response;
+    };
+    return { fetch: record, calls };
+}
+
+// The network runs on real time, whatever clock the app is on
+async function until(condition, app = null) {
+    for (let i = 0; i < 200; i++) {
+        if (condition()) return;
+        if (app) await app.tick(0);
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error('Timed out waiting for the mock server');
+}
+
+function localProvider() {
+    const engine = new WordFindingEngine(CUE_LEXICON);
+    engine.configure(languagePack('en'));
+    return new LexiconPredictionProvider(engine);
+}
+
+test('an expired token is refreshed once and the request retried', async (t) => {
+    const { mock, url } = await startServer(t);
+    const { fetch, calls } = recordingFetch();
+    const client = new ApiClient({ baseUrl: url, fetch, storage: null });
+
+    await client.login('ana@example.com', 'secret');
+    assert.ok(client.authenticated);
+    const firstToken = client.token;
+
+    mock.expireTokens();
+    const session = await client.startSession({ language: 'en' });
+
+    assert.equal(session.user, 'ana@example.com');
+    assert.notEqual(client.token, firstToken);
+    assert.deepEqual(calls, [
+        '/api/auth/login 200',
+        '/api/speech/session/start 401',
+        '/api/auth/refresh 200',
+        '/api/speech/session/start 200'
+    ]);
+    assert.equal(mock.state.sessions.size, 1);
+});
+
+test('a refresh token the server rejects signs the user out', async (t) => {
+    const { mock, url } = await startServer(t);
+    const client = new ApiClient({ baseUrl: url, storage: null });
+    await client.login('ana@example.com', 'secret');
+
+    mock.expireTokens();
+    mock.state.refreshTokens.clear();
+    await assert.rejects(client.startSession(), error => error instanceof ApiError && error.status === 401);
+    assert.equal(client.authenticated, false);
+});
+
+test('predictions and a picture for the top word arrive over the socket', async (t) => {
+    const { url } = await startServer(t);
+    const client = new ApiClient({ baseUrl: url, storage: null });
+    await client.login('ana@example.com', 'secret');
+    const socket = new ApiSocket(client, { WebSocket });
+    t.after(() => socket.close());
+
+    await socket.connect();
+    assert.ok(socket.connected);
+
+    const pictures = [];
+    socket.on('visual_aid_ready', data => pictures.push(data));
+    const reply = await socket.predict(DESCRIPTION, { language: 'en' });
+    const expected = await localProvider().predict(DESCRIPTION);
+
+    assert.equal(reply.transcript, DESCRIPTION);
+    assert.deepEqual(reply.predictions.map(prediction => prediction.word), expected.candidates.map(candidate => candidate.word));
+
+    await until(() => pictures.length > 0);
+    assert.equal(pictures[0].requestId, reply.requestId);
+    assert.equal(pictures[0].word, reply.predictions[0].word);
+    assert.match(pictures[0].image, /^data:image\/svg\+xml,/);
+});
+
+test('a socket with a rejected token is not left open', async (t) => {
+    const { url } = await startServer(t);
+    const client = new ApiClient({ baseUrl: url, storage: null });
+    client.token = 'stale';
+    const socket = new ApiSocket(client, { WebSocket });
+
+    await assert.rejects(socket.connect(), /unauthorized/);
+    assert.equal(socket.connected, false);
+    assert.equal(socket.socket, null);
+});
+
+test('choosing a card sends feedback over the socket', async (t) => {
+    const { mock, url } = await startServer(t);
+    const client = new ApiClient({ baseUrl: url, storage: null });
+    await client.login('ana@example.com', 'secret');
+
+    const app = await loadApp({
+        fetch,
+        storage: {
+            'cognitive-echo-settings': {
+                version: 1,
+                activeProfileId: 'default',
+                // Without audio, listening replays the demo scenarios
+                profiles: [{ id: 'default', name: 'Default', settings: { serverUrl: url, audioEnabled: false } }]
+            },
+            'cognitive-echo-auth': { baseUrl: url, token: client.token, refreshToken: client.refreshToken }
+        }
+    });
+    t.after(() => app.close());
+    await until(() => app.app.apiSocket.connected, app);
+    await app.openMainScreen();
+
+    await app.click('#listen-btn');
+    const cards = () => app.$$('#predictions-container .prediction-card');
+    await until(() => cards().length > 0, app);
+    const word = cards()[0].dataset.word;
+    await app.click(cards()[0]);
+
+    await until(() => mock.state.feedback.length > 0, app);
+    assert.deepEqual(mock.state.feedback, [
+        { user: 'ana@example.com', predictionAccepted: true, actualIntent: word }
+    ]);
+});
+
+test('predictions come from this device when the server is unreachable', async (t) => {
+    const { mock, url } = await startServer(t);
+    await mock.close();
+    t.mock.method(console, 'error', () => {});
+
+    const client = new ApiClient({ baseUrl: url, storage: null });
+    client.token = 'saved';
+    const socket = new ApiSocket(client, { WebSocket });
+    await assert.rejects(socket.connect(), /Could not connect/);
+    socket.close();
+
+    const provider = new ChainedPredictionProvider([
+        new BackendPredictionProvider(client, socket),
+        localProvider()
+    ]);
+    const result = await provider.predict(DESCRIPTION, { language: 'en' });
+    const expected = await localProvider().predict(DESCRIPTION);
+
+    assert.ok(result.candidates.length > 0);
+    assert.deepEqual(result.candidates.map(candidate => candidate.word), expected.candidates.map(candidate => candidate.word));
+    await assert.rejects(client.analyze(DESCRIPTION), error => error instanceof ApiError && error.status === 0);
+});
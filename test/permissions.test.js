@@ -0,0 +1,182 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, FakeMediaDevices, FakePermissions } = require('./harness');
+
+async function requestPermissions(options) {
+    const app = await loadApp(options);
+    await app.click('#start-demo-btn');
+    await app.click('#request-permissions-btn');
+    await app.tick(0);
+    return app;
+}
+
+function statuses(app) {
+    return ['camera', 'microphone'].map(device => app.$(`#${device}-status`).dataset.status);
+}
+
+test('a single camera and microphone go straight to the success screen', async () => {
+    const app = await requestPermissions();
+
+    assert.equal(app.screen, 'success-screen');
+    assert.equal(app.hash, '#/success');
+    assert.deepEqual(statuses(app), ['granted', 'granted']);
+    assert.equal(app.media.requests.length, 2);
+    assert.equal(app.$('#success-video').srcObject, app.app.mediaStream);
+    assert.ok(app.isHidden('#loading-overlay'));
+    app.close();
+});
+
+test('several devices open device selection', async () => {
+    const app = await requestPermissions({ devices: { cameras: 2, microphones: 2 } });
+
+    assert.equal(app.screen, 'device-screen');
+    assert.deepEqual(app.$$('#camera-select option').map(option => option.value).filter(Boolean), ['camera-1', 'camera-2']);
+    assert.deepEqual(app.$$('#microphone-select option').map(option => option.value).filter(Boolean), ['microphone-1', 'microphone-2']);
+    app.close();
+});
+
+test('a denied request explains itself and can be retried', async () => {
+    const media = new FakeMediaDevices();
+    media.deny('NotAllowedError');
+    const app = await requestPermissions({ mediaDevices: media });
+
+    assert.equal(app.screen, 'permission-screen');
+    assert.deepEqual(statuses(app), ['denied', 'denied']);
+    assert.ok(!app.isHidden('#permission-error'));
+    assert.equal(app.text('#permission-error .error-text'), app.app.i18n.t('error.denied'));
+    assert.equal(app.app.mediaStream, null);
+
+    media.allow();
+    await app.click('#retry-permissions-btn');
+    await app.tick(0);
+    assert.ok(app.isHidden('#permission-error'));
+    assert.equal(app.screen, 'success-screen');
+    assert.deepEqual(statuses(app), ['granted', 'granted']);
+    app.close();
+});
+
+test('each kind of failure gets its own message', async () => {
+    const cases = [
+        ['NotFoundError', 'not-found', 'error.notFound'],
+        ['NotReadableError', 'error', 'error.generic']
+    ];
+    for (const [name, status, message] of cases) {
+        const media = new FakeMediaDevices();
+        media.deny(name);
+        const app = await requestPermissions({ mediaDevices: media });
+
+        assert.deepEqual(statuses(app), [status, status], name);
+        assert.equal(app.text('#permission-error .error-text'), app.app.i18n.t(message), name);
+        app.close();
+    }
+});
+
+test('a browser without media devices is told so', async () => {
+    const app = await requestPermissions({ mediaDevices: null });
+
+    assert.deepEqual(statuses(app), ['not-supported', 'not-supported']);
+    assert.equal(app.text('#permission-error .error-text'), app.app.i18n.t('error.notSupported'));
+    app.close();
+});
+
+test('a refused camera still lets the microphone through', async () => {
+    const media = new FakeMediaDevices();
+    media.deny('NotAllowedError', { kind: 'video' });
+    const app = await requestPermissions({ mediaDevices: media });
+
+    assert.equal(app.screen, 'success-screen');
+    assert.deepEqual(statuses(app), ['denied', 'granted']);
+    assert.equal(app.app.mediaStream.getVideoTracks().length, 0);
+    assert.equal(app.app.mediaStream.getAudioTracks().length, 1);
+    assert.equal(app.text('#media-status'), app.app.i18n.t('media.cameraBlocked'));
+    app.close();
+});
+
+test('a refused microphone still lets the camera through', async () => {
+    const media = new FakeMediaDevices();
+    media.deny('NotAllowedError', { kind: 'audio' });
+    const app = await requestPermissions({ mediaDevices: media });
+
+    assert.equal(app.screen, 'success-screen');
+    assert.deepEqual(statuses(app), ['granted', 'denied']);
+    assert.equal(app.app.mediaStream.getVideoTracks().length, 1);
+    assert.equal(app.app.mediaStream.getAudioTracks().length, 0);
+    assert.equal(app.text('#media-status'), app.app.i18n.t('media.microphoneBlocked'));
+    app.close();
+});
+
+test('a device the browser already blocks is not asked for', async () => {
+    const app = await loadApp({ permissions: { camera: 'denied', microphone: 'granted' } });
+    await app.click('#start-demo-btn');
+    assert.deepEqual(statuses(app), ['denied', 'granted']);
+
+    await app.click('#request-permissions-btn');
+    await app.tick(0);
+    assert.equal(app.screen, 'success-screen');
+    assert.ok(app.media.requests.every(constraints => !constraints.video));
+    assert.deepEqual(statuses(app), ['denied', 'granted']);
+    app.close();
+});
+
+test('permission changes made in the browser show up on the permission screen', async () => {
+    const permissions = new FakePermissions();
+    const app = await loadApp({ permissions });
+    await app.click('#start-demo-btn');
+    assert.deepEqual(statuses(app), ['waiting', 'waiting']);
+
+    permissions.set('microphone', 'denied');
+    assert.deepEqual(statuses(app), ['waiting', 'denied']);
+    permissions.set('microphone', 'granted');
+    assert.deepEqual(statuses(app), ['waiting', 'granted']);
+    app.close();
+});
+
+test('a camera that cannot meet the preferred constraints is asked again without them', async () => {
+    const media = new FakeMediaDevices();
+    media.overconstrain('video');
+    const app = await requestPermissions({ mediaDevices: media });
+
+    assert.equal(app.screen, 'success-screen');
+    assert.deepEqual(statuses(app), ['granted', 'granted']);
+    const videoRequests = media.requests.filter(constraints => constraints.video);
+    assert.equal(videoRequests.length, 2);
+    assert.equal(videoRequests[1].video, true);
+    assert.equal(app.app.mediaStream.getVideoTracks().length, 1);
+    app.close();
+});
+
+test('the advice for a refusal fits the browser', async () => {
+    const browsers = [
+        ['Mozilla/5.0 (X11; Linux x86_64; rv:128.0) Gecko/20100101 Firefox/128.0', 'remedy.denied.firefox'],
+        ['Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36 Edg/126.0.0.0', 'remedy.denied.edge'],
+        ['Mozilla/5.0 (Macintosh; Intel Mac OS X 14_5) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Safari/605.1.15', 'remedy.denied.safari']
+    ];
+    for (const [userAgent, remedy] of browsers) {
+        const media = new FakeMediaDevices();
+        media.deny('NotAllowedError');
+        const app = await requestPermissions({ mediaDevices: media, userAgent });
+
+        assert.equal(app.text('#permission-error .error-remedy'), app.app.i18n.t(remedy), remedy);
+        app.close();
+    }
+});
+
+test('screens that need the camera redirect to the permission screen', async () => {
+    const app = await loadApp({ hash: '#/main' });
+
+    assert.equal(app.screen, 'permission-screen');
+    assert.equal(app.hash, '#/permission');
+    assert.equal(app.media.requests.length, 0);
+    app.close();
+});
+
+test('demo mode opens the main screen without a camera', async () => {
+    const app = await loadApp();
+    await app.click('#start-demo-btn');
+    await app.click('#demo-mode-btn');
+
+    assert.equal(app.screen, 'main-screen');
+    assert.equal(app.app.mediaStream, null);
+    assert.equal(app.media.requests.length, 0);
+    app.close();
+});
@@ -0,0 +1,163 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PersonalVocabulary, VOCABULARY_STORAGE_KEY } = require('../personal-vocabulary');
+const { MemoryStorage, loadApp } = require('./harness');
+
+const DAY = 24 * 60 * 60 * 1000;
+const DESCRIPTION = 'my furry... four legs';
+
+// A vocabulary on its own clock, starting on day 0
+function vocabulary(options = {}) {
+    const clock = { now: 0 };
+    const words = new PersonalVocabulary({ storage: null, now: () => clock.now, ...options });
+    return { words, clock };
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+function cards(...entries) {
+    return entries.map(([word, confidence]) => ({ word, confidence }));
+}
+
+test('only the describing words are learned from', () => {
+    assert.deepEqual(PersonalVocabulary.cueWords('I want the... uh... furry, FURRY thing'), ['furry', 'thing']);
+    assert.deepEqual(PersonalVocabulary.cueWords(''), []);
+});
+
+test('a choice strengthens the chosen word and weakens the ones passed over', () => {
+    const { words } = vocabulary();
+    words.recordSelection(DESCRIPTION, 'dog', ['cat', 'dog']);
+
+    assert.equal(words.score(DESCRIPTION, 'dog'), 1);
+    assert.equal(round(words.score(DESCRIPTION, 'cat')), -0.3);
+    // Only one of these two words was part of the description
+    assert.equal(words.score('furry wheel', 'dog'), 0.5);
+    assert.equal(words.score('the', 'dog'), 0);
+});
+
+test('learned weights halve every half-life', () => {
+    const { words, clock } = vocabulary({ halfLifeDays: 21 });
+    words.recordSelection(DESCRIPTION, 'dog');
+
+    clock.now = 21 * DAY;
+    assert.equal(round(words.score(DESCRIPTION, 'dog')), 0.5);
+    clock.now = 42 * DAY;
+    assert.equal(round(words.score(DESCRIPTION, 'dog')), 0.25);
+    assert.deepEqual(words.entries().map(entry => entry.weight), [0.25, 0.25, 0.25]);
+});
+
+test('a new choice adds to what is left of the old weight', () => {
+    const { words, clock } = vocabulary({ halfLifeDays: 21 });
+    words.recordSelection(DESCRIPTION, 'dog');
+
+    clock.now = 21 * DAY;
+    words.recordSelection(DESCRIPTION, 'dog');
+    assert.equal(round(words.score(DESCRIPTION, 'dog')), 1.5);
+    assert.equal(words.entries()[0].accepted, 2);
+    assert.equal(words.entries()[0].updatedAt, 21 * DAY);
+});
+
+test('learned words move up the ranking, and drop back as they fade', () => {
+    const { words, clock } = vocabulary();
+    const shown = cards(['cat', 0.6], ['dog', 0.5], ['horse', 0.3]);
+    words.recordSelection(DESCRIPTION, 'dog', ['cat', 'dog', 'horse']);
+
+    const reranked = words.rerank(shown, DESCRIPTION);
+    assert.deepEqual(reranked.map(card => [card.word, card.confidence]), [['dog', 0.65], ['cat', 0.54], ['horse', 0.24]]);
+    assert.equal(reranked[0].personalScore, 1);
+
+    // A year on, the provider's order is back
+    clock.now = 365 * DAY;
+    assert.deepEqual(words.rerank(shown, DESCRIPTION).map(card => card.word), ['cat', 'dog', 'horse']);
+});
+
+test('a description with nothing learned keeps the provider order, ties included', () => {
+    const { words } = vocabulary();
+    words.recordSelection(DESCRIPTION, 'dog');
+    const shown = cards(['bird', 0.5], ['fish', 0.5]);
+
+    assert.deepEqual(words.rerank(shown, 'wings and a beak'), shown);
+});
+
+test('rejecting every card weakens them all', () => {
+    const { words } = vocabulary();
+    words.recordRejection(DESCRIPTION, ['cat', 'dog']);
+    const reranked = words.rerank(cards(['cat', 0.6], ['dog', 0.5]), DESCRIPTION);
+
+    assert.ok(reranked.every(card => card.personalScore < 0));
+    assert.deepEqual(reranked.map(card => card.confidence), [0.54, 0.44]);
+});
+
+test('what is learned is saved and read back, and reset forgets it', () => {
+    const storage = new MemoryStorage();
+    const first = new PersonalVocabulary({ storage, now: () => 0 });
+    first.recordSelection(DESCRIPTION, 'dog');
+
+    const later = new PersonalVocabulary({ storage, now: () => 21 * DAY });
+    assert.equal(round(later.score(DESCRIPTION, 'dog')), 0.5);
+
+    later.reset();
+    assert.equal(storage.getItem(VOCABULARY_STORAGE_KEY), null);
+    assert.equal(new PersonalVocabulary({ storage }).score(DESCRIPTION, 'dog'), 0);
+});
+
+test('each profile learns on its own', () => {
+    const storage = new MemoryStorage();
+    const words = new PersonalVocabulary({ storage, now: () => 0 });
+    words.recordSelection(DESCRIPTION, 'dog');
+
+    words.useProfile('profile-1');
+    assert.equal(words.score(DESCRIPTION, 'dog'), 0);
+    words.recordSelection(DESCRIPTION, 'cat');
+
+    // The default profile keeps what was learned before there were profiles
+    const defaults = new PersonalVocabulary({ storage, now: () => 0 });
+    assert.equal(defaults.score(DESCRIPTION, 'dog'), 1);
+    assert.equal(defaults.score(DESCRIPTION, 'cat'), 0);
+    assert.equal(new PersonalVocabulary({ storage, profileId: 'profile-1', now: () => 0 }).score(DESCRIPTION, 'cat'), 1);
+
+    words.removeProfile('profile-1');
+    assert.equal(storage.getItem(`${VOCABULARY_STORAGE_KEY}-profile-1`), null);
+    assert.notEqual(storage.getItem(VOCABULARY_STORAGE_KEY), null);
+});
+
+async function showPredictions() {
+    const app = await loadApp();
+    await app.openMainScreen();
+    await app.click('#listen-btn');
+    await app.tick(app.app.demoScenarios[0].processingTime);
+    return app;
+}
+
+test('switching profile switches the vocabulary the app learns into', async () => {
+    const app = await showPredictions();
+    const { personalVocabulary, settingsStore } = app.app;
+    const [card] = app.$$('#predictions-container .prediction-card');
+    await app.click(card);
+    assert.ok(personalVocabulary.entries().length > 0);
+
+    const profile = settingsStore.createProfile('Ana');
+    app.app.switchProfile(profile.id);
+    assert.equal(personalVocabulary.entries().length, 0);
+
+    app.app.switchProfile('default');
+    assert.ok(personalVocabulary.entries().some(entry => entry.word === card.dataset.word));
+    app.close();
+});
+
+test('a dismissed card is penalised once, not again when the attempt is abandoned', async () => {
+    const app = await showPredictions();
+    const { personalVocabulary } = app.app;
+    const [dismissed, other] = app.$$('#predictions-container .prediction-card').map(card => card.dataset.word);
+
+    app.app.rejectPrediction(app.$(`.prediction-card[data-word="${dismissed}"]`));
+    app.app.abandonAttempt();
+
+    const rejections = word => personalVocabulary.entries().filter(entry => entry.word === word).map(entry => entry.rejected);
+    assert.ok(rejections(dismissed).length > 0);
+    assert.ok(rejections(dismissed).every(count => count === 1));
+    assert.deepEqual(rejections(other), rejections(dismissed));
+    app.close();
+});
@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DeckError, DeckStore } = require('../scenario-decks');
+const { MemoryStorage } = require('./harness');
+
+const KEY = 'cognitive-echo-decks';
+
+const SCENARIO = {
+    fragmentedInput: 'I need the... hot... drink',
+    predictions: ['tea', 'coffee'],
+    visualAid: { emoji: '🍵', label: 'Tea' },
+    completedSentence: 'I need the tea'
+};
+
+// localStorage that refuses writes once it is full, as it does over quota
+class FullableStorage extends MemoryStorage {
+    setItem(key, value) {
+        if (this.full) throw new Error('QuotaExceededError');
+        super.setItem(key, value);
+    }
+}
+
+function quietly(t) {
+    t.mock.method(console, 'error', () => {});
+}
+
+test('changes are saved and read back', () => {
+    const storage = new MemoryStorage();
+    const decks = new DeckStore({ storage });
+    const deck = decks.createDeck(' Kitchen ');
+    const scenario = decks.addScenario(deck.id, SCENARIO);
+    decks.setActiveDeck(deck.id);
+
+    const reloaded = new DeckStore({ storage });
+    assert.equal(reloaded.getActiveDeck().name, 'Kitchen');
+    assert.deepEqual(reloaded.getActiveDeck().scenarios, [scenario]);
+    assert.ok(scenario.id > Math.max(...decks.getDeck('everyday').scenarios.map(existing => existing.id)));
+});
+
+test('a change that can\'t be saved is undone', (t) => {
+    quietly(t);
+    const storage = new FullableStorage();
+    const decks = new DeckStore({ storage });
+    const kitchen = decks.createDeck('Kitchen');
+    decks.addScenario(kitchen.id, SCENARIO);
+    const saved = storage.getItem(KEY);
+    const before = JSON.parse(saved);
+    const [first, second] = decks.getDeck('everyday').scenarios;
+    storage.full = true;
+
+    const changes = [
+        () => decks.createDeck('Garden'),
+        () => decks.renameDeck(kitchen.id, 'Cooking'),
+        () => decks.deleteDeck(kitchen.id),
+        () => decks.setActiveDeck(kitchen.id),
+        () => decks.useLanguage('es', { name: 'Diario', scenarios: [] }),
+        () => decks.addScenario(kitchen.id, SCENARIO),
+        () => decks.updateScenario('everyday', first.id, { completedSentence: 'Something else' }),
+        () => decks.deleteScenario('everyday', first.id),
+        () => decks.moveScenario('everyday', first.id, 1)
+    ];
+    changes.forEach((change, i) => {
+        assert.throws(change, error => error instanceof DeckError && error.errors[0] === 'decks.saveFailed', `change ${i}`);
+        assert.deepEqual(decks.data, before, `change ${i}`);
+    });
+
+    // What the app already holds is still what the store has
+    assert.equal(decks.getDeck('everyday').scenarios[0], first);
+    assert.equal(decks.getDeck('everyday').scenarios[1], second);
+    assert.equal(storage.getItem(KEY), saved);
+});
+
+test('a rejected scenario leaves the deck as it was', () => {
+    const decks = new DeckStore({ storage: new MemoryStorage() });
+    const { scenarios } = decks.getActiveDeck();
+    const count = scenarios.length;
+
+    assert.throws(() => decks.addScenario('everyday', { ...SCENARIO, predictions: [] }), DeckError);
+    assert.throws(() => decks.updateScenario('everyday', scenarios[0].id, { completedSentence: ' ' }), DeckError);
+    assert.equal(decks.getActiveDeck().scenarios, scenarios);
+    assert.equal(scenarios.length, count);
+});
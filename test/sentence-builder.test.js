@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SentenceBuilder, smoothSentence } = require('../sentence-builder');
+
+const PLACES = ['park', 'shop', 'kitchen'];
+const isNoun = word => PLACES.includes(word);
+
+function smooth(sentence, options = { isNoun }) {
+    return smoothSentence(sentence.split(' '), options);
+}
+
+test('he, she and it take the third person form', () => {
+    assert.equal(smooth('she go to park'), 'She goes to the park.');
+    assert.equal(smooth('he watch tv'), 'He watches tv.');
+    assert.equal(smooth('he have a cat'), 'He has a cat.');
+    assert.equal(smooth('it be cold'), 'It is cold.');
+});
+
+test('forms that already agree are left alone', () => {
+    assert.equal(smooth('she is tired'), 'She is tired.');
+    assert.equal(smooth('it is cold'), 'It is cold.');
+    assert.equal(smooth('he has a cat'), 'He has a cat.');
+    assert.equal(smooth('he does it'), 'He does it.');
+});
+
+test('a verb after to, a modal or did keeps its base form', () => {
+    assert.equal(smooth('she want to go'), 'She wants to go.');
+    assert.equal(smooth('he can go'), 'He can go.');
+    assert.equal(smooth('i did go yesterday'), 'I did go yesterday.');
+});
+
+test('a sentence about the past is put in the past tense', () => {
+    assert.equal(smooth('i go to park yesterday'), 'I went to the park yesterday.');
+    assert.equal(smooth('she is tired yesterday'), 'She was tired yesterday.');
+    assert.equal(smooth('i walk home last night'), 'I walked home last night.');
+});
+
+test('a word after a determiner is a noun, not a verb', () => {
+    assert.equal(smooth('i went for a walk'), 'I went for a walk.');
+    assert.equal(smooth('she like my drink'), 'She likes my drink.');
+});
+
+test('a and an agree with the next word', () => {
+    assert.equal(smooth('i want a umbrella'), 'I want an umbrella.');
+    assert.equal(smooth('i need an hour'), 'I need an hour.');
+    assert.equal(smooth('i want an unicorn'), 'I want a unicorn.');
+});
+
+test('the is only added before known nouns after a preposition', () => {
+    assert.equal(smooth('i go to kitchen'), 'I go to the kitchen.');
+    assert.equal(smooth('i go to bed'), 'I go to bed.');
+    assert.equal(smooth('i go to kitchen', {}), 'I go to kitchen.');
+});
+
+test('repeats and stacked determiners are restarts', () => {
+    assert.equal(smooth('i i want water'), 'I want water.');
+    assert.equal(smooth('the the dog'), 'The dog.');
+    assert.equal(smooth('a the cat'), 'The cat.');
+});
+
+test('punctuation the user chose is kept and empty sentences stay empty', () => {
+    assert.equal(smooth('can you help me?'), 'Can you help me?');
+    assert.equal(smoothSentence([]), '');
+});
+
+test('other languages only lose repeats and gain a capital and full stop', () => {
+    assert.equal(smooth('yo yo quiero agua', { language: 'es' }), 'Yo quiero agua.');
+    assert.equal(smooth('she go', { language: 'es' }), 'She go.');
+    assert.equal(smooth('मुझे पानी चाहिए', { language: 'hi' }), 'मुझे पानी चाहिए।');
+});
+
+test('the builder keeps the words as chosen and smooths only the text', () => {
+    const builder = new SentenceBuilder({ isNoun });
+    builder.append('she');
+    builder.append('go');
+    builder.appendPhrase('go to park');
+
+    assert.deepEqual(builder.words, ['she', 'go', 'to', 'park']);
+    assert.equal(builder.text, 'She goes to the park.');
+
+    builder.move(3, -1);
+    assert.deepEqual(builder.words, ['she', 'go', 'park', 'to']);
+    assert.ok(builder.undo());
+    assert.ok(builder.undo());
+    assert.deepEqual(builder.words, ['she', 'go']);
+});
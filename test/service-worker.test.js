@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// The worker expects its global scope; only the exports are needed here
+function loadWorker() {
+    const module = { exports: {} };
+    const self = { addEventListener() {}, location: { origin: 'http://localhost' } };
+    vm.runInNewContext(fs.readFileSync(path.join(ROOT, 'service-worker.js'), 'utf8'), { self, module });
+    const { SHELL_PAGE, SHELL_ASSETS } = module.exports;
+    return { SHELL_PAGE, SHELL_ASSETS: [...SHELL_ASSETS] };
+}
+
+// Local files the page loads through <script src> and <link href>
+function pageAssets(page) {
+    const html = fs.readFileSync(path.join(ROOT, page), 'utf8');
+    return [...html.matchAll(/<(?:script[^>]*\ssrc|link[^>]*\shref)="([^"]+)"/g)]
+        .map(match => match[1])
+        .filter(url => !/^[a-z]+:|^\/\//i.test(url));
+}
+
+test('every precached asset exists', () => {
+    const { SHELL_ASSETS } = loadWorker();
+    const missing = SHELL_ASSETS.filter(asset => !fs.existsSync(path.join(ROOT, asset)));
+    assert.deepEqual(missing, []);
+});
+
+test('the navigation fallback is a precached page', () => {
+    const { SHELL_PAGE, SHELL_ASSETS } = loadWorker();
+    assert.ok(SHELL_ASSETS.includes(SHELL_PAGE));
+    assert.ok(fs.existsSync(path.join(ROOT, SHELL_PAGE)));
+});
+
+test('every file the page loads exists and is precached', () => {
+    const { SHELL_PAGE, SHELL_ASSETS } = loadWorker();
+    const assets = pageAssets(SHELL_PAGE);
+    assert.ok(assets.length > 0);
+
+    assert.deepEqual(assets.filter(asset => !fs.existsSync(path.join(ROOT, asset))), []);
+    assert.deepEqual(assets.filter(asset => !SHELL_ASSETS.includes(asset)), []);
+});
+
+test('the manifest starts on the precached page', () => {
+    const { SHELL_PAGE } = loadWorker();
+    const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.webmanifest'), 'utf8'));
+    assert.equal(manifest.start_url, SHELL_PAGE);
+    assert.ok(manifest.icons.every(icon => fs.existsSync(path.join(ROOT, icon.src))));
+});
@@ -0,0 +1,152 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    SESSION_CSV_COLUMNS,
+    SessionImportError,
+    exportSessionsCsv,
+    exportSessionsJson,
+    parseSessionImport
+} = require('../session-export');
+
+const MINUTE = 60 * 1000;
+const START = Date.parse('2026-10-19T09:00:00.000Z');
+
+const SESSIONS = [
+    { id: 1, mode: 'live', startedAt: START, endedAt: START + 10 * MINUTE },
+    { id: 2, mode: 'demo', startedAt: START + 60 * MINUTE, endedAt: null }
+];
+
+const ATTEMPTS = [
+    {
+        id: 7,
+        sessionId: 1,
+        scenarioId: null,
+        fragmentedInput: 'with my... uh... furry, "four legs"',
+        predictions: [{ word: 'dog', confidence: 0.92 }, { word: 'cat', confidence: 0.4 }],
+        selected: { word: 'dog', confidence: 0.92, rank: 0 },
+        timeToSelectionMs: 2300,
+        completedSentence: 'with my dog',
+        category: 'animal',
+        startedAt: START + MINUTE,
+        completedAt: START + MINUTE + 2300
+    },
+    {
+        id: 8,
+        sessionId: 2,
+        scenarioId: 2,
+        fragmentedInput: 'I need the thing for... you know',
+        predictions: [{ word: 'key', confidence: 0.5 }],
+        selected: null,
+        timeToSelectionMs: null,
+        completedSentence: null,
+        category: 'object',
+        startedAt: START + 61 * MINUTE,
+        completedAt: null
+    }
+];
+
+function exported() {
+    return exportSessionsJson(SESSIONS, ATTEMPTS, START + 120 * MINUTE);
+}
+
+// The catalog keys a file is rejected with
+function rejection(data) {
+    const text = typeof data === 'string' ? data : JSON.stringify(data);
+    try {
+        parseSessionImport(text);
+    } catch (error) {
+        assert.ok(error instanceof SessionImportError);
+        return error.errors;
+    }
+    assert.fail('the file was accepted');
+}
+
+// Quoted fields may hold commas, quotes and line breaks
+function parseCsv(text) {
+    const rows = [[]];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') field += text[++i];
+            else if (char === '"') quoted = false;
+            else field += char;
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            rows[rows.length - 1].push(field);
+            field = '';
+        } else if (char === '\r' && text[i + 1] === '\n') {
+            rows[rows.length - 1].push(field);
+            rows.push([]);
+            field = '';
+            i++;
+        } else {
+            field += char;
+        }
+    }
+    rows[rows.length - 1].push(field);
+    return rows;
+}
+
+test('an exported file imports back to the same sessions and attempts', () => {
+    const imported = parseSessionImport(JSON.stringify(exported()));
+
+    assert.deepEqual(imported.sessions, SESSIONS);
+    assert.deepEqual(imported.attempts, ATTEMPTS.map(({ id, ...attempt }) => attempt));
+});
+
+test('the CSV has one row per attempt with its session\'s mode', () => {
+    const [header, ...rows] = parseCsv(exportSessionsCsv(SESSIONS, ATTEMPTS));
+
+    assert.deepEqual(header, SESSION_CSV_COLUMNS);
+    const records = rows.map(row => Object.fromEntries(header.map((column, i) => [column, row[i]])));
+    assert.deepEqual(records.map(record => record.session_mode), ['live', 'demo']);
+    assert.equal(records[0].fragmented_input, ATTEMPTS[0].fragmentedInput);
+    assert.equal(records[0].predictions, 'dog:0.92; cat:0.4');
+    assert.equal(records[0].started_at, '2026-10-19T09:01:00.000Z');
+    assert.equal(records[0].time_to_selection_ms, '2300');
+    // Abandoned attempts leave the selection empty
+    assert.deepEqual([records[1].selected_word, records[1].completed_at, records[1].completed_sentence], ['', '', '']);
+});
+
+test('files that aren\'t session exports are rejected', () => {
+    assert.deepEqual(rejection('{'), [{ key: 'validation.json' }]);
+    assert.deepEqual(rejection([]), [{ key: 'validation.notObject' }]);
+    assert.deepEqual(rejection({ ...exported(), format: 'other', sessions: {} }).map(error => error.key), [
+        'validation.format',
+        'validation.list'
+    ]);
+    assert.equal(rejection({ ...exported(), version: 2 })[0].params.version, '2');
+});
+
+test('each malformed field is reported with where it is', () => {
+    const data = exported();
+    data.sessions[0].mode = 42;
+    data.sessions[1].id = 1;
+    data.attempts[0].completedSentence = ['with', 'my', 'dog'];
+    data.attempts[0].category = { name: 'animal' };
+    data.attempts[0].predictions[1].confidence = 1.5;
+    data.attempts[1].startedAt = 'yesterday';
+
+    assert.deepEqual(rejection(data), [
+        { key: 'validation.choice', params: { field: 'sessions[0].mode', choices: 'live, demo' } },
+        { key: 'validation.duplicate', params: { field: 'sessions[1].id', value: 1 } },
+        { key: 'validation.textOrEmpty', params: { field: 'attempts[0].completedSentence' } },
+        { key: 'validation.text', params: { field: 'attempts[0].category' } },
+        { key: 'import.error.prediction', params: { field: 'attempts[0].predictions[1]' } },
+        // Its session was the duplicate
+        { key: 'import.error.session', params: { field: 'attempts[1].sessionId' } },
+        { key: 'validation.date', params: { field: 'attempts[1].startedAt' } }
+    ]);
+});
+
+test('long lists of problems are cut short', () => {
+    const data = exported();
+    data.attempts = Array.from({ length: 12 }, () => ({ ...data.attempts[0], sessionId: 99 }));
+
+    const errors = rejection(data);
+    assert.equal(errors.length, 11);
+    assert.deepEqual(errors.pop(), { key: 'validation.more', params: { count: 2 } });
+});
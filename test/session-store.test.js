@@ -0,0 +1,91 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SessionStore } = require('../session-store');
+const { exportSessionsJson, parseSessionImport } = require('../session-export');
+const { FakeIndexedDB } = require('./harness');
+
+const MINUTE = 60 * 1000;
+const START = Date.parse('2026-10-19T09:00:00.000Z');
+
+async function practise(store, mode, startedAt, words) {
+    const session = await store.startSession({ mode, startedAt });
+    for (const [i, word] of words.entries()) {
+        await store.recordAttempt({
+            sessionId: session.id,
+            fragmentedInput: `the... ${word}`,
+            predictions: [{ word, confidence: 0.9 }],
+            selected: { word, confidence: 0.9, rank: 0 },
+            timeToSelectionMs: 1000,
+            completedSentence: `the ${word}`,
+            category: 'object',
+            startedAt: startedAt + (i + 1) * MINUTE,
+            completedAt: startedAt + (i + 1) * MINUTE + 1000
+        });
+    }
+    await store.endSession(session.id, startedAt + 10 * MINUTE);
+}
+
+// What another device exported, read back as the app reads an imported file
+async function exportFrom(store) {
+    const data = exportSessionsJson(await store.getSessions(), await store.getAttempts());
+    return parseSessionImport(JSON.stringify(data));
+}
+
+test('an imported file adds its sessions and attempts under new ids', async () => {
+    const other = new SessionStore({ indexedDB: new FakeIndexedDB() });
+    await practise(other, 'live', START, ['cup', 'key']);
+    const store = new SessionStore({ indexedDB: new FakeIndexedDB() });
+    await practise(store, 'demo', START + 60 * MINUTE, ['dog']);
+
+    const result = await store.importData(await exportFrom(other));
+    assert.deepEqual(result, { sessions: 1, attempts: 2, skipped: { sessions: 0, attempts: 0 } });
+
+    const sessions = await store.getSessions();
+    assert.deepEqual(sessions.map(session => session.id), [1, 2]);
+    const attempts = await store.getAttempts();
+    assert.deepEqual(attempts.map(attempt => [attempt.selected.word, attempt.sessionId]), [['cup', 2], ['key', 2], ['dog', 1]]);
+});
+
+test('importing the same file again adds nothing', async () => {
+    const other = new SessionStore({ indexedDB: new FakeIndexedDB() });
+    await practise(other, 'live', START, ['cup', 'key']);
+    const file = await exportFrom(other);
+    const store = new SessionStore({ indexedDB: new FakeIndexedDB() });
+
+    await store.importData(file);
+    const again = await store.importData(file);
+    assert.deepEqual(again, { sessions: 0, attempts: 0, skipped: { sessions: 1, attempts: 2 } });
+    assert.equal((await store.getSessions()).length, 1);
+    assert.equal((await store.getAttempts()).length, 2);
+});
+
+test('a later export of a known session only adds the attempts that are new', async () => {
+    const other = new SessionStore({ indexedDB: new FakeIndexedDB() });
+    await practise(other, 'live', START, ['cup']);
+    const store = new SessionStore({ indexedDB: new FakeIndexedDB() });
+    await store.importData(await exportFrom(other));
+
+    await other.recordAttempt({
+        sessionId: 1,
+        fragmentedInput: 'the... spoon',
+        predictions: [],
+        selected: null,
+        category: 'object',
+        startedAt: START + 5 * MINUTE
+    });
+    const result = await store.importData(await exportFrom(other));
+    assert.deepEqual(result, { sessions: 0, attempts: 1, skipped: { sessions: 1, attempts: 1 } });
+    const attempts = await store.getAttempts();
+    assert.deepEqual(attempts.map(attempt => attempt.fragmentedInput), ['the... cup', 'the... spoon']);
+    assert.ok(attempts.every(attempt => attempt.sessionId === 1));
+});
+
+test('a session that started at the same time in another mode is a different session', async () => {
+    const other = new SessionStore({ indexedDB: new FakeIndexedDB() });
+    await practise(other, 'demo', START, ['cup']);
+    const store = new SessionStore({ indexedDB: new FakeIndexedDB() });
+    await practise(store, 'live', START, ['key']);
+
+    const result = await store.importData(await exportFrom(other));
+    assert.deepEqual(result, { sessions: 1, attempts: 1, skipped: { sessions: 0, attempts: 0 } });
+});
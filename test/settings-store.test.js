@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SettingsStore, defaultSettings } = require('../settings-store');
+const { MemoryStorage } = require('./harness');
+
+const KEY = 'cognitive-echo-settings';
+
+function quietly(t) {
+    t.mock.method(console, 'error', () => {});
+}
+
+test('settings from an older app are upgraded and saved as the current version', () => {
+    const storage = new MemoryStorage({ [KEY]: JSON.stringify({ volume: 0.3 }) });
+    const store = new SettingsStore({ storage });
+
+    assert.equal(store.getSettings().volume, 0.3);
+    store.update({ volume: 0.4 });
+    const saved = JSON.parse(storage.getItem(KEY));
+    assert.equal(saved.version, 1);
+    assert.equal(saved.profiles[0].settings.volume, 0.4);
+});
+
+test('settings from a newer app are never overwritten', (t) => {
+    quietly(t);
+    const newer = JSON.stringify({ version: 2, profiles: [{ id: 'p1', name: 'Ana', settings: { volume: 0.3 } }] });
+    const storage = new MemoryStorage({ [KEY]: newer });
+    const store = new SettingsStore({ storage });
+
+    assert.ok(store.readOnly);
+    assert.deepEqual(store.getSettings(), defaultSettings());
+
+    store.update({ volume: 0.5 });
+    store.createProfile('Therapist');
+    assert.equal(store.getSettings().volume, 0.5);
+    assert.equal(storage.getItem(KEY), newer);
+});
+
+test('unreadable settings are replaced by defaults that can be saved', (t) => {
+    quietly(t);
+    const storage = new MemoryStorage({ [KEY]: '{' });
+    const store = new SettingsStore({ storage });
+
+    assert.equal(store.readOnly, false);
+    store.update({ volume: 0.5 });
+    assert.equal(JSON.parse(storage.getItem(KEY)).profiles[0].settings.volume, 0.5);
+});
+
+test('new profiles get ids no other profile has', () => {
+    const store = new SettingsStore({ storage: null });
+    const ids = ['A', 'B', 'C', 'D'].map(name => store.createProfile(name).id);
+    assert.equal(new Set(['default', ...ids]).size, 5);
+
+    // Deleting one doesn't hand its neighbour's id out again
+    store.deleteProfile(ids[0]);
+    const next = store.createProfile('E').id;
+    assert.ok(!ids.slice(1).includes(next));
+    assert.equal(new Set(store.profiles.map(profile => profile.id)).size, store.profiles.length);
+});
+
+test('ids loaded from storage are never reused', () => {
+    const storage = new MemoryStorage({
+        [KEY]: JSON.stringify({
+            version: 1,
+            activeProfileId: 'profile-2',
+            profiles: [
+                { id: 'profile-2', name: 'Ana', settings: {} },
+                { id: 'profile-3', name: 'Therapist', settings: {} }
+            ]
+        })
+    });
+    const store = new SettingsStore({ storage });
+
+    const profile = store.createProfile('Evenings');
+    assert.ok(!['profile-2', 'profile-3'].includes(profile.id));
+    assert.equal(store.data.activeProfileId, profile.id);
+});
@@ -0,0 +1,166 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    decodeWav,
+    encodeWav,
+    SpeechCapturePipeline,
+    VoiceActivityDetector,
+    WavAudioSource
+} = require('../speech-capture');
+const { MockSpeechAdapter } = require('../speech-adapters');
+
+const SAMPLE_RATE = 16000;
+const FRAME_SIZE = 1024;
+// One frame of audio, the finest the detector can time anything
+const FRAME_MS = (FRAME_SIZE / SAMPLE_RATE) * 1000;
+
+// A recording made of ['speech' | 'silence', ms] parts; speech is a steady tone.
+// Parts in whole frames keep each frame all speech or all silence.
+function recording(parts) {
+    const samples = [];
+    parts.forEach(([kind, ms]) => {
+        const count = Math.round((ms / 1000) * SAMPLE_RATE);
+        for (let i = 0; i < count; i++) {
+            samples.push(kind === 'speech' ? 0.3 * Math.sin((2 * Math.PI * 220 * samples.length) / SAMPLE_RATE) : 0);
+        }
+    });
+    return encodeWav(Float32Array.from(samples), SAMPLE_RATE);
+}
+
+// Runs a recording through the pipeline to the end, then stops it
+async function capture(wav, transcripts, options = {}) {
+    const partials = [];
+    const finals = [];
+    const pipeline = new SpeechCapturePipeline({
+        source: new WavAudioSource(wav, { frameSize: FRAME_SIZE }),
+        adapter: new MockSpeechAdapter(transcripts),
+        onPartial: (text, segment) => partials.push({ text, segment }),
+        onFinal: (text, segment) => finals.push({ text, segment }),
+        ...options
+    });
+    await pipeline.start();
+    await pipeline.stop();
+    return { partials, finals };
+}
+
+function near(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) <= FRAME_MS, `${message}: ${actual} is not within a frame of ${expected}`);
+}
+
+test('a WAV file decodes to the samples it was encoded from', () => {
+    const samples = Float32Array.from([0, 0.5, -0.5, 1, -1, 0.25]);
+    const decoded = decodeWav(encodeWav(samples, 8000));
+
+    assert.equal(decoded.sampleRate, 8000);
+    assert.equal(decoded.samples.length, samples.length);
+    decoded.samples.forEach((sample, i) => assert.ok(Math.abs(sample - samples[i]) < 1 / 16384, `sample ${i}`));
+});
+
+test('stereo is mixed down to mono', () => {
+    // Two 16-bit channels, one loud and one silent
+    const wav = encodeWav(Float32Array.from([0.5, 0, 0.5, 0]), 8000);
+    const view = new DataView(wav);
+    view.setUint16(22, 2, true);
+    view.setUint16(32, 4, true);
+
+    const decoded = decodeWav(wav);
+    assert.equal(decoded.samples.length, 2);
+    decoded.samples.forEach(sample => assert.ok(Math.abs(sample - 0.25) < 1 / 16384));
+});
+
+test('files that aren\'t WAV audio are refused', () => {
+    assert.throws(() => decodeWav(new ArrayBuffer(44)), /Not a WAV file/);
+
+    const noData = encodeWav(new Float32Array(0), 8000);
+    new Uint8Array(noData).set([...'junk'].map(c => c.charCodeAt(0)), 36);
+    assert.throws(() => decodeWav(noData), /no data chunk/);
+
+    const adpcm = encodeWav(new Float32Array(4), 8000);
+    new DataView(adpcm).setUint16(20, 2, true);
+    assert.throws(() => decodeWav(adpcm), /Unsupported WAV encoding/);
+});
+
+test('the detector needs sustained sound to start and sustained quiet to stop', () => {
+    const vad = new VoiceActivityDetector({ minSpeechMs: 120, hangoverMs: 400 });
+    const run = (level, ms) => {
+        const states = [];
+        for (let t = 0; t < ms; t += 40) states.push(vad.process(level, 40));
+        return states;
+    };
+
+    // A click is too short to be speech
+    assert.deepEqual(run(0.5, 80), ['silence', 'silence']);
+    assert.deepEqual(run(0, 40), ['silence']);
+
+    assert.deepEqual(run(0.5, 120), ['silence', 'silence', 'speech-start']);
+    // A breath between words doesn't end the utterance
+    assert.ok(run(0, 360).every(state => state === 'speech'));
+    assert.deepEqual(run(0.5, 40), ['speech']);
+    assert.deepEqual(run(0, 400).pop(), 'speech-end');
+    assert.equal(vad.speaking, false);
+});
+
+test('a recording is split into utterances at long silences', async () => {
+    const wav = recording([['silence', 512], ['speech', 1024], ['silence', 832], ['speech', 704], ['silence', 832]]);
+    const { finals } = await capture(wav, ['my dog', 'the park']);
+
+    assert.deepEqual(finals.map(final => final.text), ['my dog', 'the park']);
+    const [first, second] = finals.map(final => final.segment);
+    assert.ok(first.final && second.final);
+    // Starts include the pre-roll, ends the hangover
+    near(first.startMs, 512 - 200, 'first start');
+    near(first.endMs, 1536 + 400, 'first end');
+    near(second.startMs, 2368 - 200, 'second start');
+    assert.equal(first.samples.length, ((first.endMs - first.startMs) / 1000) * SAMPLE_RATE);
+});
+
+test('partials grow while the user is talking and the final follows', async () => {
+    const wav = recording([['silence', 300], ['speech', 2500], ['silence', 600]]);
+    const { partials, finals } = await capture(wav, ['i want to go to the park']);
+
+    assert.ok(partials.length >= 2, `only ${partials.length} partials`);
+    const heard = partials.map(partial => partial.text.split(' ').length);
+    assert.deepEqual(heard, [...heard].sort((a, b) => a - b));
+    assert.ok(partials.every(partial => !partial.segment.final));
+    assert.ok('i want to go to the park'.startsWith(partials[0].text));
+    assert.deepEqual(finals.map(final => final.text), ['i want to go to the park']);
+});
+
+test('short silences inside an utterance are kept as pauses', async () => {
+    const wav = recording([['silence', 320], ['speech', 640], ['silence', 256], ['speech', 640], ['silence', 640]]);
+    const { finals } = await capture(wav, ['my... dog']);
+
+    assert.equal(finals.length, 1);
+    const { pauses } = finals[0].segment;
+    assert.equal(pauses.length, 1);
+    assert.deepEqual({ ...pauses[0] }, { startMs: 960, endMs: 1216 });
+});
+
+test('stopping mid-utterance still transcribes what was said', async () => {
+    const wav = recording([['silence', 300], ['speech', 800]]);
+    const { finals } = await capture(wav, ['a cup of']);
+
+    assert.deepEqual(finals.map(final => final.text), ['a cup of']);
+    near(finals[0].segment.endMs, 1100, 'end');
+});
+
+test('the language is passed to the adapter', async () => {
+    const requests = [];
+    const adapter = {
+        transcribe: async (segment, options) => {
+            requests.push(options);
+            return { text: 'hola' };
+        }
+    };
+    const pipeline = new SpeechCapturePipeline({
+        source: new WavAudioSource(recording([['speech', 500], ['silence', 600]])),
+        adapter,
+        language: 'es-ES'
+    });
+    await pipeline.start();
+    await pipeline.stop();
+
+    assert.ok(requests.length > 0);
+    assert.ok(requests.every(options => options.language === 'es-ES'));
+    assert.deepEqual(requests.pop(), { partial: false, language: 'es-ES' });
+});
@@ -0,0 +1,311 @@
+// Cognitive Echo Visual Aids
+//
+// Pictures for prediction cards come from picture packs installed on the
+// device, plus personal photos a caregiver adds (the user's own dog rather
+// than any dog). A pack is a folder of SVG/PNG/JPEG/WebP files with a
+// manifest.json:
+//
+//   {
+//       "format": "cognitive-echo-picture-pack",
+//       "version": 1,
+//       "id": "everyday-basics",                lowercase letters, digits and dashes
+//       "name": "Everyday Basics",
+//       "images": [
+//           { "word": "dog", "synonyms": ["puppy"], "label": "Dog", "file": "dog.svg" }
+//       ]
+//   }
+//
+// Packs and their images are kept in IndexedDB. When several packs picture
+// the same word the most recently installed one wins, and personal photos
+// win over every pack.
+
+const VISUAL_AID_DB_NAME = 'cognitive-echo-visual-aids';
+const VISUAL_AID_DB_VERSION = 1;
+const PICTURE_PACK_FORMAT = 'cognitive-echo-picture-pack';
+const PICTURE_PACK_VERSION = 1;
+const PERSONAL_PACK_ID = 'personal';
+const PICTURE_FILE_PATTERN = /\.(svg|png|jpe?g|webp)$/i;
+
+class PicturePackError extends Error {
+    constructor(errors) {
+        super(`Invalid picture pack: ${errors.map(error => error.key).join(', ')}`);
+        this.name = 'PicturePackError';
+        this.errors = errors;
+    }
+}
+
+// Each problem is a message catalog key with its details: { key, params }
+function validatePictureManifest(manifest) {
+    if (!manifest || typeof manifest !== 'object') return [{ key: 'validation.notObject' }];
+
+    const errors = [];
+    const add = (key, params) => errors.push(params ? { key, params } : { key });
+    if (manifest.format !== PICTURE_PACK_FORMAT) {
+        add('validation.format', { expected: PICTURE_PACK_FORMAT });
+    }
+    if (manifest.version !== PICTURE_PACK_VERSION) {
+        add('validation.version', { version: manifest.version, expected: PICTURE_PACK_VERSION });
+    }
+    if (typeof manifest.id !== 'string' || !/^[a-z0-9-]+$/.test(manifest.id)) {
+        add('packs.error.id');
+    } else if (manifest.id === PERSONAL_PACK_ID) {
+        add('packs.error.reserved', { id: PERSONAL_PACK_ID });
+    }
+    if (typeof manifest.name !== 'string' || !manifest.name.trim()) {
+        add('validation.required', { field: 'name' });
+    }
+    if (!Array.isArray(manifest.images) || manifest.images.length === 0) {
+        add('packs.error.images');
+        return errors;
+    }
+
+    manifest.images.forEach((image, index) => {
+        const where = `images[${index}]`;
+        if (!image || typeof image !== 'object') {
+            add('validation.object', { field: where });
+            return;
+        }
+        if (typeof image.word !== 'string' || !image.word.trim()) {
+            add('validation.required', { field: `${where}.word` });
+        }
+        if (typeof image.file !== 'string' || !PICTURE_FILE_PATTERN.test(image.file)) {
+            add('packs.error.file', { field: `${where}.file` });
+        }
+        if (image.synonyms !== undefined &&
+            (!Array.isArray(image.synonyms) || image.synonyms.some(synonym => typeof synonym !== 'string'))) {
+            add('packs.error.synonyms', { field: `${where}.synonyms` });
+        }
+        if (image.label !== undefined && typeof image.label !== 'string') {
+            add('validation.text', { field: `${where}.label` });
+        }
+    });
+    return errors;
+}
+
+function parsePictureManifest(text) {
+    let manifest;
+    try {
+        manifest = JSON.parse(text);
+    } catch (error) {
+        throw new PicturePackError([{ key: 'packs.error.json' }]);
+    }
+
+    const errors = validatePictureManifest(manifest);
+    if (errors.length > 0) {
+        const shown = errors.slice(0, 10);
+        if (errors.length > shown.length) shown.push({ key: 'validation.more', params: { count: errors.length - shown.length } });
+        throw new PicturePackError(shown);
+    }
+
+    return {
+        id: manifest.id,
+        name: manifest.name.trim(),
+        images: manifest.images.map(image => ({
+            word: image.word.trim().toLowerCase(),
+            synonyms: (image.synonyms || []).map(synonym => synonym.trim().toLowerCase()).filter(Boolean),
+            label: (image.label || '').trim() || image.word.trim(),
+            file: image.file
+        }))
+    };
+}
+
+class VisualAidStore {
+    constructor(options = {}) {
+        this.indexedDB = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.dbName = options.dbName || VISUAL_AID_DB_NAME;
+        this.db = null;
+    }
+
+    get available() {
+        return Boolean(this.indexedDB);
+    }
+
+    async open() {
+        if (this.db) return this.db;
+        if (!this.available) {
+            throw new Error('IndexedDB is not available in this browser');
+        }
+
+        const request = this.indexedDB.open(this.dbName, VISUAL_AID_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains('packs')) {
+                db.createObjectStore('packs', { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains('images')) {
+                const images = db.createObjectStore('images', { keyPath: 'key' });
+                images.createIndex('packId', 'packId');
+            }
+        };
+
+        this.db = await promisifyRequest(request);
+        return this.db;
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    async transaction(storeNames, mode, work) {
+        const db = await this.open();
+        const tx = db.transaction(storeNames, mode);
+        const done = new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+        const result = await work(tx);
+        await done;
+        return result;
+    }
+
+    async getPacks() {
+        return this.transaction(['packs'], 'readonly', tx =>
+            promisifyRequest(tx.objectStore('packs').getAll())
+        );
+    }
+
+    async getImages() {
+        return this.transaction(['images'], 'readonly', tx =>
+            promisifyRequest(tx.objectStore('images').getAll())
+        );
+    }
+
+    // `images` maps each manifest file name to its data URL. Reinstalling a pack replaces it.
+    async installPack(pack, images) {
+        const missing = pack.images.filter(image => !images.has(image.file)).map(image => image.file);
+        if (missing.length > 0) {
+            throw new PicturePackError(missing.slice(0, 10).map(file => ({ key: 'packs.error.missingFile', params: { file } })));
+        }
+
+        await this.removePack(pack.id);
+        return this.transaction(['packs', 'images'], 'readwrite', async tx => {
+            const record = { ...pack, installedAt: Date.now() };
+            await promisifyRequest(tx.objectStore('packs').put(record));
+            for (const file of new Set(pack.images.map(image => image.file))) {
+                await promisifyRequest(tx.objectStore('images').put({
+                    key: `${pack.id}/${file}`,
+                    packId: pack.id,
+                    file,
+                    dataUrl: images.get(file)
+                }));
+            }
+            return record;
+        });
+    }
+
+    async removePack(packId) {
+        return this.transaction(['packs', 'images'], 'readwrite', async tx => {
+            await promisifyRequest(tx.objectStore('packs').delete(packId));
+            const keys = await promisifyRequest(tx.objectStore('images').index('packId').getAllKeys(packId));
+            for (const key of keys) {
+                await promisifyRequest(tx.objectStore('images').delete(key));
+            }
+        });
+    }
+
+    // Personal photos live in a pack of their own that always exists
+    async addPersonalPhoto(word, label, dataUrl) {
+        const normalized = (word || '').trim().toLowerCase();
+        if (!normalized) throw new PicturePackError([{ key: 'packs.error.photoWord' }]);
+
+        return this.transaction(['packs', 'images'], 'readwrite', async tx => {
+            const packs = tx.objectStore('packs');
+            const pack = await promisifyRequest(packs.get(PERSONAL_PACK_ID)) ||
+                { id: PERSONAL_PACK_ID, name: 'Personal Photos', images: [], installedAt: Date.now() };
+
+            const file = `${normalized.replace(/[^a-z0-9]+/g, '-')}-${Date.now().toString(36)}`;
+            const previous = pack.images.find(image => image.word === normalized);
+            pack.images = pack.images.filter(image => image.word !== normalized);
+            pack.images.push({ word: normalized, synonyms: [], label: (label || '').trim() || word.trim(), file });
+
+            await promisifyRequest(packs.put(pack));
+            if (previous) {
+                await promisifyRequest(tx.objectStore('images').delete(`${PERSONAL_PACK_ID}/${previous.file}`));
+            }
+            await promisifyRequest(tx.objectStore('images').put({
+                key: `${PERSONAL_PACK_ID}/${file}`,
+                packId: PERSONAL_PACK_ID,
+                file,
+                dataUrl
+            }));
+            return pack;
+        });
+    }
+
+    async removePersonalPhoto(word) {
+        return this.transaction(['packs', 'images'], 'readwrite', async tx => {
+            const packs = tx.objectStore('packs');
+            const pack = await promisifyRequest(packs.get(PERSONAL_PACK_ID));
+            if (!pack) return;
+
+            const removed = pack.images.filter(image => image.word === word);
+            pack.images = pack.images.filter(image => image.word !== word);
+            await promisifyRequest(packs.put(pack));
+            for (const image of removed) {
+                await promisifyRequest(tx.objectStore('images').delete(`${PERSONAL_PACK_ID}/${image.file}`));
+            }
+        });
+    }
+}
+
+// In-memory word -> picture index over everything in the store
+class VisualAidLibrary {
+    constructor(store) {
+        this.store = store;
+        this.index = new Map();
+        this.packs = [];
+    }
+
+    async load() {
+        if (!this.store.available) return;
+
+        const [packs, images] = await Promise.all([this.store.getPacks(), this.store.getImages()]);
+        const dataUrls = new Map(images.map(image => [image.key, image.dataUrl]));
+
+        // Later entries overwrite earlier ones, so order by precedence
+        this.packs = packs
+            .filter(pack => pack.id !== PERSONAL_PACK_ID)
+            .sort((a, b) => a.installedAt - b.installedAt);
+        const personal = packs.find(pack => pack.id === PERSONAL_PACK_ID);
+
+        this.index = new Map();
+        [...this.packs, ...(personal ? [personal] : [])].forEach(pack => {
+            pack.images.forEach(image => {
+                const src = dataUrls.get(`${pack.id}/${image.file}`);
+                if (!src) return;
+                const aid = { image: src, label: image.label, packId: pack.id, word: image.word };
+                [image.word, ...image.synonyms].forEach(word => this.index.set(word, aid));
+            });
+        });
+    }
+
+    get personalPhotos() {
+        return [...this.index.values()]
+            .filter((aid, i, all) => aid.packId === PERSONAL_PACK_ID && all.indexOf(aid) === i);
+    }
+
+    // Tries the word as given, then without a plural ending
+    resolve(word) {
+        const normalized = (word || '').trim().toLowerCase();
+        const forms = [normalized, normalized.replace(/es$/, ''), normalized.replace(/s$/, '')];
+        for (const form of forms) {
+            if (this.index.has(form)) return this.index.get(form);
+        }
+        return null;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PERSONAL_PACK_ID,
+        PicturePackError,
+        VisualAidLibrary,
+        VisualAidStore,
+        parsePictureManifest,
+        validatePictureManifest
+    };
+}
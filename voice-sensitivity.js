@@ -0,0 +1,122 @@
+// Cognitive Echo Voice Sensitivity
+//
+// The "AI Sensitivity" setting (0-1) controls how readily the app reacts:
+//
+//   higher sensitivity -> quieter speech starts an utterance, longer pauses
+//                         are tolerated before it ends, and less confident
+//                         predictions are still shown as cards
+//
+// Thresholds are RMS levels of samples in [-1, 1], the same scale the
+// VoiceActivityDetector uses. Calibration measures the room's background noise
+// through an AnalyserNode and suggests the highest sensitivity whose start
+// threshold still sits safely above it.
+
+const SENSITIVITY_START_THRESHOLD = { min: 0.005, max: 0.16 };
+const SENSITIVITY_HANGOVER_MS = { min: 250, max: 900 };
+const SENSITIVITY_MIN_CONFIDENCE = { min: 0.1, max: 0.6 };
+
+// Speech has to be this many times louder than the measured noise to count
+const CALIBRATION_NOISE_MARGIN = 3;
+
+function clampSensitivity(sensitivity) {
+    return Math.min(1, Math.max(0, Number.isFinite(sensitivity) ? sensitivity : 0));
+}
+
+// Thresholds fall geometrically, since loudness is perceived logarithmically
+function sensitivityThresholds(sensitivity) {
+    const s = clampSensitivity(sensitivity);
+    const { min, max } = SENSITIVITY_START_THRESHOLD;
+    const startThreshold = max * Math.pow(min / max, s);
+    return {
+        startThreshold,
+        stopThreshold: startThreshold / 2,
+        hangoverMs: Math.round(SENSITIVITY_HANGOVER_MS.min + (SENSITIVITY_HANGOVER_MS.max - SENSITIVITY_HANGOVER_MS.min) * s)
+    };
+}
+
+function minimumConfidence(sensitivity) {
+    const s = clampSensitivity(sensitivity);
+    const { min, max } = SENSITIVITY_MIN_CONFIDENCE;
+    return Math.round((max - (max - min) * s) * 100) / 100;
+}
+
+// Inverse of sensitivityThresholds for the start threshold, rounded to the slider's 5% steps
+function suggestSensitivity(noiseLevel) {
+    const { min, max } = SENSITIVITY_START_THRESHOLD;
+    const target = Math.min(max, Math.max(min, noiseLevel * CALIBRATION_NOISE_MARGIN));
+    const sensitivity = Math.log(target / max) / Math.log(min / max);
+    return Math.round(clampSensitivity(sensitivity) * 20) / 20;
+}
+
+// Polls an AnalyserNode's waveform and feeds its level to a VoiceActivityDetector
+class AnalyserVoiceMonitor {
+    constructor(analyser, options = {}) {
+        this.analyser = analyser;
+        this.vad = options.vad;
+        this.intervalMs = options.intervalMs || 50;
+        this.onStateChange = options.onStateChange || (() => {});
+        this.timer = null;
+        this.speaking = false;
+        this.buffer = new Float32Array(analyser.fftSize);
+    }
+
+    level() {
+        this.analyser.getFloatTimeDomainData(this.buffer);
+        let sum = 0;
+        for (let i = 0; i < this.buffer.length; i++) sum += this.buffer[i] * this.buffer[i];
+        return Math.sqrt(sum / this.buffer.length);
+    }
+
+    start() {
+        if (this.timer) return;
+        this.vad.reset();
+        this.timer = setInterval(() => {
+            const state = this.vad.process(this.level(), this.intervalMs);
+            if (state === 'speech-start' || state === 'speech-end') {
+                this.speaking = state === 'speech-start';
+                this.onStateChange(this.speaking);
+            }
+        }, this.intervalMs);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this.speaking) {
+            this.speaking = false;
+            this.onStateChange(false);
+        }
+    }
+
+    // Samples the level for `durationMs` while the room is quiet.
+    // The 90th percentile ignores the odd click without missing steady hum.
+    measureNoise(durationMs = 3000) {
+        return new Promise(resolve => {
+            const levels = [];
+            const timer = setInterval(() => {
+                levels.push(this.level());
+                if (levels.length * this.intervalMs < durationMs) return;
+
+                clearInterval(timer);
+                const sorted = [...levels].sort((a, b) => a - b);
+                const noiseLevel = sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.9))];
+                resolve({
+                    noiseLevel,
+                    averageLevel: levels.reduce((sum, level) => sum + level, 0) / levels.length,
+                    suggestedSensitivity: suggestSensitivity(noiseLevel)
+                });
+            }, this.intervalMs);
+        });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        AnalyserVoiceMonitor,
+        minimumConfidence,
+        sensitivityThresholds,
+        suggestSensitivity
+    };
+}